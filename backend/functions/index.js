@@ -4,6 +4,7 @@ if (process.env.FUNCTIONS_EMULATOR === 'true') {
 }
 
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
 const { setGlobalOptions } = require('firebase-functions/v2');
 const { defineString, defineSecret } = require('firebase-functions/params');
 const express = require('express');
@@ -21,10 +22,14 @@ const nodeEnv = defineString('NODE_ENV', { default: 'production' });
 const corsOrigin = defineString('CORS_ORIGIN', { default: '*' });
 const frontendUrl = defineString('FRONTEND_URL');
 const jwtSecret = defineSecret('JWT_SECRET');
+// Signs booking check-in codes (QR)
+const checkInSecret = defineSecret('CHECKIN_SECRET');
 const jwtExpiresIn = defineString('JWT_EXPIRES_IN', { default: '7d' });
 const firebaseStorageBucket = defineString('APP_STORAGE_BUCKET', { 
   default: 'xperience-gaming.firebasestorage.app' 
 });
+// Payment provider: cashfree, or mock for the emulator and tests
+const paymentProvider = defineString('PAYMENT_PROVIDER', { default: 'cashfree' });
 // Cashfree Configuration
 const cashfreeClientId = defineString('CASHFREE_CLIENT_ID');
 const cashfreeClientSecret = defineSecret('CASHFREE_CLIENT_SECRET');
@@ -37,6 +42,7 @@ const backendUrl = defineString('BACKEND_URL', {
 // Log parameter definitions on module load (for debugging)
 console.log('🔧 [PARAMS_INIT] ========================================');
 console.log('🔧 [PARAMS_INIT] Firebase Functions Parameters Defined:');
+console.log('🔧 [PARAMS_INIT] - paymentProvider: defineString("PAYMENT_PROVIDER", default: "cashfree")');
 console.log('🔧 [PARAMS_INIT] - cashfreeClientId: defineString("CASHFREE_CLIENT_ID")');
 console.log('🔧 [PARAMS_INIT] - cashfreeClientSecret: defineSecret("CASHFREE_CLIENT_SECRET")');
 console.log('🔧 [PARAMS_INIT] - cashfreeApiVersion: defineString("CASHFREE_API_VERSION", default: "2023-08-01")');
@@ -61,6 +67,13 @@ const reviewRoutes = require('./src/routes/reviewRoutes');
 const communityRoutes = require('./src/routes/communityRoutes');
 const uploadRoutes = require('./src/routes/uploadRoutes');
 const paymentRoutes = require('./src/routes/paymentRoutes');
+const passRoutes = require('./src/routes/passRoutes');
+
+// Import services used by scheduled functions
+const { releaseExpiredHolds } = require('./src/services/bookingHoldService');
+const { runBookkeepingFor, retryPendingBookkeeping } = require('./src/services/bookkeepingService');
+const { markNoShows } = require('./src/services/checkInService');
+const { settlePendingRefunds } = require('./src/controllers/refundController');
 
 // Initialize express app
 const app = express();
@@ -86,6 +99,16 @@ const urlencodedParser = express.urlencoded({ extended: true });
 // Raw body parser for upload routes - preserves raw buffer for busboy
 // Note: We use raw() without type restriction to capture all body data as buffer
 const rawParser = express.raw({ limit: '10mb' });
+// Payment webhooks are signed over the exact bytes sent, so keep them in
+// req.rawBody. On Cloud Functions the body arrives already parsed with
+// req.rawBody set and this parser is skipped; in plain Express it sets both.
+const webhookParser = express.json({
+  limit: '1mb',
+  type: () => true,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+});
 
 app.use((req, res, next) => {
   const contentType = req.headers['content-type'] || '';
@@ -144,6 +167,10 @@ app.use((req, res, next) => {
     });
   }
   
+  if (req.path === '/payments/webhook' && req.method === 'POST') {
+    return webhookParser(req, res, next);
+  }
+  
   // Skip body parsing for multipart/form-data - Multer will handle it
   if (contentType.includes('multipart/form-data')) {
     console.log('📸 [BODY_PARSER] Skipping body parsing for multipart request');
@@ -175,6 +202,16 @@ app.use((req, res, next) => {
   next();
 });
 
+// Scheduled functions that call the payment gateway read its config from the environment too
+const setPaymentEnv = () => {
+  process.env.PAYMENT_PROVIDER = paymentProvider.value();
+  process.env.CASHFREE_CLIENT_ID = cashfreeClientId.value();
+  process.env.CASHFREE_CLIENT_SECRET = cashfreeClientSecret.value();
+  process.env.CASHFREE_API_VERSION = cashfreeApiVersion.value();
+  process.env.CASHFREE_BASE_URL = cashfreeBaseUrl.value();
+  process.env.BACKEND_URL = backendUrl.value();
+};
+
 // Set environment variables from params (for backward compatibility)
 app.use((req, res, next) => {
   // Get all param values
@@ -182,8 +219,10 @@ app.use((req, res, next) => {
   const corsOriginValue = corsOrigin.value();
   const frontendUrlValue = frontendUrl.value();
   const jwtSecretValue = jwtSecret.value();
+  const checkInSecretValue = checkInSecret.value();
   const jwtExpiresInValue = jwtExpiresIn.value();
   const storageBucketValue = firebaseStorageBucket.value();
+  const paymentProviderValue = paymentProvider.value();
   const cashfreeClientIdValue = cashfreeClientId.value();
   const cashfreeClientSecretValue = cashfreeClientSecret.value();
   const cashfreeApiVersionValue = cashfreeApiVersion.value();
@@ -195,8 +234,10 @@ app.use((req, res, next) => {
   process.env.CORS_ORIGIN = corsOriginValue;
   process.env.FRONTEND_URL = frontendUrlValue;
   process.env.JWT_SECRET = jwtSecretValue;
+  process.env.CHECKIN_SECRET = checkInSecretValue;
   process.env.JWT_EXPIRES_IN = jwtExpiresInValue;
   process.env.APP_STORAGE_BUCKET = storageBucketValue;
+  process.env.PAYMENT_PROVIDER = paymentProviderValue;
   process.env.CASHFREE_CLIENT_ID = cashfreeClientIdValue;
   process.env.CASHFREE_CLIENT_SECRET = cashfreeClientSecretValue;
   process.env.CASHFREE_API_VERSION = cashfreeApiVersionValue;
@@ -223,8 +264,10 @@ app.use((req, res, next) => {
     console.log('🔧 [ENV_CONFIG] JWT Configuration:');
     console.log('🔧 [ENV_CONFIG] - JWT_SECRET:', jwtSecretValue ? `***SET (${jwtSecretValue.length} chars)***` : '❌ NOT SET');
     console.log('🔧 [ENV_CONFIG] - JWT_EXPIRES_IN:', jwtExpiresInValue || '❌ NOT SET (using default: 7d)');
+    console.log('🔧 [ENV_CONFIG] - CHECKIN_SECRET:', checkInSecretValue ? `***SET (${checkInSecretValue.length} chars)***` : '❌ NOT SET (check-in codes disabled)');
     
-    // Cashfree Payment Gateway Config (Production only)
+    // Payment Gateway Config
+    console.log('🔧 [ENV_CONFIG] - PAYMENT_PROVIDER:', paymentProviderValue || '❌ NOT SET (using default: cashfree)');
     console.log('🔧 [ENV_CONFIG] Cashfree Payment Gateway Configuration:');
     console.log('🔧 [ENV_CONFIG] - CASHFREE_CLIENT_ID:', cashfreeClientIdValue ? `${cashfreeClientIdValue.substring(0, 4)}... (${cashfreeClientIdValue.length} chars)` : '❌ NOT SET');
     console.log('🔧 [ENV_CONFIG] - CASHFREE_CLIENT_SECRET:', cashfreeClientSecretValue ? `***SET (${cashfreeClientSecretValue.length} chars)***` : '❌ NOT SET');
@@ -234,7 +277,9 @@ app.use((req, res, next) => {
     
     // Validation warnings
     console.log('🔧 [ENV_CONFIG] Validation:');
-    if (!cashfreeClientIdValue || !cashfreeClientSecretValue) {
+    if (paymentProviderValue === 'mock') {
+      console.warn('⚠️  [ENV_CONFIG] Using the mock payment provider - no real payments are taken.');
+    } else if (!cashfreeClientIdValue || !cashfreeClientSecretValue) {
       console.warn('⚠️  [ENV_CONFIG] WARNING: Cashfree credentials are missing!');
       console.warn('⚠️  [ENV_CONFIG] Payment functionality will not work.');
       console.warn('⚠️  [ENV_CONFIG] Set CASHFREE_CLIENT_ID and CASHFREE_CLIENT_SECRET in Firebase Console.');
@@ -273,6 +318,7 @@ app.use('/reviews', reviewRoutes);
 app.use('/community', communityRoutes);
 app.use('/upload', uploadRoutes);
 app.use('/payments', paymentRoutes);
+app.use('/passes', passRoutes);
 
 // 404 Handler
 app.use((req, res) => {
@@ -296,7 +342,66 @@ app.use((err, req, res, next) => {
 // Export the Express app as a Firebase Function (Gen 2)
 exports.api = onRequest(
   {
-    secrets: [jwtSecret, cashfreeClientSecret]
+    secrets: [jwtSecret, checkInSecret, cashfreeClientSecret]
   },
   app
-);
\ No newline at end of file
+);
+
+// Release unpaid bookings whose slot hold has expired (Gen 2 scheduled function)
+exports.releaseExpiredBookingHolds = onSchedule(
+  {
+    schedule: 'every 5 minutes',
+    timeZone: 'Asia/Kolkata',
+    timeoutSeconds: 120
+  },
+  async () => {
+    const released = await releaseExpiredHolds();
+    console.log(`⏳ [SCHEDULER] releaseExpiredBookingHolds released ${released.length} bookings`);
+
+    // What the released bookings used (wallet balance, pass hours, promo codes,
+    // loyalty points) was queued to go back with the release, along with the
+    // waitlist offer of each freed slot
+    await runBookkeepingFor(released.map(booking => booking.id));
+  }
+);
+
+// Retry booking bookkeeping (returns, offers, invoices) that failed the first time
+exports.retryBookkeeping = onSchedule(
+  {
+    schedule: 'every 15 minutes',
+    timeZone: 'Asia/Kolkata',
+    timeoutSeconds: 300
+  },
+  async () => {
+    const processed = await retryPendingBookkeeping();
+    console.log(`🧮 [SCHEDULER] retryBookkeeping processed ${processed} bookings`);
+  }
+);
+
+// Settle gateway refunds that were still pending when requested
+exports.settlePendingRefunds = onSchedule(
+  {
+    schedule: 'every 30 minutes',
+    timeZone: 'Asia/Kolkata',
+    timeoutSeconds: 300,
+    secrets: [cashfreeClientSecret]
+  },
+  async () => {
+    setPaymentEnv();
+    const settled = await settlePendingRefunds();
+    console.log(`💰 [SCHEDULER] settlePendingRefunds settled ${settled} refunds`);
+  }
+);
+
+// Mark confirmed bookings nobody checked in for as no_show once the cafe's grace period passes
+exports.markNoShowBookings = onSchedule(
+  {
+    schedule: 'every 5 minutes',
+    timeZone: 'Asia/Kolkata',
+    timeoutSeconds: 120
+  },
+  async () => {
+    const noShows = await markNoShows();
+    console.log(`✅ [SCHEDULER] markNoShowBookings marked ${noShows.length} bookings`);
+  }
+);
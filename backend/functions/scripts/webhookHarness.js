@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Payment webhook harness. Signs the fixture payloads in fixtures/webhooks the
+ * way Cashfree does (base64 HMAC-SHA256 of x-webhook-timestamp + raw body) and
+ * either checks the verifier against them or posts them to a running API.
+ *
+ * npm run webhook:harness                      Check that signed fixtures verify and
+ *                                              tampered, stale and unsigned ones do not
+ * npm run webhook:harness -- --url <url> [fixture ...] [options]
+ *                                              Post signed fixtures, e.g. to
+ *                                              http://127.0.0.1:5001/<project>/asia-south1/api/payments/webhook
+ *
+ * --secret <secret>     Signing secret (default CASHFREE_WEBHOOK_SECRET, CASHFREE_CLIENT_SECRET,
+ *                       then MOCK_WEBHOOK_SECRET's default, mock_webhook_secret)
+ * --order-id <id>       Order ID to put in the payload instead of FIXTURE_ORDER_1
+ * --stale               Sign with a timestamp outside the allowed window
+ * --tamper              Change the body after signing
+ * --unsigned            Send without signature headers
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cashfree = require('../src/services/paymentProviders/cashfreeProvider');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'webhooks');
+const FIXTURE_ORDER_ID = 'FIXTURE_ORDER_1';
+
+const parseArgs = (argv) => {
+  const options = { fixtures: [], stale: false, tamper: false, unsigned: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url') options.url = argv[++i];
+    else if (arg === '--secret') options.secret = argv[++i];
+    else if (arg === '--order-id') options.orderId = argv[++i];
+    else if (arg === '--stale') options.stale = true;
+    else if (arg === '--tamper') options.tamper = true;
+    else if (arg === '--unsigned') options.unsigned = true;
+    else options.fixtures.push(arg.replace(/\.json$/, ''));
+  }
+  return options;
+};
+
+const listFixtures = () => fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => file.replace(/\.json$/, ''))
+  .sort();
+
+/**
+ * Read a fixture's exact bytes, optionally pointing it at another order
+ * @param {string} name - Fixture name
+ * @param {string} orderId - Order ID to substitute
+ * @returns {Buffer} Raw body
+ */
+const loadFixture = (name, orderId) => {
+  const raw = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`));
+  if (!orderId) return raw;
+  return Buffer.from(raw.toString('utf8').split(FIXTURE_ORDER_ID).join(orderId));
+};
+
+// Flip the payment amount, as a tamperer would
+const tamperWith = (rawBody) => Buffer.from(rawBody.toString('utf8').replace(/"payment_amount": [\d.]+/, '"payment_amount": 1.00') + ' ');
+
+/**
+ * Sign a raw body the way Cashfree does
+ * @param {Buffer} rawBody - Exact bytes to send
+ * @param {string} secret - Signing secret
+ * @param {number} sentAt - Epoch milliseconds
+ * @returns {Object} { timestamp, signature }
+ */
+const sign = (rawBody, secret, sentAt = Date.now()) => {
+  const timestamp = String(sentAt);
+  return { timestamp, signature: cashfree.signWebhook(timestamp, rawBody, secret) };
+};
+
+/**
+ * Check the verifier against every fixture
+ * @param {string[]} names - Fixture names
+ * @returns {boolean} True if every case behaved as expected
+ */
+const runChecks = (names) => {
+  const secret = 'harness_signing_secret';
+  const now = Date.now();
+  const tolerance = cashfree.WEBHOOK_TIMESTAMP_TOLERANCE_MS;
+  let failures = 0;
+
+  names.forEach(name => {
+    const rawBody = loadFixture(name);
+    const { timestamp, signature } = sign(rawBody, secret, now);
+    const seconds = String(Math.floor(now / 1000));
+    const stale = sign(rawBody, secret, now - tolerance - 1000);
+    const future = sign(rawBody, secret, now + tolerance + 1000);
+
+    const cases = [
+      ['signed raw body', { signature, timestamp, rawBody }, secret, true],
+      ['timestamp in seconds', { signature: cashfree.signWebhook(seconds, rawBody, secret), timestamp: seconds, rawBody }, secret, true],
+      ['re-serialized body', { signature, timestamp, rawBody: JSON.stringify(JSON.parse(rawBody)) }, secret, false],
+      ['tampered body', { signature, timestamp, rawBody: tamperWith(rawBody) }, secret, false],
+      ['stale timestamp', { ...stale, rawBody }, secret, false],
+      ['future timestamp', { ...future, rawBody }, secret, false],
+      ['timestamp changed after signing', { signature, timestamp: String(now + 1000), rawBody }, secret, false],
+      ['malformed timestamp', { signature, timestamp: 'yesterday', rawBody }, secret, false],
+      ['missing signature', { timestamp, rawBody }, secret, false],
+      ['missing timestamp', { signature, rawBody }, secret, false],
+      ['missing raw body', { signature, timestamp }, secret, false],
+      ['wrong secret', { signature, timestamp, rawBody }, 'not_the_secret', false],
+      ['no secret configured', { signature, timestamp, rawBody }, undefined, false]
+    ];
+
+    cases.forEach(([label, params, caseSecret, expected]) => {
+      const { valid, reason } = cashfree.verifySignature({ ...params, now }, caseSecret);
+      const passed = valid === expected;
+      if (!passed) failures++;
+      console.log(`${passed ? 'PASS' : 'FAIL'}  ${name}: ${label} -> ${valid ? 'valid' : `rejected (${reason})`}`);
+    });
+  });
+
+  console.log(failures ? `\n${failures} check(s) failed` : '\nAll checks passed');
+  return failures === 0;
+};
+
+/**
+ * Post signed fixtures to a webhook URL
+ * @param {string[]} names - Fixture names
+ * @param {Object} options - Parsed arguments
+ * @returns {boolean} True if every delivery got a 2xx response
+ */
+const sendFixtures = async (names, options) => {
+  const secret = options.secret
+    || process.env.CASHFREE_WEBHOOK_SECRET
+    || process.env.CASHFREE_CLIENT_SECRET
+    || process.env.MOCK_WEBHOOK_SECRET
+    || 'mock_webhook_secret';
+  let allAccepted = true;
+
+  for (const name of names) {
+    const signedBody = loadFixture(name, options.orderId);
+    const sentAt = options.stale ? Date.now() - cashfree.WEBHOOK_TIMESTAMP_TOLERANCE_MS - 60 * 1000 : Date.now();
+    const { timestamp, signature } = sign(signedBody, secret, sentAt);
+    const rawBody = options.tamper ? tamperWith(signedBody) : signedBody;
+
+    const headers = {
+      'content-type': 'application/json',
+      'x-webhook-version': '2023-08-01',
+      ...(options.unsigned ? {} : { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signature })
+    };
+
+    const response = await axios.post(options.url, rawBody, {
+      headers,
+      // Send the bytes that were signed, untouched
+      transformRequest: [(data) => data],
+      validateStatus: () => true
+    });
+    if (response.status < 200 || response.status >= 300) allAccepted = false;
+    console.log(`${name}: HTTP ${response.status}`, JSON.stringify(response.data));
+  }
+  return allAccepted;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const available = listFixtures();
+  const names = options.fixtures.length ? options.fixtures : available;
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length) {
+    console.error(`Unknown fixture(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+    process.exit(1);
+  }
+
+  const ok = options.url ? await sendFixtures(names, options) : runChecks(names);
+  process.exit(ok ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error('Webhook harness failed:', error.message);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 const { db, auth } = require('../config/firebase');
 const { validationResult } = require('express-validator');
+const walletService = require('../services/walletService');
+const loyaltyService = require('../services/loyaltyService');
+const { isValidGstin } = require('../services/taxService');
 
 /**
  * @desc    Create user profile in Firestore after Firebase Auth registration
@@ -186,9 +189,17 @@ const getMe = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone, avatar } = req.body;
+    const { name, phone, avatar, billingDetails } = req.body;
     const userId = req.user.id;
 
+    // Business customers put their registered name and GSTIN on invoices
+    if (billingDetails && billingDetails.gstin && !isValidGstin(billingDetails.gstin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'GSTIN must be a valid 15-character GST number (upper case)'
+      });
+    }
+
     const updateData = {
       updatedAt: new Date()
     };
@@ -196,6 +207,13 @@ const updateProfile = async (req, res) => {
     if (name !== undefined) updateData.name = name;
     if (phone !== undefined) updateData.phone = phone;
     if (avatar !== undefined) updateData.avatar = avatar;
+    if (billingDetails !== undefined) {
+      updateData.billingDetails = billingDetails ? {
+        name: billingDetails.name || null,
+        gstin: billingDetails.gstin || null,
+        address: billingDetails.address || null
+      } : null;
+    }
 
     await db.collection('users').doc(userId).update(updateData);
 
@@ -622,10 +640,58 @@ const deleteAccount = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get current user's wallet balance and ledger
+ * @route   GET /api/auth/me/wallet
+ * @access  Private
+ */
+const getMyWallet = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const statement = await walletService.getWalletStatement(req.user.id, limit);
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    console.error('👛 [WALLET] Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load wallet'
+    });
+  }
+};
+
+/**
+ * @desc    Get current user's loyalty points, tier and recent activity
+ * @route   GET /api/auth/me/loyalty
+ * @access  Private
+ */
+const getMyLoyalty = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    const summary = await loyaltyService.getLoyaltySummary(req.user.id, limit);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('🏆 [LOYALTY] Get loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load loyalty points'
+    });
+  }
+};
+
 module.exports = {
   createProfile,
   logout,
   getMe,
+  getMyWallet,
+  getMyLoyalty,
   updateProfile,
   changePassword,
   registerFcmToken,
@@ -2,210 +2,19 @@ const { db } = require('../config/firebase');
 const { validationResult } = require('express-validator');
 const { createCommunityPost, deleteCommunityPost } = require('./communityController');
 const notificationService = require('../services/notificationService');
-
-/**
- * Convert time string to minutes since midnight for accurate comparison
- * Handles both "HH:MM" and "HH:MM:SS" formats
- * @param {string} time - Time string
- * @returns {number} Minutes since midnight
- */
-const timeToMinutes = (time) => {
-  if (!time) {
-    console.log('🕐 [TIME] timeToMinutes: null/undefined time');
-    return 0;
-  }
-  
-  const parts = time.split(':').map(Number);
-  const hour = parts[0];
-  const minute = parts[1] || 0;
-  const minutes = hour * 60 + minute;
-  
-  // Debug logging for 12:00 specifically
-  if (hour === 12) {
-    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (12:00 = ${hour === 12 ? 'NOON (12:00 PM)' : 'MIDNIGHT (12:00 AM)'})`);
-  } else if (hour === 0) {
-    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (00:00 = MIDNIGHT (12:00 AM))`);
-  } else {
-    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (${hour < 12 ? hour + ':00 AM' : (hour === 12 ? '12:00 PM' : (hour - 12) + ':00 PM')})`);
-  }
-  
-  return minutes;
-};
-
-/**
- * Calculate duration in hours between two times
- * @param {string} startTime - Start time (HH:MM:SS)
- * @param {string} endTime - End time (HH:MM:SS)
- * @returns {number} Duration in hours
- */
-const calculateDuration = (startTime, endTime) => {
-  const startMinutes = timeToMinutes(startTime);
-  let endMinutes = timeToMinutes(endTime);
-  
-  // Handle midnight crossing: if end is before start, add 24 hours
-  if (endMinutes < startMinutes) {
-    endMinutes += 24 * 60;
-  }
-  
-  return (endMinutes - startMinutes) / 60;
-};
-
-/**
- * Check for booking conflicts (supports both PC and console bookings)
- * @param {string} cafeId - Cafe ID
- * @param {string} stationType - 'pc' or 'console'
- * @param {string|null} consoleType - Console type (required if stationType is 'console')
- * @param {number} stationNumber - Station/unit number
- * @param {string} bookingDate - Booking date
- * @param {string} startTime - Requested start time
- * @param {string} endTime - Requested end time
- * @param {string} excludeBookingId - Booking ID to exclude (for updates)
- * @returns {boolean} True if conflict exists
- */
-const checkBookingConflict = async (cafeId, stationType, consoleType, stationNumber, bookingDate, startTime, endTime, excludeBookingId = null) => {
-  let query = db.collection('bookings')
-    .where('cafeId', '==', cafeId)
-    .where('stationType', '==', stationType)
-    .where('stationNumber', '==', stationNumber)
-    .where('bookingDate', '==', bookingDate);
-
-  if (stationType === 'console' && consoleType) {
-    query = query.where('consoleType', '==', consoleType);
-  }
-
-  const snapshot = await query.get();
-  const bookings = snapshot.docs
-    .map(doc => ({ id: doc.id, ...doc.data() }))
-    .filter(b => ['pending', 'confirmed'].includes(b.status))
-    .filter(b => !excludeBookingId || b.id !== excludeBookingId);
-
-  const reqStartMins = timeToMinutes(startTime);
-  const reqEndMins = timeToMinutes(endTime);
-
-  // Check for time overlap
-  for (const booking of bookings) {
-    const bookedStartMins = timeToMinutes(booking.startTime);
-    const bookedEndMins = timeToMinutes(booking.endTime);
-
-    // Overlap detection: requested starts before booked ends AND requested ends after booked starts
-    if (reqStartMins < bookedEndMins && reqEndMins > bookedStartMins) {
-      return true;
-    }
-  }
-
-  return false;
-};
-
-/**
- * Get hourly rate based on station type
- * @param {Object} cafe - Cafe data
- * @param {string} stationType - 'pc' or 'console'
- * @param {string|null} consoleType - Console type
- * @returns {number} Hourly rate
- */
-const getHourlyRate = (cafe, stationType, consoleType) => {
-  if (stationType === 'pc') {
-    return parseFloat(cafe.pcHourlyRate || cafe.hourlyRate || 0);
-  }
-  
-  if (stationType === 'console' && consoleType && cafe.consoles && cafe.consoles[consoleType]) {
-    const consoleRate = cafe.consoles[consoleType].hourlyRate;
-    return parseFloat(consoleRate > 0 ? consoleRate : cafe.hourlyRate || 0);
-  }
-  
-  return parseFloat(cafe.hourlyRate || 0);
-};
-
-/**
- * Get max station/unit number based on type
- * @param {Object} cafe - Cafe data
- * @param {string} stationType - 'pc' or 'console'
- * @param {string|null} consoleType - Console type
- * @returns {number} Max station number
- */
-const getMaxStations = (cafe, stationType, consoleType) => {
-  if (stationType === 'pc') {
-    return cafe.totalPcStations || 0;
-  }
-  
-  if (stationType === 'console' && consoleType && cafe.consoles && cafe.consoles[consoleType]) {
-    return cafe.consoles[consoleType].quantity || 0;
-  }
-  
-  return 0;
-};
-
-/**
- * Get available stations for a specific time slot
- * @param {string} cafeId - Cafe ID
- * @param {string} stationType - 'pc' or 'console'
- * @param {string|null} consoleType - Console type
- * @param {string} bookingDate - Booking date
- * @param {string} startTime - Requested start time
- * @param {string} endTime - Requested end time
- * @param {number} maxStations - Total stations available
- * @param {Object|null} transaction - Firestore transaction object (for atomic reads)
- * @returns {Array<number>} Array of available station numbers
- */
-const getAvailableStations = async (cafeId, stationType, consoleType, bookingDate, startTime, endTime, maxStations, transaction = null) => {
-  const reqStartMins = timeToMinutes(startTime);
-  let reqEndMins = timeToMinutes(endTime);
-  
-  // Handle midnight crossing for requested time
-  // If end time is before start time, booking crosses midnight
-  if (reqEndMins < reqStartMins) {
-    reqEndMins += 24 * 60; // Add 24 hours
-  }
-  
-  let query = db.collection('bookings')
-    .where('cafeId', '==', cafeId)
-    .where('stationType', '==', stationType)
-    .where('bookingDate', '==', bookingDate);
-
-  if (stationType === 'console' && consoleType) {
-    query = query.where('consoleType', '==', consoleType);
-  }
-
-  // Use transaction.get() if transaction is provided for atomic reads
-  // This ensures we read a consistent snapshot and prevents race conditions
-  const snapshot = transaction 
-    ? await transaction.get(query)
-    : await query.get();
-    
-  const existingBookings = snapshot.docs
-    .map(doc => ({ id: doc.id, ...doc.data() }))
-    .filter(b => ['pending', 'confirmed'].includes(b.status));
-
-  const availableStations = [];
-
-  for (let station = 1; station <= maxStations; station++) {
-    const stationBookings = existingBookings.filter(b => b.stationNumber === station);
-    
-    let hasConflict = false;
-    for (const booking of stationBookings) {
-      let bookedStartMins = timeToMinutes(booking.startTime);
-      let bookedEndMins = timeToMinutes(booking.endTime);
-      
-      // Handle midnight crossing for existing booking
-      if (bookedEndMins < bookedStartMins) {
-        bookedEndMins += 24 * 60;
-      }
-      
-      // Check for overlap with adjusted times
-      // Overlap exists if: reqStart < bookedEnd AND reqEnd > bookedStart
-      if (reqStartMins < bookedEndMins && reqEndMins > bookedStartMins) {
-        hasConflict = true;
-        break;
-      }
-    }
-    
-    if (!hasConflict) {
-      availableStations.push(station);
-    }
-  }
-
-  return availableStations;
-};
+const { calculateBookingPrice, roundAmount, sumTax } = require('../services/pricingService');
+const { getBillingTax } = require('../services/taxService');
+const { calculateHoldExpiry, calculateOccurrenceHoldExpiry, getHoldMinutes, isHoldExpired } = require('../services/bookingHoldService');
+const availabilityService = require('../services/availabilityService');
+const bookingSeriesService = require('../services/bookingSeriesService');
+const checkInService = require('../services/checkInService');
+const bookingStatusService = require('../services/bookingStatusService');
+const promoService = require('../services/promoService');
+const passService = require('../services/passService');
+const walletService = require('../services/walletService');
+const loyaltyService = require('../services/loyaltyService');
+const bookkeepingService = require('../services/bookkeepingService');
+const { calculateDuration, addMinutesToTime } = require('../utils/timeUtils');
 
 /**
  * Helper function to get cafe data
@@ -220,11 +29,47 @@ const getCafeData = async (cafeId) => {
  * Helper function to get user data
  */
 const getUserData = async (userId) => {
+  if (!userId) return null; // Walk-in bookings have a guest instead of a user
   const userDoc = await db.collection('users').doc(userId).get();
   if (!userDoc.exists) return null;
   return { id: userDoc.id, ...userDoc.data() };
 };
 
+/**
+ * Re-check inside a transaction that the requested stations are free for a slot
+ * Throws a CONFLICT: error (mapped to 409) naming the taken stations
+ * @param {Object} transaction - Firestore transaction object
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} slot - { stationType, consoleType, bookingDate, startTime, endTime }
+ * @param {Array<number>} requestedStations - Station numbers to reserve
+ * @param {Array<string>} excludeBookingIds - Bookings to ignore (e.g., the ones being moved)
+ */
+const assertStationsAvailable = async (transaction, cafe, slot, requestedStations, excludeBookingIds = []) => {
+  const { stationType, consoleType } = slot;
+  const { availableStations, blockedStations, bufferMinutes } = await availabilityService.getAvailableStations(cafe, {
+    ...slot, excludeBookingIds, transaction
+  });
+
+  console.log('🎫 [BOOKING] Available stations in transaction:', availableStations);
+
+  const unavailableStations = requestedStations.filter(station => !availableStations.includes(station));
+
+  // Stations taken out of service by the owner get the block's reason rather than "already booked"
+  const blocked = blockedStations.filter(({ station }) => unavailableStations.includes(station));
+  if (blocked.length > 0) {
+    const typeLabel = stationType === 'pc' ? 'PC station' : `${consoleType} unit`;
+    const reasons = [...new Set(blocked.map(b => b.reason))].join('; ');
+    console.log('🎫 [BOOKING] CONFLICT: Stations blocked by the cafe');
+    throw new Error(`CONFLICT:${typeLabel} ${blocked.map(b => '#' + b.station).join(', ')} is unavailable for the selected time slot: ${reasons}. Available: ${availableStations.length > 0 ? '#' + availableStations.join(', #') : 'None'}`);
+  }
+
+  if (unavailableStations.length > 0) {
+    const typeLabel = stationType === 'pc' ? 'PC stations' : `${consoleType} consoles`;
+    console.log('🎫 [BOOKING] CONFLICT: Some stations not available');
+    throw new Error(`CONFLICT:Some ${typeLabel} (${unavailableStations.map(s => '#' + s).join(', ')}) are already booked for the selected time slot${bufferMinutes > 0 ? ` (sessions need a ${bufferMinutes}-minute gap between them)` : ''}. Available: ${availableStations.length > 0 ? '#' + availableStations.join(', #') : 'None'}`);
+  }
+};
+
 /**
  * @desc    Create a new booking (PC or Console)
  * @route   POST /api/bookings
@@ -259,7 +104,11 @@ const createBooking = async (req, res) => {
       bookingDate, 
       startTime, 
       endTime, 
-      notes 
+      notes,
+      promoCode,
+      passId,
+      redeemPoints = 0, // Loyalty points to spend on this booking (capped at the balance and the price)
+      useWallet = false // Pay what the promo code or pass leaves from the wallet balance first
     } = req.body;
 
     console.log('🎫 [BOOKING] Extracted booking data:', {
@@ -271,9 +120,21 @@ const createBooking = async (req, res) => {
       bookingDate,
       startTime,
       endTime,
-      notes: notes || 'none'
+      notes: notes || 'none',
+      promoCode: promoCode || 'none',
+      passId: passId || 'none',
+      redeemPoints,
+      useWallet
     });
 
+    if (promoCode && passId) {
+      console.log('🎫 [BOOKING] ERROR: Promo code and pass used together');
+      return res.status(400).json({
+        success: false,
+        message: 'Promo codes cannot be combined with an hour pack or membership'
+      });
+    }
+
     // Validate numberOfPcs
     if (numberOfPcs < 1 || numberOfPcs > 20) {
       console.log('🎫 [BOOKING] ERROR: Invalid number of PCs');
@@ -340,7 +201,7 @@ const createBooking = async (req, res) => {
     }
 
     // Get max available stations/units
-    const maxStations = getMaxStations(cafe, stationType, consoleType);
+    const maxStations = availabilityService.getMaxStations(cafe, stationType, consoleType);
     console.log('🎫 [BOOKING] Max stations available:', maxStations);
     
     if (maxStations === 0) {
@@ -374,79 +235,16 @@ const createBooking = async (req, res) => {
       }
     }
 
-    // Validate booking time with midnight crossing support
-    const bookingStartMins = timeToMinutes(startTime);
-    let bookingEndMins = timeToMinutes(endTime);
-    const cafeOpenMins = timeToMinutes(cafe.openingTime);
-    let cafeCloseMins = timeToMinutes(cafe.closingTime);
-    
-    // Detect if cafe crosses midnight (e.g., 09:00 to 01:00)
-    const crossesMidnight = cafeCloseMins < cafeOpenMins;
-    
-    if (crossesMidnight) {
-      // Adjust closing time to next day
-      cafeCloseMins += 24 * 60;
-      
-      // Adjust booking end if it crosses midnight too
-      if (bookingEndMins < bookingStartMins) {
-        bookingEndMins += 24 * 60;
-      }
-      
-      // Adjust booking start if it's after midnight (e.g., 00:30)
-      if (bookingStartMins < cafeOpenMins) {
-        const adjustedStartMins = bookingStartMins + 24 * 60;
-        
-        // Check if adjusted start is within cafe hours
-        if (adjustedStartMins < cafeOpenMins || adjustedStartMins >= cafeCloseMins) {
-          const formatTime = (t) => t ? t.substring(0, 5) : '';
-          return res.status(400).json({
-            success: false,
-            message: `Booking time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`
-          });
-        }
-        
-        // Also adjust end time for after-midnight bookings
-        if (bookingEndMins < adjustedStartMins) {
-          bookingEndMins += 24 * 60;
-        }
-        
-        // Validate end time
-        if (bookingEndMins > cafeCloseMins) {
-          const formatTime = (t) => t ? t.substring(0, 5) : '';
-          return res.status(400).json({
-            success: false,
-            message: `Booking time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`
-          });
-        }
-      } else {
-        // Normal validation for before-midnight start times
-        if (bookingStartMins < cafeOpenMins || bookingEndMins > cafeCloseMins) {
-          const formatTime = (t) => t ? t.substring(0, 5) : '';
-          return res.status(400).json({
-            success: false,
-            message: `Booking time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`
-          });
-        }
-      }
-    } else {
-      // Normal same-day operation (e.g., 09:00 to 22:00)
-      if (bookingStartMins < cafeOpenMins || bookingEndMins > cafeCloseMins) {
-        const formatTime = (t) => t ? t.substring(0, 5) : '';
-        return res.status(400).json({
-          success: false,
-          message: `Booking time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`
-        });
-      }
-      
-      if (bookingEndMins <= bookingStartMins) {
-        return res.status(400).json({
-          success: false,
-          message: 'End time must be after start time'
-        });
-      }
+    // Validate booking time against cafe hours (supports cafes open past midnight)
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      console.log('🎫 [BOOKING] ERROR:', hoursCheck.message);
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
     }
 
-
     // Calculate duration and total amount
     const durationHours = calculateDuration(startTime, endTime);
     console.log('🎫 [BOOKING] Calculated duration:', durationHours, 'hours');
@@ -460,11 +258,14 @@ const createBooking = async (req, res) => {
       });
     }
     
-    const hourlyRate = getHourlyRate(cafe, stationType, consoleType);
-    console.log('🎫 [BOOKING] Hourly rate:', hourlyRate);
-    // Calculate exact amount with decimal precision (no rounding)
+    // Priced part by part when the session crosses pricing rule windows
     // Example: 1.5 hours * 100/hr = 150.00 (not rounded to 200)
-    const totalAmount = parseFloat((durationHours * hourlyRate).toFixed(2));
+    const price = calculateBookingPrice(cafe, {
+      stationType, consoleType, startTime, endTime, startAt: hoursCheck.window.startAt
+    });
+    const hourlyRate = price.hourlyRate;
+    const totalAmount = price.amount;
+    console.log('🎫 [BOOKING] Hourly rate:', hourlyRate, 'breakdown:', price.breakdown.length, 'part(s)');
     console.log('🎫 [BOOKING] Total amount calculated:', totalAmount);
 
     // Use Firestore transaction to prevent race conditions
@@ -476,6 +277,13 @@ const createBooking = async (req, res) => {
     // Generate a unique groupBookingId to link all bookings in this group together
     // This is only set when numberOfPcs > 1 (group booking)
     const groupBookingId = numberOfPcs > 1 ? `GROUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null;
+
+    // Unpaid bookings only hold the slot until this time, then get released automatically
+    const holdExpiresAt = calculateHoldExpiry(cafe);
+
+    // Absolute instants let overlap checks work across calendar dates
+    const { startAt, endAt } = hoursCheck.window;
+    console.log('🎫 [BOOKING] Hold expires at:', holdExpiresAt.toISOString());
     
     try {
       const createdBookings = [];
@@ -485,26 +293,134 @@ const createBooking = async (req, res) => {
       for (let i = 0; i < numberOfPcs; i++) {
         bookingRefs.push(db.collection('bookings').doc());
       }
+
+      let discountAmount = 0;
+      let appliedPromo = null;
+      let passAmount = 0;
+      let passHours = 0;
+      let appliedPass = null;
+      let pointsRedeemed = 0;
+      let pointsAmount = 0;
+      let walletAmount = 0;
       
       await db.runTransaction(async (transaction) => {
         console.log('🎫 [BOOKING] Inside transaction - checking availability...');
         // Re-check for conflicts inside transaction using transaction.get() for atomic reads
         // This ensures we read a consistent snapshot and prevents double-booking
-        const availableStations = await getAvailableStations(
-          cafeId, stationType, consoleType, bookingDate, startTime, endTime, maxStations, transaction
-        );
-
-        console.log('🎫 [BOOKING] Available stations in transaction:', availableStations);
-        console.log('🎫 [BOOKING] Requested station numbers:', Array.from({length: numberOfPcs}, (_, i) => stationNumber + i));
-        
-        // Check if all requested stations are available
         const requestedStations = Array.from({length: numberOfPcs}, (_, i) => stationNumber + i);
-        const unavailableStations = requestedStations.filter(station => !availableStations.includes(station));
-        
-        if (unavailableStations.length > 0) {
-          const typeLabel = stationType === 'pc' ? 'PC stations' : `${consoleType} consoles`;
-          console.log('🎫 [BOOKING] CONFLICT: Some stations not available');
-          throw new Error(`CONFLICT:Some ${typeLabel} (${unavailableStations.map(s => '#' + s).join(', ')}) are already booked for the selected time slot. Available: ${availableStations.length > 0 ? '#' + availableStations.join(', #') : 'None'}`);
+        console.log('🎫 [BOOKING] Requested station numbers:', requestedStations);
+        await assertStationsAvailable(transaction, cafe, {
+          stationType, consoleType, bookingDate, startTime, endTime
+        }, requestedStations);
+
+        // Read the wallet before any promo or pass writes (transactions need every read first)
+        const wallet = useWallet ? await walletService.getWallet(transaction, req.user.id) : null;
+        const loyaltyAccount = redeemPoints > 0 ? await loyaltyService.getAccount(transaction, req.user.id) : null;
+
+        // Re-check the promo code in the same transaction so usage limits hold under concurrent bookings
+        let discountShares = bookingRefs.map(() => 0);
+        appliedPromo = null;
+        if (promoCode) {
+          const promoCheck = await promoService.checkPromoCode({
+            code: promoCode,
+            userId: req.user.id,
+            cafeId,
+            stationType,
+            consoleType: stationType === 'console' ? consoleType : null,
+            orderAmount: totalAmountForAllPcs
+          }, transaction);
+
+          if (!promoCheck.valid) {
+            throw new Error(`PROMO_INVALID:${promoCheck.message}`);
+          }
+
+          // All reads are done - the redemption is written with the bookings
+          discountAmount = promoCheck.discountAmount;
+          discountShares = promoService.splitDiscount(discountAmount, numberOfPcs);
+          const redemptionRef = promoService.recordRedemption(transaction, {
+            promo: promoCheck.promo,
+            userId: req.user.id,
+            cafeId,
+            bookingIds: bookingRefs.map(ref => ref.id),
+            orderAmount: totalAmountForAllPcs,
+            discountAmount
+          });
+          appliedPromo = {
+            promoCodeId: promoCheck.promo.id,
+            code: promoCheck.promo.code,
+            redemptionId: redemptionRef.id
+          };
+        }
+
+        // Draw on a prepaid pass - its hours cover the session, a membership discount the rest
+        let passShares = bookingRefs.map(() => ({ hours: 0, passAmount: 0 }));
+        appliedPass = null;
+        if (passId) {
+          const pass = await passService.getUsablePass(transaction, passId, {
+            userId: req.user.id,
+            cafeId,
+            stationType,
+            consoleType: stationType === 'console' ? consoleType : null,
+            startAt
+          });
+          const cover = passService.applyPass(pass, bookingRefs.map(() => ({ durationHours, amount: totalAmount })));
+
+          if (cover.passAmount <= 0) {
+            throw new Error('PASS_INVALID:This pass does not cover any of this booking');
+          }
+
+          passAmount = cover.passAmount;
+          passHours = cover.hoursUsed;
+          passShares = cover.items;
+          passService.recordPassUsage(transaction, pass, {
+            hours: cover.hoursUsed,
+            amount: cover.passAmount,
+            bookingIds: bookingRefs.map(ref => ref.id)
+          });
+          appliedPass = { passId: pass.id, type: pass.type, name: pass.name };
+        }
+
+        // Spend loyalty points on what the promo code or pass leaves
+        let pointsShares = bookingRefs.map(() => 0);
+        pointsRedeemed = 0;
+        pointsAmount = 0;
+        if (loyaltyAccount && loyaltyAccount.pointsBalance > 0) {
+          const owed = bookingRefs.map((_, i) => roundAmount(totalAmount - discountShares[i] - passShares[i].passAmount));
+          pointsShares = loyaltyService.allocatePoints(Math.min(redeemPoints, loyaltyAccount.pointsBalance), owed);
+          pointsRedeemed = pointsShares.reduce((sum, points) => sum + points, 0);
+          pointsAmount = roundAmount(pointsRedeemed * loyaltyService.POINT_VALUE);
+
+          if (pointsRedeemed > 0) {
+            loyaltyService.queueLoyaltyEntry(transaction, loyaltyAccount, {
+              type: loyaltyService.LOYALTY_ENTRY_TYPES.redeem,
+              points: pointsRedeemed,
+              amount: pointsAmount,
+              bookingIds: bookingRefs.map(ref => ref.id),
+              cafeId,
+              description: `Booking at ${cafe.name} on ${bookingDate} ${startTime}`
+            });
+          }
+        }
+
+        // Spend wallet balance on whatever is still owed; Cashfree collects the rest
+        let walletShares = bookingRefs.map(() => 0);
+        walletAmount = 0;
+        if (wallet && wallet.balance > 0) {
+          const owed = bookingRefs.map((_, i) => roundAmount(
+            totalAmount - discountShares[i] - passShares[i].passAmount - pointsShares[i] * loyaltyService.POINT_VALUE
+          ));
+          walletAmount = roundAmount(Math.min(wallet.balance, owed.reduce((sum, amount) => sum + amount, 0)));
+          walletShares = walletService.splitWalletAmount(walletAmount, owed);
+
+          if (walletAmount > 0) {
+            walletService.queueWalletEntry(transaction, wallet, {
+              type: 'debit',
+              amount: walletAmount,
+              source: walletService.WALLET_ENTRY_SOURCES.bookingPayment,
+              bookingIds: bookingRefs.map(ref => ref.id),
+              description: `Booking at ${cafe.name} on ${bookingDate} ${startTime}`
+            });
+          }
         }
 
         // Create all bookings within transaction
@@ -522,15 +438,28 @@ const createBooking = async (req, res) => {
             bookingDate,
             startTime,
             endTime,
+            startAt,
+            endAt,
             durationHours,
             hourlyRate,
             totalAmount, // Per PC amount
+            rateBreakdown: price.breakdown,
+            tax: price.tax, // Per PC: rate, inclusive or exclusive, net and tax amounts
+            discountAmount: discountShares[i], // This PC's share of the promo discount
+            promo: appliedPromo,
+            passAmount: passShares[i].passAmount, // Value covered by the customer's pass
+            pass: appliedPass ? { ...appliedPass, hours: passShares[i].hours, restored: false } : null,
+            pointsRedeemed: pointsShares[i], // Loyalty points spent on this PC
+            pointsAmount: roundAmount(pointsShares[i] * loyaltyService.POINT_VALUE),
+            walletAmount: walletShares[i], // Paid from the customer's wallet
             numberOfPcs: numberOfPcs, // Track that this is part of a group booking
             groupBookingIndex: i + 1, // Track position in group (1, 2, 3, ...)
             groupBookingId: groupBookingId, // Link all bookings in the group together
             notes: notes || null,
             status: 'pending', // Changed to pending - will be confirmed after payment
             paymentStatus: 'unpaid',
+            holdExpiresAt,
+            noShowTracked: true, // Marked no_show if nobody checks in (see checkInService)
             createdAt: new Date(),
             updatedAt: new Date()
           };
@@ -552,12 +481,40 @@ const createBooking = async (req, res) => {
           });
 
           transaction.set(bookingRef, bookingData);
+          bookingStatusService.recordHistory(transaction, bookingRef, bookingStatusService.buildHistoryEntry({
+            fromStatus: null,
+            toStatus: 'pending',
+            actor: bookingStatusService.actorFromUser(req.user),
+            reason: 'Booking created'
+          }));
         }
         
         console.log('🎫 [BOOKING] All booking data set in transaction');
       });
 
       console.log('🎫 [BOOKING] Transaction completed successfully');
+
+      // A promo code, pass, points or wallet covering the whole order leaves nothing to pay - confirm straight away
+      const payableAmount = roundAmount(totalAmountForAllPcs - discountAmount - passAmount - pointsAmount - walletAmount);
+      if ((appliedPromo || appliedPass || pointsRedeemed > 0 || walletAmount > 0) && payableAmount <= 0) {
+        console.log('🎫 [BOOKING] Promo code, pass, points or wallet covers the full amount - confirming without payment');
+        await Promise.all(bookingRefs.map(ref => ref.update({
+          paymentStatus: 'paid',
+          paidAmount: 0,
+          paidAt: new Date(),
+          updatedAt: new Date()
+        })));
+        for (const ref of bookingRefs) {
+          await bookingStatusService.confirmAfterPayment(ref.id, walletAmount > 0
+            ? 'Paid from wallet'
+            : (pointsRedeemed > 0
+              ? 'Paid with loyalty points'
+              : (appliedPromo ? `Fully covered by promo code ${appliedPromo.code}` : `Fully covered by ${appliedPass.name}`)));
+        }
+        // Only a wallet payment is a charge to invoice (issueInvoice skips orders that come to 0)
+        const bookingIds = bookingRefs.map(ref => ref.id);
+        await bookkeepingService.queueBookkeeping(bookingIds, [{ task: 'issueInvoice', args: { bookingIds } }]);
+      }
       
       // Fetch all created bookings with details
       console.log('🎫 [BOOKING] Fetching created bookings...');
@@ -575,6 +532,9 @@ const createBooking = async (req, res) => {
           ...bookingData,
           createdAt: bookingData.createdAt?.toDate ? bookingData.createdAt.toDate().toISOString() : bookingData.createdAt,
           updatedAt: bookingData.updatedAt?.toDate ? bookingData.updatedAt.toDate().toISOString() : bookingData.updatedAt,
+          holdExpiresAt: bookingData.holdExpiresAt?.toDate ? bookingData.holdExpiresAt.toDate().toISOString() : bookingData.holdExpiresAt,
+          startAt: bookingData.startAt?.toDate ? bookingData.startAt.toDate().toISOString() : bookingData.startAt,
+          endAt: bookingData.endAt?.toDate ? bookingData.endAt.toDate().toISOString() : bookingData.endAt,
           cafe: cafeData ? {
             id: cafeData.id,
             name: cafeData.name,
@@ -623,7 +583,13 @@ const createBooking = async (req, res) => {
       // This is the amount that will be charged for the entire group booking
       const primaryBooking = {
         ...createdBookings[0],
-        totalAmount: totalAmountForAllPcs // Use the combined total for payment
+        totalAmount: totalAmountForAllPcs, // Use the combined total for payment
+        discountAmount,
+        passAmount,
+        pointsRedeemed,
+        pointsAmount,
+        walletAmount,
+        payableAmount
       };
 
       // Return the first booking as primary (for payment), but include all booking IDs
@@ -636,12 +602,27 @@ const createBooking = async (req, res) => {
           booking: primaryBooking, // Primary booking for payment (with total for all PCs)
           bookings: createdBookings, // All bookings
           stationNumbers: createdBookings.map(b => b.stationNumber), // All station numbers
+          hold: payableAmount > 0 ? {
+            expiresAt: holdExpiresAt.toISOString(), // Slot is released if unpaid by this time
+            minutes: getHoldMinutes(cafe)
+          } : null,
           billing: {
             stationType,
             consoleType: stationType === 'console' ? consoleType : null,
             durationHours,
             hourlyRate,
+            baseHourlyRate: price.baseHourlyRate,
+            breakdown: price.breakdown, // Per PC, one part per pricing window
+            tax: getBillingTax([price.tax], numberOfPcs), // Combined for all PCs, with a line per tax head
             totalAmount: totalAmountForAllPcs, // Combined total for all PCs
+            promoCode: appliedPromo ? appliedPromo.code : null,
+            discountAmount,
+            pass: appliedPass ? { ...appliedPass, hours: passHours } : null,
+            passAmount,
+            pointsRedeemed,
+            pointsAmount,
+            walletAmount,
+            payableAmount, // What the payment order will charge
             numberOfPcs: numberOfPcs
           }
         }
@@ -651,7 +632,24 @@ const createBooking = async (req, res) => {
         console.log('🎫 [BOOKING] ❌ CONFLICT ERROR:', error.message);
         return res.status(409).json({
           success: false,
-          message: error.message.replace('CONFLICT:', '')
+          message: error.message.replace('CONFLICT:', ''),
+          canJoinWaitlist: true // POST /api/bookings/waitlist with the same slot
+        });
+      }
+      if (error.message && error.message.startsWith('PROMO_INVALID:')) {
+        console.log('🎫 [BOOKING] ❌ PROMO CODE REJECTED:', error.message);
+        return res.status(400).json({
+          success: false,
+          message: error.message.replace('PROMO_INVALID:', ''),
+          errorCode: 'promo_invalid'
+        });
+      }
+      if (error.message && error.message.startsWith('PASS_INVALID:')) {
+        console.log('🎫 [BOOKING] ❌ PASS REJECTED:', error.message);
+        return res.status(400).json({
+          success: false,
+          message: error.message.replace('PASS_INVALID:', ''),
+          errorCode: 'pass_invalid'
         });
       }
       throw error;
@@ -708,90 +706,28 @@ const getAvailableStationsAPI = async (req, res) => {
       });
     }
 
-    // Validate time is within cafe hours with proper midnight crossing support
-    console.log('🎫 [AVAILABILITY] ========================================');
-    console.log('🎫 [AVAILABILITY] 🕐 PARSING TIMES');
-    console.log('🎫 [AVAILABILITY] Raw startTime from query:', startTime);
-    console.log('🎫 [AVAILABILITY] Raw endTime from query:', endTime);
-    console.log('🎫 [AVAILABILITY] Raw openingTime from cafe:', cafe.openingTime);
-    console.log('🎫 [AVAILABILITY] Raw closingTime from cafe:', cafe.closingTime);
-    
-    let bookingStartMins = timeToMinutes(startTime);
-    let bookingEndMins = timeToMinutes(endTime);
-    const cafeOpenMins = timeToMinutes(cafe.openingTime);
-    let cafeCloseMins = timeToMinutes(cafe.closingTime);
-    
-    console.log('🎫 [AVAILABILITY] Parsed times (in minutes):');
-    console.log('🎫 [AVAILABILITY] - bookingStartMins:', bookingStartMins, `(${Math.floor(bookingStartMins / 60)}:${String(bookingStartMins % 60).padStart(2, '0')})`);
-    console.log('🎫 [AVAILABILITY] - bookingEndMins:', bookingEndMins, `(${Math.floor(bookingEndMins / 60)}:${String(bookingEndMins % 60).padStart(2, '0')})`);
-    console.log('🎫 [AVAILABILITY] - cafeOpenMins:', cafeOpenMins, `(${Math.floor(cafeOpenMins / 60)}:${String(cafeOpenMins % 60).padStart(2, '0')})`);
-    console.log('🎫 [AVAILABILITY] - cafeCloseMins:', cafeCloseMins, `(${Math.floor(cafeCloseMins / 60)}:${String(cafeCloseMins % 60).padStart(2, '0')})`);
-    
-    // Check if 12:00 is being interpreted correctly
-    if (startTime === '12:00' || startTime.startsWith('12:00')) {
-      console.log('🎫 [AVAILABILITY] ⚠️ START TIME IS 12:00 - VERIFYING:');
-      console.log('🎫 [AVAILABILITY] - Raw string:', startTime);
-      console.log('🎫 [AVAILABILITY] - Parsed minutes:', bookingStartMins);
-      console.log('🎫 [AVAILABILITY] - Should be 720 minutes (12:00 PM / NOON)');
-      console.log('🎫 [AVAILABILITY] - Is correct (720)?', bookingStartMins === 720);
-      if (bookingStartMins !== 720) {
-        console.log('🎫 [AVAILABILITY] ❌ ERROR: 12:00 parsed incorrectly!');
-      } else {
-        console.log('🎫 [AVAILABILITY] ✅ 12:00 parsed correctly as NOON (12:00 PM)');
-      }
-    }
-    console.log('🎫 [AVAILABILITY] ========================================');
-
-    // Detect if cafe crosses midnight (e.g., 09:00 to 01:00)
-    const crossesMidnight = cafeCloseMins < cafeOpenMins;
-    
-    if (crossesMidnight) {
-      // Adjust closing time to next day
-      cafeCloseMins += 24 * 60;
-      
-      // If booking start is after midnight (e.g., 00:30 = 30 mins)
-      // and less than opening time, it's likely an after-midnight booking
-      if (bookingStartMins < cafeOpenMins) {
-        bookingStartMins += 24 * 60;
-      }
-      
-      // If booking end is less than adjusted start, it needs adjustment too
-      if (bookingEndMins < timeToMinutes(startTime)) {
-        bookingEndMins += 24 * 60;
-      } else if (bookingStartMins >= 24 * 60 && bookingEndMins < bookingStartMins) {
-        // Both start and end are after midnight
-        bookingEndMins += 24 * 60;
-      }
-    } else {
-      // Normal same-day operation - adjust end if it crosses midnight
-      if (bookingEndMins < bookingStartMins) {
-        bookingEndMins += 24 * 60;
-      }
-    }
+    // Validate time is within cafe hours (supports cafes open past midnight)
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    console.log('🎫 [AVAILABILITY] Resolved window:', {
+      startAt: hoursCheck.window.startAt.toISOString(),
+      endAt: hoursCheck.window.endAt.toISOString(),
+      valid: hoursCheck.valid
+    });
 
-    // Now validate with adjusted times
-    if (bookingStartMins < cafeOpenMins) {
-      const formatTime = (t) => t ? t.substring(0, 5) : '';
+    if (!hoursCheck.valid) {
       return res.status(400).json({
         success: false,
-        message: `Time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`,
+        message: hoursCheck.message,
         availableStations: [],
         totalStations: 0
       });
     }
 
-    if (bookingEndMins > cafeCloseMins) {
-      const formatTime = (t) => t ? t.substring(0, 5) : '';
-      return res.status(400).json({
-        success: false,
-        message: `Time must be within cafe hours: ${formatTime(cafe.openingTime)} - ${formatTime(cafe.closingTime)}`,
-        availableStations: [],
-        totalStations: 0
-      });
-    }
+    console.log('🎫 [AVAILABILITY] Calculating available stations...');
+    const { availableStations, totalStations: maxStations, blockedStations, bufferMinutes } = await availabilityService.getAvailableStations(cafe, {
+      stationType, consoleType, bookingDate, startTime, endTime
+    });
 
-    const maxStations = getMaxStations(cafe, stationType, consoleType);
-    
     if (maxStations === 0) {
       return res.json({
         success: true,
@@ -803,38 +739,18 @@ const getAvailableStationsAPI = async (req, res) => {
       });
     }
 
-    console.log('🎫 [AVAILABILITY] Calculating available stations...');
-    const availableStations = await getAvailableStations(
-      cafeId, stationType, consoleType, bookingDate, startTime, endTime, maxStations
-    );
-
     console.log('🎫 [AVAILABILITY] Available stations found:', availableStations);
     console.log('🎫 [AVAILABILITY] Available count:', availableStations.length);
     console.log('🎫 [AVAILABILITY] First available:', availableStations.length > 0 ? availableStations[0] : null);
 
     const durationHours = calculateDuration(startTime, endTime);
-    
-    console.log('🎫 [AVAILABILITY] ========================================');
-    console.log('🎫 [AVAILABILITY] 📊 DURATION CALCULATION');
-    console.log('🎫 [AVAILABILITY] Start Time:', startTime, `(${bookingStartMins} minutes = ${Math.floor(bookingStartMins / 60)}:${String(bookingStartMins % 60).padStart(2, '0')})`);
-    console.log('🎫 [AVAILABILITY] End Time:', endTime, `(${bookingEndMins} minutes = ${Math.floor(bookingEndMins / 60)}:${String(bookingEndMins % 60).padStart(2, '0')})`);
     console.log('🎫 [AVAILABILITY] Duration Hours:', durationHours);
-    console.log('🎫 [AVAILABILITY] Duration Minutes:', durationHours * 60);
-    
-    // Verify 12:00 interpretation
-    if (startTime === '12:00' || startTime.startsWith('12:00')) {
-      console.log('🎫 [AVAILABILITY] ⚠️ VERIFICATION: Start time is 12:00');
-      console.log('🎫 [AVAILABILITY] - Raw string:', startTime);
-      console.log('🎫 [AVAILABILITY] - Parsed as:', bookingStartMins, 'minutes');
-      console.log('🎫 [AVAILABILITY] - This equals:', Math.floor(bookingStartMins / 60), 'hours and', bookingStartMins % 60, 'minutes');
-      console.log('🎫 [AVAILABILITY] - Should be 720 minutes (12:00 PM / NOON)');
-      console.log('🎫 [AVAILABILITY] - Is correct?', bookingStartMins === 720 ? '✅ YES (12:00 PM)' : '❌ NO (ERROR!)');
-    }
-    console.log('🎫 [AVAILABILITY] ========================================');
-    
-    const hourlyRate = getHourlyRate(cafe, stationType, consoleType);
-    // Calculate exact amount with decimal precision (no rounding)
-    const estimatedTotal = parseFloat((durationHours * hourlyRate).toFixed(2));
+
+    const price = calculateBookingPrice(cafe, {
+      stationType, consoleType, startTime, endTime, startAt: hoursCheck.window.startAt
+    });
+    const hourlyRate = price.hourlyRate;
+    const estimatedTotal = price.amount;
 
     console.log('🎫 [AVAILABILITY] Pricing calculated:', {
       durationHours,
@@ -849,10 +765,15 @@ const getAvailableStationsAPI = async (req, res) => {
         totalStations: maxStations,
         availableCount: availableStations.length,
         firstAvailable: availableStations.length > 0 ? availableStations[0] : null,
+        blockedStations,
+        bufferMinutes,
         pricing: {
           durationHours,
           hourlyRate,
-          estimatedTotal
+          baseHourlyRate: price.baseHourlyRate,
+          estimatedTotal,
+          breakdown: price.breakdown,
+          tax: getBillingTax([price.tax])
         }
       }
     };
@@ -945,7 +866,8 @@ const getMyBookings = async (req, res) => {
             address: cafe.address,
             city: cafe.city,
             photos: cafe.photos || []
-          } : null
+          } : null,
+          checkIn: checkInService.getCheckInDetails(booking.id, booking) // QR payload for confirmed bookings
         };
       })
     );
@@ -954,10 +876,10 @@ const getMyBookings = async (req, res) => {
     const today = new Date().toISOString().split('T')[0];
     const categorizedBookings = {
       upcoming: bookingsWithCafe.filter(b => 
-        b.bookingDate >= today && ['pending', 'confirmed'].includes(b.status)
+        b.bookingDate >= today && availabilityService.ACTIVE_BOOKING_STATUSES.includes(b.status)
       ),
       past: bookingsWithCafe.filter(b => 
-        b.bookingDate < today || ['completed', 'cancelled'].includes(b.status)
+        b.bookingDate < today || !availabilityService.ACTIVE_BOOKING_STATUSES.includes(b.status)
       )
     };
 
@@ -1037,7 +959,10 @@ const getBookingById = async (req, res) => {
       name: userData.name,
       email: userData.email,
       phone: userData.phone
-    } : null;
+    } : (booking.guest ? { ...booking.guest, isGuest: true } : null);
+
+    // Only the customer gets the code the owner scans at arrival
+    booking.checkIn = isBookingUser ? checkInService.getCheckInDetails(booking.id, bookingData) : null;
 
     // If this is a group booking, fetch all bookings in the group
     let groupBookings = null;
@@ -1103,6 +1028,116 @@ const getBookingById = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a booking, refunding it first if it was paid, and offer the slot to the waitlist
+ * Refund and community feed failures are logged but never block the cancellation;
+ * the returns and the waitlist offer are queued bookkeeping, retried until they run
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Booking data
+ * @param {Object} user - Requesting user (recorded as the actor)
+ * @param {string} reason - Refund/cancellation reason
+ * @param {Object} options - { refundTo: 'source' (back through Cashfree) or 'wallet' (instant),
+ *   byCafe: cancelled by the cafe owner - refunded and restored in full whatever the notice }
+ * @returns {Object} Status transition { changed, fromStatus, toStatus }
+ */
+const cancelAndRefundBooking = async (bookingId, booking, user, reason, { refundTo = 'source', byCafe = false } = {}) => {
+  // What the booking used is queued to go back with the cancellation itself,
+  // along with the waitlist offer of the freed slot
+  const tasks = [
+    booking.walletAmount > 0 && { task: 'returnWallet', args: { reason } },
+    booking.pass?.hours > 0 && { task: 'restorePass', args: { reason } },
+    booking.pointsRedeemed > 0 && { task: 'returnPoints', args: { reason } },
+    booking.promo?.redemptionId && { task: 'reversePromo', args: { redemptionId: booking.promo.redemptionId } },
+    { task: 'offerWaitlist' }
+  ].filter(Boolean);
+
+  // Throws INVALID_TRANSITION: if the booking can no longer be cancelled
+  const transition = await bookingStatusService.transitionBooking(bookingId, 'cancelled', {
+    actor: bookingStatusService.actorFromUser(user),
+    reason,
+    updates: { ...(byCafe ? { cancelledByCafe: true } : {}), ...bookkeepingService.bookkeepingUpdates(tasks) }
+  });
+  // Already cancelled - the refund and restores ran then
+  if (!transition.changed) return transition;
+
+  // Check if payment was made (by card or wallet) and initiate refund
+  // (after cancelling, so a full refund can move the booking on to refunded)
+  if (booking.paymentStatus === 'paid' && (booking.paymentId || booking.walletAmount > 0)) {
+    try {
+      const { processRefund } = require('./refundController');
+      await processRefund(bookingId, { reason, refundTo });
+    } catch (refundError) {
+      console.error('Refund error during cancellation:', refundError);
+      // Continue with cancellation even if refund fails
+    }
+  }
+
+  // Run the queued returns - an unpaid booking's wallet share goes back (paid ones are refunded
+  // above), pass hours and loyalty points on the same terms as a refund, and the promo code
+  // once none of the discounted bookings went ahead - then the waitlist offer
+  await bookkeepingService.runBookkeeping(bookingId);
+
+  // Delete community post (remove from community feed)
+  try {
+    await deleteCommunityPost(bookingId);
+  } catch (communityError) {
+    // Don't fail cancellation if community post deletion fails
+    console.error('Failed to delete community post:', communityError);
+  }
+
+  return transition;
+};
+
+/**
+ * @desc    Get a booking's status history
+ * @route   GET /api/bookings/:id/history
+ * @access  Private
+ */
+const getBookingHistory = async (req, res) => {
+  try {
+    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = bookingDoc.data();
+
+    // Check authorization
+    const cafe = await getCafeData(booking.cafeId);
+    const isOwner = cafe && cafe.ownerId === req.user.id;
+    const isBookingUser = booking.userId === req.user.id;
+
+    if (!isOwner && !isBookingUser) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this booking'
+      });
+    }
+
+    const history = await bookingStatusService.getBookingHistory(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: req.params.id,
+        status: booking.status,
+        allowedTransitions: bookingStatusService.BOOKING_TRANSITIONS[booking.status] || [],
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get booking history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 /**
  * @desc    Cancel a booking
  * @route   PUT /api/bookings/:id/cancel
@@ -1110,6 +1145,14 @@ const getBookingById = async (req, res) => {
  */
 const cancelBooking = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
 
     if (!bookingDoc.exists) {
@@ -1144,55 +1187,1616 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    // Check if payment was made and initiate refund
-    if (booking.paymentStatus === 'paid' && booking.paymentId) {
-      try {
-        const { initiateRefund } = require('./refundController');
-        const refundReq = {
-          params: { bookingId: req.params.id },
-          body: { reason: 'Booking cancelled by user' },
-          user: req.user
-        };
-        const refundRes = {
-          json: (data) => {},
-          status: (code) => ({ json: (data) => {} })
-        };
-        await initiateRefund(refundReq, refundRes);
-      } catch (refundError) {
-        console.error('Refund error during cancellation:', refundError);
-        // Continue with cancellation even if refund fails
-      }
-    }
-
-    await db.collection('bookings').doc(req.params.id).update({
-      status: 'cancelled',
-      updatedAt: new Date()
+    if (booking.status === 'no_show') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot cancel a booking marked as no-show'
+      });
+    }
+
+    try {
+      await cancelAndRefundBooking(req.params.id, booking, req.user, 'Booking cancelled by user', { refundTo: req.body?.refundTo });
+    } catch (error) {
+      if (error.message && error.message.startsWith('INVALID_TRANSITION:')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message.replace('INVALID_TRANSITION:', '')
+        });
+      }
+      throw error;
+    }
+
+    const updatedDoc = await db.collection('bookings').doc(req.params.id).get();
+    const updatedBookingData = updatedDoc.data();
+    const updatedBooking = {
+      id: updatedDoc.id,
+      ...updatedBookingData,
+      createdAt: updatedBookingData.createdAt?.toDate ? updatedBookingData.createdAt.toDate().toISOString() : updatedBookingData.createdAt,
+      updatedAt: updatedBookingData.updatedAt?.toDate ? updatedBookingData.updatedAt.toDate().toISOString() : updatedBookingData.updatedAt
+    };
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: { booking: updatedBooking }
+    });
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Reschedule a booking (and the rest of its group) to a new slot
+ * @route   PUT /api/bookings/:id/reschedule
+ * @access  Private
+ */
+const rescheduleBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { bookingDate, startTime, endTime } = req.body;
+    const stationNumber = req.body.stationNumber !== undefined ? parseInt(req.body.stationNumber, 10) : null;
+
+    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = { id: bookingDoc.id, ...bookingDoc.data() };
+
+    // Check ownership
+    if (booking.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reschedule this booking'
+      });
+    }
+
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a ${booking.status} booking`
+      });
+    }
+
+    if (isHoldExpired(booking)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking hold has expired. Please create a new booking.'
+      });
+    }
+
+    // Moving a booking mid-checkout would leave the open order with a stale amount
+    if (booking.paymentStatus === 'pending' || booking.pendingAdjustmentId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payment is in progress for this booking. Please complete it before rescheduling.'
+      });
+    }
+
+    const cafe = await getCafeData(booking.cafeId);
+    if (!cafe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+
+    if (availabilityService.getBookingWindow(booking, cafe).startAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot reschedule a booking that has already started'
+      });
+    }
+
+    // Group bookings move together
+    let groupBookings = [booking];
+    if (booking.groupBookingId) {
+      const groupSnapshot = await db.collection('bookings')
+        .where('groupBookingId', '==', booking.groupBookingId)
+        .get();
+      groupBookings = groupSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(b => b.status !== 'cancelled')
+        .sort((a, b) => (a.groupBookingIndex || 0) - (b.groupBookingIndex || 0));
+    }
+    const groupBookingIds = groupBookings.map(b => b.id);
+
+    const { stationType, consoleType } = booking;
+    const maxStations = availabilityService.getMaxStations(cafe, stationType, consoleType);
+
+    // Keep the current stations unless a new starting station is requested
+    const requestedStations = stationNumber !== null
+      ? groupBookings.map((_, i) => stationNumber + i)
+      : groupBookings.map(b => b.stationNumber);
+
+    if (requestedStations.some(station => station < 1 || station > maxStations)) {
+      const typeLabel = stationType === 'pc' ? 'PC stations' : `${consoleType} units`;
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${typeLabel} number. Available: 1-${maxStations}`
+      });
+    }
+
+    // Validate booking time against cafe hours (supports cafes open past midnight)
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    if (calculateDuration(startTime, endTime) < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum booking duration is 1 hour'
+      });
+    }
+
+    const { startAt, endAt } = hoursCheck.window;
+    const isPaid = booking.paymentStatus === 'paid';
+    const { getPaidAmounts } = require('./refundController');
+
+    const updates = groupBookings.map((groupBooking, i) => {
+      const price = calculateBookingPrice(cafe, { ...groupBooking, startTime, endTime, startAt });
+      // A paid booking settles the difference between what was paid for it and what the
+      // new slot comes to after the same promo, pass and points deductions
+      let previousAmount = groupBooking.totalAmount || 0;
+      let newAmount = price.amount;
+      if (isPaid) {
+        const paid = getPaidAmounts(groupBooking, groupBooking.id);
+        previousAmount = roundAmount(paid.order + paid.adjustments + paid.wallet - (groupBooking.refundAmount || 0));
+        newAmount = roundAmount(Math.max(price.amount
+          - (groupBooking.discountAmount || 0) - (groupBooking.passAmount || 0) - (groupBooking.pointsAmount || 0), 0));
+      }
+      return {
+        booking: groupBooking,
+        previousAmount,
+        difference: roundAmount(newAmount - previousAmount),
+        newAmount,
+        data: {
+          stationNumber: requestedStations[i],
+          bookingDate,
+          startTime,
+          endTime,
+          startAt,
+          endAt,
+          durationHours: price.durationHours,
+          hourlyRate: price.hourlyRate,
+          totalAmount: price.amount,
+          rateBreakdown: price.breakdown,
+          tax: price.tax,
+          previousSlot: {
+            stationNumber: groupBooking.stationNumber,
+            bookingDate: groupBooking.bookingDate,
+            startTime: groupBooking.startTime,
+            endTime: groupBooking.endTime,
+            totalAmount: groupBooking.totalAmount || 0
+          },
+          rescheduleCount: (groupBooking.rescheduleCount || 0) + 1,
+          rescheduledAt: new Date(),
+          updatedAt: new Date()
+        }
+      };
+    });
+
+    const previousTotal = roundAmount(updates.reduce((sum, u) => sum + u.previousAmount, 0));
+    const newTotal = roundAmount(updates.reduce((sum, u) => sum + u.newAmount, 0));
+    const priceDifference = roundAmount(newTotal - previousTotal);
+
+    // A paid booking moving to a pricier slot only holds it - the move is applied once the difference is paid
+    const holdUntilPaid = isPaid && priceDifference > 0;
+    const holdExpiresAt = holdUntilPaid ? calculateHoldExpiry(cafe) : null;
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        // Re-read the group so a concurrent cancel or payment is not overwritten
+        const currentDocs = await Promise.all(
+          groupBookingIds.map(id => transaction.get(db.collection('bookings').doc(id)))
+        );
+        const changed = currentDocs.some(doc => {
+          const current = doc.data();
+          return !['pending', 'confirmed'].includes(current.status)
+            || current.paymentStatus !== booking.paymentStatus
+            || current.pendingAdjustmentId
+            || availabilityService.isRescheduleHeld(current);
+        });
+        if (changed) {
+          throw new Error('CONFLICT:This booking was updated while rescheduling. Please try again.');
+        }
+
+        await assertStationsAvailable(transaction, cafe, {
+          stationType, consoleType, bookingDate, startTime, endTime
+        }, requestedStations, groupBookingIds);
+
+        updates.forEach(({ booking: groupBooking, data }) => {
+          transaction.update(db.collection('bookings').doc(groupBooking.id), holdUntilPaid
+            ? {
+              pendingReschedule: {
+                stationNumber: data.stationNumber,
+                bookingDate,
+                startTime,
+                endTime,
+                startAt,
+                endAt,
+                expiresAt: holdExpiresAt
+              },
+              updatedAt: new Date()
+            }
+            : data);
+        });
+      });
+    } catch (error) {
+      if (error.message && error.message.startsWith('CONFLICT:')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message.replace('CONFLICT:', '')
+        });
+      }
+      throw error;
+    }
+
+    const userData = await getUserData(req.user.id);
+
+    if (holdUntilPaid) {
+      const changes = {};
+      const shares = {};
+      updates.forEach(({ booking: groupBooking, data, difference }) => {
+        changes[groupBooking.id] = { ...data, pendingReschedule: null };
+        shares[groupBooking.id] = Math.max(difference, 0);
+      });
+
+      let order;
+      try {
+        const { createAdjustmentOrder } = require('./paymentController');
+        order = await createAdjustmentOrder({
+          bookings: groupBookings,
+          amount: roundAmount(Object.values(shares).reduce((sum, share) => sum + share, 0)),
+          type: 'reschedule',
+          user: userData,
+          changes,
+          shares
+        });
+      } catch (paymentError) {
+        console.error('Failed to create reschedule payment order:', paymentError);
+        await Promise.all(groupBookingIds.map(id =>
+          db.collection('bookings').doc(id).update({ pendingReschedule: null, updatedAt: new Date() })
+        ));
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to create payment for the reschedule. Please try again.'
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `New slot reserved - pay ₹${order.amount} to move the booking`,
+        data: {
+          bookingIds: groupBookingIds,
+          reschedule: {
+            stationNumbers: requestedStations,
+            bookingDate,
+            startTime,
+            endTime,
+            holdExpiresAt: holdExpiresAt.toISOString()
+          },
+          previousTotal,
+          newTotal,
+          priceDifference,
+          payment: {
+            adjustmentId: order.adjustmentId,
+            orderId: order.orderId,
+            payment_session_id: order.paymentSessionId,
+            checkout_url: order.checkoutUrl,
+            amount: order.amount
+          }
+        }
+      });
+    }
+
+    // Unpaid bookings are priced at checkout, so only paid ones are refunded a cheaper slot's
+    // difference (a wallet-paid share goes back to the wallet)
+    let refund = null;
+    if (isPaid && priceDifference < 0) {
+      const { processRefund } = require('./refundController');
+      const refunds = [];
+      for (const { booking: groupBooking, difference } of updates) {
+        const refundAmount = roundAmount(-difference);
+        if (refundAmount <= 0) continue;
+
+        let refundResult = null;
+        try {
+          refundResult = await processRefund(groupBooking.id, {
+            reason: 'Booking rescheduled to a cheaper slot',
+            amount: refundAmount,
+            partial: true
+          });
+        } catch (refundError) {
+          console.error('Refund error during reschedule:', refundError);
+        }
+        refunds.push({
+          bookingId: groupBooking.id,
+          refundAmount,
+          success: !!refundResult,
+          refundStatus: refundResult?.refundStatus || 'failed'
+        });
+      }
+      refund = {
+        amount: Math.abs(priceDifference),
+        refunds
+      };
+    }
+
+    const updatedDocs = await Promise.all(
+      groupBookingIds.map(id => db.collection('bookings').doc(id).get())
+    );
+    const rescheduledBookings = updatedDocs.map((doc) => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        ...data,
+        createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+        updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt,
+        holdExpiresAt: data.holdExpiresAt?.toDate ? data.holdExpiresAt.toDate().toISOString() : data.holdExpiresAt,
+        startAt: data.startAt?.toDate ? data.startAt.toDate().toISOString() : data.startAt,
+        endAt: data.endAt?.toDate ? data.endAt.toDate().toISOString() : data.endAt,
+        rescheduledAt: data.rescheduledAt?.toDate ? data.rescheduledAt.toDate().toISOString() : data.rescheduledAt
+      };
+    });
+
+    // Notify cafe owner
+    try {
+      if (userData) {
+        await notificationService.sendBookingRescheduledNotification(
+          rescheduledBookings[0],
+          cafe,
+          userData,
+          updates[0].data.previousSlot
+        );
+      }
+    } catch (notificationError) {
+      // Don't fail reschedule if notification fails
+      console.error('Failed to send reschedule notification:', notificationError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: {
+        booking: rescheduledBookings.find(b => b.id === booking.id) || rescheduledBookings[0],
+        bookings: rescheduledBookings,
+        stationNumbers: rescheduledBookings.map(b => b.stationNumber),
+        previousTotal,
+        newTotal,
+        priceDifference,
+        refund // Set when the new slot costs less
+      }
+    });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Extend a booking (and the rest of its group) while the customer is playing
+ * @route   POST /api/bookings/:id/extend
+ * @access  Private
+ */
+const extendBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const hours = parseFloat(req.body.hours);
+
+    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = { id: bookingDoc.id, ...bookingDoc.data() };
+
+    const cafe = await getCafeData(booking.cafeId);
+    if (!cafe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+
+    // The customer extends from the app, or the owner on their behalf at the counter
+    const isOwner = cafe.ownerId === req.user.id;
+    if (booking.userId !== req.user.id && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to extend this booking'
+      });
+    }
+
+    // Walk-ins settle the extra time at the counter along with the rest of the session
+    const isWalkIn = booking.source === 'walk_in';
+    if (!['confirmed', 'checked_in'].includes(booking.status) || (booking.paymentStatus !== 'paid' && !isWalkIn)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid, confirmed bookings can be extended'
+      });
+    }
+
+    if (booking.pendingAdjustmentId) {
+      return res.status(409).json({
+        success: false,
+        message: 'A payment is in progress for this booking. Please complete it before extending.'
+      });
+    }
+
+    if (availabilityService.getBookingWindow(booking, cafe).endAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already ended'
+      });
+    }
+
+    // Group bookings are extended together
+    let groupBookings = [booking];
+    if (booking.groupBookingId) {
+      const groupSnapshot = await db.collection('bookings')
+        .where('groupBookingId', '==', booking.groupBookingId)
+        .get();
+      groupBookings = groupSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(b => ['confirmed', 'checked_in'].includes(b.status))
+        .sort((a, b) => (a.groupBookingIndex || 0) - (b.groupBookingIndex || 0));
+    }
+    const groupBookingIds = groupBookings.map(b => b.id);
+
+    const { stationType, consoleType, bookingDate, startTime } = booking;
+    const newEndTime = addMinutesToTime(booking.endTime, Math.round(hours * 60));
+    const newDurationHours = calculateDuration(startTime, newEndTime);
+
+    // Wrapping past the start time means the session would reach 24 hours
+    if (newDurationHours <= calculateDuration(startTime, booking.endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A booking cannot run for 24 hours or more'
+      });
+    }
+
+    // The longer session must still end within cafe hours
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, newEndTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    // The extra time is priced at the rates in force when it runs
+    const extensionPrice = calculateBookingPrice(cafe, {
+      stationType,
+      consoleType,
+      startTime: booking.endTime,
+      endTime: newEndTime,
+      startAt: availabilityService.getBookingWindow({ ...booking, pendingExtension: null }, cafe).endAt
+    });
+    const hourlyRate = extensionPrice.hourlyRate;
+    const extraAmount = extensionPrice.amount; // Per PC
+    const totalExtraAmount = roundAmount(extraAmount * groupBookings.length);
+    const holdExpiresAt = calculateHoldExpiry(cafe);
+
+    const changes = {};
+    groupBookings.forEach((groupBooking) => {
+      changes[groupBooking.id] = {
+        endTime: newEndTime,
+        endAt: hoursCheck.window.endAt,
+        durationHours: newDurationHours,
+        totalAmount: roundAmount((groupBooking.totalAmount || 0) + extraAmount),
+        rateBreakdown: [...(groupBooking.rateBreakdown || []), ...extensionPrice.breakdown],
+        tax: sumTax([groupBooking.tax, extensionPrice.tax]),
+        pendingExtension: null,
+        extensionCount: (groupBooking.extensionCount || 0) + 1,
+        extendedAt: new Date()
+      };
+    });
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        // Re-read the group so a concurrent change is not overwritten
+        const currentDocs = await Promise.all(
+          groupBookingIds.map(id => transaction.get(db.collection('bookings').doc(id)))
+        );
+        if (currentDocs.some(doc => doc.data().endTime !== booking.endTime || doc.data().pendingAdjustmentId)) {
+          throw new Error('CONFLICT:This booking was updated while extending. Please try again.');
+        }
+
+        // Same stations, same start - only the extra time needs to be free
+        await assertStationsAvailable(transaction, cafe, {
+          stationType, consoleType, bookingDate, startTime, endTime: newEndTime
+        }, groupBookings.map(b => b.stationNumber), groupBookingIds);
+
+        // Extra time is collected at the counter and recorded with collect-payment; a walk-in
+        // paid when it was recorded stays paid and owes the extra time as its balance
+        if (isWalkIn) {
+          currentDocs.forEach((doc) => {
+            const current = doc.data();
+            transaction.update(doc.ref, {
+              ...changes[doc.id],
+              ...(current.paymentStatus === 'paid'
+                ? { balanceDue: roundAmount((current.balanceDue || 0) + extraAmount) }
+                : {}),
+              updatedAt: new Date()
+            });
+          });
+          return;
+        }
+
+        // Reserve the extra time until the payment completes or the hold lapses
+        groupBookingIds.forEach((id) => {
+          transaction.update(db.collection('bookings').doc(id), {
+            pendingExtension: {
+              hours,
+              endTime: newEndTime,
+              endAt: hoursCheck.window.endAt,
+              extraAmount,
+              expiresAt: holdExpiresAt
+            },
+            updatedAt: new Date()
+          });
+        });
+      });
+    } catch (error) {
+      if (error.message && error.message.startsWith('CONFLICT:')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message.replace('CONFLICT:', '')
+        });
+      }
+      throw error;
+    }
+
+    if (isWalkIn) {
+      return res.json({
+        success: true,
+        message: `Extended by ${hours} hour(s) - collect ₹${totalExtraAmount} at the counter`,
+        data: {
+          bookingIds: groupBookingIds,
+          extension: {
+            hours,
+            currentEndTime: booking.endTime,
+            newEndTime,
+            newDurationHours,
+            hourlyRate,
+            extraAmountPerStation: extraAmount,
+            breakdown: extensionPrice.breakdown,
+            totalExtraAmount
+          }
+        }
+      });
+    }
+
+    // The booking is only lengthened once this payment is confirmed
+    let order;
+    try {
+      const { createAdjustmentOrder } = require('./paymentController');
+      order = await createAdjustmentOrder({
+        bookings: groupBookings,
+        amount: totalExtraAmount,
+        type: 'extension',
+        user: await getUserData(booking.userId),
+        changes
+      });
+    } catch (paymentError) {
+      console.error('Failed to create extension payment order:', paymentError);
+      await Promise.all(groupBookingIds.map(id =>
+        db.collection('bookings').doc(id).update({ pendingExtension: null, updatedAt: new Date() })
+      ));
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to create payment for the extension. Please try again.'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Extension reserved - pay ₹${totalExtraAmount} to add ${hours} hour(s)`,
+      data: {
+        bookingIds: groupBookingIds,
+        extension: {
+          hours,
+          currentEndTime: booking.endTime,
+          newEndTime,
+          newDurationHours,
+          hourlyRate,
+          extraAmountPerStation: extraAmount,
+          breakdown: extensionPrice.breakdown,
+          totalExtraAmount,
+          holdExpiresAt: holdExpiresAt.toISOString()
+        },
+        payment: {
+          adjustmentId: order.adjustmentId,
+          orderId: order.orderId,
+          payment_session_id: order.paymentSessionId,
+          checkout_url: order.checkoutUrl,
+          amount: order.amount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Extend booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * Convert a booking document's Timestamp fields to ISO strings for responses
+ */
+const serializeBookingDoc = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt,
+    updatedAt: data.updatedAt?.toDate ? data.updatedAt.toDate().toISOString() : data.updatedAt,
+    holdExpiresAt: data.holdExpiresAt?.toDate ? data.holdExpiresAt.toDate().toISOString() : data.holdExpiresAt,
+    startAt: data.startAt?.toDate ? data.startAt.toDate().toISOString() : data.startAt,
+    endAt: data.endAt?.toDate ? data.endAt.toDate().toISOString() : data.endAt
+  };
+};
+
+/**
+ * @desc    Create a recurring booking series (e.g., every Tue/Thu 19:00-22:00)
+ * @route   POST /api/bookings/recurring
+ * @access  Private/Client
+ */
+const createRecurringBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      cafeId,
+      stationType = 'pc',
+      consoleType,
+      startTime,
+      endTime,
+      frequency,
+      daysOfWeek,
+      startDate,
+      endDate,
+      occurrences,
+      notes,
+      skipConflicts = false, // Book the free dates and skip the conflicting ones
+      dryRun = false // Only report which dates conflict
+    } = req.body;
+    const stationNumber = parseInt(req.body.stationNumber, 10);
+    const numberOfPcs = parseInt(req.body.numberOfPcs || 1, 10);
+
+    if (!endDate && !occurrences) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either endDate or occurrences is required'
+      });
+    }
+
+    if (stationType === 'console' && numberOfPcs !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console bookings can only book 1 unit at a time'
+      });
+    }
+
+    if (stationType === 'console' && !consoleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console type is required for console bookings'
+      });
+    }
+
+    const cafe = await getCafeData(cafeId);
+    if (!cafe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+
+    if (!cafe.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This cafe is currently not accepting bookings'
+      });
+    }
+
+    const maxStations = availabilityService.getMaxStations(cafe, stationType, consoleType);
+    const requestedStations = Array.from({ length: numberOfPcs }, (_, i) => stationNumber + i);
+    if (maxStations === 0 || requestedStations.some(station => station < 1 || station > maxStations)) {
+      const typeLabel = stationType === 'pc' ? 'PC stations' : `${consoleType} units`;
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${typeLabel} number. Available: 1-${maxStations}`
+      });
+    }
+
+    const durationHours = calculateDuration(startTime, endTime);
+    if (durationHours < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum booking duration is 1 hour'
+      });
+    }
+
+    const dates = bookingSeriesService.generateOccurrenceDates({
+      startDate,
+      frequency,
+      daysOfWeek,
+      endDate: endDate || null,
+      occurrences: occurrences ? parseInt(occurrences, 10) : null
+    });
+
+    if (dates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The recurrence rule does not produce any dates'
+      });
+    }
+
+    // Check every occurrence up front so the user sees all conflicts at once
+    const now = new Date();
+    const slot = { stationType, consoleType, startTime, endTime };
+    const bookable = [];
+    const conflicts = [];
+    for (const bookingDate of dates) {
+      const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+      if (!hoursCheck.valid) {
+        conflicts.push({ bookingDate, reason: 'outside_hours', message: hoursCheck.message });
+        continue;
+      }
+      if (hoursCheck.window.startAt <= now) {
+        conflicts.push({ bookingDate, reason: 'in_past', message: 'This slot has already started' });
+        continue;
+      }
+
+      const { availableStations } = await availabilityService.getAvailableStations(cafe, { ...slot, bookingDate });
+      const unavailableStations = requestedStations.filter(station => !availableStations.includes(station));
+      if (unavailableStations.length > 0) {
+        conflicts.push({
+          bookingDate,
+          reason: 'unavailable',
+          message: `Station(s) ${unavailableStations.map(s => '#' + s).join(', ')} already booked`,
+          unavailableStations,
+          availableStations
+        });
+        continue;
+      }
+
+      // Each date is priced on its own - weekend and festival rates differ
+      const price = calculateBookingPrice(cafe, { ...slot, startAt: hoursCheck.window.startAt });
+      bookable.push({ bookingDate, window: hoursCheck.window, price });
+    }
+
+    const report = {
+      dates,
+      bookableDates: bookable.map(o => o.bookingDate),
+      conflicts,
+      occurrenceAmounts: bookable.map(o => ({
+        bookingDate: o.bookingDate,
+        amount: roundAmount(o.price.amount * numberOfPcs)
+      })),
+      totalAmount: roundAmount(bookable.reduce((sum, o) => sum + o.price.amount * numberOfPcs, 0))
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: conflicts.length > 0 ? `${conflicts.length} of ${dates.length} dates conflict` : 'All dates are available',
+        data: report
+      });
+    }
+
+    if (bookable.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+      return res.status(409).json({
+        success: false,
+        message: bookable.length === 0
+          ? 'None of the requested dates are available'
+          : `${conflicts.length} of ${dates.length} dates conflict. Pass skipConflicts to book the remaining dates.`,
+        data: report
+      });
+    }
+
+    const seriesRef = db.collection('booking_series').doc();
+    const occurrenceRefs = bookable.map(() => requestedStations.map(() => db.collection('bookings').doc()));
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        // Re-check every occurrence atomically before writing any of them
+        for (const occurrence of bookable) {
+          try {
+            await assertStationsAvailable(transaction, cafe, { ...slot, bookingDate: occurrence.bookingDate }, requestedStations);
+          } catch (error) {
+            if (error.message && error.message.startsWith('CONFLICT:')) {
+              throw new Error(`CONFLICT:${occurrence.bookingDate}: ${error.message.replace('CONFLICT:', '')}`);
+            }
+            throw error;
+          }
+        }
+
+        transaction.set(seriesRef, {
+          userId: req.user.id,
+          cafeId,
+          stationType,
+          consoleType: stationType === 'console' ? consoleType : null,
+          stationNumber,
+          numberOfPcs,
+          startTime,
+          endTime,
+          frequency,
+          daysOfWeek: frequency === 'weekly' ? (daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek.map(Number) : [bookingSeriesService.getDayOfWeek(startDate)]) : null,
+          startDate,
+          endDate: endDate || null,
+          occurrences: occurrences ? parseInt(occurrences, 10) : null,
+          bookingDates: bookable.map(o => o.bookingDate),
+          skippedDates: conflicts.map(c => c.bookingDate),
+          notes: notes || null,
+          status: 'active',
+          createdAt: new Date(),
+          updatedAt: new Date()
+        });
+
+        bookable.forEach((occurrence, occurrenceIndex) => {
+          const groupBookingId = numberOfPcs > 1 ? `GROUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null;
+          const holdExpiresAt = calculateOccurrenceHoldExpiry(cafe, occurrence.window.startAt);
+
+          requestedStations.forEach((currentStationNumber, i) => {
+            transaction.set(occurrenceRefs[occurrenceIndex][i], {
+              userId: req.user.id,
+              cafeId,
+              stationType,
+              consoleType: stationType === 'console' ? consoleType : null,
+              stationNumber: currentStationNumber,
+              bookingDate: occurrence.bookingDate,
+              startTime,
+              endTime,
+              startAt: occurrence.window.startAt,
+              endAt: occurrence.window.endAt,
+              durationHours: occurrence.price.durationHours,
+              hourlyRate: occurrence.price.hourlyRate,
+              totalAmount: occurrence.price.amount, // Per PC amount
+              rateBreakdown: occurrence.price.breakdown,
+              tax: occurrence.price.tax,
+              numberOfPcs,
+              groupBookingIndex: i + 1,
+              groupBookingId,
+              seriesId: seriesRef.id,
+              seriesOccurrence: occurrenceIndex + 1,
+              notes: notes || null,
+              status: 'pending',
+              paymentStatus: 'unpaid',
+              holdExpiresAt,
+              noShowTracked: true,
+              createdAt: new Date(),
+              updatedAt: new Date()
+            });
+            bookingStatusService.recordHistory(transaction, occurrenceRefs[occurrenceIndex][i], bookingStatusService.buildHistoryEntry({
+              fromStatus: null,
+              toStatus: 'pending',
+              actor: bookingStatusService.actorFromUser(req.user),
+              reason: `Recurring booking created (series ${seriesRef.id})`
+            }));
+          });
+        });
+      });
+    } catch (error) {
+      if (error.message && error.message.startsWith('CONFLICT:')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message.replace('CONFLICT:', ''),
+          data: report
+        });
+      }
+      throw error;
+    }
+
+    const bookingDocs = await Promise.all(occurrenceRefs.flat().map(ref => ref.get()));
+    const createdBookings = bookingDocs.map(serializeBookingDoc);
+    const userData = await getUserData(req.user.id);
+
+    // One community post and owner notification for the series, like group bookings
+    try {
+      await createCommunityPost(createdBookings[0], cafe, userData);
+    } catch (communityError) {
+      console.error('Failed to create community post:', communityError);
+    }
+
+    try {
+      await notificationService.sendBookingNotification(createdBookings[0], cafe, userData);
+    } catch (notificationError) {
+      console.error('Failed to send notification:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${bookable.length} recurring bookings created successfully`,
+      data: {
+        series: {
+          id: seriesRef.id,
+          frequency,
+          startTime,
+          endTime,
+          bookingDates: report.bookableDates,
+          skippedDates: conflicts.map(c => c.bookingDate)
+        },
+        bookings: createdBookings, // Each occurrence is paid separately via its primary booking
+        conflicts,
+        billing: {
+          stationType,
+          consoleType: stationType === 'console' ? consoleType : null,
+          durationHours: bookable[0].price.durationHours,
+          numberOfPcs,
+          occurrenceAmounts: report.occurrenceAmounts,
+          totalAmount: report.totalAmount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create recurring booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating recurring booking'
+    });
+  }
+};
+
+/**
+ * Load a series and its bookings, checking it belongs to the user
+ * @returns {Object} { series, bookings } or { error: { status, message } }
+ */
+const getSeriesForUser = async (seriesId, userId) => {
+  const seriesDoc = await db.collection('booking_series').doc(seriesId).get();
+  if (!seriesDoc.exists) {
+    return { error: { status: 404, message: 'Booking series not found' } };
+  }
+
+  const series = { id: seriesDoc.id, ...seriesDoc.data() };
+  if (series.userId !== userId) {
+    return { error: { status: 403, message: 'Not authorized to access this booking series' } };
+  }
+
+  const bookingsSnapshot = await db.collection('bookings')
+    .where('seriesId', '==', seriesId)
+    .get();
+
+  const bookings = bookingsSnapshot.docs
+    .sort((a, b) => (a.data().seriesOccurrence || 0) - (b.data().seriesOccurrence || 0) ||
+      (a.data().groupBookingIndex || 0) - (b.data().groupBookingIndex || 0));
+
+  return { series, bookings };
+};
+
+/**
+ * @desc    Get a recurring booking series with its bookings
+ * @route   GET /api/bookings/series/:seriesId
+ * @access  Private
+ */
+const getBookingSeries = async (req, res) => {
+  try {
+    const { series, bookings, error } = await getSeriesForUser(req.params.seriesId, req.user.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        series: {
+          ...series,
+          createdAt: series.createdAt?.toDate ? series.createdAt.toDate().toISOString() : series.createdAt,
+          updatedAt: series.updatedAt?.toDate ? series.updatedAt.toDate().toISOString() : series.updatedAt
+        },
+        bookings: bookings.map(serializeBookingDoc)
+      }
+    });
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel one occurrence (bookingDate) or the rest of a recurring series
+ * @route   PUT /api/bookings/series/:seriesId/cancel
+ * @access  Private
+ */
+const cancelBookingSeries = async (req, res) => {
+  try {
+    const { bookingDate } = req.body;
+
+    const { series, bookings, error } = await getSeriesForUser(req.params.seriesId, req.user.id);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const cafe = await getCafeData(series.cafeId);
+    const now = new Date();
+
+    // Only occurrences that have not started yet can be cancelled
+    const toCancel = bookings
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(b => ['pending', 'confirmed'].includes(b.status))
+      .filter(b => !bookingDate || b.bookingDate === bookingDate)
+      .filter(b => availabilityService.getBookingWindow(b, cafe || {}).startAt > now);
+
+    if (toCancel.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: bookingDate
+          ? `No upcoming booking on ${bookingDate} in this series`
+          : 'No upcoming bookings left in this series'
+      });
+    }
+
+    for (const booking of toCancel) {
+      try {
+        await cancelAndRefundBooking(booking.id, booking, req.user, 'Recurring booking cancelled by user');
+      } catch (error) {
+        // Changed since it was loaded (e.g., checked in) - leave it as is
+        if (!error.message || !error.message.startsWith('INVALID_TRANSITION:')) throw error;
+        console.error('Skipping series booking that can no longer be cancelled:', booking.id, error.message);
+      }
+    }
+
+    // Cancelling the rest ends the series
+    if (!bookingDate) {
+      await db.collection('booking_series').doc(series.id).update({
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        updatedAt: new Date()
+      });
+    }
+
+    // Notify cafe owner
+    try {
+      const userData = await getUserData(req.user.id);
+      if (cafe && userData) {
+        await notificationService.sendBookingCancellationNotification(toCancel[0], cafe, userData);
+      }
+    } catch (notificationError) {
+      console.error('Failed to send cancellation notification:', notificationError);
+    }
+
+    const cancelledDates = [...new Set(toCancel.map(b => b.bookingDate))];
+    res.json({
+      success: true,
+      message: bookingDate
+        ? `Booking on ${bookingDate} cancelled successfully`
+        : `${cancelledDates.length} upcoming bookings in the series cancelled successfully`,
+      data: {
+        seriesId: series.id,
+        cancelledDates,
+        cancelledBookingIds: toCancel.map(b => b.id)
+      }
+    });
+  } catch (error) {
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Record a walk-in booking at the counter (Owner only)
+ * @route   POST /api/bookings/walk-in
+ * @access  Private/Owner
+ */
+const createWalkInBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      cafeId,
+      stationType = 'pc',
+      consoleType,
+      bookingDate,
+      startTime,
+      endTime,
+      guestName,
+      guestPhone,
+      paymentMode,
+      paymentCollected = true, // Collected at the counter when the booking is recorded
+      notes
+    } = req.body;
+    const stationNumber = parseInt(req.body.stationNumber, 10);
+    const numberOfPcs = parseInt(req.body.numberOfPcs || 1, 10);
+
+    if (stationType === 'console' && !consoleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console type is required for console bookings'
+      });
+    }
+
+    if (stationType === 'console' && numberOfPcs !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console bookings can only book 1 unit at a time'
+      });
+    }
+
+    const cafe = await getCafeData(cafeId);
+    if (!cafe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+
+    // Check if user owns the cafe
+    if (cafe.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create bookings for this cafe'
+      });
+    }
+
+    const maxStations = availabilityService.getMaxStations(cafe, stationType, consoleType);
+    const requestedStations = Array.from({ length: numberOfPcs }, (_, i) => stationNumber + i);
+    if (maxStations === 0 || requestedStations.some(station => station < 1 || station > maxStations)) {
+      const typeLabel = stationType === 'pc' ? 'PC stations' : `${consoleType} units`;
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${typeLabel} number. Available: 1-${maxStations}`
+      });
+    }
+
+    // Validate booking time against cafe hours (supports cafes open past midnight)
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    const price = calculateBookingPrice(cafe, {
+      stationType, consoleType, startTime, endTime, startAt: hoursCheck.window.startAt
+    });
+    if (price.durationHours < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Minimum booking duration is 1 hour'
+      });
+    }
+
+    const { startAt, endAt } = hoursCheck.window;
+    const now = new Date();
+    // Walk-ins starting now are already at the counter
+    const arrivedNow = startAt.getTime() - checkInService.EARLY_CHECKIN_MINUTES * 60 * 1000 <= now.getTime();
+    const initialStatus = arrivedNow ? 'checked_in' : 'confirmed';
+    const groupBookingId = numberOfPcs > 1 ? `GROUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null;
+    const bookingRefs = requestedStations.map(() => db.collection('bookings').doc());
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        // Same atomic conflict check as online bookings, so neither side double-books
+        await assertStationsAvailable(transaction, cafe, {
+          stationType, consoleType, bookingDate, startTime, endTime
+        }, requestedStations);
+
+        requestedStations.forEach((currentStationNumber, i) => {
+          transaction.set(bookingRefs[i], {
+            userId: null,
+            guest: {
+              name: guestName || 'Walk-in',
+              phone: guestPhone || null
+            },
+            source: 'walk_in',
+            createdBy: req.user.id,
+            cafeId,
+            stationType,
+            consoleType: stationType === 'console' ? consoleType : null,
+            stationNumber: currentStationNumber,
+            bookingDate,
+            startTime,
+            endTime,
+            startAt,
+            endAt,
+            durationHours: price.durationHours,
+            hourlyRate: price.hourlyRate,
+            totalAmount: price.amount, // Per PC amount
+            rateBreakdown: price.breakdown,
+            tax: price.tax,
+            numberOfPcs,
+            groupBookingIndex: i + 1,
+            groupBookingId,
+            notes: notes || null,
+            status: initialStatus,
+            paymentMode, // 'cash' or 'upi_counter'
+            paymentStatus: paymentCollected ? 'paid' : 'unpaid',
+            paidAt: paymentCollected ? now : null,
+            paidAmount: paymentCollected ? price.amount : null,
+            checkedInAt: arrivedNow ? now : null,
+            checkedInBy: arrivedNow ? req.user.id : null,
+            noShowTracked: true,
+            createdAt: now,
+            updatedAt: now
+          });
+          bookingStatusService.recordHistory(transaction, bookingRefs[i], bookingStatusService.buildHistoryEntry({
+            fromStatus: null,
+            toStatus: initialStatus,
+            actor: bookingStatusService.actorFromUser(req.user),
+            reason: `Walk-in booking recorded at the counter (${paymentMode})`
+          }));
+        });
+      });
+    } catch (error) {
+      if (error.message && error.message.startsWith('CONFLICT:')) {
+        return res.status(409).json({
+          success: false,
+          message: error.message.replace('CONFLICT:', '')
+        });
+      }
+      throw error;
+    }
+
+    // Paid at the counter - invoice it like an online payment
+    if (paymentCollected) {
+      const bookingIds = bookingRefs.map(ref => ref.id);
+      await bookkeepingService.queueBookkeeping(bookingIds, [{ task: 'issueInvoice', args: { bookingIds } }]);
+    }
+
+    const bookingDocs = await Promise.all(bookingRefs.map(ref => ref.get()));
+    const createdBookings = bookingDocs.map(serializeBookingDoc);
+
+    res.status(201).json({
+      success: true,
+      message: numberOfPcs > 1
+        ? `${numberOfPcs} walk-in bookings recorded successfully`
+        : 'Walk-in booking recorded successfully',
+      data: {
+        booking: createdBookings[0],
+        bookings: createdBookings,
+        stationNumbers: requestedStations,
+        billing: {
+          stationType,
+          consoleType: stationType === 'console' ? consoleType : null,
+          durationHours: price.durationHours,
+          hourlyRate: price.hourlyRate,
+          baseHourlyRate: price.baseHourlyRate,
+          breakdown: price.breakdown,
+          tax: getBillingTax([price.tax], numberOfPcs),
+          totalAmount: roundAmount(price.amount * numberOfPcs),
+          numberOfPcs,
+          paymentMode,
+          paymentCollected: !!paymentCollected
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Create walk-in booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating walk-in booking'
     });
+  }
+};
 
-    const updatedDoc = await db.collection('bookings').doc(req.params.id).get();
-    const updatedBookingData = updatedDoc.data();
-    const updatedBooking = {
-      id: updatedDoc.id,
-      ...updatedBookingData,
-      createdAt: updatedBookingData.createdAt?.toDate ? updatedBookingData.createdAt.toDate().toISOString() : updatedBookingData.createdAt,
-      updatedAt: updatedBookingData.updatedAt?.toDate ? updatedBookingData.updatedAt.toDate().toISOString() : updatedBookingData.updatedAt
-    };
+/**
+ * @desc    Record payment collected at the counter for a walk-in booking and the rest of its group (Owner only)
+ *          An unpaid walk-in is marked paid and invoiced; a balance left by extending
+ *          a paid one is recorded as a paid extension and invoiced on its own.
+ * @route   POST /api/bookings/:id/collect-payment
+ * @access  Private/Owner
+ */
+const recordCounterPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    // Delete community post (remove from community feed)
-    try {
-      await deleteCommunityPost(req.params.id);
-    } catch (communityError) {
-      // Don't fail cancellation if community post deletion fails
-      console.error('Failed to delete community post:', communityError);
+    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = bookingDoc.data();
+
+    const cafe = await getCafeData(booking.cafeId);
+    if (!cafe || cafe.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to record payments for this booking'
+      });
+    }
+
+    if (booking.source !== 'walk_in') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only walk-in bookings are paid at the counter'
+      });
+    }
+
+    let groupBookingIds = [bookingDoc.id];
+    if (booking.groupBookingId) {
+      const groupSnapshot = await db.collection('bookings')
+        .where('groupBookingId', '==', booking.groupBookingId)
+        .get();
+      groupBookingIds = groupSnapshot.docs.map(doc => doc.id);
     }
 
+    const paymentMode = req.body.paymentMode || booking.paymentMode;
+    const adjustmentRef = db.collection('payment_adjustments').doc();
+
+    const collected = await db.runTransaction(async (transaction) => {
+      const docs = await Promise.all(groupBookingIds.map(id => transaction.get(db.collection('bookings').doc(id))));
+      const open = docs.filter(doc => doc.exists && doc.data().status !== 'cancelled');
+      const unpaidDocs = open.filter(doc => doc.data().paymentStatus !== 'paid');
+      const balanceDocs = open.filter(doc => doc.data().paymentStatus === 'paid' && doc.data().balanceDue > 0);
+
+      // All reads are done
+      const now = new Date();
+      const unpaidIds = unpaidDocs.map(doc => doc.id);
+      unpaidDocs.forEach((doc) => {
+        transaction.update(doc.ref, {
+          paymentMode,
+          paymentStatus: 'paid',
+          paidAt: now,
+          paidAmount: roundAmount(doc.data().totalAmount || 0),
+          balanceDue: 0,
+          updatedAt: now,
+          ...bookkeepingService.bookkeepingUpdates([{ task: 'issueInvoice', args: { bookingIds: unpaidIds } }])
+        });
+      });
+
+      const paidShares = {};
+      balanceDocs.forEach((doc) => {
+        paidShares[doc.id] = roundAmount(doc.data().balanceDue);
+      });
+      const balance = roundAmount(Object.values(paidShares).reduce((sum, share) => sum + share, 0));
+      if (balance > 0) {
+        transaction.set(adjustmentRef, {
+          type: 'extension',
+          orderId: null,
+          paymentId: null,
+          paymentMode,
+          amount: balance,
+          paidAmount: balance,
+          bookingIds: balanceDocs.map(doc => doc.id),
+          groupBookingId: booking.groupBookingId || null,
+          userId: null,
+          cafeId: booking.cafeId,
+          changes: null,
+          shares: paidShares,
+          paidShares,
+          status: 'paid',
+          recordedBy: req.user.id,
+          paidAt: now,
+          createdAt: now,
+          updatedAt: now
+        });
+        balanceDocs.forEach((doc, i) => {
+          transaction.update(doc.ref, {
+            adjustmentPaidAmount: roundAmount((doc.data().adjustmentPaidAmount || 0) + paidShares[doc.id]),
+            balanceDue: 0,
+            updatedAt: now,
+            ...(i === 0 ? bookkeepingService.bookkeepingUpdates([
+              { task: 'issueAdjustmentInvoice', key: `issueAdjustmentInvoice_${adjustmentRef.id}`, args: { adjustmentId: adjustmentRef.id } }
+            ]) : {})
+          });
+        });
+      }
+
+      return {
+        bookingIds: [...unpaidIds, ...balanceDocs.map(doc => doc.id)],
+        amount: roundAmount(unpaidDocs.reduce((sum, doc) => sum + (doc.data().totalAmount || 0), 0) + balance)
+      };
+    });
+
+    if (collected.bookingIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing is due on this booking'
+      });
+    }
+
+    await bookkeepingService.runBookkeepingFor(collected.bookingIds);
+
+    console.log('🎫 [BOOKING] Counter payment recorded:', { bookingId: bookingDoc.id, ...collected, paymentMode });
+
     res.json({
       success: true,
-      message: 'Booking cancelled successfully',
-      data: { booking: updatedBooking }
+      message: `Recorded ₹${collected.amount} collected at the counter`,
+      data: {
+        bookingIds: collected.bookingIds,
+        amountCollected: collected.amount,
+        paymentMode
+      }
     });
   } catch (error) {
-    console.error('Cancel booking error:', error);
+    console.error('Record counter payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording the payment'
+    });
+  }
+};
+
+/**
+ * @desc    Check in a customer by scanning their booking's QR code (Owner only)
+ * @route   POST /api/bookings/check-in
+ * @access  Private/Owner
+ */
+const checkInBooking = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { code } = req.body;
+
+    const verification = checkInService.verifyCheckInCode(code);
+    if (!verification.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid check-in code'
+      });
+    }
+
+    const bookingDoc = await db.collection('bookings').doc(verification.bookingId).get();
+    if (!bookingDoc.exists || bookingDoc.data().cafeId !== verification.cafeId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const booking = { id: bookingDoc.id, ...bookingDoc.data() };
+
+    // Check if user owns the cafe
+    const cafe = await getCafeData(booking.cafeId);
+    if (!cafe || cafe.ownerId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check in this booking'
+      });
+    }
+
+    if (booking.checkedInAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer has already checked in'
+      });
+    }
+
+    if (booking.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in a ${booking.status} booking`
+      });
+    }
+
+    const now = new Date();
+    const window = availabilityService.getBookingWindow(booking, cafe);
+    if (now < new Date(window.startAt.getTime() - checkInService.EARLY_CHECKIN_MINUTES * 60 * 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: `Check-in opens ${checkInService.EARLY_CHECKIN_MINUTES} minutes before the booking starts`
+      });
+    }
+
+    if (now >= window.endAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has already ended'
+      });
+    }
+
+    // The whole group arrives together, so one scan checks in every station
+    let checkInIds = [booking.id];
+    if (booking.groupBookingId) {
+      const groupSnapshot = await db.collection('bookings')
+        .where('groupBookingId', '==', booking.groupBookingId)
+        .get();
+      checkInIds = groupSnapshot.docs
+        .filter(doc => doc.data().status === 'confirmed' && !doc.data().checkedInAt)
+        .map(doc => doc.id);
+    }
+
+    for (const id of checkInIds) {
+      await bookingStatusService.transitionBooking(id, 'checked_in', {
+        actor: bookingStatusService.actorFromUser(req.user),
+        reason: 'Check-in code scanned',
+        updates: { checkedInAt: now, checkedInBy: req.user.id }
+      });
+    }
+    await checkInService.recordAttendance(booking.userId, 'checkIns');
+
+    const userData = await getUserData(booking.userId);
+
+    res.json({
+      success: true,
+      message: 'Customer checked in successfully',
+      data: {
+        bookingId: booking.id,
+        checkedInBookingIds: checkInIds,
+        stationType: booking.stationType,
+        consoleType: booking.consoleType || null,
+        stationNumber: booking.stationNumber,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        checkedInAt: now.toISOString(),
+        user: userData ? {
+          id: userData.id,
+          name: userData.name,
+          phone: userData.phone,
+          reliability: checkInService.getReliability(userData)
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Check-in error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -1285,8 +2889,9 @@ const getCafeBookings = async (req, res) => {
             id: user.id,
             name: user.name,
             email: user.email,
-            phone: user.phone
-          } : null
+            phone: user.phone,
+            reliability: checkInService.getReliability(user)
+          } : (booking.guest ? { ...booking.guest, isGuest: true } : null)
         };
       })
     );
@@ -1319,13 +2924,12 @@ const getCafeBookings = async (req, res) => {
  */
 const updateBookingStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'cancelled', 'completed'];
+    const { status, reason } = req.body;
 
-    if (!validStatuses.includes(status)) {
+    if (!bookingStatusService.OWNER_SETTABLE_STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid status'
+        message: `Invalid status. Valid statuses: ${bookingStatusService.OWNER_SETTABLE_STATUSES.join(', ')}`
       });
     }
 
@@ -1349,10 +2953,45 @@ const updateBookingStatus = async (req, res) => {
       });
     }
 
-    await db.collection('bookings').doc(req.params.id).update({
-      status,
-      updatedAt: new Date()
-    });
+    // Only transitions allowed by the booking lifecycle go through
+    let transition;
+    try {
+      if (status === 'cancelled') {
+        // Same refund and restore path as a customer cancellation, without the notice cutoff
+        transition = await cancelAndRefundBooking(req.params.id, booking, req.user, reason || 'Booking cancelled by the cafe', { byCafe: true });
+      } else {
+        const updates = {
+          checked_in: { checkedInAt: new Date(), checkedInBy: req.user.id },
+          // Points are awarded through the bookkeeping queue so a failure is retried
+          completed: bookkeepingService.bookkeepingUpdates([{ task: 'awardPoints' }])
+        }[status] || {};
+        transition = await bookingStatusService.transitionBooking(req.params.id, status, {
+          actor: bookingStatusService.actorFromUser(req.user),
+          reason: reason || null,
+          updates
+        });
+      }
+    } catch (error) {
+      if (error.message && error.message.startsWith('INVALID_TRANSITION:')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message.replace('INVALID_TRANSITION:', '')
+        });
+      }
+      throw error;
+    }
+
+    if (transition.changed && status === 'checked_in') {
+      await checkInService.recordAttendance(booking.userId, 'checkIns');
+    }
+
+    if (transition.changed && status === 'no_show') {
+      await checkInService.recordAttendance(booking.userId, 'noShows');
+    }
+
+    if (transition.changed && status === 'completed') {
+      await bookkeepingService.runBookkeeping(req.params.id);
+    }
 
     const updatedDoc = await db.collection('bookings').doc(req.params.id).get();
     const updatedBookingData = updatedDoc.data();
@@ -1384,6 +3023,14 @@ const updateBookingStatus = async (req, res) => {
  */
 const checkAvailability = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { 
       cafeId, 
       stationType = 'pc',
@@ -1409,26 +3056,44 @@ const checkAvailability = async (req, res) => {
       });
     }
 
-    const hasConflict = await checkBookingConflict(
-      cafeId, stationType, consoleType, stationNumber, bookingDate, startTime, endTime
-    );
+    // Same hours, status and overlap rules createBooking applies
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    const { availableStations, totalStations: maxStations, blockedStations, bufferMinutes } = await availabilityService.getAvailableStations(cafe, {
+      stationType, consoleType, bookingDate, startTime, endTime
+    });
+    const hasConflict = !availableStations.includes(parseInt(stationNumber, 10));
+    const block = blockedStations.find(b => b.station === parseInt(stationNumber, 10));
 
     const durationHours = calculateDuration(startTime, endTime);
-    const hourlyRate = getHourlyRate(cafe, stationType, consoleType);
-    // Calculate exact amount with decimal precision (no rounding)
-    const estimatedCost = parseFloat((durationHours * hourlyRate).toFixed(2));
-    const maxStations = getMaxStations(cafe, stationType, consoleType);
+    const price = calculateBookingPrice(cafe, {
+      stationType, consoleType, startTime, endTime, startAt: hoursCheck.window.startAt
+    });
+    const hourlyRate = price.hourlyRate;
+    const estimatedCost = price.amount;
 
     res.json({
       success: true,
       data: {
         available: !hasConflict,
+        unavailableReason: block ? block.reason : (hasConflict ? 'Already booked for the selected time slot' : null),
         stationType,
         consoleType: stationType === 'console' ? consoleType : null,
         maxStations,
+        availableStations,
+        bufferMinutes,
         estimatedCost,
         durationHours,
-        hourlyRate
+        hourlyRate,
+        baseHourlyRate: price.baseHourlyRate,
+        priceBreakdown: price.breakdown,
+        tax: getBillingTax([price.tax])
       }
     });
   } catch (error) {
@@ -1440,13 +3105,109 @@ const checkAvailability = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Quote a promo code for a slot before booking it
+ * @route   POST /api/bookings/promo/quote
+ * @access  Private
+ */
+const quotePromoCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      cafeId,
+      stationType = 'pc',
+      consoleType,
+      numberOfPcs = 1,
+      bookingDate,
+      startTime,
+      endTime,
+      promoCode
+    } = req.body;
+
+    const cafe = await getCafeData(cafeId);
+    if (!cafe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+
+    if (stationType === 'console' && !consoleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console type is required for console bookings'
+      });
+    }
+
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    // Same pricing createBooking uses, for every PC in the order
+    const price = calculateBookingPrice(cafe, {
+      stationType, consoleType, startTime, endTime, startAt: hoursCheck.window.startAt
+    });
+    const orderAmount = roundAmount(price.amount * numberOfPcs);
+
+    const promoCheck = await promoService.checkPromoCode({
+      code: promoCode,
+      userId: req.user.id,
+      cafeId,
+      stationType,
+      consoleType: stationType === 'console' ? consoleType : null,
+      orderAmount
+    });
+
+    res.json({
+      success: true,
+      data: {
+        valid: promoCheck.valid,
+        message: promoCheck.valid ? 'Promo code applied' : promoCheck.message,
+        promoCode: promoService.normalizeCode(promoCode),
+        description: promoCheck.valid ? promoCheck.promo.description || null : null,
+        orderAmount,
+        discountAmount: promoCheck.discountAmount,
+        payableAmount: roundAmount(orderAmount - promoCheck.discountAmount),
+        numberOfPcs
+      }
+    });
+  } catch (error) {
+    console.error('Quote promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   createBooking,
   getMyBookings,
   getBookingById,
+  getBookingHistory,
   cancelBooking,
+  rescheduleBooking,
+  extendBooking,
+  createRecurringBooking,
+  getBookingSeries,
+  cancelBookingSeries,
   getCafeBookings,
   updateBookingStatus,
+  checkInBooking,
+  createWalkInBooking,
+  recordCounterPayment,
   checkAvailability,
+  quotePromoCode,
   getAvailableStationsAPI
 };
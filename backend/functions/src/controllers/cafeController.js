@@ -1,5 +1,11 @@
 const { db } = require('../config/firebase');
 const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const stationBlockService = require('../services/stationBlockService');
+const cafeScheduleService = require('../services/cafeScheduleService');
+const { getHourlyRate, getPricingRulesError } = require('../services/pricingService');
+const { getLoyaltyMultiplierError } = require('../services/loyaltyService');
+const { getTaxSettingsError } = require('../services/taxService');
 
 /**
  * Calculate distance between two points using Haversine formula
@@ -139,6 +145,7 @@ const getAllCafes = async (req, res) => {
       maxRate, 
       game,
       search,
+      openNow,
       page = 1, 
       limit = 10 
     } = req.query;
@@ -152,13 +159,19 @@ const getAllCafes = async (req, res) => {
 
     // Get all cafes (we'll filter client-side for complex queries)
     const snapshot = await query.get();
+    const now = new Date();
     let cafes = snapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
+      isOpenNow: cafeScheduleService.isOpenAt(doc.data(), now),
       createdAt: convertTimestamp(doc.data().createdAt),
       updatedAt: convertTimestamp(doc.data().updatedAt)
     }));
 
+    if (openNow === 'true') {
+      cafes = cafes.filter(cafe => cafe.isOpenNow);
+    }
+
     // Client-side filtering for complex queries
     if (minRate || maxRate) {
       cafes = cafes.filter(cafe => {
@@ -247,7 +260,7 @@ const getAllCafes = async (req, res) => {
  */
 const getNearbyCafes = async (req, res) => {
   try {
-    const { latitude, longitude, radius = 10, game } = req.query;
+    const { latitude, longitude, radius = 10, game, openNow } = req.query;
 
     if (!latitude || !longitude) {
       return res.status(400).json({
@@ -265,13 +278,19 @@ const getNearbyCafes = async (req, res) => {
       .where('isActive', '==', true)
       .get();
 
+    const now = new Date();
     let cafes = snapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
+      isOpenNow: cafeScheduleService.isOpenAt(doc.data(), now),
       createdAt: convertTimestamp(doc.data().createdAt),
       updatedAt: convertTimestamp(doc.data().updatedAt)
     }));
 
+    if (openNow === 'true') {
+      cafes = cafes.filter(cafe => cafe.isOpenNow);
+    }
+
     // Filter by game if provided
     if (game) {
       cafes = cafes.filter(cafe => {
@@ -401,9 +420,28 @@ const updateCafe = async (req, res) => {
       'name', 'description', 'address', 'city', 'state', 'zipCode',
       'latitude', 'longitude', 'hourlyRate', 'openingTime', 'closingTime',
       'totalPcStations', 'pcHourlyRate', 'pcSpecs', 'pcGames',
-      'photos', 'amenities', 'availableGames', 'isActive', 'isAcceptingBookings', 'mapsLink'
+      'photos', 'amenities', 'availableGames', 'isActive', 'isAcceptingBookings', 'mapsLink',
+      'bookingHoldMinutes', 'noShowGraceMinutes', 'weeklySchedule', 'scheduleExceptions',
+      'bufferMinutes', 'bufferMinutesByType', 'pricingRules', 'loyaltyMultiplier',
+      'taxSettings'
     ];
 
+    // Tax settings are merged so an owner can change the rate without resending the GSTIN
+    const taxSettings = req.body.taxSettings && typeof req.body.taxSettings === 'object' && !Array.isArray(req.body.taxSettings)
+      ? { ...(cafeData.taxSettings || {}), ...req.body.taxSettings }
+      : req.body.taxSettings;
+
+    const settingsError = cafeScheduleService.getScheduleError(req.body.weeklySchedule, req.body.scheduleExceptions) ||
+      getPricingRulesError(req.body.pricingRules) ||
+      getLoyaltyMultiplierError(req.body.loyaltyMultiplier) ||
+      getTaxSettingsError(taxSettings);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
     const updateData = {
       updatedAt: new Date()
     };
@@ -413,6 +451,9 @@ const updateCafe = async (req, res) => {
         updateData[field] = req.body[field];
       }
     });
+    if (taxSettings !== undefined) {
+      updateData.taxSettings = taxSettings;
+    }
 
     console.log('📍 Updating cafe with mapsLink:', updateData.mapsLink);
 
@@ -541,7 +582,7 @@ const getMyCafes = async (req, res) => {
 };
 
 /**
- * @desc    Get available time slots for a cafe on a specific date (PC only)
+ * @desc    Get available time slots for a cafe on a specific date (PCs and consoles)
  * @route   GET /api/cafes/:id/availability
  * @access  Public
  */
@@ -581,33 +622,43 @@ const getCafeAvailability = async (req, res) => {
     console.log('📅 [GET_AVAILABILITY] Cafe found:', cafe.name);
     console.log('📅 [GET_AVAILABILITY] Total PC stations:', cafe.totalPcStations);
 
-    // Get all bookings for the cafe on that date
-    console.log('📅 [GET_AVAILABILITY] Fetching bookings...');
-    const bookingsSnapshot = await db.collection('bookings')
-      .where('cafeId', '==', cafeId)
-      .where('bookingDate', '==', date)
-      .get();
+    // The day's own hours (weekly schedule, or a dated exception such as a holiday)
+    const openingRanges = cafeScheduleService.getOpeningRanges(cafe, date);
 
-    const bookings = bookingsSnapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    })).filter(b => ['pending', 'confirmed'].includes(b.status));
+    // Active bookings around the date (overnight bookings from the previous day included)
+    console.log('📅 [GET_AVAILABILITY] Fetching bookings...');
+    const bookings = await availabilityService.getActiveBookings(cafe, { bookingDate: date });
     console.log('📅 [GET_AVAILABILITY] Found', bookings.length, 'bookings');
+    const blocks = await stationBlockService.getActiveBlocks(cafe.id);
 
     // Create PC availability map
-    const pcAvailability = {};
-    const totalPcStations = cafe.totalPcStations || 0;
+    const totalPcStations = availabilityService.getMaxStations(cafe, 'pc');
     console.log('📅 [GET_AVAILABILITY] Building PC availability map...');
-    
-    for (let i = 1; i <= totalPcStations; i++) {
-      pcAvailability[i] = {
-        station: i,
-        bookedSlots: bookings
-          .filter(b => b.stationType === 'pc' && b.stationNumber === i)
-          .map(b => ({
-            startTime: b.startTime,
-            endTime: b.endTime
-          }))
+    const pcAvailability = await availabilityService.getStationSchedule(cafe, {
+      stationType: 'pc',
+      bookingDate: date,
+      bookings,
+      blocks
+    });
+
+    // Create per-unit availability map for every console type the cafe has
+    console.log('📅 [GET_AVAILABILITY] Building console availability maps...');
+    const consoleAvailability = {};
+    for (const consoleType of Object.keys(cafe.consoles || {})) {
+      const totalUnits = availabilityService.getMaxStations(cafe, 'console', consoleType);
+      if (totalUnits === 0) continue;
+
+      consoleAvailability[consoleType] = {
+        totalUnits,
+        hourlyRate: getHourlyRate(cafe, 'console', consoleType),
+        bufferMinutes: availabilityService.getBufferMinutes(cafe, 'console', consoleType),
+        availability: await availabilityService.getStationSchedule(cafe, {
+          stationType: 'console',
+          consoleType,
+          bookingDate: date,
+          bookings,
+          blocks
+        })
       };
     }
 
@@ -619,11 +670,16 @@ const getCafeAvailability = async (req, res) => {
         date,
         openingTime: cafe.openingTime,
         closingTime: cafe.closingTime,
+        isClosed: openingRanges.length === 0,
+        openingHours: openingRanges,
+        scheduleException: cafeScheduleService.getScheduleException(cafe, date),
         pc: {
           totalStations: totalPcStations,
           hourlyRate: cafe.pcHourlyRate || cafe.hourlyRate,
+          bufferMinutes: availabilityService.getBufferMinutes(cafe, 'pc'),
           availability: pcAvailability
-        }
+        },
+        consoles: consoleAvailability
       }
     };
     console.log('📅 [GET_AVAILABILITY] Response data:', JSON.stringify(response, null, 2));
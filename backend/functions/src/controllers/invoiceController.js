@@ -0,0 +1,108 @@
+const { db } = require('../config/firebase');
+const invoiceService = require('../services/invoiceService');
+const { renderTaxDocument } = require('../services/invoicePdfService');
+
+/**
+ * Get the bookings paid by the same payment as a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Booking data
+ * @returns {Array<string>} Booking IDs
+ */
+const getOrderBookingIds = async (bookingId, booking) => {
+  if (!booking.groupBookingId) return [bookingId];
+
+  const groupSnapshot = await db.collection('bookings')
+    .where('groupBookingId', '==', booking.groupBookingId)
+    .get();
+  return groupSnapshot.docs
+    .filter(doc => doc.id === bookingId || (booking.paymentTransactionId && doc.data().paymentTransactionId === booking.paymentTransactionId))
+    .map(doc => doc.id);
+};
+
+/**
+ * @desc    Download a booking's GST invoice (or one of its credit notes) as a PDF
+ *          ?creditNoteId= picks a credit note, ?adjustmentInvoiceId= the invoice of a paid
+ *          extension or reschedule, ?format=json returns the documents as data
+ * @route   GET /api/bookings/:id/invoice
+ * @access  Private (booking user or cafe owner)
+ */
+const getBookingInvoice = async (req, res) => {
+  try {
+    const bookingDoc = await db.collection('bookings').doc(req.params.id).get();
+
+    if (!bookingDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    let booking = bookingDoc.data();
+
+    // Check authorization
+    if (booking.userId !== req.user.id) {
+      const cafeDoc = await db.collection('cafes').doc(booking.cafeId).get();
+      if (!cafeDoc.exists || cafeDoc.data().ownerId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this invoice'
+        });
+      }
+    }
+
+    // Bookings paid before invoicing was introduced get theirs on first request
+    if (!booking.invoiceId && booking.paymentStatus === 'paid') {
+      await invoiceService.issueInvoice(await getOrderBookingIds(bookingDoc.id, booking));
+      booking = (await bookingDoc.ref.get()).data();
+    }
+
+    const { invoice, adjustmentInvoices, creditNotes } = await invoiceService.getBookingDocuments(booking);
+
+    if (!invoice && adjustmentInvoices.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: booking.paymentStatus === 'paid'
+          ? 'Nothing was charged for this booking, so there is no invoice'
+          : 'An invoice is issued once the booking is paid'
+      });
+    }
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: { invoice, adjustmentInvoices, creditNotes }
+      });
+    }
+
+    let document = invoice || adjustmentInvoices[0];
+    if (req.query.creditNoteId) {
+      document = creditNotes.find(note => note.id === req.query.creditNoteId);
+    } else if (req.query.adjustmentInvoiceId) {
+      document = adjustmentInvoices.find(doc => doc.id === req.query.adjustmentInvoiceId);
+    }
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: req.query.creditNoteId ? 'Credit note not found' : 'Invoice not found'
+      });
+    }
+
+    const pdf = await renderTaxDocument(document);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${document.number.replace(/\//g, '-')}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('🧾 [INVOICE] Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invoice'
+    });
+  }
+};
+
+module.exports = {
+  getBookingInvoice
+};
@@ -0,0 +1,432 @@
+const { db } = require('../config/firebase');
+const { validationResult } = require('express-validator');
+const passService = require('../services/passService');
+const { createPassOrder } = require('./paymentController');
+
+// Fields an owner may change on a plan (passes already sold keep the terms they were bought with)
+const PLAN_UPDATABLE_FIELDS = ['name', 'description', 'price', 'hours', 'discountPercent', 'validityDays', 'stationTypes', 'isActive'];
+
+/**
+ * Get a cafe the requesting owner owns
+ * @param {string} cafeId - Cafe ID
+ * @param {Object} res - Express response (404/403 is sent here)
+ * @param {string} userId - Requesting owner ID
+ * @returns {Object|null} Cafe data (with id), or null if a response was sent
+ */
+const getOwnedCafe = async (cafeId, res, userId) => {
+  const cafeDoc = await db.collection('cafes').doc(cafeId).get();
+
+  if (!cafeDoc.exists) {
+    res.status(404).json({
+      success: false,
+      message: 'Cafe not found'
+    });
+    return null;
+  }
+
+  const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+
+  // Check ownership
+  if (cafe.ownerId !== userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this cafe'
+    });
+    return null;
+  }
+
+  return cafe;
+};
+
+/**
+ * Pick the plan fields present in a request body, converted for storage
+ * @param {Object} body - Request body
+ * @returns {Object} Plan fields
+ */
+const pickPlanFields = (body) => {
+  const data = {};
+  PLAN_UPDATABLE_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    if (['price', 'hours', 'discountPercent'].includes(field)) {
+      data[field] = parseFloat(body[field]) || 0;
+    } else if (field === 'validityDays') {
+      data[field] = parseInt(body[field], 10);
+    } else {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * Check that a plan gives the customer something
+ * @param {Object} plan - Plan data
+ * @returns {string|null} Error message, or null if valid
+ */
+const getPlanError = (plan) => {
+  if (plan.type === 'hour_pack' && !(plan.hours > 0)) {
+    return 'An hour pack needs a number of hours';
+  }
+  if (plan.type === 'membership' && !(plan.hours > 0) && !(plan.discountPercent > 0)) {
+    return 'A membership needs included hours, a discount or both';
+  }
+  if (plan.type === 'hour_pack' && plan.discountPercent > 0) {
+    return 'Discounts are only available on memberships';
+  }
+  return null;
+};
+
+/**
+ * @desc    Create an hour pack or membership plan for a cafe
+ * @route   POST /api/cafes/:id/pass-plans
+ * @access  Private/Owner
+ */
+const createPassPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const plan = {
+      cafeId: cafe.id,
+      type: req.body.type,
+      description: null,
+      hours: 0,
+      discountPercent: 0,
+      stationTypes: [],
+      isActive: true,
+      ...pickPlanFields(req.body),
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    plan.validityDays = plan.validityDays || passService.DEFAULT_VALIDITY_DAYS[plan.type];
+
+    const planError = getPlanError(plan);
+    if (planError) {
+      return res.status(400).json({
+        success: false,
+        message: planError
+      });
+    }
+
+    const planRef = db.collection('pass_plans').doc();
+    await planRef.set(plan);
+
+    console.log('🎟️ [PASS] Created plan', { planId: planRef.id, cafeId: cafe.id, type: plan.type });
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created',
+      data: { plan: passService.serializePassDoc(await planRef.get()) }
+    });
+  } catch (error) {
+    console.error('Create pass plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update an hour pack or membership plan
+ * @route   PUT /api/cafes/:id/pass-plans/:planId
+ * @access  Private/Owner
+ */
+const updatePassPlan = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const planRef = db.collection('pass_plans').doc(req.params.planId);
+    const planDoc = await planRef.get();
+
+    if (!planDoc.exists || planDoc.data().cafeId !== cafe.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const updates = pickPlanFields(req.body);
+    const planError = getPlanError({ ...planDoc.data(), ...updates });
+    if (planError) {
+      return res.status(400).json({
+        success: false,
+        message: planError
+      });
+    }
+
+    await planRef.update({
+      ...updates,
+      updatedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Plan updated',
+      data: { plan: passService.serializePassDoc(await planRef.get()) }
+    });
+  } catch (error) {
+    console.error('Update pass plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a cafe's hour packs and memberships on sale
+ * @route   GET /api/cafes/:id/pass-plans
+ * @access  Public
+ */
+const getPassPlans = async (req, res) => {
+  try {
+    const snapshot = await db.collection('pass_plans')
+      .where('cafeId', '==', req.params.id)
+      .where('isActive', '==', true)
+      .get();
+
+    const plans = snapshot.docs
+      .map(doc => passService.serializePassDoc(doc))
+      .sort((a, b) => a.price - b.price);
+
+    res.json({
+      success: true,
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Get pass plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get every plan of a cafe and the passes sold, with balances and expiry
+ * @route   GET /api/cafes/:id/passes
+ * @access  Private/Owner
+ */
+const getCafePasses = async (req, res) => {
+  try {
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const [planSnapshot, passSnapshot] = await Promise.all([
+      db.collection('pass_plans').where('cafeId', '==', cafe.id).get(),
+      db.collection('passes').where('cafeId', '==', cafe.id).get()
+    ]);
+
+    // Unpaid purchase attempts are not passes yet
+    const passes = passSnapshot.docs
+      .map(doc => passService.serializePassDoc(doc))
+      .filter(pass => pass.status === 'active')
+      .sort((a, b) => String(b.paidAt).localeCompare(String(a.paidAt)));
+
+    res.json({
+      success: true,
+      data: {
+        plans: planSnapshot.docs.map(doc => passService.serializePassDoc(doc)),
+        passes
+      }
+    });
+  } catch (error) {
+    console.error('Get cafe passes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Buy an hour pack or membership (returns a payment session)
+ * @route   POST /api/passes/purchase
+ * @access  Private
+ */
+const purchasePass = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const planDoc = await db.collection('pass_plans').doc(req.body.planId).get();
+    if (!planDoc.exists || planDoc.data().isActive === false) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const plan = planDoc.data();
+
+    // The pass copies the plan's terms so later plan edits don't change what was bought
+    const passRef = db.collection('passes').doc();
+    const pass = {
+      planId: planDoc.id,
+      cafeId: plan.cafeId,
+      userId: req.user.id,
+      type: plan.type,
+      name: plan.name,
+      price: plan.price,
+      hoursTotal: plan.hours || 0,
+      hoursRemaining: plan.hours || 0,
+      discountPercent: plan.discountPercent || 0,
+      validityDays: plan.validityDays,
+      stationTypes: plan.stationTypes || [],
+      status: 'pending',
+      startsAt: null,
+      expiresAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    await passRef.set(pass);
+
+    const userDoc = await db.collection('users').doc(req.user.id).get();
+    const user = { id: req.user.id, ...(userDoc.exists ? userDoc.data() : {}) };
+
+    let order;
+    try {
+      order = await createPassOrder({ id: passRef.id, ...pass }, user);
+    } catch (orderError) {
+      console.error('🎟️ [PASS] Failed to create pass order:', orderError.message);
+      await passRef.update({ status: 'failed', paymentError: orderError.message, updatedAt: new Date() });
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to create payment order'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Complete the payment to activate your pass',
+      data: {
+        pass: passService.serializePassDoc(await passRef.get()),
+        payment: {
+          orderId: order.orderId,
+          paymentSessionId: order.paymentSessionId,
+          checkoutUrl: order.checkoutUrl,
+          amount: order.amount
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Purchase pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get the current user's passes with balances and expiry
+ * @route   GET /api/passes/my-passes
+ * @access  Private
+ */
+const getMyPasses = async (req, res) => {
+  try {
+    const snapshot = await db.collection('passes')
+      .where('userId', '==', req.user.id)
+      .get();
+
+    const passes = snapshot.docs
+      .map(doc => passService.serializePassDoc(doc))
+      .filter(pass => pass.status === 'active')
+      .sort((a, b) => String(a.expiresAt).localeCompare(String(b.expiresAt)));
+
+    res.json({
+      success: true,
+      data: {
+        passes,
+        // Passes that can still be used, soonest expiry first
+        usable: passes.filter(pass => ['active', 'scheduled'].includes(pass.state)).map(pass => pass.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get my passes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a pass with its usage history
+ * @route   GET /api/passes/:id
+ * @access  Private (pass holder or cafe owner)
+ */
+const getPassById = async (req, res) => {
+  try {
+    const passRef = db.collection('passes').doc(req.params.id);
+    const passDoc = await passRef.get();
+
+    if (!passDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pass not found'
+      });
+    }
+
+    const pass = passDoc.data();
+    if (pass.userId !== req.user.id) {
+      const cafeDoc = await db.collection('cafes').doc(pass.cafeId).get();
+      if (!cafeDoc.exists || cafeDoc.data().ownerId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this pass'
+        });
+      }
+    }
+
+    const usageSnapshot = await passRef.collection('usage').orderBy('createdAt', 'desc').get();
+
+    res.json({
+      success: true,
+      data: {
+        pass: passService.serializePassDoc(passDoc),
+        usage: usageSnapshot.docs.map(doc => passService.serializePassDoc(doc))
+      }
+    });
+  } catch (error) {
+    console.error('Get pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createPassPlan,
+  updatePassPlan,
+  getPassPlans,
+  getCafePasses,
+  purchasePass,
+  getMyPasses,
+  getPassById
+};
@@ -1,12 +1,14 @@
-const crypto = require('crypto');
-const axios = require('axios');
 const { db } = require('../config/firebase');
-
-const CASHFREE_CLIENT_ID = process.env.CASHFREE_CLIENT_ID;
-const CASHFREE_CLIENT_SECRET = process.env.CASHFREE_CLIENT_SECRET;
-const CASHFREE_API_VERSION = process.env.CASHFREE_API_VERSION || '2023-08-01';
-const CASHFREE_BASE_URL = process.env.CASHFREE_BASE_URL || 'https://api.cashfree.com';
-const CASHFREE_WEBHOOK_SECRET = process.env.CASHFREE_WEBHOOK_SECRET || CASHFREE_CLIENT_SECRET;
+const { calculateOrderAmount, roundAmount } = require('../services/pricingService');
+const { isHoldExpired } = require('../services/bookingHoldService');
+const bookingStatusService = require('../services/bookingStatusService');
+const notificationService = require('../services/notificationService');
+const { getPassPeriod } = require('../services/passService');
+const availabilityService = require('../services/availabilityService');
+const { bookkeepingUpdates, queueBookkeeping, runBookkeeping } = require('../services/bookkeepingService');
+const { getPaymentProvider, PAYMENT_STATUSES, REFUND_STATUSES } = require('../services/paymentProviders');
+const webhookEventService = require('../services/webhookEventService');
+const { WEBHOOK_EVENT_STATUSES, SIGNATURE_VERDICTS } = webhookEventService;
 
 let BACKEND_URL = process.env.BACKEND_URL || 'https://asia-south1-xperience-gaming.cloudfunctions.net/api';
 if (BACKEND_URL && !BACKEND_URL.includes('/api')) {
@@ -31,26 +33,43 @@ const logPaymentError = (message, error = null) => {
   }
 };
 
-function getCashfreeAuthHeaders() {
-  return {
-    'x-client-id': CASHFREE_CLIENT_ID,
-    'x-client-secret': CASHFREE_CLIENT_SECRET,
-    'x-api-version': CASHFREE_API_VERSION,
-    'Content-Type': 'application/json',
-  };
-}
-
-function generateCashfreeWebhookSignature(timestamp, rawBody, secret) {
-  const message = `${timestamp}${rawBody}`;
-  const hmac = crypto.createHmac('sha256', secret);
-  hmac.update(message);
-  return hmac.digest('base64');
-}
+/**
+ * Create a gateway order that returns to our callback and notifies our webhook
+ * @param {Object} params
+ * @param {string} params.orderId - Our order ID (the prefix says what it pays for)
+ * @param {number} params.amount - Amount to charge
+ * @param {string} params.note - Shown to the customer at checkout
+ * @param {Object} params.customer - Paying customer (id, name, email, phone)
+ * @returns {Object} { orderId, paymentSessionId, checkoutUrl }
+ */
+const createGatewayOrder = ({ orderId, amount, note, customer }) => getPaymentProvider().createOrder({
+  orderId,
+  amount: parseFloat(Number(amount).toFixed(2)),
+  note: note.substring(0, 100),
+  customer: {
+    id: customer.id,
+    name: (customer.name || 'Guest').trim().split(' ')[0].substring(0, 60),
+    email: customer.email,
+    phone: customer.phone || '9999999999',
+  },
+  returnUrl: `${BACKEND_URL}/payments/callback`,
+  notifyUrl: `${BACKEND_URL}/payments/webhook`,
+});
+
+/**
+ * Fetch the latest payment attempt for a gateway order
+ * @param {string} orderId - Gateway order ID
+ * @returns {Object|null} Latest payment, or null if none
+ */
+const fetchLatestPayment = async (orderId) => {
+  const order = await getPaymentProvider().fetchOrder(orderId);
+  return order.payments[0] || null;
+};
 
 const createPayment = async (req, res) => {
   const requestId = `REQ-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   try {
-    logPayment('=== CREATE CASHFREE PAYMENT REQUEST ===', { requestId });
+    logPayment('=== CREATE PAYMENT REQUEST ===', { requestId });
     logPayment('Request Method', req.method);
     logPayment('Request URL', req.originalUrl || req.url);
     logPayment('Request Headers', {
@@ -63,25 +82,13 @@ const createPayment = async (req, res) => {
     logPayment('Request Body', req.body);
     logPayment('Request IP', req.ip || req.connection.remoteAddress);
 
-    if (!CASHFREE_CLIENT_ID || !CASHFREE_CLIENT_SECRET) {
-      logPaymentError('Server config error - Missing Cashfree credentials', { 
-        requestId,
-        hasClientId: !!CASHFREE_CLIENT_ID,
-        hasClientSecret: !!CASHFREE_CLIENT_SECRET
-      });
-      return res.status(500).json({ success: false, message: 'Server config error - Missing Cashfree credentials' });
+    const provider = getPaymentProvider();
+    if (!provider.isConfigured()) {
+      logPaymentError('Server config error - Missing payment gateway credentials', { requestId, provider: provider.name });
+      return res.status(500).json({ success: false, message: 'Server config error - Missing payment gateway credentials' });
     }
-    
-    logPayment('Cashfree Configuration Validated', {
-      requestId,
-      cashfreeBaseUrl: CASHFREE_BASE_URL,
-      clientIdPrefix: CASHFREE_CLIENT_ID ? CASHFREE_CLIENT_ID.substring(0, 4) + '...' : 'MISSING',
-      clientIdLength: CASHFREE_CLIENT_ID?.length || 0,
-      hasClientSecret: !!CASHFREE_CLIENT_SECRET,
-      clientSecretLength: CASHFREE_CLIENT_SECRET?.length || 0,
-      apiVersion: CASHFREE_API_VERSION,
-      environment: 'PRODUCTION'
-    });
+
+    logPayment('Payment provider ready', { requestId, provider: provider.name });
 
     const { bookingId, amount, firstName, email, phone, productInfo } = req.body;
     
@@ -94,12 +101,11 @@ const createPayment = async (req, res) => {
       productInfo: productInfo || 'not provided'
     });
     
-    if (!bookingId || !amount || !email) {
+    if (!bookingId || !email) {
       logPaymentError('Validation failed - Missing required fields', {
         requestId,
         missing: {
           bookingId: !bookingId,
-          amount: !amount,
           email: !email
         }
       });
@@ -114,149 +120,108 @@ const createPayment = async (req, res) => {
     }
     logPayment('Booking found', { bookingId, requestId, bookingData: bookingDoc.data() });
 
-    const orderId = `ORDER_${bookingId}_${Date.now()}`;
-    const formattedAmount = parseFloat(amount).toFixed(2);
-    const userPhone = phone || '9999999999';
-    const nameParts = (firstName || 'Guest').trim().split(' ');
-    const userFirstName = nameParts[0].substring(0, 60);
-    
-    const returnUrl = `${BACKEND_URL}/payments/callback`;
-    const notifyUrl = `${BACKEND_URL}/payments/webhook`;
+    const booking = { id: bookingDoc.id, ...bookingDoc.data() };
 
-    const orderPayload = {
-      order_id: orderId,
-      order_amount: parseFloat(formattedAmount),
-      order_currency: 'INR',
-      order_note: (productInfo || `Booking ${bookingId}`).substring(0, 100),
-      customer_details: {
-        customer_id: bookingId,
-        customer_name: userFirstName,
-        customer_email: email,
-        customer_phone: userPhone,
-      },
-      order_meta: {
-        return_url: returnUrl,
-        notify_url: notifyUrl,
-        payment_methods: 'cc,dc,upi,nb,paylater',
-      },
-    };
+    if (booking.userId !== req.user.id) {
+      logPaymentError('User does not own booking', { requestId, bookingId, userId: req.user.id });
+      return res.status(403).json({ success: false, message: 'Not authorized to pay for this booking' });
+    }
 
-    logPayment('Creating Cashfree order', { 
-      requestId,
-      orderId, 
-      bookingId, 
-      amount: formattedAmount,
-      returnUrl,
-      notifyUrl
-    });
+    if (booking.paymentStatus === 'paid') {
+      return res.status(400).json({ success: false, message: 'Booking is already paid' });
+    }
 
-    let cashfreeResponse;
-    try {
-      const authHeaders = getCashfreeAuthHeaders();
-      
-      logPayment('Calling Cashfree API', {
-        requestId,
-        url: `${CASHFREE_BASE_URL}/pg/orders`,
-        method: 'POST',
-        headers: {
-          'x-client-id': authHeaders['x-client-id'] ? `${authHeaders['x-client-id'].substring(0, 4)}...` : 'MISSING',
-          'x-client-secret': authHeaders['x-client-secret'] ? '***SET***' : 'MISSING',
-          'x-api-version': authHeaders['x-api-version'],
-          'Content-Type': authHeaders['Content-Type']
-        },
-        payload: orderPayload
-      });
-      
-      cashfreeResponse = await axios.post(
-        `${CASHFREE_BASE_URL}/pg/orders`,
-        orderPayload,
-        {
-          headers: authHeaders,
-        }
-      );
-      
-      logPayment('Cashfree API call successful', {
-        requestId,
-        status: cashfreeResponse.status,
-        hasPaymentSessionId: !!cashfreeResponse.data?.payment_session_id
+    if (booking.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Cannot pay for a ${booking.status} booking` });
+    }
+
+    if (isHoldExpired(booking)) {
+      logPaymentError('Booking hold expired before payment', { requestId, bookingId, holdExpiresAt: booking.holdExpiresAt });
+      return res.status(400).json({
+        success: false,
+        message: 'Your slot hold has expired. Please book the slot again.',
+        errorCode: 'hold_expired'
       });
-    } catch (apiError) {
-      logPaymentError('Cashfree API call failed', {
+    }
+
+    // Price the whole order on the server - never trust the client amount
+    let orderBookings = [booking];
+    if (booking.groupBookingId) {
+      const groupSnapshot = await db.collection('bookings')
+        .where('groupBookingId', '==', booking.groupBookingId)
+        .get();
+      orderBookings = groupSnapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(b => b.status !== 'cancelled');
+    }
+
+    const cafeDoc = await db.collection('cafes').doc(booking.cafeId).get();
+    if (!cafeDoc.exists) {
+      logPaymentError('Cafe not found for booking', { requestId, bookingId, cafeId: booking.cafeId });
+      return res.status(404).json({ success: false, message: 'Cafe not found' });
+    }
+
+    const priceBreakdown = calculateOrderAmount({ id: cafeDoc.id, ...cafeDoc.data() }, orderBookings);
+    logPayment('Server-side order amount computed', { requestId, bookingId, priceBreakdown });
+
+    if (priceBreakdown.totalAmount <= 0) {
+      logPaymentError('Computed order amount is not payable', { requestId, bookingId, totalAmount: priceBreakdown.totalAmount });
+      return res.status(400).json({ success: false, message: 'Booking amount could not be determined' });
+    }
+
+    // The client amount is optional - if sent, it must match what we are about to charge
+    if (amount !== undefined && amount !== null && Math.abs(parseFloat(amount) - priceBreakdown.totalAmount) > 0.01) {
+      logPaymentError('Amount mismatch - rejecting payment', {
         requestId,
-        error: apiError.message,
-        status: apiError.response?.status,
-        statusText: apiError.response?.statusText,
-        responseHeaders: apiError.response?.headers,
-        responseData: apiError.response?.data,
-        requestUrl: `${CASHFREE_BASE_URL}/pg/orders`,
-        requestMethod: 'POST',
-        requestHeaders: {
-          'x-client-id': apiError.config?.headers?.['x-client-id'] ? `${apiError.config.headers['x-client-id'].substring(0, 4)}...` : 'MISSING',
-          'x-client-secret': apiError.config?.headers?.['x-client-secret'] ? '***SET***' : 'MISSING',
-          'x-api-version': apiError.config?.headers?.['x-api-version'],
-        }
+        bookingId,
+        clientAmount: amount,
+        computedAmount: priceBreakdown.totalAmount
       });
-      
-      let errorMessage = 'Failed to create payment order with Cashfree';
-      if (apiError.response?.data) {
-        const cashfreeError = apiError.response.data;
-        errorMessage = cashfreeError.message || 
-                      cashfreeError.error?.message ||
-                      cashfreeError.error_description ||
-                      `Cashfree API error: ${cashfreeError.type || 'unknown'}`;
-        
-        if (apiError.response.status === 401) {
-          errorMessage = `Cashfree authentication failed. ${errorMessage}`;
-          logPaymentError('Cashfree 401 Error - Possible causes:', {
-            requestId,
-            causes: [
-              'Invalid Client ID or Client Secret',
-              'Credentials expired or revoked',
-              'API version mismatch',
-              'Account suspended or inactive'
-            ]
-          });
-        }
-      }
-      
-      return res.status(apiError.response?.status || 500).json({ 
-        success: false, 
-        message: errorMessage,
-        errorCode: apiError.response?.data?.code || apiError.response?.data?.type || 'cashfree_api_error'
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount does not match the booking total',
+        errorCode: 'amount_mismatch',
+        expectedAmount: priceBreakdown.totalAmount
       });
     }
 
-    logPayment('Extracting payment session from Cashfree response', {
-      requestId,
-      responseKeys: Object.keys(cashfreeResponse.data || {}),
-      hasPaymentSessionId: !!cashfreeResponse.data?.payment_session_id,
-      hasOrderToken: !!cashfreeResponse.data?.order_token,
-      fullResponse: cashfreeResponse.data
-    });
-
-    const { payment_session_id, order_token } = cashfreeResponse.data;
+    const orderId = `ORDER_${bookingId}_${Date.now()}`;
+    const formattedAmount = priceBreakdown.totalAmount.toFixed(2);
 
-    logPayment('Payment session extraction result', {
+    logPayment('Creating gateway order', {
       requestId,
-      payment_session_id: payment_session_id ? `${payment_session_id.substring(0, 20)}... (${payment_session_id.length} chars)` : 'MISSING',
-      order_token: order_token ? `${order_token.substring(0, 20)}... (${order_token.length} chars)` : 'MISSING',
-      payment_session_id_empty: !payment_session_id || payment_session_id.length === 0
+      provider: provider.name,
+      orderId,
+      bookingId,
+      amount: formattedAmount
     });
 
-    if (!payment_session_id) {
-      logPaymentError('Cashfree order creation failed - missing payment_session_id', { 
-        requestId, 
-        response: cashfreeResponse.data,
-        responseKeys: Object.keys(cashfreeResponse.data || {}),
-        responseStatus: cashfreeResponse.status,
-        responseHeaders: cashfreeResponse.headers
+    let order;
+    try {
+      order = await createGatewayOrder({
+        orderId,
+        amount: priceBreakdown.totalAmount,
+        note: productInfo || `Booking ${bookingId}`,
+        customer: { id: bookingId, name: firstName, email, phone }
       });
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to create payment order - invalid response from payment gateway' 
+    } catch (apiError) {
+      logPaymentError('Gateway order creation failed', {
+        requestId,
+        provider: provider.name,
+        error: apiError.message,
+        status: apiError.status,
+        code: apiError.code,
+        details: apiError.details
+      });
+      return res.status(apiError.status || 500).json({
+        success: false,
+        message: apiError.message || 'Failed to create payment order',
+        errorCode: apiError.code || 'payment_gateway_error'
       });
     }
 
+    const payment_session_id = order.paymentSessionId;
+
     logPayment('Updating booking in Firestore', {
       requestId,
       bookingId,
@@ -266,48 +231,25 @@ const createPayment = async (req, res) => {
     });
 
     try {
-      // Update the primary booking
-      await db.collection('bookings').doc(bookingId).update({
+      const paymentUpdate = {
         paymentTransactionId: orderId,
         paymentSessionId: payment_session_id,
         paymentStatus: 'pending',
+        orderAmount: priceBreakdown.totalAmount,
+        priceBreakdown: { ...priceBreakdown, computedAt: new Date() },
         updatedAt: new Date(),
-      });
-      
-      // If this is a group booking, update all bookings in the group
-      const bookingData = bookingDoc.data();
-      if (bookingData.groupBookingId) {
-        logPayment('Group booking detected - updating all bookings in group', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          bookingId
-        });
-        
-        const groupBookingsQuery = await db.collection('bookings')
-          .where('groupBookingId', '==', bookingData.groupBookingId)
-          .get();
-        
-        logPayment('Found bookings in group', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          count: groupBookingsQuery.docs.length
-        });
-        
-        // Update all bookings in the group with payment transaction info
-        const updatePromises = groupBookingsQuery.docs.map(doc => 
-          doc.ref.update({
-            paymentTransactionId: orderId,
-            paymentSessionId: payment_session_id,
-            paymentStatus: 'pending',
-            updatedAt: new Date(),
-          })
-        );
-        
-        await Promise.all(updatePromises);
+      };
+
+      // Update the primary booking and, for group bookings, every booking in the group
+      await Promise.all(orderBookings.map(orderBooking =>
+        db.collection('bookings').doc(orderBooking.id).update(paymentUpdate)
+      ));
+
+      if (booking.groupBookingId) {
         logPayment('✅ All bookings in group updated in Firestore', { 
           requestId, 
-          groupBookingId: bookingData.groupBookingId,
-          updatedCount: groupBookingsQuery.docs.length
+          groupBookingId: booking.groupBookingId,
+          updatedCount: orderBookings.length
         });
       } else {
         logPayment('✅ Booking updated in Firestore (single booking)', { requestId, bookingId });
@@ -321,8 +263,9 @@ const createPayment = async (req, res) => {
       });
     }
 
-    logPayment('✅ CASHFREE ORDER CREATED', {
+    logPayment('✅ GATEWAY ORDER CREATED', {
       requestId,
+      provider: provider.name,
       orderId,
       paymentSessionId: payment_session_id.substring(0, 20) + '...',
       paymentSessionIdLength: payment_session_id.length,
@@ -341,6 +284,11 @@ const createPayment = async (req, res) => {
       message: 'Payment order created successfully',
     };
 
+    // Only the mock provider has a checkout page of its own
+    if (order.checkoutUrl) {
+      responsePayload.checkout_url = order.checkoutUrl;
+    }
+
     logPayment('Sending response to frontend (SDK format)', {
       requestId,
       responseSuccess: responsePayload.success,
@@ -366,7 +314,7 @@ const verifyPayment = async (req, res) => {
   const requestId = `CALLBACK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   const callbackStartTime = Date.now();
   try {
-    logPayment('=== CASHFREE PAYMENT CALLBACK ===', { requestId });
+    logPayment('=== PAYMENT CALLBACK ===', { requestId });
     logPayment('Callback received at', new Date().toISOString());
     logPayment('Request Method', req.method);
     logPayment('Request URL', req.originalUrl || req.url);
@@ -398,6 +346,30 @@ const verifyPayment = async (req, res) => {
       return res.redirect(`${FRONTEND_URL}/payment-result?status=failure&reason=invalid_callback`);
     }
 
+    if (isAdjustmentOrderId(order_id)) {
+      const latestPayment = await fetchLatestPayment(order_id);
+      const settlement = await settleAdjustmentOrder(order_id, latestPayment);
+      if (!settlement) {
+        return res.redirect(`${FRONTEND_URL}/payment-result?status=failure&reason=booking_not_found`);
+      }
+      // A change that could no longer be applied is refunded
+      if (['refund_due', 'refunded'].includes(settlement.status)) {
+        return res.redirect(`${FRONTEND_URL}/payment-result?status=failure&reason=change_unavailable&bookingId=${settlement.bookingId}`);
+      }
+      const resultStatus = settlement.status === 'paid' ? 'success' : (settlement.status === 'failed' ? 'failure' : 'pending');
+      return res.redirect(`${FRONTEND_URL}/payment-result?status=${resultStatus}&bookingId=${settlement.bookingId}`);
+    }
+
+    if (isPassOrderId(order_id)) {
+      const latestPayment = await fetchLatestPayment(order_id);
+      const settlement = await settlePassOrder(order_id, latestPayment);
+      if (!settlement) {
+        return res.redirect(`${FRONTEND_URL}/payment-result?status=failure&reason=pass_not_found`);
+      }
+      const resultStatus = settlement.status === 'active' ? 'success' : (settlement.status === 'failed' ? 'failure' : 'pending');
+      return res.redirect(`${FRONTEND_URL}/payment-result?status=${resultStatus}&passId=${settlement.passId}`);
+    }
+
     const bookingsQuery = await db.collection('bookings')
       .where('paymentTransactionId', '==', order_id)
       .limit(1)
@@ -413,60 +385,28 @@ const verifyPayment = async (req, res) => {
 
     try {
       const verifyApiStartTime = Date.now();
-      logPayment('Calling Cashfree payment verification API', {
-        requestId,
-        order_id,
-        apiUrl: `${CASHFREE_BASE_URL}/pg/orders/${order_id}/payments`,
-        method: 'GET'
-      });
+      logPayment('Fetching order payments from gateway', { requestId, order_id });
 
-      const paymentResponse = await axios.get(
-        `${CASHFREE_BASE_URL}/pg/orders/${order_id}/payments`,
-        {
-          headers: getCashfreeAuthHeaders(),
-        }
-      );
-
-      const verifyApiDuration = Date.now() - verifyApiStartTime;
-      logPayment('Cashfree verification API response received', {
-        requestId,
-        order_id,
-        apiDuration: `${verifyApiDuration}ms`,
-        responseStatus: paymentResponse.status,
-        responseStatusText: paymentResponse.statusText,
-        hasData: !!paymentResponse.data,
-        dataType: Array.isArray(paymentResponse.data) ? 'array' : typeof paymentResponse.data,
-        dataLength: Array.isArray(paymentResponse.data) ? paymentResponse.data.length : 'N/A'
-      });
-
-      const payments = paymentResponse.data;
-      logPayment('Processing payment data', {
-        requestId,
-        order_id,
-        paymentsCount: Array.isArray(payments) ? payments.length : 0,
-        paymentsData: payments
-      });
-
-      const latestPayment = payments && payments.length > 0 ? payments[0] : null;
+      const latestPayment = await fetchLatestPayment(order_id);
 
       logPayment('Latest payment extracted', {
         requestId,
         order_id,
+        apiDuration: `${Date.now() - verifyApiStartTime}ms`,
         hasLatestPayment: !!latestPayment,
-        paymentStatus: latestPayment?.payment_status || 'N/A',
-        paymentId: latestPayment?.payment_id || 'N/A',
-        paymentAmount: latestPayment?.payment_amount || 'N/A',
-        paymentMessage: latestPayment?.payment_message || 'N/A',
-        fullPaymentData: latestPayment
+        paymentStatus: latestPayment?.status || 'N/A',
+        paymentId: latestPayment?.paymentId || 'N/A',
+        paymentAmount: latestPayment?.amount || 'N/A',
+        paymentMessage: latestPayment?.message || 'N/A'
       });
 
-      if (!latestPayment || latestPayment.payment_status !== 'SUCCESS') {
-        const paymentMessage = latestPayment?.payment_message || 'Payment failed';
+      if (!latestPayment || latestPayment.status !== PAYMENT_STATUSES.success) {
+        const paymentMessage = latestPayment?.message || 'Payment failed';
         logPayment('Payment status is not SUCCESS', {
           requestId,
           bookingId,
           orderId: order_id,
-          paymentStatus: latestPayment?.payment_status || 'NO_PAYMENT',
+          paymentStatus: latestPayment?.status || 'NO_PAYMENT',
           paymentMessage,
           willUpdateBookingToFailed: true
         });
@@ -477,30 +417,14 @@ const verifyPayment = async (req, res) => {
           updatedAt: new Date(),
         };
         
-        // Update the primary booking
-        await db.collection('bookings').doc(bookingId).update(failUpdateData);
-        
-        // If this is a group booking, update all bookings in the group
+        // Update the booking and, for group bookings, the rest of the order
+        const orderBookingDocs = await getOrderBookingDocs(bookingId, bookingData);
+        await updateOrderBookings(orderBookingDocs, failUpdateData);
         if (bookingData.groupBookingId) {
-          logPayment('Group booking detected - updating all bookings in group (payment failed)', {
-            requestId,
-            groupBookingId: bookingData.groupBookingId,
-            bookingId
-          });
-          
-          const groupBookingsQuery = await db.collection('bookings')
-            .where('groupBookingId', '==', bookingData.groupBookingId)
-            .get();
-          
-          const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-            doc.ref.update(failUpdateData)
-          );
-          
-          await Promise.all(groupUpdatePromises);
           logPayment('❌ All bookings in group updated to failed', { 
             requestId, 
             groupBookingId: bookingData.groupBookingId,
-            updatedCount: groupBookingsQuery.docs.length
+            updatedCount: orderBookingDocs.length
           });
         }
         
@@ -508,7 +432,7 @@ const verifyPayment = async (req, res) => {
           requestId,
           bookingId,
           orderId: order_id,
-          paymentStatus: latestPayment?.payment_status,
+          paymentStatus: latestPayment?.status,
           paymentMessage,
           bookingUpdated: true,
           isGroupBooking: !!bookingData.groupBookingId
@@ -521,31 +445,24 @@ const verifyPayment = async (req, res) => {
         requestId,
         bookingId,
         orderId: order_id,
-        paymentId: latestPayment.payment_id,
-        paymentAmount: latestPayment.payment_amount,
+        paymentId: latestPayment.paymentId,
+        paymentAmount: latestPayment.amount,
         willUpdateBookingToPaid: true
       });
 
-      const paymentId = latestPayment.payment_id || latestPayment.cf_payment_id;
-      
-      logPayment('DEBUG - Payment ID extraction', {
-        requestId,
-        orderId: order_id,
-        payment_id_field: latestPayment.payment_id,
-        cf_payment_id_field: latestPayment.cf_payment_id,
-        extractedPaymentId: paymentId,
-        paymentIdType: typeof paymentId,
-        paymentIdIsUndefined: paymentId === undefined,
-        paymentIdIsNull: paymentId === null,
-        allPaymentKeys: Object.keys(latestPayment)
-      });
+      const paymentId = latestPayment.paymentId;
       
       const updateData = {
         paymentStatus: 'paid',
-        status: 'confirmed',
         paidAt: new Date(),
         updatedAt: new Date(),
       };
+
+      // Record what the gateway actually charged for reconciliation against orderAmount
+      // (each booking of a group is given its own share of it)
+      if (latestPayment.amount !== null && latestPayment.amount !== undefined) {
+        updateData.paidAmount = latestPayment.amount;
+      }
       
       if (paymentId !== undefined && paymentId !== null) {
         updateData.paymentId = String(paymentId);
@@ -569,46 +486,26 @@ const verifyPayment = async (req, res) => {
         hasPaymentId: 'paymentId' in updateData
       });
       
-      // Update the primary booking
-      await db.collection('bookings').doc(bookingId).update(updateData);
-      
-      // If this is a group booking, update all bookings in the group
+      // Update the booking and, for group bookings, the rest of the order
+      const orderBookingDocs = await getOrderBookingDocs(bookingId, bookingData);
+      await updateOrderBookings(orderBookingDocs, updateData);
       if (bookingData.groupBookingId) {
-        logPayment('Group booking detected - updating all bookings in group', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          bookingId
-        });
-        
-        const groupBookingsQuery = await db.collection('bookings')
-          .where('groupBookingId', '==', bookingData.groupBookingId)
-          .get();
-        
-        logPayment('Found bookings in group', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          count: groupBookingsQuery.docs.length
-        });
-        
-        // Update all bookings in the group with payment status
-        const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-          doc.ref.update(updateData)
-        );
-        
-        await Promise.all(groupUpdatePromises);
-        logPayment('✅ All bookings in group updated to confirmed', { 
+        logPayment('✅ All bookings in group updated to paid', { 
           requestId, 
           groupBookingId: bookingData.groupBookingId,
-          updatedCount: groupBookingsQuery.docs.length
+          updatedCount: orderBookingDocs.length
         });
       }
 
+      // Status moves through the booking lifecycle (pending → paid → confirmed)
+      await confirmOrderBookings(bookingId, bookingData, 'Payment verified via callback');
+
       logPayment('✅ PAYMENT VERIFIED & BOOKING CONFIRMED', {
         requestId,
         bookingId,
         orderId: order_id,
         paymentId: paymentId || 'N/A',
-        amount: latestPayment.payment_amount,
+        amount: latestPayment.amount,
         bookingUpdated: true,
         bookingStatus: 'confirmed',
         paymentStatus: 'paid',
@@ -625,16 +522,14 @@ const verifyPayment = async (req, res) => {
       return res.redirect(`${FRONTEND_URL}/payment-result?status=success&bookingId=${bookingId}`);
 
     } catch (apiError) {
-      logPaymentError('Error verifying payment with Cashfree API', {
+      logPaymentError('Error verifying payment with the gateway', {
         requestId,
         error: apiError.message,
         errorCode: apiError.code,
-        errorStatus: apiError.response?.status,
-        errorStatusText: apiError.response?.statusText,
-        errorResponseData: apiError.response?.data,
+        errorStatus: apiError.status,
+        errorDetails: apiError.details,
         errorStack: apiError.stack,
-        orderId: order_id,
-        apiUrl: `${CASHFREE_BASE_URL}/pg/orders/${order_id}/payments`
+        orderId: order_id
       });
       return res.redirect(`${FRONTEND_URL}/payment-result?status=pending&bookingId=${bookingId}`);
     }
@@ -667,6 +562,51 @@ const verifyPaymentPost = async (req, res) => {
       });
     }
 
+    if (isAdjustmentOrderId(order_id)) {
+      const latestPayment = await fetchLatestPayment(order_id);
+      const settlement = await settleAdjustmentOrder(order_id, latestPayment);
+      if (!settlement) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+      return res.json({
+        success: settlement.status === 'paid',
+        message: settlement.status === 'paid'
+          ? 'Payment verified successfully'
+          : (['refund_due', 'refunded'].includes(settlement.status)
+            ? 'The change could no longer be made, so the payment is being refunded'
+            : (latestPayment?.message || 'Payment failed or pending')),
+        data: {
+          bookingId: settlement.bookingId,
+          adjustmentId: settlement.adjustmentId,
+          paymentStatus: settlement.status,
+          orderId: order_id,
+        }
+      });
+    }
+
+    if (isPassOrderId(order_id)) {
+      const latestPayment = await fetchLatestPayment(order_id);
+      const settlement = await settlePassOrder(order_id, latestPayment);
+      if (!settlement) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pass not found'
+        });
+      }
+      return res.json({
+        success: settlement.status === 'active',
+        message: settlement.status === 'active' ? 'Payment verified successfully' : (latestPayment?.message || 'Payment failed or pending'),
+        data: {
+          passId: settlement.passId,
+          paymentStatus: settlement.status === 'active' ? 'paid' : settlement.status,
+          orderId: order_id,
+        }
+      });
+    }
+
     const bookingsQuery = await db.collection('bookings')
       .where('paymentTransactionId', '==', order_id)
       .limit(1)
@@ -684,49 +624,23 @@ const verifyPaymentPost = async (req, res) => {
     const bookingData = bookingsQuery.docs[0].data();
 
     try {
-      const verifyApiUrl = `${CASHFREE_BASE_URL}/pg/orders/${order_id}/payments`;
-      logPayment('Calling Cashfree verification API', {
-        requestId,
-        orderId: order_id,
-        apiUrl: verifyApiUrl,
-        cashfreeBaseUrl: CASHFREE_BASE_URL,
-        hasClientId: !!CASHFREE_CLIENT_ID,
-        hasClientSecret: !!CASHFREE_CLIENT_SECRET,
-      });
-
-      const paymentResponse = await axios.get(
-        verifyApiUrl,
-        {
-          headers: getCashfreeAuthHeaders(),
-        }
-      );
-
-      logPayment('Cashfree API response received', {
-        requestId,
-        orderId: order_id,
-        responseStatus: paymentResponse.status,
-        hasData: !!paymentResponse.data,
-        dataType: Array.isArray(paymentResponse.data) ? 'array' : typeof paymentResponse.data,
-        dataLength: Array.isArray(paymentResponse.data) ? paymentResponse.data.length : 'N/A',
-        fullResponseData: paymentResponse.data
-      });
+      logPayment('Fetching order payments from gateway', { requestId, orderId: order_id });
 
-      const payments = paymentResponse.data;
-      const latestPayment = payments && payments.length > 0 ? payments[0] : null;
+      const latestPayment = await fetchLatestPayment(order_id);
 
       logPayment('Latest payment extracted', {
         requestId,
         orderId: order_id,
         hasLatestPayment: !!latestPayment,
-        paymentStatus: latestPayment?.payment_status || 'N/A',
-        paymentId: latestPayment?.payment_id || 'N/A',
-        paymentMessage: latestPayment?.payment_message || 'N/A',
+        paymentStatus: latestPayment?.status || 'N/A',
+        paymentId: latestPayment?.paymentId || 'N/A',
+        paymentMessage: latestPayment?.message || 'N/A',
         fullLatestPayment: latestPayment
       });
 
-      if (!latestPayment || latestPayment.payment_status !== 'SUCCESS') {
-        const paymentMessage = latestPayment?.payment_message || 'Payment failed or pending';
-        const paymentStatus = latestPayment?.payment_status || 'NO_PAYMENT';
+      if (!latestPayment || latestPayment.status !== PAYMENT_STATUSES.success) {
+        const paymentMessage = latestPayment?.message || 'Payment failed or pending';
+        const paymentStatus = latestPayment?.status || 'NO_PAYMENT';
         
         logPayment('❌ Payment verification failed', {
           requestId,
@@ -743,27 +657,8 @@ const verifyPaymentPost = async (req, res) => {
           updatedAt: new Date(),
         };
         
-        // Update the primary booking
-        await db.collection('bookings').doc(bookingId).update(failUpdateData);
-        
-        // If this is a group booking, update all bookings in the group
-        if (bookingData.groupBookingId) {
-          logPayment('Group booking detected - updating all bookings in group (payment failed POST)', {
-            requestId,
-            groupBookingId: bookingData.groupBookingId,
-            bookingId
-          });
-          
-          const groupBookingsQuery = await db.collection('bookings')
-            .where('groupBookingId', '==', bookingData.groupBookingId)
-            .get();
-          
-          const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-            doc.ref.update(failUpdateData)
-          );
-          
-          await Promise.all(groupUpdatePromises);
-        }
+        // Update the booking and, for group bookings, the rest of the order
+        await updateOrderBookings(await getOrderBookingDocs(bookingId, bookingData), failUpdateData);
         
         return res.json({
           success: false,
@@ -776,27 +671,19 @@ const verifyPaymentPost = async (req, res) => {
         });
       }
 
-      const paymentId = latestPayment.payment_id || latestPayment.cf_payment_id;
-      
-      logPayment('DEBUG - Payment ID extraction in POST verify', {
-        requestId,
-        orderId: order_id,
-        payment_id_field: latestPayment.payment_id,
-        cf_payment_id_field: latestPayment.cf_payment_id,
-        extractedPaymentId: paymentId,
-        paymentIdType: typeof paymentId,
-        paymentIdIsUndefined: paymentId === undefined,
-        paymentIdIsNull: paymentId === null,
-        allPaymentKeys: Object.keys(latestPayment),
-        fullPaymentObject: latestPayment
-      });
+      const paymentId = latestPayment.paymentId;
       
       const updateData = {
         paymentStatus: 'paid',
-        status: 'confirmed',
         paidAt: new Date(),
         updatedAt: new Date(),
       };
+
+      // Record what the gateway actually charged for reconciliation against orderAmount
+      // (each booking of a group is given its own share of it)
+      if (latestPayment.amount !== null && latestPayment.amount !== undefined) {
+        updateData.paidAmount = latestPayment.amount;
+      }
       
       if (paymentId !== undefined && paymentId !== null) {
         updateData.paymentId = String(paymentId);
@@ -823,40 +710,20 @@ const verifyPaymentPost = async (req, res) => {
       });
       
       try {
-        // Update the primary booking
-        await db.collection('bookings').doc(bookingId).update(updateData);
-        
-        // If this is a group booking, update all bookings in the group
+        // Update the booking and, for group bookings, the rest of the order
+        const orderBookingDocs = await getOrderBookingDocs(bookingId, bookingData);
+        await updateOrderBookings(orderBookingDocs, updateData);
         if (bookingData.groupBookingId) {
-          logPayment('Group booking detected - updating all bookings in group (POST verify)', {
-            requestId,
-            groupBookingId: bookingData.groupBookingId,
-            bookingId
-          });
-          
-          const groupBookingsQuery = await db.collection('bookings')
-            .where('groupBookingId', '==', bookingData.groupBookingId)
-            .get();
-          
-          logPayment('Found bookings in group (POST verify)', {
-            requestId,
-            groupBookingId: bookingData.groupBookingId,
-            count: groupBookingsQuery.docs.length
-          });
-          
-          // Update all bookings in the group with payment status
-          const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-            doc.ref.update(updateData)
-          );
-          
-          await Promise.all(groupUpdatePromises);
-          logPayment('✅ All bookings in group updated to confirmed (POST verify)', { 
+          logPayment('✅ All bookings in group updated to paid (POST verify)', { 
             requestId, 
             groupBookingId: bookingData.groupBookingId,
-            updatedCount: groupBookingsQuery.docs.length
+            updatedCount: orderBookingDocs.length
           });
         }
         
+        // Status moves through the booking lifecycle (pending → paid → confirmed)
+        await confirmOrderBookings(bookingId, bookingData, 'Payment verified');
+
         logPayment('✅ Firestore update successful', {
           requestId,
           bookingId,
@@ -880,7 +747,7 @@ const verifyPaymentPost = async (req, res) => {
         bookingId,
         orderId: order_id,
         paymentId: paymentId || 'N/A',
-        amount: latestPayment.payment_amount,
+        amount: latestPayment.amount,
       });
 
       return res.json({
@@ -903,19 +770,13 @@ const verifyPaymentPost = async (req, res) => {
         errorType: apiError.constructor.name,
       };
 
-      if (apiError.response) {
-        errorDetails.responseStatus = apiError.response.status;
-        errorDetails.responseStatusText = apiError.response.statusText;
-        errorDetails.responseData = apiError.response.data;
-        errorDetails.responseHeaders = apiError.response.headers;
-      }
-
-      if (apiError.request) {
-        errorDetails.requestUrl = apiError.config?.url;
-        errorDetails.requestMethod = apiError.config?.method;
+      if (apiError.status) {
+        errorDetails.responseStatus = apiError.status;
+        errorDetails.errorCode = apiError.code;
+        errorDetails.responseData = apiError.details;
       }
 
-      logPaymentError('❌ Error verifying payment with Cashfree API', errorDetails);
+      logPaymentError('❌ Error verifying payment with the gateway', errorDetails);
       
       return res.status(500).json({
         success: false,
@@ -945,64 +806,166 @@ const verifyPaymentPost = async (req, res) => {
   }
 };
 
+/**
+ * Apply a payment event from the gateway to the order it belongs to
+ * Safe to run more than once for the same event (retries and admin replays do)
+ * @param {Object} event - Parsed webhook ({ orderId, payment })
+ * @param {Object} options
+ * @param {string} options.requestId - For logs
+ * @param {string} options.reason - Recorded in each confirmed booking's status history
+ * @returns {Object} { orderType, found, outcome, ... } - stored with the webhook event
+ */
+const processPaymentEvent = async (event, { requestId, reason }) => {
+  const { orderId, payment } = event;
+  const paymentStatus = payment.status;
+  const paymentId = payment.paymentId;
+
+  if (isAdjustmentOrderId(orderId)) {
+    const settlement = await settleAdjustmentOrder(orderId, payment);
+    logPayment('✅ ADJUSTMENT WEBHOOK PROCESSED', { requestId, orderId, paymentStatus, settlement });
+    return { orderType: 'adjustment', found: !!settlement, outcome: settlement?.status || null, bookingId: settlement?.bookingId || null };
+  }
+
+  if (isPassOrderId(orderId)) {
+    const settlement = await settlePassOrder(orderId, payment);
+    logPayment('✅ PASS WEBHOOK PROCESSED', { requestId, orderId, paymentStatus, settlement });
+    return { orderType: 'pass', found: !!settlement, outcome: settlement?.status || null, passId: settlement?.passId || null };
+  }
+
+  logPayment('Webhook data extracted', {
+    requestId,
+    orderId,
+    paymentId: paymentId || 'N/A',
+    paymentStatus,
+    paymentAmount: payment.amount,
+    paymentMessage: payment.message,
+  });
+
+  const bookingsQuery = await db.collection('bookings')
+    .where('paymentTransactionId', '==', orderId)
+    .limit(1)
+    .get();
+
+  if (bookingsQuery.empty) {
+    // Can happen if the webhook is sent before the booking is created, or for test orders
+    logPaymentError('Booking not found for webhook', { orderId, requestId });
+    return { orderType: 'booking', found: false, outcome: null };
+  }
+
+  const bookingId = bookingsQuery.docs[0].id;
+  const bookingData = bookingsQuery.docs[0].data();
+  const isGroupBooking = !!bookingData.groupBookingId;
+
+  if (paymentStatus === PAYMENT_STATUSES.success) {
+    const alreadyPaid = bookingData.paymentStatus === 'paid';
+
+    if (!alreadyPaid) {
+      const updateData = {
+        paymentStatus: 'paid',
+        paidAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      // Record what the gateway actually charged for reconciliation against orderAmount
+      // (each booking of a group is given its own share of it)
+      if (payment.amount !== null && payment.amount !== undefined) {
+        updateData.paidAmount = payment.amount;
+      }
+      
+      if (paymentId !== undefined && paymentId !== null) {
+        updateData.paymentId = String(paymentId);
+      }
+      
+      // Update the booking and, for group bookings, the rest of the order
+      const orderBookingDocs = await getOrderBookingDocs(bookingId, bookingData);
+      await updateOrderBookings(orderBookingDocs, updateData);
+      if (isGroupBooking) {
+        logPayment('✅ All bookings in group updated to paid (webhook)', { 
+          requestId, 
+          groupBookingId: bookingData.groupBookingId,
+          updatedCount: orderBookingDocs.length
+        });
+      }
+    }
+    
+    // Status moves through the booking lifecycle (pending → paid → confirmed).
+    // Run even when already paid, so an event whose processing died half-way is finished
+    await confirmOrderBookings(bookingId, bookingData, reason);
+    
+    logPayment('✅ Booking updated to paid status via webhook', {
+      requestId,
+      bookingId,
+      orderId,
+      paymentId: paymentId || 'N/A',
+      alreadyPaid,
+      isGroupBooking
+    });
+    return { orderType: 'booking', found: true, outcome: alreadyPaid ? 'already_paid' : 'paid', bookingId };
+  }
+
+  if (paymentStatus === PAYMENT_STATUSES.failed || paymentStatus === PAYMENT_STATUSES.dropped) {
+    // A late failure for an earlier attempt must not undo a successful payment
+    if (bookingData.paymentStatus === 'paid') {
+      logPayment('⚠️ Failed payment event ignored - booking already paid', { requestId, bookingId, orderId, paymentStatus });
+      return { orderType: 'booking', found: true, outcome: 'ignored_already_paid', bookingId };
+    }
+
+    const failUpdateData = {
+      paymentStatus: 'failed',
+      paymentError: payment.message || 'Payment failed',
+      updatedAt: new Date(),
+    };
+    
+    // Update the booking and, for group bookings, the rest of the order
+    await updateOrderBookings(await getOrderBookingDocs(bookingId, bookingData), failUpdateData);
+    
+    logPayment('❌ Booking updated to failed status via webhook', {
+      requestId,
+      bookingId,
+      orderId,
+      paymentStatus,
+      isGroupBooking
+    });
+    return { orderType: 'booking', found: true, outcome: 'failed', bookingId };
+  }
+
+  logPayment('⚠️ Payment status not handled', {
+    requestId,
+    bookingId,
+    orderId,
+    paymentStatus,
+  });
+  return { orderType: 'booking', found: true, outcome: 'unhandled', bookingId };
+};
+
 const handleWebhook = async (req, res) => {
   const requestId = `WEBHOOK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   try {
-    logPayment('=== CASHFREE WEBHOOK ===', { requestId });
+    logPayment('=== PAYMENT WEBHOOK ===', { requestId });
     logPayment('Request Method', req.method);
     logPayment('Request URL', req.originalUrl || req.url);
     logPayment('Request Headers', {
       'content-type': req.headers['content-type'],
-      'x-cashfree-signature': req.headers['x-cashfree-signature'] ? 'PRESENT' : 'MISSING',
+      'x-webhook-signature': req.headers['x-webhook-signature'] || req.headers['x-cashfree-signature'] ? 'PRESENT' : 'MISSING',
       'user-agent': req.headers['user-agent'],
     });
     logPayment('Request Body', req.body);
     logPayment('Request IP', req.ip || req.connection.remoteAddress);
     
+    const provider = getPaymentProvider();
     const signature = req.headers['x-webhook-signature'] || req.headers['x-cashfree-signature'];
     const timestamp = req.headers['x-webhook-timestamp'];
-    const rawBody = JSON.stringify(req.body);
+    // The signature covers the exact bytes sent, which re-serializing req.body
+    // does not reproduce - index.js keeps them in req.rawBody for this route
+    const rawBody = req.rawBody;
 
-    if (CASHFREE_CLIENT_SECRET && signature) {
-      try {
-        const message = timestamp ? `${timestamp}${rawBody}` : rawBody;
-        
-        const hmac = crypto.createHmac('sha256', CASHFREE_CLIENT_SECRET);
-        hmac.update(message);
-        const expectedSignature = hmac.digest('base64');
-        
-        let signatureMatch = false;
-        if (signature.length === expectedSignature.length) {
-          try {
-            signatureMatch = crypto.timingSafeEqual(
-              Buffer.from(signature),
-              Buffer.from(expectedSignature)
-            );
-          } catch (e) {
-            signatureMatch = false;
-          }
-        }
-        
-        if (!signatureMatch) {
-          logPaymentError('Webhook signature mismatch', { 
-            requestId,
-            received: signature.substring(0, 20) + '...',
-            expected: expectedSignature.substring(0, 20) + '...',
-            hasTimestamp: !!timestamp
-          });
-          return res.status(401).json({ success: false, message: 'Invalid signature' });
-        }
-        logPayment('✅ Webhook signature verified', { requestId });
-      } catch (sigError) {
-        logPaymentError('Error verifying webhook signature', {
-          requestId,
-          error: sigError.message
-        });
-        logPayment('⚠️ Continuing webhook processing despite signature error', { requestId });
-      }
-    } else {
-      logPayment('⚠️ Webhook signature verification skipped (Client Secret not configured)', { requestId });
+    let verification;
+    try {
+      verification = provider.verifyWebhook({ signature, timestamp, rawBody });
+    } catch (verifyError) {
+      verification = { valid: false, reason: `Verification error: ${verifyError.message}` };
     }
+    const signatureVerdict = verification.valid ? SIGNATURE_VERDICTS.verified : SIGNATURE_VERDICTS.invalid;
 
     // Handle test webhooks from Cashfree dashboard
     // Test webhooks may have different payload format
@@ -1010,21 +973,46 @@ const handleWebhook = async (req, res) => {
                          req.body.test === true || 
                          req.headers['x-cashfree-test'] === 'true' ||
                          (req.body.data && !req.body.data.order && !req.body.data.payment);
-    
-    if (isTestWebhook) {
-      logPayment('Test webhook received - responding with success', { requestId });
-      return res.status(200).json({ 
-        success: true, 
-        message: 'Webhook endpoint is working',
-        test: true
+
+    const event = isTestWebhook ? null : provider.parseWebhook(req.body);
+    const delivery = {
+      provider: provider.name,
+      headers: req.headers,
+      payload: req.body,
+      signature: { present: !!signature, verdict: signatureVerdict, reason: verification.reason || null },
+      event
+    };
+
+    // Nothing is processed, test pings included, unless the signature checks out
+    if (signatureVerdict !== SIGNATURE_VERDICTS.verified) {
+      const { eventId } = await webhookEventService.recordDelivery({ ...delivery, status: WEBHOOK_EVENT_STATUSES.rejected });
+      logPaymentError('Webhook signature verification failed', {
+        requestId,
+        eventId,
+        provider: provider.name,
+        reason: verification.reason,
+        hasSignature: !!signature,
+        hasTimestamp: !!timestamp,
+        hasRawBody: !!rawBody
       });
+      return res.status(401).json({ success: false, message: 'Invalid signature' });
     }
 
-    const { data } = req.body;
-    const { order, payment } = data || {};
+    logPayment('✅ Webhook signature verified', { requestId, provider: provider.name });
+
+    if (!event) {
+      const { eventId } = await webhookEventService.recordDelivery({ ...delivery, status: WEBHOOK_EVENT_STATUSES.ignored });
+
+      if (isTestWebhook) {
+        logPayment('Test webhook received - responding with success', { requestId, eventId });
+        return res.status(200).json({ 
+          success: true, 
+          message: 'Webhook endpoint is working',
+          test: true
+        });
+      }
 
-    if (!order || !payment) {
-      logPaymentError('Invalid webhook data', { requestId, body: req.body });
+      logPaymentError('Invalid webhook data', { requestId, eventId, body: req.body });
       // Return 200 for invalid data to prevent Cashfree from retrying
       // But log the error for debugging
       return res.status(200).json({ 
@@ -1034,147 +1022,674 @@ const handleWebhook = async (req, res) => {
       });
     }
 
-    const orderId = order.order_id;
-    const paymentStatus = payment.payment_status;
-    const paymentId = payment.payment_id || payment.cf_payment_id;
+    const { eventId, claimed, status } = await webhookEventService.recordDelivery(delivery);
+
+    if (!claimed) {
+      logPayment('Duplicate webhook delivery - already handled', { requestId, eventId, status });
+      return res.json({ success: true, duplicate: true, eventId });
+    }
+
+    let result;
+    try {
+      result = await processPaymentEvent(event, { requestId, reason: 'Payment verified via webhook' });
+    } catch (processingError) {
+      // Marked failed, so the gateway's retry is processed again
+      await webhookEventService.completeEvent(eventId, { error: processingError });
+      throw processingError;
+    }
+    await webhookEventService.completeEvent(eventId, { result });
 
-    logPayment('Webhook data extracted', {
+    logPayment('✅ WEBHOOK PROCESSED', {
       requestId,
-      orderId,
-      paymentId: paymentId || 'N/A',
-      paymentStatus,
-      paymentAmount: payment.payment_amount,
-      paymentMessage: payment.payment_message,
+      eventId,
+      orderId: event.orderId,
+      paymentStatus: event.payment.status,
+      result
     });
 
-    const bookingsQuery = await db.collection('bookings')
-      .where('paymentTransactionId', '==', orderId)
-      .limit(1)
-      .get();
+    res.json({ success: result.found, eventId });
 
-    if (bookingsQuery.empty) {
-      logPaymentError('Booking not found for webhook', { orderId, requestId });
-      // Return 200 to prevent Cashfree from retrying for non-existent bookings
-      // This can happen if webhook is sent before booking is created or for test orders
-      return res.status(200).json({ 
-        success: false, 
-        message: 'Booking not found for this order',
-        orderId: orderId
+  } catch (error) {
+    logPaymentError('❌ WEBHOOK ERROR', {
+      requestId,
+      error: error.message,
+      stack: error.stack,
+      body: req.body
+    });
+    res.status(500).json({ success: false, message: 'Webhook processing failed' });
+  }
+};
+
+/**
+ * @desc    List stored webhook events, newest first (?orderId=, ?status=, ?limit=)
+ * @route   GET /api/payments/webhooks/events
+ * @access  Private (Admin only)
+ */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { orderId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    let query = db.collection('webhook_events');
+    if (orderId) {
+      query = query.where('orderId', '==', orderId);
+    } else if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('lastReceivedAt', 'desc').limit(limit).get();
+    const events = snapshot.docs
+      .map(webhookEventService.serializeWebhookEvent)
+      .filter(event => !status || event.status === status);
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: { events }
+    });
+  } catch (error) {
+    logPaymentError('Get webhook events error', error);
+    res.status(500).json({ success: false, message: 'Failed to load webhook events' });
+  }
+};
+
+/**
+ * @desc    Get a stored webhook event
+ * @route   GET /api/payments/webhooks/events/:eventId
+ * @access  Private (Admin only)
+ */
+const getWebhookEvent = async (req, res) => {
+  try {
+    const eventDoc = await db.collection('webhook_events').doc(req.params.eventId).get();
+    if (!eventDoc.exists) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    res.json({
+      success: true,
+      data: { event: webhookEventService.serializeWebhookEvent(eventDoc) }
+    });
+  } catch (error) {
+    logPaymentError('Get webhook event error', error);
+    res.status(500).json({ success: false, message: 'Failed to load webhook event' });
+  }
+};
+
+/**
+ * @desc    Process a stored webhook event again, e.g. while looking into a disputed payment
+ *          Events whose signature was rejected are only replayed with { force: true }
+ * @route   POST /api/payments/webhooks/events/:eventId/replay
+ * @access  Private (Admin only)
+ */
+const replayWebhookEvent = async (req, res) => {
+  const requestId = `REPLAY-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  try {
+    const { eventId } = req.params;
+    const eventDoc = await db.collection('webhook_events').doc(eventId).get();
+    if (!eventDoc.exists) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    const stored = eventDoc.data();
+    if (stored.signature?.verdict === SIGNATURE_VERDICTS.invalid && req.body?.force !== true) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event failed signature verification. Send { "force": true } to replay it anyway.'
       });
     }
 
-    const bookingId = bookingsQuery.docs[0].id;
-    const bookingData = bookingsQuery.docs[0].data();
+    const event = getPaymentProvider(stored.provider).parseWebhook(stored.payload);
+    if (!event) {
+      return res.status(400).json({ success: false, message: 'This event has no payment to process' });
+    }
 
-    if (paymentStatus === 'SUCCESS') {
-      const updateData = {
-        paymentStatus: 'paid',
-        status: 'confirmed',
+    logPayment('=== WEBHOOK REPLAY ===', { requestId, eventId, replayedBy: req.user.id });
+
+    let result;
+    try {
+      result = await processPaymentEvent(event, { requestId, reason: 'Payment verified via webhook replay' });
+    } catch (processingError) {
+      await webhookEventService.recordReplay(eventId, { replayedBy: req.user.id, error: processingError });
+      throw processingError;
+    }
+    await webhookEventService.recordReplay(eventId, { replayedBy: req.user.id, result });
+
+    res.json({
+      success: true,
+      message: 'Webhook event replayed',
+      data: {
+        event: webhookEventService.serializeWebhookEvent(await eventDoc.ref.get()),
+        result
+      }
+    });
+  } catch (error) {
+    logPaymentError('❌ WEBHOOK REPLAY ERROR', { requestId, error: error.message, stack: error.stack });
+    res.status(500).json({ success: false, message: `Webhook replay failed: ${error.message}` });
+  }
+};
+
+/**
+ * Fetch the bookings a payment order covers: the booking and, for a group, the
+ * members checked out with the same order (not ones cancelled before checkout)
+ * @param {string} bookingId - Primary booking ID
+ * @param {Object} bookingData - Primary booking data
+ * @returns {Array<Object>} Booking documents
+ */
+const getOrderBookingDocs = async (bookingId, bookingData) => {
+  if (!bookingData.groupBookingId) {
+    return [await db.collection('bookings').doc(bookingId).get()];
+  }
+  const groupSnapshot = await db.collection('bookings')
+    .where('groupBookingId', '==', bookingData.groupBookingId)
+    .get();
+  return groupSnapshot.docs.filter(doc => doc.data().paymentTransactionId === bookingData.paymentTransactionId);
+};
+
+/**
+ * Record a payment outcome on every booking of its order
+ * A paid amount is the order's total; each booking is given its own payable
+ * share (its price breakdown item), so a refund of one booking is capped at
+ * what was paid for it.
+ * @param {Array<Object>} bookingDocs - The order's bookings (from getOrderBookingDocs)
+ * @param {Object} updateData - Fields to set
+ */
+const updateOrderBookings = (bookingDocs, updateData) => Promise.all(bookingDocs.map((doc) => {
+  if (updateData.paidAmount === undefined) {
+    return doc.ref.update(updateData);
+  }
+  const item = (doc.data().priceBreakdown?.items || []).find(i => i.bookingId === doc.id);
+  const paidAmount = item ? Math.min(item.payableAmount, updateData.paidAmount) : updateData.paidAmount;
+  return doc.ref.update({ ...updateData, paidAmount });
+}));
+
+/**
+ * Confirm every booking covered by a paid order (the booking and its group) and invoice it
+ * @param {string} bookingId - Primary booking ID
+ * @param {Object} bookingData - Primary booking data
+ * @param {string} reason - Recorded in each booking's status history
+ */
+const confirmOrderBookings = async (bookingId, bookingData, reason) => {
+  const bookingIds = (await getOrderBookingDocs(bookingId, bookingData)).map(doc => doc.id);
+
+  for (const id of bookingIds) {
+    await bookingStatusService.confirmAfterPayment(id, reason);
+  }
+
+  // One invoice for everything the payment covered
+  await queueBookkeeping(bookingIds, [{ task: 'issueInvoice', args: { bookingIds } }]);
+};
+
+/**
+ * Adjustment orders charge a booking's price difference after it was paid
+ * (e.g., a reschedule to a pricier slot). They are separate gateway orders
+ * with ADJ_ ids, tracked in the payment_adjustments collection.
+ */
+const ADJUSTMENT_ORDER_PREFIX = 'ADJ_';
+
+const isAdjustmentOrderId = (orderId) => typeof orderId === 'string' && orderId.startsWith(ADJUSTMENT_ORDER_PREFIX);
+
+/**
+ * Create a gateway order charging extra for already-paid bookings
+ * @param {Object} params
+ * @param {Array<Object>} params.bookings - Bookings the charge covers (with id)
+ * @param {number} params.amount - Amount to charge
+ * @param {string} params.type - Why the charge exists (e.g., 'reschedule')
+ * @param {Object} params.user - Paying user (id, name, email, phone)
+ * @param {Object|null} params.changes - Booking updates to apply once paid, keyed by booking ID
+ * @param {Object|null} params.shares - Each booking's part of the amount, keyed by booking ID
+ *   (defaults to what its price goes up by, or an even split)
+ * @returns {Object} { adjustmentId, orderId, paymentSessionId, checkoutUrl, amount }
+ */
+const createAdjustmentOrder = async ({ bookings, amount, type, user, changes = null, shares = null }) => {
+  if (!getPaymentProvider().isConfigured()) {
+    throw new Error('Server config error - Missing payment gateway credentials');
+  }
+
+  const adjustmentRef = db.collection('payment_adjustments').doc();
+  const orderId = `${ADJUSTMENT_ORDER_PREFIX}${adjustmentRef.id}_${Date.now()}`;
+  const orderAmount = parseFloat(Number(amount).toFixed(2));
+  const primaryBooking = bookings[0];
+
+  logPayment('Creating adjustment order', { orderId, type, amount: orderAmount, bookingIds: bookings.map(b => b.id) });
+
+  const { paymentSessionId, checkoutUrl } = await createGatewayOrder({
+    orderId,
+    amount: orderAmount,
+    note: `Booking ${primaryBooking.id} ${type}`,
+    customer: { id: primaryBooking.id, name: user?.name, email: user?.email, phone: user?.phone }
+  });
+
+  await adjustmentRef.set({
+    type,
+    orderId,
+    paymentSessionId,
+    amount: orderAmount,
+    bookingIds: bookings.map(b => b.id),
+    groupBookingId: primaryBooking.groupBookingId || null,
+    userId: primaryBooking.userId,
+    cafeId: primaryBooking.cafeId,
+    changes,
+    shares,
+    status: 'pending',
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  await Promise.all(bookings.map(booking =>
+    db.collection('bookings').doc(booking.id).update({
+      pendingAdjustmentId: adjustmentRef.id,
+      balanceDue: orderAmount,
+      updatedAt: new Date()
+    })
+  ));
+
+  logPayment('✅ Adjustment order created', { orderId, adjustmentId: adjustmentRef.id });
+
+  return {
+    adjustmentId: adjustmentRef.id,
+    orderId,
+    paymentSessionId,
+    checkoutUrl,
+    amount: orderAmount
+  };
+};
+
+// Bookings an adjustment can still change
+const ADJUSTABLE_STATUSES = ['confirmed', 'checked_in'];
+
+// The slot each adjustment type holds on its bookings until it is paid
+const ADJUSTMENT_HOLDS = { extension: 'pendingExtension', reschedule: 'pendingReschedule' };
+
+/**
+ * Check inside a transaction that a paid adjustment's changes can still be applied:
+ * the bookings are still waiting on this adjustment and the changed slot is still
+ * free (an extension's or reschedule's hold may have lapsed and the time been booked meanwhile)
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} adjustmentId - Adjustment ID
+ * @param {Object} adjustment - Adjustment data
+ * @param {Array<Object>} bookingDocs - The adjustment's bookings, read in the transaction
+ * @returns {string|null} Why the changes cannot be applied, or null if they can
+ */
+const checkAdjustmentApplies = async (transaction, adjustmentId, adjustment, bookingDocs) => {
+  const stale = bookingDocs.find(doc => !doc.exists
+    || doc.data().pendingAdjustmentId !== adjustmentId
+    || !ADJUSTABLE_STATUSES.includes(doc.data().status));
+  if (stale) return `Booking ${stale.id} is no longer waiting on this payment`;
+  if (!adjustment.changes) return null;
+
+  const cafeDoc = await transaction.get(db.collection('cafes').doc(adjustment.cafeId));
+  const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+  const bookingIds = bookingDocs.map(doc => doc.id);
+
+  for (const doc of bookingDocs) {
+    const changed = { ...doc.data(), ...adjustment.changes[doc.id] };
+    const { availableStations } = await availabilityService.getAvailableStations(cafe, {
+      stationType: changed.stationType,
+      consoleType: changed.consoleType,
+      bookingDate: changed.bookingDate,
+      startTime: changed.startTime,
+      endTime: changed.endTime,
+      excludeBookingIds: bookingIds,
+      transaction
+    });
+    if (!availableStations.includes(changed.stationNumber)) {
+      return `Station ${changed.stationNumber} is no longer free from ${changed.startTime} to ${changed.endTime}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Tell the cafe owner a booking moved once its reschedule was paid for
+ * @param {Object} adjustment - Paid reschedule adjustment
+ */
+const notifyRescheduled = async (adjustment) => {
+  try {
+    const bookingId = adjustment.bookingIds[0];
+    const [bookingDoc, cafeDoc, userDoc] = await Promise.all([
+      db.collection('bookings').doc(bookingId).get(),
+      db.collection('cafes').doc(adjustment.cafeId).get(),
+      db.collection('users').doc(adjustment.userId).get()
+    ]);
+    if (!cafeDoc.exists || !userDoc.exists) return;
+    await notificationService.sendBookingRescheduledNotification(
+      { id: bookingId, ...bookingDoc.data() },
+      { id: cafeDoc.id, ...cafeDoc.data() },
+      { id: userDoc.id, ...userDoc.data() },
+      adjustment.changes[bookingId].previousSlot
+    );
+  } catch (error) {
+    // Don't fail the payment if the notification fails
+    logPaymentError('Failed to send reschedule notification', error);
+  }
+};
+
+/**
+ * Record the outcome of an adjustment order and, once paid, apply its booking changes
+ * Safe to call more than once for the same order (callback, verify and webhook all do).
+ * A payment whose changes can no longer be applied (including one that succeeds
+ * after the order was marked failed) is refunded instead.
+ * @param {string} orderId - Adjustment order ID
+ * @param {Object|null} payment - Gateway payment (status, paymentId, amount, message)
+ * @returns {Object|null} { adjustmentId, bookingId, status } or null if the order is unknown
+ */
+const settleAdjustmentOrder = async (orderId, payment) => {
+  const snapshot = await db.collection('payment_adjustments')
+    .where('orderId', '==', orderId)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    logPaymentError('Adjustment order not found', { orderId });
+    return null;
+  }
+
+  const adjustmentRef = snapshot.docs[0].ref;
+  const paymentStatus = payment?.status;
+  // Whether this call applied the changes (the callback, verify and webhook race)
+  let applied = false;
+
+  const status = await db.runTransaction(async (transaction) => {
+    applied = false;
+    const adjustmentDoc = await transaction.get(adjustmentRef);
+    const adjustment = adjustmentDoc.data();
+
+    if (['paid', 'refund_due', 'refunded'].includes(adjustment.status)) {
+      return adjustment.status;
+    }
+
+    const bookingRefs = adjustment.bookingIds.map(bookingId => db.collection('bookings').doc(bookingId));
+
+    if (paymentStatus === PAYMENT_STATUSES.success) {
+      const bookingDocs = await Promise.all(bookingRefs.map(ref => transaction.get(ref)));
+      const notApplied = adjustment.status === 'failed'
+        ? 'The payment arrived after the order had failed'
+        : await checkAdjustmentApplies(transaction, adjustmentRef.id, adjustment, bookingDocs);
+
+      // All reads are done
+      const paid = {
+        paymentId: payment.paymentId || null,
+        paidAmount: payment.amount ?? adjustment.amount,
         paidAt: new Date(),
-        updatedAt: new Date(),
+        updatedAt: new Date()
       };
-      
-      if (paymentId !== undefined && paymentId !== null) {
-        updateData.paymentId = String(paymentId);
-      }
-      
-      // Update the primary booking
-      await db.collection('bookings').doc(bookingId).update(updateData);
-      
-      // If this is a group booking, update all bookings in the group
-      if (bookingData.groupBookingId) {
-        logPayment('Group booking detected - updating all bookings in group (webhook)', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          bookingId
-        });
-        
-        const groupBookingsQuery = await db.collection('bookings')
-          .where('groupBookingId', '==', bookingData.groupBookingId)
-          .get();
-        
-        logPayment('Found bookings in group (webhook)', {
-          requestId,
-          groupBookingId: bookingData.groupBookingId,
-          count: groupBookingsQuery.docs.length
-        });
-        
-        // Update all bookings in the group with payment status
-        const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-          doc.ref.update(updateData)
-        );
-        
-        await Promise.all(groupUpdatePromises);
-        logPayment('✅ All bookings in group updated to confirmed (webhook)', { 
-          requestId, 
-          groupBookingId: bookingData.groupBookingId,
-          updatedCount: groupBookingsQuery.docs.length
-        });
+
+      if (notApplied) {
+        logPaymentError('Adjustment cannot be applied - refunding it', { orderId, reason: notApplied });
+        transaction.update(adjustmentRef, { ...paid, status: 'refund_due', refundReason: notApplied });
+        // Release whatever this adjustment still holds on the bookings
+        bookingDocs
+          .filter(doc => doc.exists && doc.data().pendingAdjustmentId === adjustmentRef.id)
+          .forEach(doc => transaction.update(doc.ref, {
+            pendingAdjustmentId: null,
+            ...(ADJUSTMENT_HOLDS[adjustment.type] ? { [ADJUSTMENT_HOLDS[adjustment.type]]: null } : {}),
+            balanceDue: 0,
+            updatedAt: new Date()
+          }));
+        // The refund is retried from the primary booking's bookkeeping until it goes through
+        transaction.update(bookingRefs[0], bookkeepingUpdates([
+          { task: 'refundAdjustment', key: `refundAdjustment_${adjustmentRef.id}`, args: { adjustmentId: adjustmentRef.id } }
+        ]));
+        return 'refund_due';
       }
-      
-      logPayment('✅ Booking updated to paid status via webhook', {
-        requestId,
-        bookingId,
-        orderId,
-        paymentId: paymentId || 'N/A',
-        isGroupBooking: !!bookingData.groupBookingId
+
+      // Each booking's share is recorded, so refunds can be capped at what was paid
+      const paidShares = {};
+      bookingDocs.forEach((bookingDoc) => {
+        const changes = adjustment.changes?.[bookingDoc.id] || {};
+        let share = adjustment.amount / adjustment.bookingIds.length;
+        if (adjustment.shares?.[bookingDoc.id] !== undefined) share = adjustment.shares[bookingDoc.id];
+        else if (changes.totalAmount !== undefined) share = Math.max(changes.totalAmount - (bookingDoc.data().totalAmount || 0), 0);
+        paidShares[bookingDoc.id] = roundAmount(share);
       });
-    } else if (paymentStatus === 'FAILED' || paymentStatus === 'USER_DROPPED') {
-      const failUpdateData = {
-        paymentStatus: 'failed',
-        paymentError: payment.payment_message || 'Payment failed',
-        updatedAt: new Date(),
-      };
-      
-      // Update the primary booking
-      await db.collection('bookings').doc(bookingId).update(failUpdateData);
-      
-      // If this is a group booking, update all bookings in the group
-      if (bookingData.groupBookingId) {
-        const groupBookingsQuery = await db.collection('bookings')
-          .where('groupBookingId', '==', bookingData.groupBookingId)
-          .get();
-        
-        const groupUpdatePromises = groupBookingsQuery.docs.map(doc => 
-          doc.ref.update(failUpdateData)
-        );
-        
-        await Promise.all(groupUpdatePromises);
-      }
-      
-      logPayment('❌ Booking updated to failed status via webhook', {
-        requestId,
-        bookingId,
-        orderId,
-        paymentStatus,
-        isGroupBooking: !!bookingData.groupBookingId
+
+      transaction.update(adjustmentRef, { ...paid, paidShares, status: 'paid' });
+
+      bookingDocs.forEach((bookingDoc, i) => {
+        const booking = bookingDoc.data();
+        transaction.update(bookingDoc.ref, {
+          ...(adjustment.changes?.[bookingDoc.id] || {}),
+          adjustmentPaidAmount: roundAmount((booking.adjustmentPaidAmount || 0) + paidShares[bookingDoc.id]),
+          pendingAdjustmentId: null,
+          balanceDue: 0,
+          updatedAt: new Date(),
+          // Invoiced separately from the booking's own payment
+          ...(i === 0 ? bookkeepingUpdates([
+            { task: 'issueAdjustmentInvoice', key: `issueAdjustmentInvoice_${adjustmentRef.id}`, args: { adjustmentId: adjustmentRef.id } }
+          ]) : {})
+        });
       });
-    } else {
-      logPayment('⚠️ Payment status not handled', {
-        requestId,
-        bookingId,
-        orderId,
-        paymentStatus,
+      applied = true;
+      return 'paid';
+    }
+
+    if (adjustment.status === 'failed') {
+      return 'failed';
+    }
+
+    if (paymentStatus === PAYMENT_STATUSES.failed || paymentStatus === PAYMENT_STATUSES.dropped || !payment) {
+      const bookingDocs = await Promise.all(bookingRefs.map(ref => transaction.get(ref)));
+
+      transaction.update(adjustmentRef, {
+        status: 'failed',
+        paymentError: payment?.message || 'Payment failed',
+        updatedAt: new Date()
       });
+
+      // Unblock further changes; an unpaid extension or reschedule is dropped, other balances stay due
+      const hold = ADJUSTMENT_HOLDS[adjustment.type];
+      bookingDocs
+        .filter(doc => doc.exists && doc.data().pendingAdjustmentId === adjustmentRef.id)
+        .forEach(doc => transaction.update(doc.ref, {
+          pendingAdjustmentId: null,
+          ...(hold ? { [hold]: null, balanceDue: 0 } : {}),
+          updatedAt: new Date()
+        }));
+      return 'failed';
     }
 
-    logPayment('✅ WEBHOOK PROCESSED', {
-      requestId,
-      bookingId,
-      orderId,
-      paymentStatus,
-    });
+    return adjustment.status;
+  });
 
-    res.json({ success: true });
+  const adjustment = (await adjustmentRef.get()).data();
+  logPayment('Adjustment order settled', { orderId, status });
+
+  if (status === 'refund_due' || applied) {
+    await runBookkeeping(adjustment.bookingIds[0]);
+  }
+  if (applied && adjustment.type === 'reschedule') {
+    await notifyRescheduled(adjustment);
+  }
 
+  return {
+    adjustmentId: adjustmentRef.id,
+    bookingId: adjustment.bookingIds[0],
+    status
+  };
+};
+
+/**
+ * Refund an adjustment payment whose changes could not be applied
+ * Runs as bookkeeping; safe to run again - a refund already made is looked up, not repeated
+ * @param {string} adjustmentId - Adjustment ID
+ * @returns {string|null} Gateway refund ID (null if nothing is due)
+ */
+const refundAdjustmentOrder = async (adjustmentId) => {
+  const adjustmentRef = db.collection('payment_adjustments').doc(adjustmentId);
+  const adjustmentDoc = await adjustmentRef.get();
+  if (!adjustmentDoc.exists || adjustmentDoc.data().status !== 'refund_due') return null;
+
+  const adjustment = adjustmentDoc.data();
+  const provider = getPaymentProvider();
+  const refundId = `REFUND_${adjustmentId}`;
+
+  let refund = null;
+  try {
+    refund = await provider.fetchRefund(adjustment.orderId, refundId);
   } catch (error) {
-    logPaymentError('❌ WEBHOOK ERROR', {
-      requestId,
-      error: error.message,
-      stack: error.stack,
-      body: req.body
+    if (error.status !== 404) throw error;
+    refund = await provider.createRefund({
+      orderId: adjustment.orderId,
+      refundId,
+      amount: adjustment.paidAmount,
+      note: adjustment.refundReason || 'Booking change could not be applied'
     });
-    res.status(500).json({ success: false, message: 'Webhook processing failed' });
+  }
+
+  if (refund.status !== REFUND_STATUSES.success && refund.status !== REFUND_STATUSES.pending) {
+    throw new Error(`Refund ${refundId} was not accepted: ${refund.message || refund.status}`);
+  }
+
+  await adjustmentRef.update({
+    status: 'refunded',
+    refundId: refund.refundId || refundId,
+    refundStatus: refund.status === REFUND_STATUSES.success ? 'processed' : 'pending',
+    refundedAt: new Date(),
+    updatedAt: new Date()
+  });
+  logPayment('Adjustment payment refunded', { adjustmentId, refundId, status: refund.status });
+  return refund.refundId || refundId;
+};
+
+/**
+ * Pass orders pay for a prepaid hour pack or membership. They are separate
+ * gateway orders with PASS_ ids; the pass stays pending until paid.
+ */
+const PASS_ORDER_PREFIX = 'PASS_';
+
+const isPassOrderId = (orderId) => typeof orderId === 'string' && orderId.startsWith(PASS_ORDER_PREFIX);
+
+/**
+ * Create a gateway order for a pending pass
+ * @param {Object} pass - Pending pass (with id)
+ * @param {Object} user - Paying user (id, name, email, phone)
+ * @returns {Object} { orderId, paymentSessionId, checkoutUrl, amount }
+ */
+const createPassOrder = async (pass, user) => {
+  if (!getPaymentProvider().isConfigured()) {
+    throw new Error('Server config error - Missing payment gateway credentials');
+  }
+
+  const orderId = `${PASS_ORDER_PREFIX}${pass.id}_${Date.now()}`;
+  const orderAmount = parseFloat(Number(pass.price).toFixed(2));
+
+  logPayment('Creating pass order', { orderId, passId: pass.id, amount: orderAmount });
+
+  const { paymentSessionId, checkoutUrl } = await createGatewayOrder({
+    orderId,
+    amount: orderAmount,
+    note: `${pass.name} (${pass.type === 'membership' ? 'membership' : 'hour pack'})`,
+    customer: user
+  });
+
+  await db.collection('passes').doc(pass.id).update({
+    orderId,
+    paymentSessionId,
+    updatedAt: new Date()
+  });
+
+  logPayment('✅ Pass order created', { orderId, passId: pass.id });
+
+  return { orderId, paymentSessionId, checkoutUrl, amount: orderAmount };
+};
+
+/**
+ * Record the outcome of a pass order and, once paid, activate the pass
+ * Safe to call more than once for the same order (callback, verify and webhook all do)
+ * @param {string} orderId - Pass order ID
+ * @param {Object|null} payment - Gateway payment (status, paymentId, amount, message)
+ * @returns {Object|null} { passId, status } or null if the order is unknown
+ */
+const settlePassOrder = async (orderId, payment) => {
+  const snapshot = await db.collection('passes')
+    .where('orderId', '==', orderId)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    logPaymentError('Pass order not found', { orderId });
+    return null;
+  }
+
+  const passRef = snapshot.docs[0].ref;
+  const paymentStatus = payment?.status;
+
+  const status = await db.runTransaction(async (transaction) => {
+    const passDoc = await transaction.get(passRef);
+    const pass = passDoc.data();
+
+    if (pass.status === 'active') {
+      return 'active';
+    }
+
+    if (paymentStatus === PAYMENT_STATUSES.success) {
+      // Memberships bought early queue up behind the one still running
+      const existingSnapshot = await transaction.get(db.collection('passes')
+        .where('userId', '==', pass.userId)
+        .where('planId', '==', pass.planId)
+        .where('status', '==', 'active'));
+      const paidAt = new Date();
+      const period = getPassPeriod(pass, existingSnapshot.docs.map(doc => doc.data()), paidAt);
+
+      transaction.update(passRef, {
+        status: 'active',
+        ...period,
+        paymentId: payment.paymentId || null,
+        paidAmount: payment.amount ?? pass.price,
+        paidAt,
+        updatedAt: new Date()
+      });
+      return 'active';
+    }
+
+    if (paymentStatus === PAYMENT_STATUSES.failed || paymentStatus === PAYMENT_STATUSES.dropped || !payment) {
+      transaction.update(passRef, {
+        status: 'failed',
+        paymentError: payment?.message || 'Payment failed',
+        updatedAt: new Date()
+      });
+      return 'failed';
+    }
+
+    return pass.status;
+  });
+
+  logPayment('Pass order settled', { orderId, passId: passRef.id, status });
+
+  return {
+    passId: passRef.id,
+    status
+  };
+};
+
+/**
+ * @desc    Pay a mock gateway order, standing in for the gateway's hosted checkout
+ *          ?outcome= success, failed, pending or dropped; ?redirect=false returns JSON instead
+ * @route   GET /api/payments/mock/checkout?order_id=
+ * @access  Public (mock provider only)
+ */
+const completeMockCheckout = async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (!provider.completeCheckout) {
+      return res.status(404).json({ success: false, message: `Route ${req.originalUrl} not found` });
+    }
+
+    const { order_id, outcome, redirect } = req.query;
+    if (!order_id) {
+      return res.status(400).json({ success: false, message: 'Order ID is required' });
+    }
+
+    const result = await provider.completeCheckout(order_id, outcome);
+    logPayment('Mock checkout completed', { orderId: order_id, outcome, paymentStatus: result.payment.status });
+
+    if (redirect === 'false') {
+      return res.json({ success: true, data: result });
+    }
+    res.redirect(result.redirectUrl);
+  } catch (error) {
+    logPaymentError('Mock checkout failed', { error: error.message, query: req.query });
+    res.status(error.status || 500).json({ success: false, message: error.message });
   }
 };
 
@@ -1183,4 +1698,15 @@ module.exports = {
   verifyPayment,
   verifyPaymentPost,
   handleWebhook,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  completeMockCheckout,
+  isAdjustmentOrderId,
+  createAdjustmentOrder,
+  settleAdjustmentOrder,
+  refundAdjustmentOrder,
+  isPassOrderId,
+  createPassOrder,
+  settlePassOrder,
 };
\ No newline at end of file
@@ -0,0 +1,331 @@
+const { db } = require('../config/firebase');
+const { validationResult } = require('express-validator');
+const promoService = require('../services/promoService');
+const { roundAmount } = require('../services/pricingService');
+
+// Fields an owner may change after creating a code (the code and discount stay fixed once in use)
+const PROMO_UPDATABLE_FIELDS = [
+  'description',
+  'minSpend',
+  'maxDiscount',
+  'validFrom',
+  'validUntil',
+  'perUserLimit',
+  'totalLimit',
+  'firstBookingOnly',
+  'stationTypes',
+  'isActive'
+];
+
+/**
+ * Get a cafe the requesting owner owns
+ * @param {string} cafeId - Cafe ID
+ * @param {Object} res - Express response (404/403 is sent here)
+ * @param {string} userId - Requesting owner ID
+ * @returns {Object|null} Cafe data (with id), or null if a response was sent
+ */
+const getOwnedCafe = async (cafeId, res, userId) => {
+  const cafeDoc = await db.collection('cafes').doc(cafeId).get();
+
+  if (!cafeDoc.exists) {
+    res.status(404).json({
+      success: false,
+      message: 'Cafe not found'
+    });
+    return null;
+  }
+
+  const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+
+  // Check ownership
+  if (cafe.ownerId !== userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this cafe'
+    });
+    return null;
+  }
+
+  return cafe;
+};
+
+/**
+ * Pick the promo fields present in a request body, converted for storage
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields to pick
+ * @returns {Object} Promo fields
+ */
+const pickPromoFields = (body, fields) => {
+  const data = {};
+  fields.forEach((field) => {
+    if (body[field] === undefined) return;
+    if (['validFrom', 'validUntil'].includes(field)) {
+      data[field] = body[field] ? new Date(body[field]) : null;
+    } else if (['discountValue', 'minSpend', 'maxDiscount'].includes(field)) {
+      data[field] = body[field] === null ? null : parseFloat(body[field]);
+    } else if (['perUserLimit', 'totalLimit'].includes(field)) {
+      data[field] = body[field] === null ? null : parseInt(body[field], 10);
+    } else {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+/**
+ * Sum a code's applied redemptions - what the campaign has cost so far
+ * @param {Array<Object>} redemptions - Redemption data
+ * @returns {Object} { redemptions, totalDiscount, totalOrderAmount }
+ */
+const summarizeRedemptions = (redemptions) => {
+  const applied = redemptions.filter(r => r.status === 'applied');
+  return {
+    redemptions: applied.length,
+    totalDiscount: roundAmount(applied.reduce((sum, r) => sum + (r.discountAmount || 0), 0)),
+    totalOrderAmount: roundAmount(applied.reduce((sum, r) => sum + (r.orderAmount || 0), 0))
+  };
+};
+
+/**
+ * @desc    Create a promo code for a cafe
+ * @route   POST /api/cafes/:id/promo-codes
+ * @access  Private/Owner
+ */
+const createPromoCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const code = promoService.normalizeCode(req.body.code);
+    const existing = await db.collection('promo_codes')
+      .where('cafeId', '==', cafe.id)
+      .where('code', '==', code)
+      .get();
+
+    if (!existing.empty) {
+      return res.status(400).json({
+        success: false,
+        message: `This cafe already has a promo code ${code}`
+      });
+    }
+
+    const promo = {
+      code,
+      cafeId: cafe.id,
+      discountType: req.body.discountType,
+      discountValue: null,
+      minSpend: null,
+      maxDiscount: null,
+      validFrom: null,
+      validUntil: null,
+      perUserLimit: null,
+      totalLimit: null,
+      firstBookingOnly: false,
+      stationTypes: [],
+      description: null,
+      isActive: true,
+      ...pickPromoFields(req.body, ['discountValue', ...PROMO_UPDATABLE_FIELDS]),
+      redemptionCount: 0,
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    if (promo.discountType === 'percentage' && promo.discountValue > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'A percentage discount cannot be more than 100'
+      });
+    }
+
+    if (promo.validFrom && promo.validUntil && promo.validUntil <= promo.validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code must end after it starts'
+      });
+    }
+
+    const promoRef = db.collection('promo_codes').doc();
+    await promoRef.set(promo);
+
+    console.log('🏷️ [PROMO] Created promo code', { promoId: promoRef.id, cafeId: cafe.id, code });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created',
+      data: { promoCode: promoService.serializePromoDoc(await promoRef.get()) }
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a cafe's promo codes with what each has cost so far
+ * @route   GET /api/cafes/:id/promo-codes
+ * @access  Private/Owner
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const [promoSnapshot, redemptionSnapshot] = await Promise.all([
+      db.collection('promo_codes').where('cafeId', '==', cafe.id).get(),
+      db.collection('promo_redemptions').where('cafeId', '==', cafe.id).get()
+    ]);
+
+    const redemptions = redemptionSnapshot.docs.map(doc => doc.data());
+    const promoCodes = promoSnapshot.docs
+      .map(doc => ({
+        ...promoService.serializePromoDoc(doc),
+        summary: summarizeRedemptions(redemptions.filter(r => r.promoCodeId === doc.id))
+      }))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    // Platform codes used here are funded by the platform, not the cafe
+    const cafeFunded = redemptions.filter(r => r.fundedBy === 'cafe');
+    const platformFunded = redemptions.filter(r => r.fundedBy === 'platform');
+
+    res.json({
+      success: true,
+      data: {
+        promoCodes,
+        totals: {
+          cafeFunded: summarizeRedemptions(cafeFunded),
+          platformFunded: summarizeRedemptions(platformFunded)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update a cafe promo code (limits, validity, active flag)
+ * @route   PUT /api/cafes/:id/promo-codes/:promoId
+ * @access  Private/Owner
+ */
+const updatePromoCode = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const promoRef = db.collection('promo_codes').doc(req.params.promoId);
+    const promoDoc = await promoRef.get();
+
+    if (!promoDoc.exists || promoDoc.data().cafeId !== cafe.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const updates = pickPromoFields(req.body, PROMO_UPDATABLE_FIELDS);
+    const merged = { ...promoDoc.data(), ...updates };
+    const validFrom = merged.validFrom?.toDate ? merged.validFrom.toDate() : merged.validFrom;
+    const validUntil = merged.validUntil?.toDate ? merged.validUntil.toDate() : merged.validUntil;
+
+    if (validFrom && validUntil && validUntil <= validFrom) {
+      return res.status(400).json({
+        success: false,
+        message: 'Promo code must end after it starts'
+      });
+    }
+
+    await promoRef.update({
+      ...updates,
+      updatedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Promo code updated',
+      data: { promoCode: promoService.serializePromoDoc(await promoRef.get()) }
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a promo code's redemptions at a cafe with the campaign cost
+ * @route   GET /api/cafes/:id/promo-codes/:promoId/redemptions
+ * @access  Private/Owner
+ */
+const getPromoRedemptions = async (req, res) => {
+  try {
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const promoDoc = await db.collection('promo_codes').doc(req.params.promoId).get();
+
+    // Owners can see their own codes and platform codes redeemed at their cafe
+    if (!promoDoc.exists || (promoDoc.data().cafeId && promoDoc.data().cafeId !== cafe.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const snapshot = await db.collection('promo_redemptions')
+      .where('promoCodeId', '==', promoDoc.id)
+      .get();
+
+    const redemptions = snapshot.docs
+      .map(doc => promoService.serializePromoDoc(doc))
+      .filter(r => r.cafeId === cafe.id)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    res.json({
+      success: true,
+      data: {
+        promoCode: promoService.serializePromoDoc(promoDoc),
+        summary: summarizeRedemptions(redemptions),
+        redemptions
+      }
+    });
+  } catch (error) {
+    console.error('Get promo redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createPromoCode,
+  getPromoCodes,
+  updatePromoCode,
+  getPromoRedemptions
+};
@@ -1,21 +1,10 @@
-const axios = require('axios');
 const { db } = require('../config/firebase');
-
-// Cashfree Configuration
-const CASHFREE_CLIENT_ID = process.env.CASHFREE_CLIENT_ID;
-const CASHFREE_CLIENT_SECRET = process.env.CASHFREE_CLIENT_SECRET;
-const CASHFREE_API_VERSION = process.env.CASHFREE_API_VERSION || '2023-08-01';
-const CASHFREE_BASE_URL = process.env.CASHFREE_BASE_URL || 'https://api.cashfree.com';
-
-// Cashfree Auth Headers
-function getCashfreeAuthHeaders() {
-  return {
-    'x-client-id': CASHFREE_CLIENT_ID,
-    'x-client-secret': CASHFREE_CLIENT_SECRET,
-    'x-api-version': CASHFREE_API_VERSION,
-    'Content-Type': 'application/json',
-  };
-}
+const { toDate, toInstant } = require('../utils/timeUtils');
+const { canTransition, recordHistory, buildHistoryEntry, SYSTEM_ACTORS } = require('../services/bookingStatusService');
+const { roundAmount } = require('../services/pricingService');
+const walletService = require('../services/walletService');
+const { bookkeepingUpdates, runBookkeeping } = require('../services/bookkeepingService');
+const { getPaymentProvider, REFUND_STATUSES } = require('../services/paymentProviders');
 
 // Logging helper
 const logRefund = (message, data = null) => {
@@ -39,9 +28,20 @@ const logRefundError = (message, error = null) => {
 /**
  * Calculate refund amount based on cancellation policy
  * Full refund if cancelled before 1 hour of booking slot, otherwise no refund
+ * No-show bookings are never refunded, and promo discounts and pass cover are not refunded
+ * A booking the cafe cancelled is refunded in full whatever the notice
  */
 function calculateRefundAmount(booking) {
-  const bookingDateTime = new Date(`${booking.bookingDate}T${booking.startTime}`);
+  // Customers who never turned up forfeit the booking
+  if (booking.status === 'no_show') {
+    logRefund('No refund eligible - booking marked as no-show');
+    return 0;
+  }
+
+  // Prefer the stored absolute start - the legacy fields are IST wall-clock values
+  const bookingDateTime = booking.startAt
+    ? toDate(booking.startAt)
+    : toInstant(booking.bookingDate, booking.startTime);
   const now = new Date();
   const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
   
@@ -55,9 +55,19 @@ function calculateRefundAmount(booking) {
   });
   
   // Full refund if cancelled 1+ hours before booking start time
-  if (hoursUntilBooking >= 1) {
-    logRefund('Full refund eligible', { refundAmount: booking.totalAmount });
-    return booking.totalAmount;
+  // (of what was paid - a promo discount was never charged, and pass hours and loyalty points go back to the customer)
+  if (hoursUntilBooking >= 1 || booking.cancelledByCafe) {
+    const refundAmount = Math.max(
+      booking.totalAmount - (booking.discountAmount || 0) - (booking.passAmount || 0) - (booking.pointsAmount || 0),
+      0
+    );
+    logRefund('Full refund eligible', {
+      refundAmount,
+      discountAmount: booking.discountAmount || 0,
+      passAmount: booking.passAmount || 0,
+      pointsAmount: booking.pointsAmount || 0
+    });
+    return refundAmount;
   }
   
   // No refund if cancelled less than 1 hour before booking
@@ -65,10 +75,483 @@ function calculateRefundAmount(booking) {
   return 0;
 }
 
+/**
+ * Bookkeeping that settles a refund: a credit note against the invoice, points
+ * the booking earned taken back in proportion to the refund, and for a full
+ * refund the points spent on it given back
+ * @param {string} refundId - Refund ID
+ * @param {number} refundAmount - Amount refunded
+ * @param {boolean} partial - Whether the booking stays paid
+ * @param {string} reason - Refund reason
+ * @returns {Array<Object>} Tasks for bookkeepingService
+ */
+const getRefundTasks = (refundId, refundAmount, partial, reason) => {
+  const description = reason || 'Booking refunded';
+  return [
+    { task: 'issueCreditNote', key: `creditNote_${refundId}`, args: { refundAmount, refundId, reason } },
+    { task: 'reversePoints', key: `reversePoints_${refundId}`, args: { refundAmount, reason: description, refundId } },
+    !partial && { task: 'returnPoints', args: { reason: description } }
+  ].filter(Boolean);
+};
+
+/**
+ * What the customer paid for a booking, by where it came from: its share of
+ * the payment order, adjustment orders it settled and the wallet
+ * @param {Object} booking - Booking data
+ * @param {string} bookingId - Booking ID
+ * @returns {Object} { order, adjustments, wallet }
+ */
+const getPaidAmounts = (booking, bookingId) => {
+  let order = 0;
+  if (booking.paymentId) {
+    // Group bookings paid before paidAmount was recorded per booking carry the whole order's total
+    const item = (booking.priceBreakdown?.items || []).find(i => i.bookingId === bookingId);
+    order = item ? item.payableAmount : booking.paidAmount || 0;
+    if (typeof booking.paidAmount === 'number') order = Math.min(order, booking.paidAmount);
+  }
+  return {
+    order: roundAmount(order),
+    adjustments: roundAmount(booking.adjustmentPaidAmount || 0),
+    // A released booking's wallet share may already have gone back
+    wallet: booking.walletReturned ? 0 : roundAmount(booking.walletAmount || 0)
+  };
+};
+
+/**
+ * Work out how much of a refund goes where (pure)
+ * Refunds are capped at what was paid less what was already refunded. What was
+ * paid from the wallet goes back to the wallet, and so does everything with
+ * refundTo 'wallet'. The gateway can only give back what the payment order
+ * took, so anything beyond that (e.g., an extension paid separately) goes to the wallet.
+ * @param {Object} booking - Booking data
+ * @param {string} bookingId - Booking ID
+ * @param {Object} options - { amount (defaults to the cancellation policy),
+ *   full (everything still refundable), refundTo }
+ * @returns {Object} { refundAmount, toWallet, toGateway }
+ * @throws {Error} NOT_REFUNDABLE: / REFUND_EXCEEDED:
+ */
+const planRefund = (booking, bookingId, { amount, full = false, refundTo = 'source' } = {}) => {
+  if (booking.paymentStatus !== 'paid' || (!booking.paymentId && !(booking.walletAmount > 0))) {
+    throw new Error('NOT_REFUNDABLE:No payment found to refund');
+  }
+
+  const paid = getPaidAmounts(booking, bookingId);
+  const refunded = roundAmount(booking.refundAmount || 0);
+  // Refunds still pending at the gateway hold their wallet share until they settle
+  const walletReserved = Object.values(booking.pendingRefunds || {}).reduce((sum, pending) => sum + (pending.toWallet || 0), 0);
+  const walletRefunded = roundAmount((booking.walletRefundAmount || 0) + walletReserved);
+  const refundable = roundAmount(Math.max(paid.order + paid.adjustments + paid.wallet - refunded, 0));
+
+  let refundAmount;
+  if (full) {
+    if (refundable <= 0) {
+      throw new Error('NOT_REFUNDABLE:This booking has already been refunded');
+    }
+    refundAmount = refundable;
+  } else if (amount !== undefined) {
+    refundAmount = roundAmount(amount);
+    if (refundAmount > refundable) {
+      throw new Error(`REFUND_EXCEEDED:Only ₹${refundable} of this booking can still be refunded`);
+    }
+  } else {
+    const policyAmount = calculateRefundAmount(booking);
+    if (policyAmount > 0 && refundable <= 0) {
+      throw new Error('NOT_REFUNDABLE:This booking has already been refunded');
+    }
+    refundAmount = roundAmount(Math.min(policyAmount, refundable));
+  }
+
+  let toWallet = refundTo === 'wallet' && booking.userId
+    ? refundAmount
+    : Math.min(refundAmount, Math.max(paid.wallet - walletRefunded, 0));
+  let toGateway = roundAmount(refundAmount - toWallet);
+  const gatewayLeft = roundAmount(Math.max(paid.order - (refunded - walletRefunded), 0));
+  if (toGateway > gatewayLeft) {
+    toWallet += toGateway - gatewayLeft;
+    toGateway = gatewayLeft;
+  }
+
+  return { refundAmount, toWallet: roundAmount(toWallet), toGateway };
+};
+
+/**
+ * Queue the booking's move to refunded after a full refund, where the lifecycle allows it
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} bookingRef - Booking reference
+ * @param {Object} booking - Booking data read in the transaction
+ * @param {string} reason - Refund reason
+ * @returns {Object} Status fields to add to the booking update
+ */
+const queueRefundedTransition = (transaction, bookingRef, booking, reason) => {
+  if (!canTransition(booking.status, 'refunded')) return {};
+  recordHistory(transaction, bookingRef, buildHistoryEntry({
+    fromStatus: booking.status,
+    toStatus: 'refunded',
+    actor: SYSTEM_ACTORS.refund,
+    reason
+  }));
+  return { status: 'refunded', statusChangedAt: new Date() };
+};
+
+// Bookings picked up per sweep
+const SETTLE_BATCH_SIZE = 100;
+
+// A refund the gateway still does not know this long after it was reserved was never requested
+const UNREQUESTED_REFUND_MINUTES = 10;
+
+/**
+ * Booking refundStatus for a gateway refund status
+ * @param {string} status - REFUND_STATUSES value
+ * @returns {string} 'processed', 'failed' or 'pending'
+ */
+const toRefundStatus = (status) => {
+  if (status === REFUND_STATUSES.success) return 'processed';
+  if (status === REFUND_STATUSES.cancelled) return 'failed';
+  return 'pending';
+};
+
+/**
+ * Settle a gateway refund reserved on a booking, once the gateway has decided it
+ * A processed refund credits its wallet share and applies its bookkeeping, and
+ * a full one moves the booking to refunded. A cancelled one gives back its
+ * reservation so the money can be refunded again. One still pending is left
+ * for the settlePendingRefunds sweep. Safe to run more than once - a refund is
+ * only settled while it is reserved.
+ * @param {string} bookingId - Booking ID
+ * @param {string} refundId - Refund ID (key in booking.pendingRefunds)
+ * @param {string} status - REFUND_STATUSES value from the gateway
+ * @returns {Object|null} { refundStatus, walletBalance }, or null if the refund is not reserved
+ */
+const settleRefund = async (bookingId, refundId, status) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const refundStatus = toRefundStatus(status);
+
+  const settlement = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    const pending = booking?.pendingRefunds?.[refundId];
+    if (!pending) return null;
+
+    // The booking's refund fields describe its latest refund
+    const isLatest = booking.refundId === refundId;
+    if (refundStatus === 'pending') {
+      if (isLatest && booking.refundStatus !== 'pending') {
+        transaction.update(bookingRef, { refundStatus, refundMethod: pending.refundMethod, updatedAt: new Date() });
+      }
+      return { refundStatus, walletBalance: null };
+    }
+
+    const wallet = refundStatus === 'processed' && pending.toWallet > 0
+      ? await walletService.getWallet(transaction, booking.userId)
+      : null;
+
+    // All reads are done
+    const pendingRefunds = { ...booking.pendingRefunds };
+    delete pendingRefunds[refundId];
+    const release = {
+      pendingRefunds,
+      refundPending: Object.keys(pendingRefunds).length > 0,
+      ...(isLatest ? { refundStatus } : {}),
+      updatedAt: new Date()
+    };
+
+    if (refundStatus === 'failed') {
+      transaction.update(bookingRef, {
+        ...release,
+        refundAmount: roundAmount(Math.max((booking.refundAmount || 0) - pending.amount, 0))
+      });
+      return { refundStatus, walletBalance: null };
+    }
+
+    if (wallet) {
+      walletService.queueWalletEntry(transaction, wallet, {
+        type: 'credit',
+        amount: pending.toWallet,
+        source: walletService.WALLET_ENTRY_SOURCES.refund,
+        bookingIds: [bookingId],
+        refundId,
+        description: pending.description
+      });
+    }
+    transaction.update(bookingRef, {
+      ...release,
+      ...(isLatest ? { refundMethod: pending.refundMethod, refundReason: pending.description } : {}),
+      walletRefundAmount: roundAmount((booking.walletRefundAmount || 0) + pending.toWallet),
+      paymentStatus: pending.partial ? booking.paymentStatus : 'refunded',
+      refundedAt: new Date(),
+      ...bookkeepingUpdates(getRefundTasks(refundId, pending.amount, pending.partial, pending.reason)),
+      // A fully refunded cancelled/no-show booking ends its lifecycle as refunded
+      ...(pending.partial ? {} : queueRefundedTransition(transaction, bookingRef, booking, pending.description))
+    });
+    return { refundStatus, walletBalance: wallet ? wallet.balance : null };
+  });
+
+  if (settlement && settlement.refundStatus !== 'pending') {
+    logRefund('Gateway refund settled', { bookingId, refundId, refundStatus: settlement.refundStatus });
+  }
+  if (settlement?.refundStatus === 'processed') {
+    await runBookkeeping(bookingId);
+  }
+  return settlement;
+};
+
+/**
+ * Ask the gateway about a reserved refund and settle it if it has been decided
+ * @param {string} bookingId - Booking ID
+ * @param {string} refundId - Refund ID
+ * @param {Object} pending - The refund's entry in booking.pendingRefunds
+ * @returns {Object|null} As for settleRefund
+ */
+const checkPendingRefund = async (bookingId, refundId, pending) => {
+  let status;
+  try {
+    status = (await getPaymentProvider().fetchRefund(pending.orderId, refundId)).status;
+  } catch (error) {
+    // Reserved but never requested (the request to the gateway did not get through)
+    const reservedFor = Date.now() - toDate(pending.startedAt).getTime();
+    if (error.status !== 404 || reservedFor < UNREQUESTED_REFUND_MINUTES * 60 * 1000) throw error;
+    status = REFUND_STATUSES.cancelled;
+  }
+  return settleRefund(bookingId, refundId, status);
+};
+
+/**
+ * Settle gateway refunds that were still pending when requested
+ * Called by the scheduled settlePendingRefunds function
+ * @returns {number} Refunds settled
+ */
+const settlePendingRefunds = async () => {
+  const snapshot = await db.collection('bookings')
+    .where('refundPending', '==', true)
+    .limit(SETTLE_BATCH_SIZE)
+    .get();
+
+  let settled = 0;
+  for (const bookingDoc of snapshot.docs) {
+    for (const [refundId, pending] of Object.entries(bookingDoc.data().pendingRefunds || {})) {
+      try {
+        const settlement = await checkPendingRefund(bookingDoc.id, refundId, pending);
+        if (settlement && settlement.refundStatus !== 'pending') settled += 1;
+      } catch (error) {
+        logRefundError('Failed to check pending refund', { bookingId: bookingDoc.id, refundId, error: error.message });
+      }
+    }
+  }
+  return settled;
+};
+
+/**
+ * Refund a booking
+ * The cap check, any wallet credit and the booking update happen in one
+ * transaction. A gateway refund is reserved in that transaction (so a second
+ * request cannot refund the same money), requested, then settled with
+ * settleRefund - straight away, or by the settlePendingRefunds sweep if the
+ * gateway accepts it as pending.
+ * @param {string} bookingId - Booking ID
+ * @param {Object} options
+ * @param {number} options.amount - Amount to refund (defaults to the cancellation policy)
+ * @param {boolean} options.full - Refund everything still refundable, whatever the policy
+ * @param {boolean} options.partial - Refund part of the payment and keep the booking paid
+ *   (e.g., a reschedule to a cheaper slot)
+ * @param {string} options.reason - Refund reason
+ * @param {string} options.refundTo - 'source' (back through the gateway) or 'wallet' (instant)
+ * @returns {Object} { refundId, refundAmount, refundStatus, refundMethod, walletAmount, walletBalance }
+ * @throws {Error} NOT_FOUND: / NOT_REFUNDABLE: / REFUND_EXCEEDED: / REFUND_IN_PROGRESS: /
+ *   REFUND_FAILED: (with status and details from the gateway)
+ */
+const processRefund = async (bookingId, { amount, full = false, partial = false, reason, refundTo = 'source' } = {}) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const description = reason || 'Booking cancelled';
+  const provider = getPaymentProvider();
+
+  const plan = await db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new Error(`NOT_FOUND:Booking ${bookingId} not found`);
+    }
+    const booking = bookingDoc.data();
+    if (booking.refundStatus === 'initiating') {
+      throw new Error('REFUND_IN_PROGRESS:A refund for this booking is already being processed');
+    }
+
+    const { refundAmount, toWallet, toGateway } = planRefund(booking, bookingId, { amount, full, refundTo });
+    logRefund('Refund split', { bookingId, refundTo, refundAmount, toWallet, toGateway });
+
+    if (refundAmount <= 0) {
+      const isNoShow = booking.status === 'no_show';
+      transaction.update(bookingRef, {
+        refundStatus: 'not_eligible',
+        refundReason: reason || (isNoShow
+          ? 'Booking marked as no-show - no refund eligible'
+          : 'Cancelled within 1 hour of booking - no refund eligible'),
+        updatedAt: new Date()
+      });
+      return { refundAmount: 0, isNoShow };
+    }
+
+    const totalRefunded = roundAmount((booking.refundAmount || 0) + refundAmount);
+
+    if (toGateway <= 0) {
+      const refundId = `WALLET_REF_${bookingId}_${Date.now()}`;
+      const wallet = await walletService.getWallet(transaction, booking.userId);
+      walletService.queueWalletEntry(transaction, wallet, {
+        type: 'credit',
+        amount: toWallet,
+        source: walletService.WALLET_ENTRY_SOURCES.refund,
+        bookingIds: [bookingId],
+        refundId,
+        description
+      });
+      transaction.update(bookingRef, {
+        refundId,
+        refundAmount: totalRefunded,
+        refundStatus: 'processed',
+        refundMethod: 'wallet',
+        walletRefundAmount: roundAmount((booking.walletRefundAmount || 0) + toWallet),
+        paymentStatus: partial ? booking.paymentStatus : 'refunded',
+        refundReason: description,
+        refundedAt: new Date(),
+        updatedAt: new Date(),
+        ...bookkeepingUpdates(getRefundTasks(refundId, refundAmount, partial, reason)),
+        ...(partial ? {} : queueRefundedTransition(transaction, bookingRef, booking, description))
+      });
+      return { refundId, refundAmount, toWallet, toGateway: 0, refundStatus: 'processed', walletBalance: wallet.balance };
+    }
+
+    if (!provider.isConfigured()) {
+      throw Object.assign(new Error('REFUND_FAILED:Server configuration error - Missing payment gateway credentials'), { status: 500 });
+    }
+    // The order ID is stored on the booking as paymentTransactionId
+    if (!booking.paymentTransactionId) {
+      throw new Error('NOT_REFUNDABLE:Order ID not found');
+    }
+
+    const refundId = `REF_${bookingId}_${Date.now()}`;
+    transaction.update(bookingRef, {
+      refundId,
+      refundStatus: 'initiating',
+      pendingRefunds: {
+        ...(booking.pendingRefunds || {}),
+        [refundId]: {
+          amount: refundAmount,
+          toWallet,
+          toGateway,
+          partial,
+          reason: reason || null,
+          description,
+          refundMethod: toWallet > 0 ? 'split' : 'source',
+          orderId: booking.paymentTransactionId,
+          startedAt: new Date()
+        }
+      },
+      refundPending: true,
+      refundAmount: totalRefunded,
+      updatedAt: new Date()
+    });
+    return { refundId, refundAmount, toWallet, toGateway, orderId: booking.paymentTransactionId };
+  });
+
+  if (plan.refundAmount <= 0) {
+    logRefund('=== REFUND NOT ELIGIBLE ===', { bookingId, isNoShow: plan.isNoShow });
+    return { refundAmount: 0, refundStatus: 'not_eligible', isNoShow: plan.isNoShow };
+  }
+
+  let refundMethod = 'wallet';
+  if (plan.toGateway > 0) {
+    logRefund('Requesting gateway refund', {
+      provider: provider.name,
+      orderId: plan.orderId,
+      refundAmount: plan.toGateway,
+      refundId: plan.refundId
+    });
+
+    let refundResult = null;
+    let gatewayError = null;
+    try {
+      refundResult = await provider.createRefund({
+        orderId: plan.orderId,
+        refundId: plan.refundId,
+        amount: parseFloat(plan.toGateway.toFixed(2)),
+        note: description
+      });
+      logRefund('Gateway refund response received', refundResult);
+    } catch (apiError) {
+      gatewayError = apiError;
+    }
+
+    const accepted = refundResult
+      && (refundResult.status === REFUND_STATUSES.success || refundResult.status === REFUND_STATUSES.pending);
+    refundMethod = plan.toWallet > 0 ? 'split' : 'source';
+
+    // Settle the reservation now, or leave it for the sweep while the gateway has it pending
+    const status = accepted ? refundResult.status : REFUND_STATUSES.cancelled;
+    const settlement = await settleRefund(bookingId, plan.refundId, status);
+
+    if (!accepted) {
+      logRefundError('Gateway refund failed', {
+        bookingId,
+        orderId: plan.orderId,
+        error: gatewayError?.message,
+        response: gatewayError?.details || refundResult,
+        status: gatewayError?.status
+      });
+      throw Object.assign(
+        new Error(`REFUND_FAILED:${gatewayError?.message || refundResult?.message || 'Refund failed'}`),
+        { status: gatewayError ? gatewayError.status || 500 : 400, details: gatewayError ? gatewayError.details : refundResult }
+      );
+    }
+
+    plan.refundStatus = settlement ? settlement.refundStatus : toRefundStatus(status);
+    plan.walletBalance = settlement?.walletBalance;
+  } else {
+    await runBookkeeping(bookingId);
+  }
+
+  logRefund('=== REFUND PROCESSED ===', {
+    bookingId,
+    refundId: plan.refundId,
+    refundAmount: plan.refundAmount,
+    refundStatus: plan.refundStatus,
+    refundMethod
+  });
+
+  return {
+    refundId: plan.refundId,
+    refundAmount: plan.refundAmount,
+    refundStatus: plan.refundStatus,
+    refundMethod,
+    walletAmount: plan.toWallet,
+    walletBalance: plan.walletBalance ?? null
+  };
+};
+
+// Error prefixes from processRefund and the HTTP status they map to
+const REFUND_ERROR_STATUSES = {
+  'NOT_FOUND:': 404,
+  'NOT_REFUNDABLE:': 400,
+  'REFUND_EXCEEDED:': 400,
+  'REFUND_IN_PROGRESS:': 409,
+  'REFUND_FAILED:': 500
+};
+
+/**
+ * Whether a user is the booking's customer or the owner of its cafe
+ * @param {Object} booking - Booking data
+ * @param {string} userId - Requesting user ID
+ * @returns {Object} { isCafeOwner, isCustomer }
+ */
+const getRefundRequester = async (booking, userId) => {
+  const cafeDoc = booking.cafeId ? await db.collection('cafes').doc(booking.cafeId).get() : null;
+  return {
+    isCafeOwner: !!cafeDoc?.exists && cafeDoc.data().ownerId === userId,
+    isCustomer: !!booking.userId && booking.userId === userId
+  };
+};
+
 /**
  * @desc    Initiate refund
  * @route   POST /api/payments/:bookingId/refund
- * @access  Private
+ * @access  Private (the booking's customer, once cancelled, or the cafe owner)
  */
 const initiateRefund = async (req, res) => {
   try {
@@ -81,201 +564,68 @@ const initiateRefund = async (req, res) => {
     });
 
     const { bookingId } = req.params;
+    // amount/partial: the cafe can refund part of a payment and keep the booking paid
+    // refundTo: 'wallet' credits the customer's wallet instantly instead of going back through the gateway
     const { reason, amount } = req.body;
-    
-    // Get booking
-    logRefund('Fetching booking from database', { bookingId });
+    const partial = req.body.partial === true;
+    const refundTo = req.body.refundTo === 'wallet' ? 'wallet' : 'source';
+
     const bookingDoc = await db.collection('bookings').doc(bookingId).get();
     if (!bookingDoc.exists) {
       logRefundError('Booking not found', { bookingId });
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
-    
     const booking = bookingDoc.data();
-    logRefund('Booking found', {
-      bookingId,
-      paymentStatus: booking.paymentStatus,
-      paymentId: booking.paymentId,
-      totalAmount: booking.totalAmount
-    });
-    
-    // Check if payment was made
-    if (booking.paymentStatus !== 'paid' || !booking.paymentId) {
-      logRefundError('No payment found to refund', {
-        bookingId,
-        paymentStatus: booking.paymentStatus,
-        hasPaymentId: !!booking.paymentId
-      });
-      return res.status(400).json({ 
-        success: false, 
-        message: 'No payment found to refund' 
-      });
-    }
-    
-    // Calculate refund amount based on cancellation policy
-    logRefund('Calculating refund amount');
-    const refundAmount = amount !== undefined ? amount : calculateRefundAmount(booking);
-    logRefund('Refund amount calculated', { refundAmount });
-    
-    if (refundAmount === 0) {
-      logRefund('No refund eligible - updating booking status');
-      // No refund eligible - update booking status but don't process refund
-      await db.collection('bookings').doc(bookingId).update({
-        refundStatus: 'not_eligible',
-        refundAmount: 0,
-        refundReason: reason || 'Cancelled within 1 hour of booking - no refund eligible',
-        updatedAt: new Date()
-      });
-      
-      logRefund('=== REFUND NOT ELIGIBLE ===', {
-        bookingId,
-        reason: 'Cancellation within 1 hour'
-      });
-      
-      return res.json({
-        success: true,
-        message: 'Booking cancelled. No refund eligible as cancellation is within 1 hour of booking.',
-        data: {
-          refundAmount: 0,
-          refundStatus: 'not_eligible',
-          reason: 'Cancellation within 1 hour - no refund policy'
-        }
-      });
-    }
-    
-    // Validate Cashfree Configuration
-    if (!CASHFREE_CLIENT_ID || !CASHFREE_CLIENT_SECRET) {
-      logRefundError('Missing Cashfree credentials', { bookingId });
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Server configuration error - Missing Cashfree credentials' 
-      });
-    }
 
-    // Get order_id from booking (stored as paymentTransactionId)
-    const orderId = booking.paymentTransactionId;
-    if (!orderId) {
-      logRefundError('Order ID not found in booking', { bookingId });
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Order ID not found' 
-      });
+    const { isCafeOwner, isCustomer } = await getRefundRequester(booking, req.user.id);
+    if (!isCafeOwner && !isCustomer) {
+      return res.status(403).json({ success: false, message: 'Not authorized to refund this booking' });
     }
 
-    // Create Cashfree refund payload
-    const refundPayload = {
-      refund_amount: parseFloat(refundAmount.toFixed(2)),
-      refund_id: `REF_${bookingId}_${Date.now()}`,
-      refund_note: reason || 'Booking cancelled',
-      refund_splits: []
-    };
+    if (!isCafeOwner) {
+      // Customers get the cancellation policy amount for a booking they cancelled
+      if (amount !== undefined || partial) {
+        return res.status(403).json({ success: false, message: 'Only the cafe can refund a chosen amount' });
+      }
+      if (booking.status !== 'cancelled') {
+        return res.status(400).json({ success: false, message: 'Cancel the booking to get a refund' });
+      }
+    }
 
-    logRefund('Calling Cashfree refund API', {
-      url: `${CASHFREE_BASE_URL}/pg/orders/${orderId}/refund`,
-      orderId,
-      paymentId: booking.paymentId,
-      refundAmount: refundPayload.refund_amount,
-      refundId: refundPayload.refund_id
-    });
-    
-    // Call Cashfree Refund API
-    let refundResponse;
-    try {
-      refundResponse = await axios.post(
-        `${CASHFREE_BASE_URL}/pg/orders/${orderId}/refund`,
-        refundPayload,
-        {
-          headers: getCashfreeAuthHeaders(),
-        }
-      );
-      
-      logRefund('Cashfree refund API response received', {
-        status: refundResponse.status,
-        data: refundResponse.data
-      });
-    } catch (apiError) {
-      logRefundError('Cashfree refund API call failed', {
-        bookingId,
-        orderId,
-        error: apiError.message,
-        response: apiError.response?.data,
-        status: apiError.response?.status
-      });
-      
-      const errorMessage = apiError.response?.data?.message || 
-                          apiError.response?.data?.error?.message ||
-                          'Failed to process refund with Cashfree';
-      
-      await db.collection('bookings').doc(bookingId).update({
-        refundStatus: 'failed',
-        updatedAt: new Date()
-      });
-      
-      return res.status(apiError.response?.status || 500).json({
-        success: false,
-        message: errorMessage,
-        data: apiError.response?.data
-      });
+    if (amount !== undefined && !(typeof amount === 'number' && Number.isFinite(amount) && amount > 0)) {
+      return res.status(400).json({ success: false, message: 'Refund amount must be a positive number' });
     }
-    
-    const refundResult = refundResponse.data;
-    
-    // Check if refund was successful
-    if (refundResult.refund_status === 'SUCCESS' || refundResult.refund_status === 'PENDING') {
-      logRefund('Refund initiated successfully - updating booking', {
-        refundId: refundResult.refund_id,
-        refundStatus: refundResult.refund_status,
-        refundAmount
-      });
 
-      // Update booking
-      await db.collection('bookings').doc(bookingId).update({
-        refundId: refundResult.refund_id || refundPayload.refund_id,
-        refundAmount: refundAmount,
-        refundStatus: refundResult.refund_status === 'SUCCESS' ? 'processed' : 'pending',
-        paymentStatus: refundResult.refund_status === 'SUCCESS' ? 'refunded' : booking.paymentStatus,
-        refundReason: reason || 'Booking cancelled',
-        refundedAt: new Date(),
-        updatedAt: new Date()
-      });
-      
-      logRefund('=== REFUND PROCESSED SUCCESSFULLY ===', {
-        bookingId,
-        refundId: refundResult.refund_id,
-        refundAmount,
-        refundStatus: refundResult.refund_status
-      });
-      
-      res.json({
+    const result = await processRefund(bookingId, { amount, partial, reason, refundTo });
+
+    if (result.refundStatus === 'not_eligible') {
+      return res.json({
         success: true,
-        message: 'Refund initiated successfully',
+        message: result.isNoShow
+          ? 'No refund eligible as the booking was marked as no-show.'
+          : 'Booking cancelled. No refund eligible as cancellation is within 1 hour of booking.',
         data: {
-          refundId: refundResult.refund_id || refundPayload.refund_id,
-          refundAmount: refundAmount,
-          refundStatus: refundResult.refund_status === 'SUCCESS' ? 'processed' : 'pending'
+          refundAmount: 0,
+          refundStatus: 'not_eligible',
+          reason: result.isNoShow ? 'No-show - no refund policy' : 'Cancellation within 1 hour - no refund policy'
         }
       });
-    } else {
-      logRefundError('Refund failed from Cashfree', {
-        bookingId,
-        refundResult,
-        refundStatus: refundResult.refund_status,
-        message: refundResult.message || refundResult.error_message
-      });
+    }
 
-      // Refund failed
-      await db.collection('bookings').doc(bookingId).update({
-        refundStatus: 'failed',
-        updatedAt: new Date()
-      });
-      
-      res.status(400).json({
+    res.json({
+      success: true,
+      message: result.refundMethod === 'wallet' ? 'Refund credited to your wallet' : 'Refund initiated successfully',
+      data: result
+    });
+  } catch (error) {
+    const prefix = Object.keys(REFUND_ERROR_STATUSES).find(p => error.message && error.message.startsWith(p));
+    if (prefix) {
+      return res.status(error.status || REFUND_ERROR_STATUSES[prefix]).json({
         success: false,
-        message: refundResult.message || refundResult.error_message || 'Refund failed',
-        data: refundResult
+        message: error.message.replace(prefix, ''),
+        data: error.details
       });
     }
-  } catch (error) {
     logRefundError('Refund exception', error);
     res.status(500).json({ 
       success: false, 
@@ -288,7 +638,7 @@ const initiateRefund = async (req, res) => {
 /**
  * @desc    Get refund status
  * @route   GET /api/payments/:bookingId/refund-status
- * @access  Private
+ * @access  Private (the booking's customer or the cafe owner)
  */
 const getRefundStatus = async (req, res) => {
   try {
@@ -303,7 +653,35 @@ const getRefundStatus = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Booking not found' });
     }
     
-    const booking = bookingDoc.data();
+    let booking = bookingDoc.data();
+
+    const { isCafeOwner, isCustomer } = await getRefundRequester(booking, req.user.id);
+    if (!isCafeOwner && !isCustomer) {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this refund' });
+    }
+
+    // A refund the gateway accepted as pending is settled as soon as it is decided
+    const pending = booking.pendingRefunds?.[booking.refundId];
+    if (booking.refundStatus === 'pending' && booking.refundId && booking.paymentTransactionId) {
+      try {
+        if (pending) {
+          const settlement = await checkPendingRefund(bookingId, booking.refundId, pending);
+          if (settlement && settlement.refundStatus !== 'pending') {
+            booking = (await bookingDoc.ref.get()).data();
+          }
+        } else {
+          // Refunds requested before pendingRefunds was kept were settled when accepted
+          const refund = await getPaymentProvider().fetchRefund(booking.paymentTransactionId, booking.refundId);
+          const refundStatus = toRefundStatus(refund.status);
+          if (refundStatus !== 'pending') {
+            await bookingDoc.ref.update({ refundStatus, updatedAt: new Date() });
+            booking = { ...booking, refundStatus };
+          }
+        }
+      } catch (gatewayError) {
+        logRefundError('Failed to refresh refund status from the gateway', { bookingId, error: gatewayError.message });
+      }
+    }
     
     logRefund('Refund status retrieved', {
       bookingId,
@@ -319,6 +697,8 @@ const getRefundStatus = async (req, res) => {
         refundId: booking.refundId || null,
         refundAmount: booking.refundAmount || 0,
         refundReason: booking.refundReason || null,
+        refundMethod: booking.refundMethod || null,
+        walletRefundAmount: booking.walletRefundAmount || 0,
         refundedAt: booking.refundedAt || null
       }
     });
@@ -331,6 +711,11 @@ const getRefundStatus = async (req, res) => {
 module.exports = {
   initiateRefund,
   getRefundStatus,
-  calculateRefundAmount
+  calculateRefundAmount,
+  getPaidAmounts,
+  planRefund,
+  processRefund,
+  settleRefund,
+  settlePendingRefunds
 };
 
@@ -0,0 +1,319 @@
+const { db } = require('../config/firebase');
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const stationBlockService = require('../services/stationBlockService');
+const { calculateDuration, toDate, toInstant } = require('../utils/timeUtils');
+
+/**
+ * Get a cafe the requesting owner owns
+ * @param {string} cafeId - Cafe ID
+ * @param {Object} res - Express response (404/403 is sent here)
+ * @param {string} userId - Requesting owner ID
+ * @returns {Object|null} Cafe data (with id), or null if a response was sent
+ */
+const getOwnedCafe = async (cafeId, res, userId) => {
+  const cafeDoc = await db.collection('cafes').doc(cafeId).get();
+
+  if (!cafeDoc.exists) {
+    res.status(404).json({
+      success: false,
+      message: 'Cafe not found'
+    });
+    return null;
+  }
+
+  const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+
+  // Check ownership
+  if (cafe.ownerId !== userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this cafe'
+    });
+    return null;
+  }
+
+  return cafe;
+};
+
+/**
+ * Find upcoming active bookings that fall inside a block
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} block - Block data
+ * @returns {Array<Object>} Conflicting bookings (id, station, slot, customer)
+ */
+const findConflictingBookings = async (cafe, block) => {
+  const now = new Date();
+  const blockStart = toDate(block.startAt);
+  const snapshot = await db.collection('bookings')
+    .where('cafeId', '==', cafe.id)
+    .where('endAt', '>', blockStart > now ? blockStart : now)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(booking => availabilityService.isBookingActive(booking, now))
+    .filter(booking => stationBlockService.blockAppliesToType(block, booking.stationType, booking.consoleType))
+    .filter(booking => stationBlockService.blockCoversStation(block, booking.stationNumber))
+    .filter((booking) => {
+      const window = availabilityService.getBookingWindow(booking, cafe);
+      return stationBlockService.getBlockWindows(block, window.startAt, window.endAt).length > 0;
+    })
+    .map(booking => ({
+      id: booking.id,
+      userId: booking.userId || null,
+      guest: booking.guest || null,
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      stationType: booking.stationType,
+      consoleType: booking.consoleType || null,
+      stationNumber: booking.stationNumber,
+      bookingDate: booking.bookingDate,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      groupBookingId: booking.groupBookingId || null
+    }))
+    .sort((a, b) => `${a.bookingDate} ${a.startTime}`.localeCompare(`${b.bookingDate} ${b.startTime}`));
+};
+
+/**
+ * @desc    Block stations (maintenance, private event) once or on a recurring window
+ * @route   POST /api/cafes/:id/blocks
+ * @access  Private/Owner
+ */
+const createStationBlock = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const {
+      scope,
+      consoleType,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      frequency,
+      daysOfWeek,
+      reason
+    } = req.body;
+    const stationType = scope === 'console_type' ? 'console' : (req.body.stationType || 'pc');
+
+    let stationFrom = null;
+    let stationTo = null;
+    if (scope !== 'cafe') {
+      if (stationType === 'console' && !consoleType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Console type is required for console blocks'
+        });
+      }
+
+      const maxStations = availabilityService.getMaxStations(cafe, stationType, consoleType);
+      if (maxStations === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This cafe has no stations of this type'
+        });
+      }
+
+      if (scope === 'station') {
+        stationFrom = stationTo = parseInt(req.body.stationNumber, 10);
+      } else if (scope === 'range') {
+        stationFrom = parseInt(req.body.stationFrom, 10);
+        stationTo = parseInt(req.body.stationTo, 10);
+      } else {
+        stationFrom = 1;
+        stationTo = maxStations;
+      }
+
+      if (isNaN(stationFrom) || isNaN(stationTo) || stationFrom < 1 || stationTo > maxStations || stationFrom > stationTo) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid station number. Available: 1-${maxStations}`
+        });
+      }
+    }
+
+    // One-off blocks run from startDate startTime to endDate endTime;
+    // recurring blocks repeat startTime - endTime from startDate until endDate
+    let startAt;
+    let endAt = null;
+    let recurrence = null;
+    if (frequency) {
+      recurrence = {
+        frequency,
+        daysOfWeek: frequency === 'weekly' ? (daysOfWeek || []).map(Number) : null,
+        startTime,
+        endTime,
+        startDate,
+        endDate: endDate || null
+      };
+
+      if (frequency === 'weekly' && recurrence.daysOfWeek.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Weekly blocks need at least one day of the week'
+        });
+      }
+
+      if (recurrence.endDate && recurrence.endDate < startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'End date must be on or after the start date'
+        });
+      }
+
+      startAt = toInstant(startDate, startTime);
+    } else {
+      startAt = toInstant(startDate, startTime);
+      endAt = endDate
+        ? toInstant(endDate, endTime)
+        : new Date(startAt.getTime() + (calculateDuration(startTime, endTime) || 24) * 60 * 60 * 1000);
+
+      if (endAt <= startAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Block must end after it starts'
+        });
+      }
+
+      if (endAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Block is entirely in the past'
+        });
+      }
+    }
+
+    const block = {
+      cafeId: cafe.id,
+      scope,
+      stationType: scope === 'cafe' ? null : stationType,
+      consoleType: scope !== 'cafe' && stationType === 'console' ? consoleType : null,
+      stationFrom,
+      stationTo,
+      startAt,
+      endAt,
+      recurrence,
+      reason: reason || null,
+      status: 'active',
+      createdBy: req.user.id,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const blockRef = db.collection('station_blocks').doc();
+    await blockRef.set(block);
+
+    // Existing bookings are left alone - the owner decides whether to move or cancel them
+    const conflictingBookings = await findConflictingBookings(cafe, block);
+
+    console.log('🚧 [STATION_BLOCK] Created block', {
+      blockId: blockRef.id,
+      cafeId: cafe.id,
+      scope,
+      conflicts: conflictingBookings.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: conflictingBookings.length > 0
+        ? `Block created. ${conflictingBookings.length} existing booking(s) fall inside it and need attention.`
+        : 'Block created',
+      data: {
+        block: stationBlockService.serializeBlock(await blockRef.get()),
+        conflictingBookings
+      }
+    });
+  } catch (error) {
+    console.error('Create station block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a cafe's current and upcoming station blocks
+ * @route   GET /api/cafes/:id/blocks
+ * @access  Private/Owner
+ */
+const getStationBlocks = async (req, res) => {
+  try {
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const blocks = await stationBlockService.getActiveBlocks(cafe.id);
+    const blocksWithConflicts = await Promise.all(blocks.map(async ({ id, ...block }) => ({
+      ...stationBlockService.serializeBlock({ id, data: () => block }),
+      conflictingBookings: await findConflictingBookings(cafe, block)
+    })));
+
+    res.json({
+      success: true,
+      data: { blocks: blocksWithConflicts }
+    });
+  } catch (error) {
+    console.error('Get station blocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a station block
+ * @route   DELETE /api/cafes/:id/blocks/:blockId
+ * @access  Private/Owner
+ */
+const removeStationBlock = async (req, res) => {
+  try {
+    const cafe = await getOwnedCafe(req.params.id, res, req.user.id);
+    if (!cafe) return;
+
+    const blockRef = db.collection('station_blocks').doc(req.params.blockId);
+    const blockDoc = await blockRef.get();
+
+    if (!blockDoc.exists || blockDoc.data().cafeId !== cafe.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Block not found'
+      });
+    }
+
+    await blockRef.update({
+      status: 'removed',
+      removedBy: req.user.id,
+      removedAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Block removed'
+    });
+  } catch (error) {
+    console.error('Remove station block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createStationBlock,
+  getStationBlocks,
+  removeStationBlock
+};
@@ -0,0 +1,237 @@
+const { db } = require('../config/firebase');
+const { validationResult } = require('express-validator');
+const availabilityService = require('../services/availabilityService');
+const { serializeEntry } = require('../services/waitlistService');
+
+/**
+ * @desc    Join the waitlist for a fully booked slot
+ * @route   POST /api/bookings/waitlist
+ * @access  Private/Client
+ */
+const joinWaitlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      cafeId,
+      stationType = 'pc',
+      consoleType,
+      bookingDate,
+      startTime,
+      endTime,
+      notes
+    } = req.body;
+    const numberOfPcs = parseInt(req.body.numberOfPcs || 1, 10);
+
+    if (stationType === 'console' && !consoleType) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console type is required for console bookings'
+      });
+    }
+
+    if (stationType === 'console' && numberOfPcs !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Console bookings can only book 1 unit at a time'
+      });
+    }
+
+    const cafeDoc = await db.collection('cafes').doc(cafeId).get();
+    if (!cafeDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cafe not found'
+      });
+    }
+    const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+
+    const hoursCheck = availabilityService.validateBookingHours(cafe, bookingDate, startTime, endTime);
+    if (!hoursCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: hoursCheck.message
+      });
+    }
+
+    if (hoursCheck.window.startAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This slot has already started'
+      });
+    }
+
+    const { availableStations, totalStations } = await availabilityService.getAvailableStations(cafe, {
+      stationType, consoleType, bookingDate, startTime, endTime
+    });
+
+    if (totalStations < numberOfPcs) {
+      return res.status(400).json({
+        success: false,
+        message: `This cafe only has ${totalStations} stations of this type`
+      });
+    }
+
+    // The waitlist is only for slots that can't be booked right now
+    if (availableStations.length >= numberOfPcs) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stations are available for this slot - book it directly',
+        data: { availableStations }
+      });
+    }
+
+    const existing = await db.collection('waitlist_entries')
+      .where('userId', '==', req.user.id)
+      .where('cafeId', '==', cafeId)
+      .where('bookingDate', '==', bookingDate)
+      .where('status', '==', 'waiting')
+      .get();
+
+    const duplicate = existing.docs.find(doc => {
+      const entry = doc.data();
+      return entry.stationType === stationType &&
+        (entry.consoleType || null) === (stationType === 'console' ? consoleType : null) &&
+        entry.startTime === startTime &&
+        entry.endTime === endTime;
+    });
+
+    if (duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this slot'
+      });
+    }
+
+    const entryRef = db.collection('waitlist_entries').doc();
+    await entryRef.set({
+      userId: req.user.id,
+      cafeId,
+      stationType,
+      consoleType: stationType === 'console' ? consoleType : null,
+      numberOfPcs,
+      bookingDate,
+      startTime,
+      endTime,
+      startAt: hoursCheck.window.startAt,
+      endAt: hoursCheck.window.endAt,
+      notes: notes || null,
+      status: 'waiting',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+
+    const entryDoc = await entryRef.get();
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will notify you if a slot opens up.',
+      data: { entry: serializeEntry(entryDoc) }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get user's waitlist entries
+ * @route   GET /api/bookings/waitlist/my-entries
+ * @access  Private
+ */
+const getMyWaitlistEntries = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = db.collection('waitlist_entries').where('userId', '==', req.user.id);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.get();
+    const entries = snapshot.docs
+      .map(serializeEntry)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+  } catch (error) {
+    console.error('Get waitlist entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+/**
+ * @desc    Leave the waitlist
+ * @route   PUT /api/bookings/waitlist/:id/cancel
+ * @access  Private
+ */
+const leaveWaitlist = async (req, res) => {
+  try {
+    const entryRef = db.collection('waitlist_entries').doc(req.params.id);
+    const entryDoc = await entryRef.get();
+
+    if (!entryDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const entry = entryDoc.data();
+
+    if (entry.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this waitlist entry'
+      });
+    }
+
+    // An offered slot is declined by cancelling its held booking instead
+    if (entry.status !== 'waiting') {
+      return res.status(400).json({
+        success: false,
+        message: entry.status === 'offered'
+          ? 'A slot has already been held for you - cancel that booking to decline it'
+          : `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    await entryRef.update({
+      status: 'cancelled',
+      updatedAt: new Date()
+    });
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist',
+      data: { entry: serializeEntry(await entryRef.get()) }
+    });
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist
+};
@@ -411,6 +411,20 @@ const clientOnly = (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to restrict access to platform admins only
+ */
+const adminOnly = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') {
+    next();
+  } else {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin role required.'
+    });
+  }
+};
+
 /**
  * Middleware to allow both owners and clients
  */
@@ -430,6 +444,7 @@ module.exports = {
   protectNewUser,
   ownerOnly,
   clientOnly,
+  adminOnly,
   authenticated
 };
 
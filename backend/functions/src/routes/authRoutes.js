@@ -4,6 +4,8 @@ const {
   createProfile,
   logout,
   getMe,
+  getMyWallet,
+  getMyLoyalty,
   updateProfile,
   changePassword,
   registerFcmToken,
@@ -45,6 +47,8 @@ router.post('/create-profile', protectNewUser, createProfileValidation, createPr
 router.post('/google-signin', protectNewUser, googleSignIn);
 
 router.get('/me', protect, getMe);
+router.get('/me/wallet', protect, getMyWallet);
+router.get('/me/loyalty', protect, getMyLoyalty);
 router.post('/logout', protect, logout);
 router.put('/profile', protect, updateProfile);
 router.put('/password', protect, changePasswordValidation, changePassword);
@@ -4,13 +4,30 @@ const {
   createBooking,
   getMyBookings,
   getBookingById,
+  getBookingHistory,
   cancelBooking,
+  rescheduleBooking,
+  extendBooking,
+  createRecurringBooking,
+  getBookingSeries,
+  cancelBookingSeries,
   getCafeBookings,
   updateBookingStatus,
+  checkInBooking,
+  createWalkInBooking,
+  recordCounterPayment,
   checkAvailability,
+  quotePromoCode,
   getAvailableStationsAPI
 } = require('../controllers/bookingController');
+const {
+  joinWaitlist,
+  getMyWaitlistEntries,
+  leaveWaitlist
+} = require('../controllers/waitlistController');
+const { getBookingInvoice } = require('../controllers/invoiceController');
 const { protect, ownerOnly, clientOnly } = require('../middleware/authMiddleware');
+const { SERIES_FREQUENCIES, MAX_SERIES_OCCURRENCES } = require('../services/bookingSeriesService');
 
 const router = express.Router();
 
@@ -46,8 +63,23 @@ const bookingValidation = [
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
     .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
   body('notes')
+    .optional()
+    .trim(),
+  body('promoCode')
     .optional()
     .trim()
+    .isLength({ min: 1, max: 40 }).withMessage('Promo code must be 1-40 characters'),
+  body('passId')
+    .optional()
+    .isString().withMessage('Pass ID must be a string'),
+  body('redeemPoints')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Points to redeem must be a whole number above 0')
+    .toInt(),
+  body('useWallet')
+    .optional()
+    .isBoolean().withMessage('useWallet must be true or false')
+    .toBoolean()
 ];
 
 // Check availability validation (PC or Console)
@@ -68,9 +100,198 @@ const checkAvailabilityValidation = [
     .notEmpty().withMessage('Booking date is required')
     .isDate().withMessage('Invalid date format'),
   body('startTime')
-    .notEmpty().withMessage('Start time is required'),
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)')
+];
+
+// Reschedule validation (stationNumber optional - defaults to the current stations)
+const rescheduleValidation = [
+  body('stationNumber')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Station/unit number must be at least 1'),
+  body('bookingDate')
+    .notEmpty().withMessage('Booking date is required')
+    .isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)')
+];
+
+// Recurring booking validation (same slot fields as a single booking plus the recurrence rule)
+const recurringBookingValidation = [
+  body('cafeId')
+    .notEmpty().withMessage('Cafe ID is required')
+    .isString().withMessage('Cafe ID must be a string'),
+  body('stationType')
+    .optional()
+    .isIn(['pc', 'console']).withMessage('Station type must be "pc" or "console"'),
+  body('consoleType')
+    .optional()
+    .isIn(validConsoleTypes).withMessage(`Console type must be one of: ${validConsoleTypes.join(', ')}`),
+  body('stationNumber')
+    .notEmpty().withMessage('Station/unit number is required')
+    .isInt({ min: 1 }).withMessage('Station/unit number must be at least 1'),
+  body('numberOfPcs')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Number of PCs must be between 1 and 20'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
   body('endTime')
     .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
+  body('frequency')
+    .isIn(SERIES_FREQUENCIES).withMessage(`Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}`),
+  body('daysOfWeek')
+    .optional()
+    .isArray({ min: 1, max: 7 }).withMessage('Days of week must be a non-empty array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isDate().withMessage('Invalid start date format (YYYY-MM-DD)'),
+  body('endDate')
+    .optional()
+    .isDate().withMessage('Invalid end date format (YYYY-MM-DD)'),
+  body('occurrences')
+    .optional()
+    .isInt({ min: 1, max: MAX_SERIES_OCCURRENCES }).withMessage(`Occurrences must be between 1 and ${MAX_SERIES_OCCURRENCES}`),
+  body('skipConflicts')
+    .optional()
+    .isBoolean().withMessage('skipConflicts must be a boolean')
+    .toBoolean(),
+  body('dryRun')
+    .optional()
+    .isBoolean().withMessage('dryRun must be a boolean')
+    .toBoolean(),
+  body('notes')
+    .optional()
+    .trim()
+];
+
+// Waitlist validation (the slot the user wants once it frees up)
+const waitlistValidation = [
+  body('cafeId')
+    .notEmpty().withMessage('Cafe ID is required')
+    .isString().withMessage('Cafe ID must be a string'),
+  body('stationType')
+    .optional()
+    .isIn(['pc', 'console']).withMessage('Station type must be "pc" or "console"'),
+  body('consoleType')
+    .optional()
+    .isIn(validConsoleTypes).withMessage(`Console type must be one of: ${validConsoleTypes.join(', ')}`),
+  body('numberOfPcs')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Number of PCs must be between 1 and 20'),
+  body('bookingDate')
+    .notEmpty().withMessage('Booking date is required')
+    .isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
+  body('notes')
+    .optional()
+    .trim()
+];
+
+// Promo quote validation (the slot being priced plus the code)
+const promoQuoteValidation = [
+  body('cafeId')
+    .notEmpty().withMessage('Cafe ID is required')
+    .isString().withMessage('Cafe ID must be a string'),
+  body('stationType')
+    .optional()
+    .isIn(['pc', 'console']).withMessage('Station type must be "pc" or "console"'),
+  body('consoleType')
+    .optional()
+    .isIn(validConsoleTypes).withMessage(`Console type must be one of: ${validConsoleTypes.join(', ')}`),
+  body('numberOfPcs')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Number of PCs must be between 1 and 20')
+    .toInt(),
+  body('bookingDate')
+    .notEmpty().withMessage('Booking date is required')
+    .isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
+  body('promoCode')
+    .trim()
+    .notEmpty().withMessage('Promo code is required')
+    .isLength({ max: 40 }).withMessage('Promo code must be at most 40 characters')
+];
+
+// Walk-in validation (owner records a counter booking, optionally for a guest without an account)
+// Walk-ins are settled at the counter, so the customer checkout fields are refused
+const walkInValidation = [
+  body('cafeId')
+    .notEmpty().withMessage('Cafe ID is required')
+    .isString().withMessage('Cafe ID must be a string'),
+  body('stationType')
+    .optional()
+    .isIn(['pc', 'console']).withMessage('Station type must be "pc" or "console"'),
+  body('consoleType')
+    .optional()
+    .isIn(validConsoleTypes).withMessage(`Console type must be one of: ${validConsoleTypes.join(', ')}`),
+  body('stationNumber')
+    .notEmpty().withMessage('Station/unit number is required')
+    .isInt({ min: 1 }).withMessage('Station/unit number must be at least 1'),
+  body('numberOfPcs')
+    .optional()
+    .isInt({ min: 1, max: 20 }).withMessage('Number of PCs must be between 1 and 20'),
+  body('bookingDate')
+    .notEmpty().withMessage('Booking date is required')
+    .isDate().withMessage('Invalid date format (YYYY-MM-DD)'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
+  body('notes')
+    .optional()
+    .trim(),
+  body(['promoCode', 'passId', 'redeemPoints', 'pointsToRedeem', 'useWallet'])
+    .not().exists().withMessage('Promo codes, passes, points and wallet balance cannot be used on walk-in bookings'),
+  body('guestName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Guest name must be at most 100 characters'),
+  body('guestPhone')
+    .optional()
+    .trim()
+    .matches(/^\+?[0-9]{10,15}$/).withMessage('Invalid guest phone number'),
+  body('paymentMode')
+    .notEmpty().withMessage('Payment mode is required')
+    .isIn(['cash', 'upi_counter']).withMessage('Payment mode must be "cash" or "upi_counter"'),
+  body('paymentCollected')
+    .optional()
+    .isBoolean().withMessage('paymentCollected must be true or false')
+    .toBoolean()
 ];
 
 // Public route - check availability before booking
@@ -82,12 +303,41 @@ router.get('/available-stations', protect, getAvailableStationsAPI);
 // Client routes
 router.post('/', protect, clientOnly, bookingValidation, createBooking);
 router.get('/my-bookings', protect, getMyBookings);
+router.post('/promo/quote', protect, promoQuoteValidation, quotePromoCode);
+router.post('/recurring', protect, clientOnly, recurringBookingValidation, createRecurringBooking);
+router.get('/series/:seriesId', protect, getBookingSeries);
+router.put('/series/:seriesId/cancel', protect, cancelBookingSeries);
+router.post('/waitlist', protect, clientOnly, waitlistValidation, joinWaitlist);
+router.get('/waitlist/my-entries', protect, getMyWaitlistEntries);
+router.put('/waitlist/:id/cancel', protect, leaveWaitlist);
 router.get('/:id', protect, getBookingById);
-router.put('/:id/cancel', protect, cancelBooking);
+router.get('/:id/history', protect, getBookingHistory);
+router.get('/:id/invoice', protect, getBookingInvoice);
+router.put('/:id/cancel', protect, [
+  body('refundTo')
+    .optional()
+    .isIn(['source', 'wallet']).withMessage('Refund destination must be "source" or "wallet"')
+], cancelBooking);
+router.put('/:id/reschedule', protect, rescheduleValidation, rescheduleBooking);
+router.post('/:id/extend', protect, [
+  body('hours')
+    .notEmpty().withMessage('Hours is required')
+    .isFloat({ min: 0.5, max: 6 }).withMessage('Extension must be between 0.5 and 6 hours')
+    .custom(value => (parseFloat(value) * 2) % 1 === 0).withMessage('Extension must be in half-hour steps')
+], extendBooking);
 
 // Owner routes
 router.get('/cafe/:cafeId', protect, ownerOnly, getCafeBookings);
+router.post('/walk-in', protect, ownerOnly, walkInValidation, createWalkInBooking);
+router.post('/:id/collect-payment', protect, ownerOnly, [
+  body('paymentMode')
+    .optional()
+    .isIn(['cash', 'upi_counter']).withMessage('Payment mode must be "cash" or "upi_counter"')
+], recordCounterPayment);
 router.put('/:id/status', protect, ownerOnly, updateBookingStatus);
+router.post('/check-in', protect, ownerOnly, [
+  body('code').notEmpty().withMessage('Check-in code is required')
+], checkInBooking);
 
 module.exports = router;
 
@@ -10,7 +10,31 @@ const {
   getMyCafes,
   getCafeAvailability
 } = require('../controllers/cafeController');
+const {
+  createStationBlock,
+  getStationBlocks,
+  removeStationBlock
+} = require('../controllers/stationBlockController');
+const {
+  createPromoCode,
+  getPromoCodes,
+  updatePromoCode,
+  getPromoRedemptions
+} = require('../controllers/promoController');
+const {
+  createPassPlan,
+  updatePassPlan,
+  getPassPlans,
+  getCafePasses
+} = require('../controllers/passController');
 const { protect, ownerOnly } = require('../middleware/authMiddleware');
+const { BLOCK_SCOPES, BLOCK_FREQUENCIES } = require('../services/stationBlockService');
+const { getScheduleError } = require('../services/cafeScheduleService');
+const { getPricingRulesError } = require('../services/pricingService');
+const { DISCOUNT_TYPES } = require('../services/promoService');
+const { PASS_TYPES } = require('../services/passService');
+const { getTaxSettingsError } = require('../services/taxService');
+const { getLoyaltyMultiplierError } = require('../services/loyaltyService');
 
 const router = express.Router();
 
@@ -67,6 +91,65 @@ const cafeValidation = [
     .optional()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
     .withMessage('Invalid closing time format (HH:MM or HH:MM:SS)'),
+  // Weekly opening ranges and dated exceptions (see cafeScheduleService)
+  body('weeklySchedule')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = getScheduleError(value, undefined);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  body('scheduleExceptions')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = getScheduleError(undefined, value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  // Unpaid booking hold window (minutes)
+  body('bookingHoldMinutes')
+    .optional()
+    .isInt({ min: 5, max: 120 }).withMessage('Booking hold must be between 5 and 120 minutes'),
+  // Minutes after start before an unchecked-in booking becomes a no-show
+  body('noShowGraceMinutes')
+    .optional()
+    .isInt({ min: 5, max: 120 }).withMessage('No-show grace period must be between 5 and 120 minutes'),
+  // Day/time/station-type rates (see pricingService)
+  body('pricingRules')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = getPricingRulesError(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  // Changeover gap kept between sessions on a station (minutes)
+  body('bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 60 }).withMessage('Buffer must be between 0 and 60 minutes'),
+  body('bufferMinutesByType')
+    .optional()
+    .isObject().withMessage('Buffer by type must be an object, e.g. { "pc": 10, "ps5": 15 }')
+    .custom((value) => {
+      const valid = Object.values(value).every(minutes => Number.isInteger(minutes) && minutes >= 0 && minutes <= 60);
+      if (!valid) throw new Error('Buffer minutes by type must be whole numbers between 0 and 60');
+      return true;
+    }),
+  // Boosts the loyalty points customers earn here (1 = platform rate)
+  body('loyaltyMultiplier')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = getLoyaltyMultiplierError(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
+  // GST registration printed on invoices (no GSTIN = bill of supply without tax)
+  body('taxSettings')
+    .optional({ nullable: true })
+    .custom((value) => {
+      const error = getTaxSettingsError(value);
+      if (error) throw new Error(error);
+      return true;
+    }),
   // Other fields
   body('photos')
     .optional()
@@ -79,17 +162,178 @@ const cafeValidation = [
     .isArray().withMessage('Available games must be an array')
 ];
 
+// Validation rules for blocking stations
+const stationBlockValidation = [
+  body('scope')
+    .notEmpty().withMessage('Block scope is required')
+    .isIn(BLOCK_SCOPES).withMessage(`Scope must be one of: ${BLOCK_SCOPES.join(', ')}`),
+  body('stationType')
+    .optional()
+    .isIn(['pc', 'console']).withMessage('Station type must be "pc" or "console"'),
+  body('consoleType')
+    .optional()
+    .isString().withMessage('Console type must be a string'),
+  body('stationNumber')
+    .if(body('scope').equals('station'))
+    .notEmpty().withMessage('Station number is required')
+    .isInt({ min: 1 }).withMessage('Station number must be at least 1'),
+  body('stationFrom')
+    .if(body('scope').equals('range'))
+    .notEmpty().withMessage('First station of the range is required')
+    .isInt({ min: 1 }).withMessage('Station number must be at least 1'),
+  body('stationTo')
+    .if(body('scope').equals('range'))
+    .notEmpty().withMessage('Last station of the range is required')
+    .isInt({ min: 1 }).withMessage('Station number must be at least 1'),
+  body('startDate')
+    .notEmpty().withMessage('Start date is required')
+    .isDate().withMessage('Invalid start date format (YYYY-MM-DD)'),
+  body('endDate')
+    .optional({ nullable: true })
+    .isDate().withMessage('Invalid end date format (YYYY-MM-DD)'),
+  body('startTime')
+    .notEmpty().withMessage('Start time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid start time format (HH:MM or HH:MM:SS)'),
+  body('endTime')
+    .notEmpty().withMessage('End time is required')
+    .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/)
+    .withMessage('Invalid end time format (HH:MM or HH:MM:SS)'),
+  body('frequency')
+    .optional({ nullable: true })
+    .isIn(BLOCK_FREQUENCIES).withMessage(`Frequency must be one of: ${BLOCK_FREQUENCIES.join(', ')}`),
+  body('daysOfWeek')
+    .optional()
+    .isArray({ max: 7 }).withMessage('Days of week must be an array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+];
+
+// Promo code settings an owner can change at any time
+const promoSettingsValidation = [
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('minSpend')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 }).withMessage('Minimum spend must be 0 or more'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 }).withMessage('Maximum discount must be more than 0'),
+  body('validFrom')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid validFrom date'),
+  body('validUntil')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('Invalid validUntil date'),
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Per-user limit must be at least 1'),
+  body('totalLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 }).withMessage('Total limit must be at least 1'),
+  body('firstBookingOnly')
+    .optional()
+    .isBoolean().withMessage('firstBookingOnly must be true or false')
+    .toBoolean(),
+  body('stationTypes')
+    .optional()
+    .isArray().withMessage('Station types must be an array, e.g. ["pc", "ps5"]'),
+  body('stationTypes.*')
+    .isString().withMessage('Station types must be strings'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+// Creating a promo code also fixes the code and the discount
+const promoCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Code is required')
+    .matches(/^[A-Za-z0-9_-]{3,40}$/).withMessage('Code must be 3-40 letters, digits, - or _'),
+  body('discountType')
+    .isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+  body('discountValue')
+    .notEmpty().withMessage('Discount value is required')
+    .isFloat({ gt: 0 }).withMessage('Discount value must be more than 0'),
+  ...promoSettingsValidation
+];
+
+// Hour pack / membership plan settings
+const passPlanSettingsValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Plan name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Plan name cannot exceed 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 300 }).withMessage('Description cannot exceed 300 characters'),
+  body('price')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Price must be more than 0'),
+  body('hours')
+    .optional()
+    .isFloat({ min: 0, max: 1000 }).withMessage('Hours must be between 0 and 1000'),
+  body('discountPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100 percent'),
+  body('validityDays')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Validity must be between 1 and 365 days'),
+  body('stationTypes')
+    .optional()
+    .isArray().withMessage('Station types must be an array, e.g. ["pc", "ps5"]'),
+  body('stationTypes.*')
+    .isString().withMessage('Station types must be strings'),
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+// Creating a plan also fixes its type
+const passPlanValidation = [
+  body('type')
+    .isIn(PASS_TYPES).withMessage(`Plan type must be one of: ${PASS_TYPES.join(', ')}`),
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Plan name is required'),
+  body('price')
+    .notEmpty().withMessage('Price is required'),
+  ...passPlanSettingsValidation
+];
+
 // Public routes
 router.get('/', getAllCafes);
 router.get('/nearby', getNearbyCafes);
 router.get('/:id', getCafeById);
 router.get('/:id/availability', getCafeAvailability);
+router.get('/:id/pass-plans', getPassPlans);
 
 // Protected Owner routes
 router.post('/', protect, ownerOnly, cafeValidation, createCafe);
 router.get('/owner/my-cafes', protect, ownerOnly, getMyCafes);
 router.put('/:id', protect, ownerOnly, updateCafe);
 router.delete('/:id', protect, ownerOnly, deleteCafe);
+router.get('/:id/blocks', protect, ownerOnly, getStationBlocks);
+router.post('/:id/blocks', protect, ownerOnly, stationBlockValidation, createStationBlock);
+router.delete('/:id/blocks/:blockId', protect, ownerOnly, removeStationBlock);
+router.get('/:id/promo-codes', protect, ownerOnly, getPromoCodes);
+router.post('/:id/promo-codes', protect, ownerOnly, promoCodeValidation, createPromoCode);
+router.put('/:id/promo-codes/:promoId', protect, ownerOnly, promoSettingsValidation, updatePromoCode);
+router.get('/:id/promo-codes/:promoId/redemptions', protect, ownerOnly, getPromoRedemptions);
+router.post('/:id/pass-plans', protect, ownerOnly, passPlanValidation, createPassPlan);
+router.put('/:id/pass-plans/:planId', protect, ownerOnly, passPlanSettingsValidation, updatePassPlan);
+router.get('/:id/passes', protect, ownerOnly, getCafePasses);
 
 module.exports = router;
 
@@ -0,0 +1,23 @@
+const express = require('express');
+const { body } = require('express-validator');
+const {
+  purchasePass,
+  getMyPasses,
+  getPassById
+} = require('../controllers/passController');
+const { protect } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Purchase validation
+const purchaseValidation = [
+  body('planId')
+    .notEmpty().withMessage('Plan ID is required')
+    .isString().withMessage('Plan ID must be a string')
+];
+
+router.post('/purchase', protect, purchaseValidation, purchasePass);
+router.get('/my-passes', protect, getMyPasses);
+router.get('/:id', protect, getPassById);
+
+module.exports = router;
@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/authMiddleware');
+const { protect, adminOnly } = require('../middleware/authMiddleware');
 const { 
   createPayment, 
   verifyPayment, 
   verifyPaymentPost,
-  handleWebhook
+  handleWebhook,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+  completeMockCheckout
 } = require('../controllers/paymentController');
 const { initiateRefund, getRefundStatus } = require('../controllers/refundController');
 
@@ -13,7 +17,13 @@ const { initiateRefund, getRefundStatus } = require('../controllers/refundContro
 router.post('/create-payment', protect, createPayment);
 router.get('/callback', verifyPayment); // Cashfree callback (GET request with query params)
 router.post('/verify', protect, verifyPaymentPost); // Client-side payment verification (POST)
-router.post('/webhook', handleWebhook); // Cashfree webhook (POST request with signature)
+router.post('/webhook', handleWebhook); // Gateway webhook (POST request with signature)
+router.get('/mock/checkout', completeMockCheckout); // Mock provider's checkout page (PAYMENT_PROVIDER=mock)
+
+// Webhook event store (admin)
+router.get('/webhooks/events', protect, adminOnly, getWebhookEvents);
+router.get('/webhooks/events/:eventId', protect, adminOnly, getWebhookEvent);
+router.post('/webhooks/events/:eventId/replay', protect, adminOnly, replayWebhookEvent);
 
 // Refund routes
 router.post('/:bookingId/refund', protect, initiateRefund);
@@ -0,0 +1,452 @@
+const { db } = require('../config/firebase');
+const { isHoldExpired } = require('./bookingHoldService');
+const stationBlockService = require('./stationBlockService');
+const cafeScheduleService = require('./cafeScheduleService');
+const { timeToMinutes, calculateDuration, toDate, addDays, toInstant } = require('../utils/timeUtils');
+
+/**
+ * Availability engine shared by createBooking, checkAvailability,
+ * getAvailableStationsAPI and getCafeAvailability. Every "is this station
+ * free?" question goes through here so all endpoints agree.
+ */
+
+// Booking statuses that occupy a station
+const ACTIVE_BOOKING_STATUSES = ['pending', 'paid', 'confirmed', 'checked_in'];
+
+/**
+ * Check whether a booking currently occupies its station
+ * Unpaid bookings whose hold ran out no longer occupy the station,
+ * even before the scheduled release has cancelled them
+ * @param {Object} booking - Booking data
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {boolean} True if the booking blocks its station
+ */
+const isBookingActive = (booking, now = new Date()) => {
+  return ACTIVE_BOOKING_STATUSES.includes(booking.status) && !isHoldExpired(booking, now);
+};
+
+/**
+ * Get max station/unit number based on type
+ * @param {Object} cafe - Cafe data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {number} Max station number
+ */
+const getMaxStations = (cafe, stationType, consoleType) => {
+  if (stationType === 'pc') {
+    return cafe.totalPcStations || 0;
+  }
+
+  if (stationType === 'console' && consoleType && cafe.consoles && cafe.consoles[consoleType]) {
+    return cafe.consoles[consoleType].quantity || 0;
+  }
+
+  return 0;
+};
+
+// Upper bound on the changeover gap an owner can configure
+const MAX_BUFFER_MINUTES = 60;
+
+/**
+ * Get the changeover gap a cafe keeps between sessions on a station
+ * (cleaning controllers, rebooting PCs). Most specific setting wins:
+ * cafe.bufferMinutesByType[consoleType], then [stationType], then cafe.bufferMinutes.
+ * @param {Object} cafe - Cafe data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {number} Buffer in minutes (0 - MAX_BUFFER_MINUTES)
+ */
+const getBufferMinutes = (cafe, stationType, consoleType) => {
+  const byType = cafe?.bufferMinutesByType || {};
+  const candidates = [
+    stationType === 'console' && consoleType ? byType[consoleType] : undefined,
+    byType[stationType],
+    cafe?.bufferMinutes
+  ];
+
+  const minutes = parseInt(candidates.find(value => value !== undefined && value !== null), 10);
+  if (isNaN(minutes)) return 0;
+  return Math.min(Math.max(minutes, 0), MAX_BUFFER_MINUTES);
+};
+
+/**
+ * Widen a booking's window by the station's changeover gap on both sides
+ * @param {Object} window - { startAt, endAt }
+ * @param {number} bufferMinutes - Buffer in minutes
+ * @returns {Object} { startAt, endAt } as Dates
+ */
+const padWindow = (window, bufferMinutes) => {
+  const bufferMs = bufferMinutes * 60 * 1000;
+  return {
+    startAt: new Date(window.startAt.getTime() - bufferMs),
+    endAt: new Date(window.endAt.getTime() + bufferMs)
+  };
+};
+
+/**
+ * Check whether a cafe's hours run past midnight (e.g., 09:00 - 02:00)
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD); without it only
+ *   the legacy openingTime/closingTime pair is checked
+ * @returns {boolean} True if closing time is on the next calendar day
+ */
+const cafeCrossesMidnight = (cafe, bookingDate = null) => {
+  if (bookingDate) return cafeScheduleService.crossesMidnightOn(cafe, bookingDate);
+  if (!cafe?.openingTime || !cafe?.closingTime) return false;
+  return timeToMinutes(cafe.closingTime) < timeToMinutes(cafe.openingTime);
+};
+
+/**
+ * Resolve a booking's absolute start and end instants
+ * bookingDate is the cafe's operating day: when that day's hours run past
+ * midnight (e.g., 09:00 - 02:00), a start time before the day's first
+ * opening (e.g., 00:30) falls on the following calendar day.
+ * @param {Object} cafe - Cafe data (weeklySchedule/scheduleExceptions or openingTime/closingTime)
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @param {string} startTime - Start time
+ * @param {string} endTime - End time
+ * @returns {Object} { startAt, endAt } as Dates
+ */
+const resolveBookingWindow = (cafe, bookingDate, startTime, endTime) => {
+  const firstRange = cafeScheduleService.getOpeningRanges(cafe, bookingDate)[0];
+  const startDate = firstRange && cafeCrossesMidnight(cafe, bookingDate) &&
+    timeToMinutes(startTime) < timeToMinutes(firstRange.open)
+    ? addDays(bookingDate, 1)
+    : bookingDate;
+
+  const startAt = toInstant(startDate, startTime);
+  const endAt = new Date(startAt.getTime() + calculateDuration(startTime, endTime) * 60 * 60 * 1000);
+
+  return { startAt, endAt };
+};
+
+/**
+ * Resolve the span of a cafe's operating day, from first opening to last closing
+ * Cafes without hours, or with identical opening and closing times, are open 24 hours.
+ * A closed day resolves to an empty window at the start of the day.
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {Object} { startAt, endAt } as Dates
+ */
+const resolveOpeningWindow = (cafe, bookingDate) => {
+  const windows = cafeScheduleService.resolveOpeningWindows(cafe, bookingDate);
+  if (windows.length === 0) {
+    const dayStart = toInstant(bookingDate, '00:00');
+    return { startAt: dayStart, endAt: dayStart };
+  }
+
+  return {
+    startAt: windows[0].startAt,
+    endAt: windows.reduce((latest, window) => window.endAt > latest ? window.endAt : latest, windows[0].endAt)
+  };
+};
+
+/**
+ * Get a stored booking's absolute window
+ * Uses startAt/endAt when present, otherwise resolves it from the legacy
+ * bookingDate/startTime/endTime fields. Includes any unpaid extension still on hold.
+ * @param {Object} booking - Booking data
+ * @param {Object} cafe - Cafe data
+ * @returns {Object} { startAt, endAt } as Dates
+ */
+const getBookingWindow = (booking, cafe) => {
+  const window = booking.startAt && booking.endAt
+    ? { startAt: toDate(booking.startAt), endAt: toDate(booking.endAt) }
+    : resolveBookingWindow(cafe, booking.bookingDate, booking.startTime, booking.endTime);
+
+  // An extension awaiting payment keeps its extra time reserved until it lapses
+  const extension = booking.pendingExtension;
+  if (extension && toDate(extension.expiresAt) > new Date() && toDate(extension.endAt) > window.endAt) {
+    return { startAt: window.startAt, endAt: toDate(extension.endAt) };
+  }
+
+  return window;
+};
+
+/**
+ * Check whether two windows overlap (touching ends do not overlap)
+ * @param {Object} a - { startAt, endAt }
+ * @param {Object} b - { startAt, endAt }
+ * @returns {boolean} True if they overlap
+ */
+const windowsOverlap = (a, b) => {
+  return a.startAt.getTime() < b.endAt.getTime() && a.endAt.getTime() > b.startAt.getTime();
+};
+
+/**
+ * Operating days whose bookings can overlap a booking on the given day
+ * (overnight bookings spill into the next calendar day)
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {Array<string>} Previous, same and next day
+ */
+const getAdjacentDates = (bookingDate) => {
+  return [addDays(bookingDate, -1), bookingDate, addDays(bookingDate, 1)];
+};
+
+/**
+ * Validate that a requested slot lies within the cafe's hours for the operating day
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @param {string} startTime - Requested start time
+ * @param {string} endTime - Requested end time
+ * @returns {Object} { valid, message, window }
+ */
+const validateBookingHours = (cafe, bookingDate, startTime, endTime) => {
+  const window = resolveBookingWindow(cafe, bookingDate, startTime, endTime);
+
+  if (window.endAt.getTime() <= window.startAt.getTime()) {
+    return { valid: false, message: 'End time must be after start time', window };
+  }
+
+  const openingWindows = cafeScheduleService.resolveOpeningWindows(cafe, bookingDate);
+  if (openingWindows.length === 0) {
+    const exception = cafeScheduleService.getScheduleException(cafe, bookingDate);
+    return {
+      valid: false,
+      message: `The cafe is closed on ${bookingDate}${exception?.reason ? ` (${exception.reason})` : ''}`,
+      window
+    };
+  }
+
+  // The whole booking must fit inside one opening range
+  const fits = openingWindows.some(opening => window.startAt >= opening.startAt && window.endAt <= opening.endAt);
+  if (!fits) {
+    return {
+      valid: false,
+      message: `Booking time must be within cafe hours: ${cafeScheduleService.formatOpeningHours(cafe, bookingDate)}`,
+      window
+    };
+  }
+
+  return { valid: true, message: null, window };
+};
+
+/**
+ * Pick the stations that are free for a window, given the active bookings
+ * and station blocks around it (pure - no Firestore access)
+ * @param {Object} cafe - Cafe data
+ * @param {Array<Object>} bookings - Active bookings of the station type
+ * @param {Object} requestedWindow - { startAt, endAt }
+ * @param {number} maxStations - Total stations of the type
+ * @param {Array<Object>} blocks - Station blocks of the station type
+ * @returns {Array<number>} Available station numbers
+ */
+const findFreeStations = (cafe, bookings, requestedWindow, maxStations, blocks = []) => {
+  const availableStations = [];
+
+  for (let station = 1; station <= maxStations; station++) {
+    if (stationBlockService.findStationBlock(blocks, station, requestedWindow)) {
+      continue;
+    }
+
+    // Sessions on the same station need the changeover gap between them
+    const hasConflict = bookings
+      .filter(b => b.stationNumber === station)
+      .some(booking => windowsOverlap(
+        requestedWindow,
+        padWindow(getBookingWindow(booking, cafe), getBufferMinutes(cafe, booking.stationType, booking.consoleType))
+      ));
+
+    if (!hasConflict) {
+      availableStations.push(station);
+    }
+  }
+
+  return availableStations;
+};
+
+/**
+ * Check whether a booking still holds the slot it is being rescheduled to
+ * (a paid booking moving to a pricier slot holds it until the difference is paid)
+ * @param {Object} booking - Booking data
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {boolean} True if the target slot is held
+ */
+const isRescheduleHeld = (booking, now = new Date()) => {
+  return !!booking.pendingReschedule && toDate(booking.pendingReschedule.expiresAt) > now;
+};
+
+/**
+ * Fetch the active bookings of a station type around an operating day
+ * A booking holding a reschedule target in the range is returned a second
+ * time, as an entry for the held slot.
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} options
+ * @param {string} options.stationType - 'pc' or 'console'
+ * @param {string|null} options.consoleType - Console type
+ * @param {string} options.bookingDate - Operating day (YYYY-MM-DD)
+ * @param {Array<string>} options.excludeBookingIds - Bookings to ignore (e.g., the one being moved)
+ * @param {Object|null} options.transaction - Firestore transaction object (for atomic reads)
+ * @returns {Array<Object>} Active bookings
+ */
+const getActiveBookings = async (cafe, { stationType, consoleType, bookingDate, excludeBookingIds = [], transaction = null }) => {
+  const buildQuery = (dateField) => {
+    let query = db.collection('bookings')
+      .where('cafeId', '==', cafe.id)
+      .where(dateField, 'in', getAdjacentDates(bookingDate));
+
+    if (stationType) {
+      query = query.where('stationType', '==', stationType);
+    }
+
+    if (stationType === 'console' && consoleType) {
+      query = query.where('consoleType', '==', consoleType);
+    }
+    return query;
+  };
+
+  // Use transaction.get() if transaction is provided for atomic reads
+  // This ensures we read a consistent snapshot and prevents race conditions
+  const [snapshot, heldSnapshot] = await Promise.all(['bookingDate', 'pendingReschedule.bookingDate'].map(field =>
+    transaction ? transaction.get(buildQuery(field)) : buildQuery(field).get()
+  ));
+
+  const now = new Date();
+  const held = heldSnapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(b => isRescheduleHeld(b, now))
+    .map(b => ({ ...b, ...b.pendingReschedule, pendingExtension: null, pendingReschedule: null }));
+
+  return [...snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), ...held]
+    .filter(b => isBookingActive(b, now))
+    .filter(b => !excludeBookingIds.includes(b.id));
+};
+
+/**
+ * Fetch the station blocks that apply to a station type
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} options
+ * @param {string} options.stationType - 'pc' or 'console'
+ * @param {string|null} options.consoleType - Console type
+ * @param {Object|null} options.transaction - Firestore transaction object (for atomic reads)
+ * @returns {Array<Object>} Current and upcoming blocks
+ */
+const getStationBlocks = async (cafe, { stationType, consoleType, transaction = null }) => {
+  const blocks = await stationBlockService.getActiveBlocks(cafe.id, transaction);
+  return blocks.filter(block => stationBlockService.blockAppliesToType(block, stationType, consoleType));
+};
+
+/**
+ * Get available stations for a specific time slot
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} options
+ * @param {string} options.stationType - 'pc' or 'console'
+ * @param {string|null} options.consoleType - Console type
+ * @param {string} options.bookingDate - Operating day (YYYY-MM-DD)
+ * @param {string} options.startTime - Requested start time
+ * @param {string} options.endTime - Requested end time
+ * @param {Array<string>} options.excludeBookingIds - Bookings to ignore
+ * @param {Object|null} options.transaction - Firestore transaction object (for atomic reads)
+ * @returns {Object} { availableStations, totalStations, blockedStations, bufferMinutes }
+ *   blockedStations lists { station, blockId, reason } for stations taken out by a block
+ */
+const getAvailableStations = async (cafe, options) => {
+  const { stationType, consoleType, bookingDate, startTime, endTime } = options;
+  const totalStations = getMaxStations(cafe, stationType, consoleType);
+
+  const bufferMinutes = getBufferMinutes(cafe, stationType, consoleType);
+
+  if (totalStations === 0) {
+    return { availableStations: [], totalStations, blockedStations: [], bufferMinutes };
+  }
+
+  const bookings = await getActiveBookings(cafe, options);
+  const blocks = await getStationBlocks(cafe, options);
+  const requestedWindow = resolveBookingWindow(cafe, bookingDate, startTime, endTime);
+
+  const blockedStations = [];
+  for (let station = 1; station <= totalStations; station++) {
+    const block = stationBlockService.findStationBlock(blocks, station, requestedWindow);
+    if (block) {
+      blockedStations.push({ station, blockId: block.id, reason: stationBlockService.describeBlock(block) });
+    }
+  }
+
+  return {
+    availableStations: findFreeStations(cafe, bookings, requestedWindow, totalStations, blocks),
+    totalStations,
+    blockedStations,
+    bufferMinutes
+  };
+};
+
+/**
+ * Get the booked slots of every station of a type for an operating day,
+ * including overnight bookings from the previous day that spill into it
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} options
+ * @param {string} options.stationType - 'pc' or 'console'
+ * @param {string|null} options.consoleType - Console type
+ * @param {string} options.bookingDate - Operating day (YYYY-MM-DD)
+ * @param {Array<Object>} options.bookings - Pre-fetched active bookings (optional)
+ * @param {Array<Object>} options.blocks - Pre-fetched station blocks of the cafe (optional)
+ * @returns {Object} Map of station number to { station, bookedSlots, blockedSlots }
+ *   Each booked slot carries availableFrom/availableUntil - the slot padded by the
+ *   cafe's changeover gap, so the grid shows when the station can next start a session
+ */
+const getStationSchedule = async (cafe, options) => {
+  const { stationType, consoleType, bookingDate } = options;
+  const totalStations = getMaxStations(cafe, stationType, consoleType);
+  const bookings = options.bookings || await getActiveBookings(cafe, options);
+  const blocks = (options.blocks || await stationBlockService.getActiveBlocks(cafe.id))
+    .filter(block => stationBlockService.blockAppliesToType(block, stationType, consoleType));
+  const openingWindow = resolveOpeningWindow(cafe, bookingDate);
+  const bufferMinutes = getBufferMinutes(cafe, stationType, consoleType);
+
+  const schedule = {};
+  for (let station = 1; station <= totalStations; station++) {
+    schedule[station] = {
+      station,
+      bookedSlots: bookings
+        .filter(b => b.stationType === stationType && b.stationNumber === station)
+        .filter(b => stationType !== 'console' || b.consoleType === consoleType)
+        .map(b => ({ booking: b, window: getBookingWindow(b, cafe) }))
+        .filter(({ window }) => windowsOverlap(window, openingWindow))
+        .map(({ booking, window }) => {
+          const padded = padWindow(window, bufferMinutes);
+          return {
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            bookingDate: booking.bookingDate,
+            startAt: window.startAt.toISOString(),
+            endAt: window.endAt.toISOString(),
+            availableUntil: padded.startAt.toISOString(),
+            availableFrom: padded.endAt.toISOString()
+          };
+        }),
+      blockedSlots: blocks
+        .filter(block => stationBlockService.blockCoversStation(block, station))
+        .flatMap(block => stationBlockService.getBlockWindows(block, openingWindow.startAt, openingWindow.endAt)
+          .map(window => ({
+            blockId: block.id,
+            reason: stationBlockService.describeBlock(block),
+            startAt: window.startAt.toISOString(),
+            endAt: window.endAt.toISOString()
+          })))
+    };
+  }
+
+  return schedule;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  MAX_BUFFER_MINUTES,
+  isBookingActive,
+  getMaxStations,
+  getBufferMinutes,
+  padWindow,
+  cafeCrossesMidnight,
+  resolveBookingWindow,
+  resolveOpeningWindow,
+  getBookingWindow,
+  windowsOverlap,
+  getAdjacentDates,
+  validateBookingHours,
+  findFreeStations,
+  isRescheduleHeld,
+  getActiveBookings,
+  getStationBlocks,
+  getAvailableStations,
+  getStationSchedule
+};
@@ -0,0 +1,153 @@
+const { db } = require('../config/firebase');
+const { deleteCommunityPost } = require('../controllers/communityController');
+const { toDate } = require('../utils/timeUtils');
+const { buildHistoryEntry, recordHistory, SYSTEM_ACTORS } = require('./bookingStatusService');
+const { bookkeepingUpdates } = require('./bookkeepingService');
+
+// Unpaid bookings hold their slot for this long unless the cafe overrides it
+const DEFAULT_HOLD_MINUTES = 15;
+const MIN_HOLD_MINUTES = 5;
+const MAX_HOLD_MINUTES = 120;
+
+// Extra time given to holds whose payment was started at the gateway,
+// so a customer mid-checkout isn't released before Cashfree reports back
+const PAYMENT_GRACE_MINUTES = 10;
+
+// Recurring occurrences are paid one at a time and stay held until this
+// long before they start
+const SERIES_PAYMENT_LEAD_HOURS = 24;
+
+/**
+ * Get the hold window for a cafe, clamped to the allowed range
+ * @param {Object} cafe - Cafe data
+ * @returns {number} Hold window in minutes
+ */
+const getHoldMinutes = (cafe) => {
+  const minutes = parseInt(cafe?.bookingHoldMinutes, 10);
+  if (isNaN(minutes)) return DEFAULT_HOLD_MINUTES;
+  return Math.min(Math.max(minutes, MIN_HOLD_MINUTES), MAX_HOLD_MINUTES);
+};
+
+/**
+ * Calculate when a new unpaid booking's hold expires
+ * @param {Object} cafe - Cafe data
+ * @param {Date} from - Hold start (defaults to now)
+ * @returns {Date} Hold expiry
+ */
+const calculateHoldExpiry = (cafe, from = new Date()) => {
+  return new Date(from.getTime() + getHoldMinutes(cafe) * 60 * 1000);
+};
+
+/**
+ * Calculate when an unpaid occurrence of a recurring series stops being held
+ * Never earlier than the normal hold window, never later than the session start
+ * @param {Object} cafe - Cafe data
+ * @param {Date} startAt - Occurrence start
+ * @param {Date} from - Hold start (defaults to now)
+ * @returns {Date} Hold expiry
+ */
+const calculateOccurrenceHoldExpiry = (cafe, startAt, from = new Date()) => {
+  const payBy = new Date(startAt.getTime() - SERIES_PAYMENT_LEAD_HOURS * 60 * 60 * 1000);
+  const holdExpiresAt = calculateHoldExpiry(cafe, from);
+  if (payBy > holdExpiresAt) return payBy;
+  return holdExpiresAt < startAt ? holdExpiresAt : startAt;
+};
+
+/**
+ * Check whether a booking is an unpaid hold that has run out
+ * Bookings created before holds existed (no holdExpiresAt) never expire
+ * @param {Object} booking - Booking data
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {boolean} True if the hold has expired
+ */
+const isHoldExpired = (booking, now = new Date()) => {
+  if (booking.status !== 'pending' || booking.paymentStatus === 'paid') return false;
+
+  const holdExpiresAt = toDate(booking.holdExpiresAt);
+  if (!holdExpiresAt) return false;
+
+  const graceMs = booking.paymentStatus === 'pending' ? PAYMENT_GRACE_MINUTES * 60 * 1000 : 0;
+  return holdExpiresAt.getTime() + graceMs <= now.getTime();
+};
+
+/**
+ * Bookkeeping a released booking needs: what it used goes back
+ * @param {Object} booking - Booking data
+ * @returns {Array<Object>} Tasks for bookkeepingService
+ */
+const getReleaseTasks = (booking) => {
+  const args = { reason: 'Unpaid hold expired' };
+  return [
+    booking.walletAmount > 0 && { task: 'returnWallet', args },
+    booking.pass?.hours > 0 && { task: 'restorePass', args },
+    booking.pointsRedeemed > 0 && { task: 'returnPoints', args },
+    booking.promo?.redemptionId && { task: 'reversePromo', args: { redemptionId: booking.promo.redemptionId } },
+    { task: 'offerWaitlist' }
+  ].filter(Boolean);
+};
+
+/**
+ * Cancel every pending booking whose hold has expired, releasing its slot
+ * Each booking is re-read in its own transaction, so one paid since the
+ * query ran is left alone. What it used is queued to go back in the same write
+ * (run the returned bookings' bookkeeping afterwards).
+ * Called by the scheduled releaseExpiredBookingHolds function
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Array<Object>} Released bookings
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  console.log('⏳ [BOOKING_HOLD] Releasing holds expired before:', now.toISOString());
+
+  const snapshot = await db.collection('bookings')
+    .where('status', '==', 'pending')
+    .where('holdExpiresAt', '<=', now)
+    .get();
+
+  const expired = snapshot.docs.filter(doc => isHoldExpired(doc.data(), now));
+
+  console.log('⏳ [BOOKING_HOLD] Found', expired.length, 'expired holds');
+
+  const released = [];
+  for (const { ref } of expired) {
+    const booking = await db.runTransaction(async (transaction) => {
+      const bookingDoc = await transaction.get(ref);
+      if (!bookingDoc.exists || !isHoldExpired(bookingDoc.data(), now)) return null;
+
+      const current = bookingDoc.data();
+      transaction.update(ref, {
+        status: 'cancelled',
+        cancellationReason: 'hold_expired',
+        holdReleasedAt: now,
+        statusChangedAt: now,
+        updatedAt: now,
+        ...bookkeepingUpdates(getReleaseTasks(current))
+      });
+      recordHistory(transaction, ref, buildHistoryEntry({
+        fromStatus: current.status,
+        toStatus: 'cancelled',
+        actor: SYSTEM_ACTORS.holdExpiry,
+        reason: 'Unpaid hold expired'
+      }));
+      return { id: ref.id, ...current, status: 'cancelled', cancellationReason: 'hold_expired' };
+    });
+    if (booking) released.push(booking);
+  }
+
+  // Released bookings shouldn't stay in the community feed
+  for (const booking of released) {
+    await deleteCommunityPost(booking.id);
+  }
+
+  console.log('⏳ [BOOKING_HOLD] Released', released.length, 'bookings');
+  return released;
+};
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  PAYMENT_GRACE_MINUTES,
+  getHoldMinutes,
+  calculateHoldExpiry,
+  calculateOccurrenceHoldExpiry,
+  isHoldExpired,
+  releaseExpiredHolds
+};
@@ -0,0 +1,52 @@
+const { addDays } = require('../utils/timeUtils');
+
+// Upper bound on occurrences in one series (a year of weekly sessions)
+const MAX_SERIES_OCCURRENCES = 52;
+
+const SERIES_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Get the day of week (0 = Sunday) of a YYYY-MM-DD date
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {number} Day of week
+ */
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+/**
+ * Expand a recurrence rule into its operating days
+ * Stops at endDate or after `occurrences` dates, whichever comes first,
+ * and never returns more than MAX_SERIES_OCCURRENCES dates
+ * @param {Object} rule
+ * @param {string} rule.startDate - First possible date (YYYY-MM-DD)
+ * @param {string} rule.frequency - 'daily' or 'weekly'
+ * @param {Array<number>} rule.daysOfWeek - Weekly days (0 = Sunday); defaults to startDate's day
+ * @param {string|null} rule.endDate - Last possible date (YYYY-MM-DD)
+ * @param {number|null} rule.occurrences - Number of dates to generate
+ * @returns {Array<string>} Dates (YYYY-MM-DD) in order
+ */
+const generateOccurrenceDates = ({ startDate, frequency, daysOfWeek, endDate = null, occurrences = null }) => {
+  const limit = Math.min(occurrences || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  const weekdays = frequency === 'weekly'
+    ? (daysOfWeek && daysOfWeek.length > 0 ? daysOfWeek.map(Number) : [getDayOfWeek(startDate)])
+    : null;
+
+  const dates = [];
+  let current = startDate;
+  // Two years of days always covers MAX_SERIES_OCCURRENCES weekly dates
+  for (let i = 0; i < 366 * 2 && dates.length < limit; i++) {
+    if (endDate && current > endDate) break;
+    if (!weekdays || weekdays.includes(getDayOfWeek(current))) {
+      dates.push(current);
+    }
+    current = addDays(current, 1);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  SERIES_FREQUENCIES,
+  getDayOfWeek,
+  generateOccurrenceDates
+};
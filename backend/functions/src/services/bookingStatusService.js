@@ -0,0 +1,227 @@
+const { db } = require('../config/firebase');
+
+/**
+ * Booking lifecycle. Every status change goes through transitionBooking so
+ * the allowed transitions (BOOKING_TRANSITIONS) are enforced in one place and
+ * each change leaves an entry in the booking's `history` subcollection.
+ */
+
+const BOOKING_STATUSES = [
+  'pending',
+  'paid',
+  'confirmed',
+  'checked_in',
+  'completed',
+  'cancelled',
+  'no_show',
+  'refunded'
+];
+
+const BOOKING_TRANSITIONS = {
+  pending: ['paid', 'confirmed', 'cancelled'],
+  paid: ['confirmed', 'cancelled', 'refunded'],
+  confirmed: ['checked_in', 'completed', 'cancelled', 'no_show'],
+  checked_in: ['completed'],
+  completed: [],
+  cancelled: ['refunded'],
+  no_show: ['checked_in', 'refunded'], // Owner corrects a late arrival, or refunds as goodwill
+  refunded: []
+};
+
+// Statuses an owner may set directly through updateBookingStatus
+// (paid and refunded are only reached through the payment and refund flows)
+const OWNER_SETTABLE_STATUSES = ['confirmed', 'checked_in', 'completed', 'cancelled', 'no_show'];
+
+// Actors for changes made by the platform itself
+const SYSTEM_ACTORS = {
+  payment: { type: 'system', id: 'payment' },
+  holdExpiry: { type: 'system', id: 'hold_expiry' },
+  noShow: { type: 'system', id: 'no_show_check' },
+  refund: { type: 'system', id: 'refund' },
+  waitlist: { type: 'system', id: 'waitlist' }
+};
+
+/**
+ * Check whether a booking may move from one status to another
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Requested status
+ * @returns {boolean} True if allowed
+ */
+const canTransition = (fromStatus, toStatus) => {
+  return (BOOKING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Build the actor recorded in history from an authenticated user
+ * @param {Object} user - req.user
+ * @returns {Object} { type, id }
+ */
+const actorFromUser = (user) => ({
+  type: user?.role === 'owner' ? 'owner' : 'user',
+  id: user?.id || null
+});
+
+/**
+ * Build a history entry
+ * @param {Object} params
+ * @param {string|null} params.fromStatus - Previous status (null on creation)
+ * @param {string} params.toStatus - New status
+ * @param {Object} params.actor - { type, id }
+ * @param {string|null} params.reason - Why the status changed
+ * @returns {Object} History entry
+ */
+const buildHistoryEntry = ({ fromStatus, toStatus, actor, reason = null }) => ({
+  fromStatus: fromStatus || null,
+  toStatus,
+  actor: actor || { type: 'system', id: null },
+  reason: reason || null,
+  createdAt: new Date()
+});
+
+/**
+ * Queue a history entry on a transaction or batch
+ * Use when the status write itself happens in that transaction/batch
+ * (booking creation, bulk hold release)
+ * @param {Object} writer - Firestore transaction or batch
+ * @param {Object} bookingRef - Booking document reference
+ * @param {Object} entry - Entry from buildHistoryEntry
+ */
+const recordHistory = (writer, bookingRef, entry) => {
+  writer.set(bookingRef.collection('history').doc(), entry);
+};
+
+/**
+ * Move a booking to a new status, enforcing the lifecycle
+ * Throws an INVALID_TRANSITION: error if the move is not allowed.
+ * Moving to the current status is a no-op.
+ * @param {string} bookingId - Booking ID
+ * @param {string} toStatus - New status
+ * @param {Object} options
+ * @param {Object} options.actor - { type, id }
+ * @param {string|null} options.reason - Why the status changed
+ * @param {Object} options.updates - Extra booking fields to write with the status
+ * @returns {Object} { changed, fromStatus, toStatus }
+ */
+const transitionBooking = async (bookingId, toStatus, { actor, reason = null, updates = {} } = {}) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    if (!bookingDoc.exists) {
+      throw new Error(`NOT_FOUND:Booking ${bookingId} not found`);
+    }
+
+    const fromStatus = bookingDoc.data().status;
+    if (fromStatus === toStatus) {
+      return { changed: false, fromStatus, toStatus };
+    }
+
+    if (!canTransition(fromStatus, toStatus)) {
+      throw new Error(`INVALID_TRANSITION:Cannot change booking status from ${fromStatus} to ${toStatus}`);
+    }
+
+    transaction.update(bookingRef, {
+      ...updates,
+      status: toStatus,
+      statusChangedAt: new Date(),
+      updatedAt: new Date()
+    });
+    recordHistory(transaction, bookingRef, buildHistoryEntry({ fromStatus, toStatus, actor, reason }));
+
+    return { changed: true, fromStatus, toStatus };
+  });
+};
+
+/**
+ * Refund a payment that landed on a booking after it was cancelled (e.g., its
+ * hold expired while the customer was still at the gateway)
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Current booking data
+ */
+const refundUnappliedPayment = async (bookingId, booking) => {
+  if (booking?.status !== 'cancelled' || booking.paymentStatus !== 'paid') return;
+
+  console.log('📜 [BOOKING_STATUS] Refunding a payment for a released booking:', { bookingId });
+  try {
+    const { processRefund } = require('../controllers/refundController');
+    await processRefund(bookingId, { full: true, reason: 'Payment received after the booking was released' });
+  } catch (error) {
+    // Another callback for the same payment already refunded it (or is doing so)
+    if (error.message.startsWith('NOT_REFUNDABLE:') || error.message.startsWith('REFUND_IN_PROGRESS:')) return;
+    console.error('📜 [BOOKING_STATUS] Failed to refund a payment for a released booking:', { bookingId, error: error.message });
+  }
+};
+
+/**
+ * Confirm a booking after its payment succeeded (pending → paid → confirmed)
+ * Safe to call repeatedly - the callback, verify endpoint and webhook all do.
+ * A payment for a booking that was meanwhile cancelled is refunded in full.
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - e.g., 'Payment verified via webhook'
+ * @returns {boolean} True if the booking ended up confirmed (or later)
+ */
+const confirmAfterPayment = async (bookingId, reason) => {
+  try {
+    await transitionBooking(bookingId, 'paid', { actor: SYSTEM_ACTORS.payment, reason });
+  } catch (error) {
+    // Already past 'paid' (e.g., confirmed by an earlier callback) is fine
+    if (!error.message.startsWith('INVALID_TRANSITION:')) throw error;
+  }
+
+  try {
+    await transitionBooking(bookingId, 'confirmed', {
+      actor: SYSTEM_ACTORS.payment,
+      reason: 'Confirmed after payment'
+    });
+    return true;
+  } catch (error) {
+    if (!error.message.startsWith('INVALID_TRANSITION:')) throw error;
+
+    const current = (await db.collection('bookings').doc(bookingId).get()).data();
+    if (['checked_in', 'completed', 'no_show'].includes(current?.status)) {
+      return true;
+    }
+
+    console.error('📜 [BOOKING_STATUS] Payment received for a booking that cannot be confirmed:', {
+      bookingId,
+      status: current?.status
+    });
+    await refundUnappliedPayment(bookingId, current);
+    return false;
+  }
+};
+
+/**
+ * Get a booking's status history, oldest first
+ * @param {string} bookingId - Booking ID
+ * @returns {Array<Object>} History entries with ISO timestamps
+ */
+const getBookingHistory = async (bookingId) => {
+  const snapshot = await db.collection('bookings').doc(bookingId)
+    .collection('history')
+    .orderBy('createdAt', 'asc')
+    .get();
+
+  return snapshot.docs.map((doc) => {
+    const entry = doc.data();
+    return {
+      id: doc.id,
+      ...entry,
+      createdAt: entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : entry.createdAt
+    };
+  });
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  OWNER_SETTABLE_STATUSES,
+  SYSTEM_ACTORS,
+  canTransition,
+  actorFromUser,
+  buildHistoryEntry,
+  recordHistory,
+  transitionBooking,
+  confirmAfterPayment,
+  getBookingHistory
+};
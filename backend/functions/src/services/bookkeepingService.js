@@ -0,0 +1,161 @@
+const { db, admin } = require('../config/firebase');
+const { toDate } = require('../utils/timeUtils');
+
+/**
+ * Follow-up work a booking change leaves behind, such as giving back what a
+ * cancelled booking used. Tasks are queued on the booking in the same write as
+ * the change that needs them, then run right after it. A task that fails stays
+ * queued with its error and the retryBookkeeping scheduled function runs it
+ * again, so the change itself never fails or loses its follow-up work.
+ * Every task must be safe to run more than once.
+ *
+ * booking.bookkeeping: { [key]: { task, args, queuedAt, attempts, lastError, lastAttemptAt } }
+ * booking.bookkeepingPending: true while any task is queued
+ * booking.bookkeepingFailed: tasks given up on after MAX_ATTEMPTS, for manual follow-up
+ */
+
+const MAX_ATTEMPTS = 10;
+
+// Bookings picked up per sweep
+const RETRY_BATCH_SIZE = 100;
+
+// Services are required when a task runs - most of them lead back to the
+// booking services that queue tasks
+const TASKS = {
+  // An unpaid booking's wallet share goes back (paid ones are refunded instead)
+  returnWallet: (bookingId, { reason }) => require('./walletService').returnBookingWalletAmount(bookingId, reason),
+  // Pass hours come back on the same terms as a refund
+  restorePass: (bookingId, { reason }) => require('./passService').restorePassHours(bookingId, reason),
+  // The promo code is given back once none of the discounted bookings went ahead
+  reversePromo: (bookingId, { redemptionId }) => require('./promoService').reverseRedemption(redemptionId),
+  // Points spent on the booking come back on the same terms as a refund
+  returnPoints: (bookingId, { reason }) => require('./loyaltyService').returnRedeemedPoints(bookingId, reason),
+  // Points the booking earned are taken back in proportion to a refund
+  reversePoints: (bookingId, { refundAmount, reason, refundId }) =>
+    require('./loyaltyService').reverseEarnedPoints(bookingId, refundAmount, reason, refundId),
+  awardPoints: (bookingId) => require('./loyaltyService').awardBookingPoints(bookingId),
+  // A paid booking change that could no longer be applied is paid back
+  refundAdjustment: (bookingId, { adjustmentId }) =>
+    require('../controllers/paymentController').refundAdjustmentOrder(adjustmentId),
+  // The freed slot goes to the first matching waitlisted user
+  offerWaitlist: (bookingId) => require('./waitlistService').offerReleasedSlot(bookingId),
+  // Queued on every booking of the order; whichever runs first issues it
+  issueInvoice: (bookingId, { bookingIds }) => require('./invoiceService').issueInvoice(bookingIds),
+  // Queued on the adjustment's primary booking
+  issueAdjustmentInvoice: (bookingId, { adjustmentId }) => require('./invoiceService').issueAdjustmentInvoice(adjustmentId),
+  issueCreditNote: (bookingId, { refundAmount, refundId, reason }) =>
+    require('./invoiceService').issueCreditNote(bookingId, { refundAmount, refundId, reason })
+};
+
+/**
+ * Booking fields that queue tasks - merge them into the write that needs them
+ * @param {Array<Object>} tasks - { task, args, key } (key tells apart several
+ *   runs of one task, e.g., one per refund; defaults to the task name)
+ * @returns {Object} Fields for a booking update (transaction, batch or plain)
+ */
+const bookkeepingUpdates = (tasks) => {
+  const fields = {};
+  tasks.forEach(({ task, args = {}, key = task }) => {
+    if (!TASKS[task]) throw new Error(`Unknown bookkeeping task: ${task}`);
+    fields[`bookkeeping.${key}`] = { task, args, queuedAt: new Date(), attempts: 0 };
+  });
+  if (tasks.length) fields.bookkeepingPending = true;
+  return fields;
+};
+
+/**
+ * Queue tasks on bookings in a write of their own, then run them
+ * For follow-up work with no booking write to go along with
+ * @param {Array<string>} bookingIds - Booking IDs
+ * @param {Array<Object>} tasks - As for bookkeepingUpdates
+ */
+const queueBookkeeping = async (bookingIds, tasks) => {
+  const batch = db.batch();
+  bookingIds.forEach(id => batch.update(db.collection('bookings').doc(id), bookkeepingUpdates(tasks)));
+  await batch.commit();
+  await runBookkeepingFor(bookingIds);
+};
+
+/**
+ * Run a booking's queued tasks in the order they were queued; each one that succeeds is removed
+ * Never throws - whatever fails stays queued for the retry sweep.
+ * @param {string} bookingId - Booking ID
+ * @returns {Object} Result per task key (null for tasks that failed)
+ */
+const runBookkeeping = async (bookingId) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const results = {};
+
+  try {
+    const bookingDoc = await bookingRef.get();
+    const queued = bookingDoc.exists ? bookingDoc.data().bookkeeping || {} : {};
+
+    // A credit note needs the invoice queued before it
+    const entries = Object.entries(queued)
+      .sort(([, a], [, b]) => (toDate(a.queuedAt) || 0) - (toDate(b.queuedAt) || 0));
+
+    for (const [key, entry] of entries) {
+      try {
+        if (!TASKS[entry.task]) throw new Error(`Unknown bookkeeping task: ${entry.task}`);
+        results[key] = await TASKS[entry.task](bookingId, entry.args || {});
+        await bookingRef.update({ [`bookkeeping.${key}`]: admin.firestore.FieldValue.delete() });
+      } catch (error) {
+        results[key] = null;
+        const attempts = (entry.attempts || 0) + 1;
+        console.error('🧮 [BOOKKEEPING] Task failed:', { bookingId, task: entry.task, attempts, error: error.message });
+        const failure = { ...entry, attempts, lastError: error.message, lastAttemptAt: new Date() };
+        await bookingRef.update(attempts >= MAX_ATTEMPTS
+          ? { [`bookkeeping.${key}`]: admin.firestore.FieldValue.delete(), [`bookkeepingFailed.${key}`]: failure }
+          : { [`bookkeeping.${key}`]: failure });
+      }
+    }
+
+    // Clear the flag unless something is still (or newly) queued
+    await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(bookingRef);
+      if (!current.exists || !current.data().bookkeepingPending) return;
+      if (Object.keys(current.data().bookkeeping || {}).length === 0) {
+        transaction.update(bookingRef, { bookkeepingPending: false });
+      }
+    });
+  } catch (error) {
+    console.error('🧮 [BOOKKEEPING] Failed to run queued tasks:', { bookingId, error: error.message });
+  }
+
+  return results;
+};
+
+/**
+ * Run queued tasks for bookings in turn
+ * @param {Array<string>} bookingIds - Booking IDs
+ */
+const runBookkeepingFor = async (bookingIds) => {
+  for (const bookingId of bookingIds) {
+    await runBookkeeping(bookingId);
+  }
+};
+
+/**
+ * Retry tasks that failed earlier
+ * Called by the scheduled retryBookkeeping function
+ * @returns {number} Bookings processed
+ */
+const retryPendingBookkeeping = async () => {
+  const snapshot = await db.collection('bookings')
+    .where('bookkeepingPending', '==', true)
+    .limit(RETRY_BATCH_SIZE)
+    .get();
+
+  console.log('🧮 [BOOKKEEPING] Retrying queued tasks for', snapshot.size, 'bookings');
+  await runBookkeepingFor(snapshot.docs.map(doc => doc.id));
+  return snapshot.size;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  bookkeepingUpdates,
+  queueBookkeeping,
+  runBookkeeping,
+  runBookkeepingFor,
+  retryPendingBookkeeping
+};
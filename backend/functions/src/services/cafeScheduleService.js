@@ -0,0 +1,198 @@
+const { getDayOfWeek } = require('./bookingSeriesService');
+const { timeToMinutes, calculateDuration, addDays, toInstant, toCafeDate } = require('../utils/timeUtils');
+
+/**
+ * Cafe opening hours. A cafe may define a weekly schedule with several
+ * ranges per day, plus dated exceptions (closed for a festival, special
+ * hours). A range whose close time is not after its open time runs past
+ * midnight and belongs to the operating day it opened on.
+ *
+ * cafe.weeklySchedule:     { monday: [{ open: '10:00', close: '14:00' }, { open: '18:00', close: '02:00' }], sunday: [], ... }
+ *                          Days left out of the schedule are closed.
+ * cafe.scheduleExceptions: [{ date: '2026-11-08', closed: true, reason: 'Diwali' },
+ *                           { date: '2026-12-31', ranges: [{ open: '10:00', close: '04:00' }] }]
+ *
+ * Cafes without a weeklySchedule use their openingTime/closingTime every
+ * day, and cafes without any hours are open 24 hours.
+ */
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the dated exception for an operating day, if any
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {Object|null} Exception
+ */
+const getScheduleException = (cafe, bookingDate) => {
+  return (cafe?.scheduleExceptions || []).find(exception => exception.date === bookingDate) || null;
+};
+
+/**
+ * Get the opening ranges for an operating day, in opening order
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {Array<Object>} Ranges { open, close } (empty when closed)
+ */
+const getOpeningRanges = (cafe, bookingDate) => {
+  const exception = getScheduleException(cafe, bookingDate);
+  let ranges;
+
+  if (exception) {
+    ranges = exception.closed ? [] : (exception.ranges || []);
+  } else if (cafe?.weeklySchedule) {
+    ranges = cafe.weeklySchedule[WEEK_DAYS[getDayOfWeek(bookingDate)]] || [];
+  } else if (cafe?.openingTime && cafe?.closingTime) {
+    ranges = [{ open: cafe.openingTime, close: cafe.closingTime }];
+  } else {
+    ranges = [{ open: '00:00', close: '00:00' }];
+  }
+
+  return [...ranges].sort((a, b) => timeToMinutes(a.open) - timeToMinutes(b.open));
+};
+
+/**
+ * Check whether an operating day has a range that runs past midnight
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {boolean} True if the day's hours continue into the next calendar day
+ */
+const crossesMidnightOn = (cafe, bookingDate) => {
+  // A range closing at exactly midnight ends on its own day
+  return getOpeningRanges(cafe, bookingDate)
+    .some(range => timeToMinutes(range.close) <= timeToMinutes(range.open) && timeToMinutes(range.close) > 0);
+};
+
+/**
+ * Resolve an operating day's opening ranges to absolute windows
+ * Back-to-back ranges (e.g., 10:00 - 14:00 and 14:00 - 18:00) are merged,
+ * and identical open and close times mean open 24 hours
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {Array<Object>} Windows { startAt, endAt } as Dates, in order
+ */
+const resolveOpeningWindows = (cafe, bookingDate) => {
+  const windows = [];
+
+  for (const range of getOpeningRanges(cafe, bookingDate)) {
+    const startAt = toInstant(bookingDate, range.open);
+    const endAt = new Date(startAt.getTime() + (calculateDuration(range.open, range.close) || 24) * 60 * 60 * 1000);
+    const previous = windows[windows.length - 1];
+
+    if (previous && startAt <= previous.endAt) {
+      if (endAt > previous.endAt) previous.endAt = endAt;
+    } else {
+      windows.push({ startAt, endAt });
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * Check whether a cafe is open at an instant
+ * Looks at the previous operating day too, for ranges that run past midnight
+ * @param {Object} cafe - Cafe data
+ * @param {Date} instant - Reference time (defaults to now)
+ * @returns {boolean} True if open
+ */
+const isOpenAt = (cafe, instant = new Date()) => {
+  const today = toCafeDate(instant);
+  return [addDays(today, -1), today].some(date =>
+    resolveOpeningWindows(cafe, date).some(window => window.startAt <= instant && window.endAt > instant)
+  );
+};
+
+/**
+ * Describe an operating day's hours, e.g. "10:00 - 14:00, 18:00 - 02:00"
+ * @param {Object} cafe - Cafe data
+ * @param {string} bookingDate - Operating day (YYYY-MM-DD)
+ * @returns {string} Hours, or "Closed"
+ */
+const formatOpeningHours = (cafe, bookingDate) => {
+  const ranges = getOpeningRanges(cafe, bookingDate);
+  if (ranges.length === 0) return 'Closed';
+
+  const formatTime = (t) => t ? t.substring(0, 5) : '';
+  return ranges.map(range => `${formatTime(range.open)} - ${formatTime(range.close)}`).join(', ');
+};
+
+/**
+ * Check a list of opening ranges
+ * @param {Array} ranges - Ranges { open, close }
+ * @param {string} label - Where the ranges are (for the message)
+ * @returns {string|null} Error message, or null if valid
+ */
+const getRangesError = (ranges, label) => {
+  if (!Array.isArray(ranges)) {
+    return `${label} must be a list of { open, close } ranges`;
+  }
+
+  for (const range of ranges) {
+    if (!range || !TIME_PATTERN.test(range.open || '') || !TIME_PATTERN.test(range.close || '')) {
+      return `${label} has an invalid range - open and close must be HH:MM`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate a weekly schedule and its exceptions before saving them
+ * @param {Object|undefined} weeklySchedule - Weekly schedule (optional)
+ * @param {Array|undefined} scheduleExceptions - Dated exceptions (optional)
+ * @returns {string|null} Error message, or null if valid
+ */
+const getScheduleError = (weeklySchedule, scheduleExceptions) => {
+  if (weeklySchedule !== undefined && weeklySchedule !== null) {
+    if (typeof weeklySchedule !== 'object' || Array.isArray(weeklySchedule)) {
+      return 'Weekly schedule must be an object keyed by day of the week';
+    }
+
+    for (const [day, ranges] of Object.entries(weeklySchedule)) {
+      if (!WEEK_DAYS.includes(day)) {
+        return `Unknown day "${day}" in weekly schedule. Use: ${WEEK_DAYS.join(', ')}`;
+      }
+      const error = getRangesError(ranges, `Schedule for ${day}`);
+      if (error) return error;
+    }
+  }
+
+  if (scheduleExceptions !== undefined && scheduleExceptions !== null) {
+    if (!Array.isArray(scheduleExceptions)) {
+      return 'Schedule exceptions must be a list';
+    }
+
+    const dates = new Set();
+    for (const exception of scheduleExceptions) {
+      if (!exception || !DATE_PATTERN.test(exception.date || '')) {
+        return 'Every schedule exception needs a date (YYYY-MM-DD)';
+      }
+      if (dates.has(exception.date)) {
+        return `More than one schedule exception for ${exception.date}`;
+      }
+      dates.add(exception.date);
+
+      if (!exception.closed) {
+        const error = getRangesError(exception.ranges, `Exception for ${exception.date}`);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  WEEK_DAYS,
+  getScheduleException,
+  getOpeningRanges,
+  crossesMidnightOn,
+  resolveOpeningWindows,
+  isOpenAt,
+  formatOpeningHours,
+  getScheduleError
+};
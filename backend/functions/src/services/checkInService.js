@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { db, admin } = require('../config/firebase');
+const { toDate } = require('../utils/timeUtils');
+const { transitionBooking, SYSTEM_ACTORS } = require('./bookingStatusService');
+
+/**
+ * Check-in codes and no-show handling. A confirmed booking's check-in code is
+ * an HMAC over the booking, so it can be rendered as a QR code by the app and
+ * verified by the owner's scanner without storing it.
+ */
+
+const CHECKIN_CODE_PREFIX = 'XG1';
+
+// Confirmed bookings become no_show this long after start unless checked in
+const DEFAULT_NO_SHOW_GRACE_MINUTES = 15;
+const MIN_NO_SHOW_GRACE_MINUTES = 5;
+const MAX_NO_SHOW_GRACE_MINUTES = 120;
+
+// Customers can check in this long before their slot starts
+const EARLY_CHECKIN_MINUTES = 30;
+
+// How far back each no-show run looks: the longest grace period plus room for
+// a few missed runs of the 5-minute schedule. Older bookings are left to the owner.
+const NO_SHOW_LOOKBACK_MINUTES = MAX_NO_SHOW_GRACE_MINUTES + 30;
+
+/**
+ * Get the no-show grace period for a cafe, clamped to the allowed range
+ * @param {Object} cafe - Cafe data
+ * @returns {number} Grace period in minutes
+ */
+const getNoShowGraceMinutes = (cafe) => {
+  const minutes = parseInt(cafe?.noShowGraceMinutes, 10);
+  if (isNaN(minutes)) return DEFAULT_NO_SHOW_GRACE_MINUTES;
+  return Math.min(Math.max(minutes, MIN_NO_SHOW_GRACE_MINUTES), MAX_NO_SHOW_GRACE_MINUTES);
+};
+
+/**
+ * Secret the codes are signed with (set from the CHECKIN_SECRET param per request)
+ * @returns {string|undefined} Secret
+ */
+const getCheckInSecret = () => process.env.CHECKIN_SECRET;
+
+/**
+ * Sign a booking's identity
+ * @param {string} bookingId - Booking ID
+ * @param {string} cafeId - Cafe ID
+ * @returns {string} URL-safe signature
+ */
+const signBooking = (bookingId, cafeId) => {
+  return crypto
+    .createHmac('sha256', getCheckInSecret())
+    .update(`${CHECKIN_CODE_PREFIX}.${bookingId}.${cafeId}`)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Build the check-in code (QR payload) for a booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Booking data
+ * @returns {string|null} Code, or null if check-in signing isn't configured
+ */
+const generateCheckInCode = (bookingId, booking) => {
+  if (!getCheckInSecret()) {
+    console.error('✅ [CHECK_IN] CHECKIN_SECRET is not set - check-in codes are disabled');
+    return null;
+  }
+  return `${CHECKIN_CODE_PREFIX}.${bookingId}.${booking.cafeId}.${signBooking(bookingId, booking.cafeId)}`;
+};
+
+/**
+ * Verify a scanned check-in code
+ * @param {string} code - Scanned code
+ * @returns {Object} { valid, bookingId, cafeId }
+ */
+const verifyCheckInCode = (code) => {
+  const parts = typeof code === 'string' ? code.trim().split('.') : [];
+  if (!getCheckInSecret() || parts.length !== 4 || parts[0] !== CHECKIN_CODE_PREFIX) {
+    return { valid: false };
+  }
+
+  const [, bookingId, cafeId, signature] = parts;
+  const expected = Buffer.from(signBooking(bookingId, cafeId));
+  const received = Buffer.from(signature);
+  const valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+
+  return valid ? { valid: true, bookingId, cafeId } : { valid: false };
+};
+
+/**
+ * Build the check-in details returned to the customer for a confirmed booking
+ * @param {string} bookingId - Booking ID
+ * @param {Object} booking - Booking data
+ * @returns {Object|null} { code, qrPayload, checkedInAt } or null if not applicable
+ */
+const getCheckInDetails = (bookingId, booking) => {
+  if (booking.status !== 'confirmed') return null;
+  const code = generateCheckInCode(bookingId, booking);
+  if (!code) return null;
+
+  const checkedInAt = toDate(booking.checkedInAt);
+  return {
+    code,
+    qrPayload: code,
+    checkedInAt: checkedInAt ? checkedInAt.toISOString() : null
+  };
+};
+
+/**
+ * Count a check-in or no-show on the customer's reliability record
+ * @param {string} userId - Customer ID
+ * @param {string} outcome - 'checkIns' or 'noShows'
+ */
+const recordAttendance = async (userId, outcome) => {
+  // Walk-in guests have no account to keep a record on
+  if (!userId) return;
+
+  try {
+    await db.collection('users').doc(userId).update({
+      [`reliability.${outcome}`]: admin.firestore.FieldValue.increment(1),
+      'reliability.updatedAt': new Date()
+    });
+  } catch (error) {
+    console.error('✅ [CHECK_IN] Failed to update reliability record:', { userId, outcome, error: error.message });
+  }
+};
+
+/**
+ * Summarise a user's reliability record
+ * @param {Object} user - User data
+ * @returns {Object} { checkIns, noShows, noShowRate }
+ */
+const getReliability = (user) => {
+  const checkIns = user?.reliability?.checkIns || 0;
+  const noShows = user?.reliability?.noShows || 0;
+  const total = checkIns + noShows;
+  return {
+    checkIns,
+    noShows,
+    noShowRate: total > 0 ? parseFloat((noShows / total).toFixed(2)) : 0
+  };
+};
+
+/**
+ * Mark confirmed bookings that passed their cafe's grace period without a check-in as no_show
+ * Only bookings that started within NO_SHOW_LOOKBACK_MINUTES are considered, and only
+ * ones made since check-in codes exist (noShowTracked) - older ones were never given a code to scan.
+ * Called by the scheduled markNoShowBookings function
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Array<Object>} Bookings marked no_show
+ */
+const markNoShows = async (now = new Date()) => {
+  const earliestCutoff = new Date(now.getTime() - MIN_NO_SHOW_GRACE_MINUTES * 60 * 1000);
+  const lookbackStart = new Date(now.getTime() - NO_SHOW_LOOKBACK_MINUTES * 60 * 1000);
+
+  const snapshot = await db.collection('bookings')
+    .where('status', '==', 'confirmed')
+    .where('startAt', '>=', lookbackStart)
+    .where('startAt', '<=', earliestCutoff)
+    .get();
+
+  const candidates = snapshot.docs
+    .map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }))
+    .filter(b => !b.checkedInAt)
+    .filter(b => b.noShowTracked);
+
+  const cafes = {};
+  const noShows = [];
+  for (const booking of candidates) {
+    if (!(booking.cafeId in cafes)) {
+      const cafeDoc = await db.collection('cafes').doc(booking.cafeId).get();
+      cafes[booking.cafeId] = cafeDoc.exists ? cafeDoc.data() : null;
+    }
+
+    const graceMs = getNoShowGraceMinutes(cafes[booking.cafeId]) * 60 * 1000;
+    if (toDate(booking.startAt).getTime() + graceMs > now.getTime()) continue;
+
+    try {
+      await transitionBooking(booking.id, 'no_show', {
+        actor: SYSTEM_ACTORS.noShow,
+        reason: 'Not checked in within the grace period',
+        updates: { noShowAt: now }
+      });
+    } catch (error) {
+      // Checked in or changed by the owner since the query ran
+      console.error('✅ [CHECK_IN] Skipping no-show:', { bookingId: booking.id, error: error.message });
+      continue;
+    }
+    await recordAttendance(booking.userId, 'noShows');
+    noShows.push(booking);
+  }
+
+  console.log('✅ [CHECK_IN] Marked', noShows.length, 'bookings as no_show');
+  return noShows.map(({ ref, ...booking }) => ({ ...booking, status: 'no_show' }));
+};
+
+module.exports = {
+  DEFAULT_NO_SHOW_GRACE_MINUTES,
+  EARLY_CHECKIN_MINUTES,
+  getNoShowGraceMinutes,
+  generateCheckInCode,
+  verifyCheckInCode,
+  getCheckInDetails,
+  recordAttendance,
+  getReliability,
+  markNoShows
+};
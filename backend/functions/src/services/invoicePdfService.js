@@ -0,0 +1,112 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Render invoices and credit notes (from invoiceService) as A4 PDFs.
+ * Amounts are printed in INR - the built-in PDF fonts have no rupee sign.
+ */
+
+const COLUMNS = [
+  { label: 'Description', field: 'description', width: 150 },
+  { label: 'SAC', field: 'sacCode', width: 45 },
+  { label: 'Hours', field: 'hours', width: 35 },
+  { label: 'Gross', field: 'grossAmount', width: 55 },
+  { label: 'Less', field: 'deductions', width: 45 },
+  { label: 'Taxable', field: 'taxableValue', width: 55 },
+  { label: 'Tax', field: 'totalTax', width: 50 },
+  { label: 'Total', field: 'total', width: 60 }
+];
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+/**
+ * Get the document title
+ * @param {Object} document - Serialized invoice or credit note
+ * @returns {string} Title
+ */
+const getTitle = (document) => {
+  if (document.type === 'credit_note') return 'Credit Note';
+  // Unregistered cafes cannot charge GST, so they issue a bill of supply
+  // (older ones were stored as invoices without a GSTIN)
+  return document.type === 'bill_of_supply' || !document.supplier?.gstin ? 'Bill of Supply' : 'Tax Invoice';
+};
+
+/**
+ * Render an invoice or credit note
+ * @param {Object} document - Serialized invoice or credit note
+ * @returns {Promise<Buffer>} PDF
+ */
+const renderTaxDocument = (document) => new Promise((resolve, reject) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const { supplier = {}, recipient = {}, totals = {} } = document;
+
+  pdf.fontSize(18).text(getTitle(document), { align: 'right' });
+  pdf.fontSize(10)
+    .text(`No. ${document.number}`, { align: 'right' })
+    .text(`Date: ${String(document.issuedAt).substring(0, 10)}`, { align: 'right' });
+  if (document.invoiceNumber) {
+    pdf.text(`Against invoice ${document.invoiceNumber}`, { align: 'right' });
+  }
+
+  pdf.moveDown();
+  pdf.fontSize(12).text(supplier.legalName || supplier.name || '');
+  pdf.fontSize(10)
+    .text([supplier.address, supplier.city, supplier.state].filter(Boolean).join(', '))
+    .text(supplier.gstin ? `GSTIN: ${supplier.gstin}` : 'Not registered under GST');
+
+  pdf.moveDown();
+  pdf.fontSize(10).text('Billed to', { underline: true });
+  pdf.text(recipient.name || '');
+  if (recipient.address) pdf.text(recipient.address);
+  if (recipient.gstin) pdf.text(`GSTIN: ${recipient.gstin}`);
+  if (recipient.email) pdf.text(recipient.email);
+  if (recipient.phone) pdf.text(recipient.phone);
+  pdf.text(`Place of supply: ${supplier.state || supplier.stateCode || '-'}`);
+
+  // Line items
+  pdf.moveDown();
+  const left = pdf.page.margins.left;
+  let y = pdf.y;
+  const drawRow = (values, bold = false) => {
+    let x = left;
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...COLUMNS.map((column, i) => pdf.heightOfString(String(values[i]), { width: column.width - 4 })));
+    COLUMNS.forEach((column, i) => {
+      pdf.text(String(values[i]), x, y, { width: column.width - 4, align: i < 2 ? 'left' : 'right' });
+      x += column.width;
+    });
+    y += height + 6;
+  };
+
+  drawRow(COLUMNS.map(column => column.label), true);
+  (document.items || []).forEach((item) => {
+    drawRow(COLUMNS.map(({ field }) => (['description', 'sacCode', 'hours'].includes(field) ? item[field] ?? '' : formatAmount(item[field]))));
+  });
+  drawRow(['Total', '', '', ...['grossAmount', 'deductions', 'taxableValue', 'totalTax', 'total'].map(f => formatAmount(totals[f]))], true);
+
+  // Tax breakup
+  pdf.font('Helvetica').fontSize(10).text('', left, y + 10);
+  if (document.taxRate > 0) {
+    if (document.supplyType === 'inter') {
+      pdf.text(`IGST @ ${document.taxRate}%: INR ${formatAmount(totals.igst)}`);
+    } else {
+      pdf.text(`CGST @ ${document.taxRate / 2}%: INR ${formatAmount(totals.cgst)}`);
+      pdf.text(`SGST @ ${document.taxRate / 2}%: INR ${formatAmount(totals.sgst)}`);
+    }
+  }
+  pdf.font('Helvetica-Bold').text(`${document.type === 'credit_note' ? 'Amount credited' : 'Amount paid'}: INR ${formatAmount(totals.total)}`);
+  pdf.font('Helvetica').fontSize(8).moveDown();
+  if (document.taxRate > 0) pdf.text('Prices include GST.');
+  pdf.text('"Less" is the promo discount, pass cover or loyalty points applied.');
+  if (document.reason) pdf.text(`Reason: ${document.reason}`);
+
+  pdf.end();
+});
+
+module.exports = {
+  renderTaxDocument
+};
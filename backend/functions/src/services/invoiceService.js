@@ -0,0 +1,527 @@
+const { db } = require('../config/firebase');
+const { roundAmount } = require('./pricingService');
+const taxService = require('./taxService');
+const { toCafeDate } = require('../utils/timeUtils');
+
+/**
+ * Invoices and credit notes for paid bookings. One invoice covers every
+ * booking a payment paid for (a group booking gets one line per station),
+ * and each paid adjustment (an extension or a pricier reschedule) gets an
+ * invoice of its own; a refund gets a credit note against them. A cafe not registered
+ * under GST cannot issue tax invoices, so it issues a bill of supply (no tax)
+ * instead. Numbers run in separate sequences per cafe and financial year, as GST requires.
+ *
+ * invoices:         { type: 'invoice'|'bill_of_supply'|'credit_note', number, financialYear, cafeId, userId,
+ *                     bookingIds, orderId, paymentId, supplier, recipient, supplyType, taxRate,
+ *                     sacCode, items, totals, adjustmentId, invoiceId, invoiceNumber, invoiceIds, refundId,
+ *                     reason, issuedAt }
+ * invoice_counters: { invoice, bill_of_supply, credit_note } per {cafeId}_{financialYear}
+ *
+ * Bookings carry invoiceId/invoiceNumber once invoiced, adjustmentInvoiceIds for
+ * their paid adjustments, and creditNoteIds plus creditedAmount once refunded.
+ */
+
+const DOCUMENT_TYPES = {
+  invoice: 'invoice',
+  billOfSupply: 'bill_of_supply',
+  creditNote: 'credit_note'
+};
+
+// Invoice line prefix per adjustment type
+const ADJUSTMENT_LABELS = {
+  extension: 'Extension',
+  reschedule: 'Reschedule'
+};
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  bill_of_supply: 'BOS',
+  credit_note: 'CN'
+};
+
+/**
+ * Get the Indian financial year (April to March) a date falls in
+ * @param {Date} date - Date
+ * @returns {string} e.g. '2026-27'
+ */
+const getFinancialYear = (date) => {
+  const [year, month] = toCafeDate(date).split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format a document number (16 characters at most, as GST requires)
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @param {string} financialYear - e.g. '2026-27'
+ * @param {number} sequence - Position in the cafe's series
+ * @returns {string} e.g. 'INV/2627/000042'
+ */
+const formatDocumentNumber = (type, financialYear, sequence) => {
+  const year = financialYear.replace('-', '').substring(2);
+  return `${NUMBER_PREFIXES[type]}/${year}/${String(sequence).padStart(6, '0')}`;
+};
+
+/**
+ * Describe a booking as an invoice line
+ * @param {Object} booking - Booking data
+ * @returns {string} e.g. 'PC #3 - 2026-10-19 18:00-20:00'
+ */
+const describeBooking = (booking) => {
+  const station = booking.stationType === 'console'
+    ? `${String(booking.consoleType || 'console').toUpperCase()} #${booking.stationNumber}`
+    : `PC #${booking.stationNumber}`;
+  return `${station} - ${booking.bookingDate} ${booking.startTime}-${booking.endTime}`;
+};
+
+/**
+ * Build invoice lines for paid bookings (pure)
+ * A promo discount, pass cover or loyalty points reduce the value of the
+ * supply; a wallet payment does not.
+ * @param {Array<Object>} bookings - Bookings (with id)
+ * @param {number} taxRate - GST rate (percent)
+ * @param {string} supplyType - 'intra' or 'inter'
+ * @returns {Object} { items, totals }
+ */
+const buildInvoiceItems = (bookings, taxRate, supplyType) => {
+  const items = bookings.map((booking) => {
+    const grossAmount = roundAmount(booking.totalAmount || 0);
+    const deductions = roundAmount(Math.min(
+      (booking.discountAmount || 0) + (booking.passAmount || 0) + (booking.pointsAmount || 0),
+      grossAmount
+    ));
+    return {
+      bookingId: booking.id,
+      description: describeBooking(booking),
+      sacCode: taxService.SAC_CODE,
+      hours: booking.durationHours,
+      grossAmount,
+      deductions,
+      ...taxService.splitInclusiveAmount(grossAmount - deductions, taxRate, supplyType)
+    };
+  });
+
+  return { items, totals: sumItems(items) };
+};
+
+/**
+ * Build invoice lines for a paid adjustment (pure)
+ * Each booking's line is its share of the adjustment payment.
+ * @param {Object} adjustment - Paid adjustment (with paidShares)
+ * @param {Array<Object>} bookings - The adjustment's bookings (with id)
+ * @param {number} taxRate - GST rate (percent)
+ * @param {string} supplyType - 'intra' or 'inter'
+ * @returns {Object} { items, totals }
+ */
+const buildAdjustmentItems = (adjustment, bookings, taxRate, supplyType) => {
+  const label = ADJUSTMENT_LABELS[adjustment.type] || 'Booking change';
+  const items = bookings
+    .map((booking) => {
+      const grossAmount = roundAmount(adjustment.paidShares?.[booking.id] || 0);
+      return {
+        bookingId: booking.id,
+        description: `${label} - ${describeBooking(booking)}`,
+        sacCode: taxService.SAC_CODE,
+        hours: booking.durationHours,
+        grossAmount,
+        deductions: 0,
+        ...taxService.splitInclusiveAmount(grossAmount, taxRate, supplyType)
+      };
+    })
+    .filter(item => item.grossAmount > 0);
+
+  return { items, totals: sumItems(items) };
+};
+
+/**
+ * Sum invoice lines
+ * @param {Array<Object>} items - Invoice lines
+ * @returns {Object} Totals per column
+ */
+const sumItems = (items) => {
+  const sum = (field) => roundAmount(items.reduce((total, item) => total + (item[field] || 0), 0));
+  return {
+    grossAmount: sum('grossAmount'),
+    deductions: sum('deductions'),
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    totalTax: sum('totalTax'),
+    total: sum('total')
+  };
+};
+
+/**
+ * Get the customer details printed on an invoice
+ * @param {Object|null} user - User data (null for walk-ins)
+ * @param {Object} booking - Booking data (for the walk-in guest)
+ * @returns {Object} { name, email, phone, gstin, address }
+ */
+const getRecipient = (user, booking) => {
+  if (!user) {
+    return { name: booking.guest?.name || 'Walk-in', email: null, phone: booking.guest?.phone || null, gstin: null, address: null };
+  }
+  // Business customers can put their registered name and GSTIN on their profile
+  const billing = user.billingDetails || {};
+  return {
+    name: billing.name || user.name || null,
+    email: user.email || null,
+    phone: user.phone || null,
+    gstin: taxService.isValidGstin(billing.gstin) ? billing.gstin : null,
+    address: billing.address || null
+  };
+};
+
+/**
+ * Read who an invoice for a booking is from and to, and how it is taxed, inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} booking - Booking data (the primary booking of the invoice)
+ * @returns {Object} { cafe, tax, recipient, supplyType, type, taxRate }
+ */
+const getInvoiceSetup = async (transaction, booking) => {
+  const cafeDoc = await transaction.get(db.collection('cafes').doc(booking.cafeId));
+  const userDoc = booking.userId ? await transaction.get(db.collection('users').doc(booking.userId)) : null;
+  const cafe = cafeDoc.exists ? cafeDoc.data() : {};
+  const recipient = getRecipient(userDoc?.exists ? userDoc.data() : null, booking);
+
+  const tax = taxService.getTaxSettings(cafe);
+  const supplyType = taxService.getSupplyType(tax.stateCode, recipient.gstin);
+  const type = tax.registered ? DOCUMENT_TYPES.invoice : DOCUMENT_TYPES.billOfSupply;
+  // Invoice at the rate the booking was priced at; older bookings carry no tax field
+  let taxRate = 0;
+  if (tax.registered) taxRate = booking.tax !== undefined ? booking.tax?.rate || 0 : tax.rate;
+
+  return { cafe, tax, recipient, supplyType, type, taxRate };
+};
+
+/**
+ * Get the cafe details printed on an invoice
+ * @param {Object} cafe - Cafe data
+ * @param {Object} tax - From taxService.getTaxSettings
+ * @returns {Object} Supplier
+ */
+const getSupplier = (cafe, tax) => ({
+  name: cafe.name || null,
+  legalName: tax.legalName,
+  gstin: tax.gstin,
+  address: cafe.address || null,
+  city: cafe.city || null,
+  state: cafe.state || null,
+  stateCode: tax.stateCode
+});
+
+/**
+ * Reserve the next number in a cafe's series inside a transaction
+ * Call the read (getCounter) before any write.
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} cafeId - Cafe ID
+ * @param {string} financialYear - e.g. '2026-27'
+ * @returns {Object} { ref, data }
+ */
+const getCounter = async (transaction, cafeId, financialYear) => {
+  const counterRef = db.collection('invoice_counters').doc(`${cafeId}_${financialYear}`);
+  const counterDoc = await transaction.get(counterRef);
+  return { ref: counterRef, data: counterDoc.exists ? counterDoc.data() : null };
+};
+
+/**
+ * Queue the next number of a series on a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} counter - From getCounter
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @returns {number} Sequence number
+ */
+const nextSequence = (transaction, counter, type) => {
+  const sequence = ((counter.data && counter.data[type]) || 0) + 1;
+  transaction.set(counter.ref, { [type]: sequence, updatedAt: new Date() }, { merge: true });
+  return sequence;
+};
+
+/**
+ * Issue the invoice (or, for a cafe not registered under GST, the bill of supply) for bookings paid together
+ * Safe to call more than once (e.g., from the payment callback and the webhook).
+ * Run it as bookkeeping so a failure is retried rather than failing the payment.
+ * @param {Array<string>} bookingIds - Bookings paid by one payment
+ * @returns {string|null} Invoice ID (null if nothing was invoiced)
+ */
+const issueInvoice = async (bookingIds) => {
+  if (!bookingIds || bookingIds.length === 0) return null;
+
+  const invoiceId = await db.runTransaction(async (transaction) => {
+    const bookingRefs = bookingIds.map(id => db.collection('bookings').doc(id));
+    const bookingDocs = await Promise.all(bookingRefs.map(ref => transaction.get(ref)));
+    const bookings = bookingDocs
+      .filter(doc => doc.exists && doc.data().paymentStatus === 'paid')
+      .map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const invoiced = bookings.find(b => b.invoiceId);
+    if (invoiced) return invoiced.invoiceId;
+    if (bookings.length === 0) return null;
+
+    const primary = bookings[0];
+    const { cafe, tax, recipient, supplyType, type, taxRate } = await getInvoiceSetup(transaction, primary);
+    const { items, totals } = buildInvoiceItems(bookings, taxRate, supplyType);
+
+    // Fully covered by a promo code, pass or points - nothing was supplied for payment
+    if (totals.total <= 0) return null;
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const counter = await getCounter(transaction, primary.cafeId, financialYear);
+
+    // All reads are done
+    const number = formatDocumentNumber(type, financialYear, nextSequence(transaction, counter, type));
+    const invoiceRef = db.collection('invoices').doc();
+    transaction.set(invoiceRef, {
+      type,
+      number,
+      financialYear,
+      cafeId: primary.cafeId,
+      userId: primary.userId || null,
+      bookingIds: bookings.map(b => b.id),
+      orderId: primary.paymentTransactionId || null,
+      paymentId: primary.paymentId || null,
+      supplier: getSupplier(cafe, tax),
+      recipient,
+      supplyType,
+      taxRate,
+      sacCode: taxService.SAC_CODE,
+      items,
+      totals,
+      issuedAt,
+      createdAt: issuedAt
+    });
+    bookingRefs
+      .filter(ref => bookings.some(b => b.id === ref.id))
+      .forEach(ref => transaction.update(ref, { invoiceId: invoiceRef.id, invoiceNumber: number, updatedAt: new Date() }));
+
+    return invoiceRef.id;
+  });
+
+  if (invoiceId) {
+    console.log('🧾 [INVOICE] Invoice issued', { invoiceId, bookingIds });
+  }
+  return invoiceId;
+};
+
+/**
+ * Issue the invoice (or bill of supply) for a paid adjustment: what an
+ * extension or a pricier reschedule charged on top of the booking
+ * Safe to call more than once. Run it as bookkeeping.
+ * @param {string} adjustmentId - Paid adjustment ID
+ * @returns {string|null} Invoice ID (null if nothing was invoiced)
+ */
+const issueAdjustmentInvoice = async (adjustmentId) => {
+  const adjustmentRef = db.collection('payment_adjustments').doc(adjustmentId);
+
+  const invoiceId = await db.runTransaction(async (transaction) => {
+    const adjustmentDoc = await transaction.get(adjustmentRef);
+    const adjustment = adjustmentDoc.exists ? adjustmentDoc.data() : null;
+    if (!adjustment || adjustment.status !== 'paid') return null;
+    if (adjustment.invoiceId) return adjustment.invoiceId;
+
+    const bookingRefs = adjustment.bookingIds.map(id => db.collection('bookings').doc(id));
+    const bookingDocs = await Promise.all(bookingRefs.map(ref => transaction.get(ref)));
+    const bookings = bookingDocs.filter(doc => doc.exists).map(doc => ({ id: doc.id, ...doc.data() }));
+    if (bookings.length === 0) return null;
+
+    const primary = bookings[0];
+    const { cafe, tax, recipient, supplyType, type, taxRate } = await getInvoiceSetup(transaction, primary);
+    const { items, totals } = buildAdjustmentItems(adjustment, bookings, taxRate, supplyType);
+    if (totals.total <= 0) return null;
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const counter = await getCounter(transaction, primary.cafeId, financialYear);
+
+    // All reads are done
+    const number = formatDocumentNumber(type, financialYear, nextSequence(transaction, counter, type));
+    const invoiceRef = db.collection('invoices').doc();
+    transaction.set(invoiceRef, {
+      type,
+      number,
+      financialYear,
+      cafeId: primary.cafeId,
+      userId: primary.userId || null,
+      bookingIds: items.map(item => item.bookingId),
+      orderId: adjustment.orderId,
+      paymentId: adjustment.paymentId || null,
+      adjustmentId,
+      supplier: getSupplier(cafe, tax),
+      recipient,
+      supplyType,
+      taxRate,
+      sacCode: taxService.SAC_CODE,
+      items,
+      totals,
+      issuedAt,
+      createdAt: issuedAt
+    });
+    transaction.update(adjustmentRef, { invoiceId: invoiceRef.id, invoiceNumber: number, updatedAt: new Date() });
+    bookings
+      .filter(booking => items.some(item => item.bookingId === booking.id))
+      .forEach(booking => transaction.update(db.collection('bookings').doc(booking.id), {
+        adjustmentInvoiceIds: [...(booking.adjustmentInvoiceIds || []), invoiceRef.id],
+        updatedAt: new Date()
+      }));
+
+    return invoiceRef.id;
+  });
+
+  if (invoiceId) {
+    console.log('🧾 [INVOICE] Adjustment invoice issued', { invoiceId, adjustmentId });
+  }
+  return invoiceId;
+};
+
+// Bookkeeping tasks that issue a booking's invoices
+const INVOICE_TASKS = ['issueInvoice', 'issueAdjustmentInvoice'];
+
+/**
+ * Issue a credit note against a booking's invoices for a refund
+ * Credits up to what the booking's invoice and its adjustment invoices charged.
+ * Safe to call more than once per refund. Waits (throws) while any of the
+ * booking's invoices is still queued, so run it as bookkeeping.
+ * @param {string} bookingId - Refunded booking ID
+ * @param {Object} refund
+ * @param {number} refund.refundAmount - Amount refunded
+ * @param {string} refund.refundId - Refund ID
+ * @param {string} refund.reason - Refund reason
+ * @returns {string|null} Credit note ID (null if the booking has no invoice)
+ */
+const issueCreditNote = async (bookingId, { refundAmount, refundId, reason }) => {
+  const creditNoteId = await db.runTransaction(async (transaction) => {
+    const bookingRef = db.collection('bookings').doc(bookingId);
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (booking && Object.values(booking.bookkeeping || {}).some(entry => INVOICE_TASKS.includes(entry.task))) {
+      throw new Error('The booking\'s invoice is not issued yet');
+    }
+    const invoiceIds = [booking?.invoiceId, ...(booking?.adjustmentInvoiceIds || [])].filter(Boolean);
+    if (invoiceIds.length === 0 || !(refundAmount > 0)) return null;
+
+    const creditNoteRef = db.collection('invoices').doc(`CN_${refundId}`);
+    const [existing, ...invoiceDocs] = await Promise.all([
+      transaction.get(creditNoteRef),
+      ...invoiceIds.map(id => transaction.get(db.collection('invoices').doc(id)))
+    ]);
+    if (existing.exists) return existing.id;
+
+    // Credited against the first invoice (the booking's own, unless it was fully covered)
+    const invoiced = invoiceDocs
+      .filter(doc => doc.exists)
+      .map(doc => ({ doc, item: doc.data().items.find(i => i.bookingId === bookingId) }))
+      .filter(({ item }) => item);
+    if (invoiced.length === 0) return null;
+    const { doc: invoiceDoc, item } = invoiced[0];
+    const invoice = invoiceDoc.data();
+
+    const charged = invoiced.reduce((sum, entry) => sum + entry.item.total, 0);
+    const creditable = roundAmount(charged - (booking.creditedAmount || 0));
+    const amount = roundAmount(Math.min(refundAmount, creditable));
+    if (amount <= 0) return null;
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const counter = await getCounter(transaction, invoice.cafeId, financialYear);
+
+    // All reads are done
+    const number = formatDocumentNumber(DOCUMENT_TYPES.creditNote, financialYear, nextSequence(transaction, counter, DOCUMENT_TYPES.creditNote));
+    const items = [{
+      bookingId,
+      description: `Refund - ${item.description}`,
+      sacCode: item.sacCode,
+      hours: item.hours,
+      grossAmount: amount,
+      deductions: 0,
+      ...taxService.splitInclusiveAmount(amount, invoice.taxRate, invoice.supplyType)
+    }];
+
+    transaction.set(creditNoteRef, {
+      type: DOCUMENT_TYPES.creditNote,
+      number,
+      financialYear,
+      cafeId: invoice.cafeId,
+      userId: invoice.userId,
+      bookingIds: [bookingId],
+      orderId: invoice.orderId,
+      paymentId: invoice.paymentId,
+      supplier: invoice.supplier,
+      recipient: invoice.recipient,
+      supplyType: invoice.supplyType,
+      taxRate: invoice.taxRate,
+      sacCode: invoice.sacCode,
+      items,
+      totals: sumItems(items),
+      invoiceId: invoiceDoc.id,
+      invoiceNumber: invoice.number,
+      invoiceIds: invoiced.map(entry => entry.doc.id),
+      refundId,
+      reason: reason || null,
+      issuedAt,
+      createdAt: issuedAt
+    });
+    transaction.update(bookingRef, {
+      creditNoteIds: [...(booking.creditNoteIds || []), creditNoteRef.id],
+      creditedAmount: roundAmount((booking.creditedAmount || 0) + amount),
+      updatedAt: new Date()
+    });
+
+    return creditNoteRef.id;
+  });
+
+  if (creditNoteId) {
+    console.log('🧾 [INVOICE] Credit note issued', { creditNoteId, bookingId, refundId });
+  }
+  return creditNoteId;
+};
+
+/**
+ * Convert an invoice or credit note document to a response object
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Data with ISO dates
+ */
+const serializeInvoiceDoc = (doc) => {
+  const data = doc.data();
+  const iso = (value) => value?.toDate ? value.toDate().toISOString() : value;
+  return {
+    id: doc.id,
+    ...data,
+    issuedAt: iso(data.issuedAt),
+    createdAt: iso(data.createdAt)
+  };
+};
+
+/**
+ * Get a booking's invoice, the invoices of its paid adjustments and its credit notes
+ * @param {Object} booking - Booking data
+ * @returns {Object} { invoice, adjustmentInvoices, creditNotes } (invoice is null if none was issued)
+ */
+const getBookingDocuments = async (booking) => {
+  const getDocs = ids => Promise.all(ids.map(id => db.collection('invoices').doc(id).get()));
+  const [invoiceDocs, adjustmentInvoiceDocs, creditNoteDocs] = await Promise.all([
+    getDocs(booking.invoiceId ? [booking.invoiceId] : []),
+    getDocs(booking.adjustmentInvoiceIds || []),
+    getDocs(booking.creditNoteIds || [])
+  ]);
+
+  return {
+    invoice: invoiceDocs[0]?.exists ? serializeInvoiceDoc(invoiceDocs[0]) : null,
+    adjustmentInvoices: adjustmentInvoiceDocs.filter(doc => doc.exists).map(serializeInvoiceDoc),
+    creditNotes: creditNoteDocs.filter(doc => doc.exists).map(serializeInvoiceDoc)
+  };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getFinancialYear,
+  formatDocumentNumber,
+  buildInvoiceItems,
+  buildAdjustmentItems,
+  issueInvoice,
+  issueAdjustmentInvoice,
+  issueCreditNote,
+  getBookingDocuments,
+  serializeInvoiceDoc
+};
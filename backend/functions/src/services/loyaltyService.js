@@ -0,0 +1,417 @@
+const { db } = require('../config/firebase');
+const { roundAmount } = require('./pricingService');
+const { toDate } = require('../utils/timeUtils');
+
+/**
+ * Platform-wide loyalty points. Completed bookings earn points on what the
+ * customer actually paid; points can be spent as a discount on later bookings
+ * at any cafe. Like the wallet, each user has a running balance
+ * (loyalty_accounts/{userId}) and an append-only ledger (loyalty_entries)
+ * written in the same transaction as the balance change.
+ *
+ * loyalty_accounts: { pointsBalance, lifetimePoints, createdAt, updatedAt }
+ * loyalty_entries:  { userId, type: 'earn'|'redeem'|'return'|'reverse', points, balanceAfter,
+ *                     amount, bookingIds, cafeId, description, createdAt }
+ *
+ * The tier comes from spend over the last ROLLING_SPEND_DAYS (the amount on
+ * earn entries less the amount on reverse entries), so it can go down as
+ * well as up. Cafes can boost earning with loyaltyMultiplier.
+ *
+ * Bookings carry pointsRedeemed/pointsAmount when points paid for part of
+ * them, and pointsEarned/pointsEarnedOn once completed.
+ */
+
+const LOYALTY_ENTRY_TYPES = {
+  earn: 'earn', // Points for a completed booking
+  redeem: 'redeem', // Points spent on a booking
+  return: 'return', // Spent points given back when the booking was released or refunded
+  reverse: 'reverse' // Earned points taken back when the booking was refunded
+};
+
+// Points earned per ₹100 paid, before tier and cafe multipliers
+const POINTS_PER_100_RUPEES = 2;
+
+// What a point is worth when redeemed
+const POINT_VALUE = 1;
+
+const ROLLING_SPEND_DAYS = 365;
+
+// Lowest tier first; minSpend is rolling spend in ₹
+const TIERS = [
+  { name: 'Bronze', minSpend: 0, multiplier: 1 },
+  { name: 'Silver', minSpend: 5000, multiplier: 1.25 },
+  { name: 'Gold', minSpend: 15000, multiplier: 1.5 }
+];
+
+// Spent points come back on cancellation up to the same cutoff as refunds
+const RETURN_CUTOFF_HOURS = 1;
+
+/**
+ * Get the tier for a rolling spend, and the next one up
+ * @param {number} rollingSpend - Spend over the rolling window
+ * @returns {Object} { tier, nextTier } (nextTier is null at the top)
+ */
+const getTier = (rollingSpend) => {
+  const index = TIERS.reduce((found, tier, i) => (rollingSpend >= tier.minSpend ? i : found), 0);
+  return { tier: TIERS[index], nextTier: TIERS[index + 1] || null };
+};
+
+/**
+ * Get a cafe's earning multiplier (1 unless the owner set one)
+ * @param {Object|null} cafe - Cafe data
+ * @returns {number} Multiplier
+ */
+const getCafeMultiplier = (cafe) => {
+  const multiplier = parseFloat(cafe?.loyaltyMultiplier);
+  return multiplier > 0 ? multiplier : 1;
+};
+
+/**
+ * Validate a cafe's earning multiplier from a create/update request
+ * @param {*} multiplier - Requested multiplier
+ * @returns {string|null} Error message, or null if valid
+ */
+const getLoyaltyMultiplierError = (multiplier) => {
+  if (multiplier === undefined || multiplier === null) return null;
+  if (typeof multiplier !== 'number' || multiplier < 1 || multiplier > 5) {
+    return 'Loyalty multiplier must be a number between 1 and 5';
+  }
+  return null;
+};
+
+/**
+ * Work out the points a paid amount earns
+ * @param {number} amount - Amount paid
+ * @param {Object} tier - Customer's tier
+ * @param {number} cafeMultiplier - Cafe's earning multiplier
+ * @returns {number} Whole points
+ */
+const calculateEarnedPoints = (amount, tier, cafeMultiplier = 1) => {
+  if (!(amount > 0)) return 0;
+  return Math.floor(amount * POINTS_PER_100_RUPEES / 100 * tier.multiplier * cafeMultiplier);
+};
+
+/**
+ * Work out what a booking earned points on: what was paid by card or wallet
+ * (not the promo discount, pass cover or points) less anything refunded
+ * @param {Object} booking - Booking data
+ * @returns {number} Amount
+ */
+const getEarningAmount = (booking) => {
+  const paid = (booking.totalAmount || 0) - (booking.discountAmount || 0) -
+    (booking.passAmount || 0) - (booking.pointsAmount || 0) - (booking.refundAmount || 0);
+  return roundAmount(Math.max(paid, 0));
+};
+
+/**
+ * Split points across the bookings of an order
+ * Each booking takes whole points up to what it still owes until the points run out.
+ * @param {number} points - Points to spend
+ * @param {Array<number>} owed - What each booking still owes
+ * @returns {Array<number>} Points per booking
+ */
+const allocatePoints = (points, owed) => {
+  let left = Math.max(Math.floor(points), 0);
+  return owed.map((amount) => {
+    const share = Math.min(Math.floor(amount / POINT_VALUE), left);
+    left -= share;
+    return share;
+  });
+};
+
+/**
+ * Read a user's loyalty account inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} userId - User ID
+ * @returns {Object} { userId, ref, exists, pointsBalance, lifetimePoints }
+ */
+const getAccount = async (transaction, userId) => {
+  const accountRef = db.collection('loyalty_accounts').doc(userId);
+  const accountDoc = await transaction.get(accountRef);
+  const account = accountDoc.exists ? accountDoc.data() : {};
+  return {
+    userId,
+    ref: accountRef,
+    exists: accountDoc.exists,
+    pointsBalance: account.pointsBalance || 0,
+    lifetimePoints: account.lifetimePoints || 0
+  };
+};
+
+/**
+ * Queue a ledger entry and the balance change on a transaction
+ * Call after getAccount and after every other read.
+ * A reversal may take the balance below zero when the points were already
+ * spent; later earnings pay it back.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} account - Account from getAccount
+ * @param {Object} entry
+ * @param {string} entry.type - One of LOYALTY_ENTRY_TYPES
+ * @param {number} entry.points - Points (positive)
+ * @param {number} entry.amount - ₹ the entry relates to (spend earned on, or discount given)
+ * @param {Array<string>} entry.bookingIds - Bookings the entry belongs to
+ * @param {string|null} entry.cafeId - Cafe the bookings are at
+ * @param {string} entry.description - Shown in the customer's summary
+ * @returns {Object} Entry document reference
+ * @throws {Error} LOYALTY_INSUFFICIENT: if a redemption is more than the balance
+ */
+const queueLoyaltyEntry = (transaction, account, { type, points, amount = 0, bookingIds = [], cafeId = null, description }) => {
+  const adds = type === LOYALTY_ENTRY_TYPES.earn || type === LOYALTY_ENTRY_TYPES.return;
+  const balanceAfter = adds ? account.pointsBalance + points : account.pointsBalance - points;
+
+  if (type === LOYALTY_ENTRY_TYPES.redeem && balanceAfter < 0) {
+    throw new Error(`LOYALTY_INSUFFICIENT:You have ${account.pointsBalance} points, which is not enough for this booking`);
+  }
+
+  const entryRef = db.collection('loyalty_entries').doc();
+  transaction.set(entryRef, {
+    userId: account.userId,
+    type,
+    points,
+    balanceAfter,
+    amount: roundAmount(amount),
+    bookingIds,
+    cafeId,
+    description,
+    createdAt: new Date()
+  });
+
+  const lifetimePoints = account.lifetimePoints + (type === LOYALTY_ENTRY_TYPES.earn ? points : 0) -
+    (type === LOYALTY_ENTRY_TYPES.reverse ? points : 0);
+  if (account.exists) {
+    transaction.update(account.ref, { pointsBalance: balanceAfter, lifetimePoints, updatedAt: new Date() });
+  } else {
+    transaction.set(account.ref, { pointsBalance: balanceAfter, lifetimePoints, createdAt: new Date(), updatedAt: new Date() });
+    account.exists = true;
+  }
+  account.pointsBalance = balanceAfter;
+  account.lifetimePoints = lifetimePoints;
+
+  return entryRef;
+};
+
+/**
+ * Get a user's ledger entries since a date, newest first
+ * @param {string} userId - User ID
+ * @param {Date} since - Oldest entry to include
+ * @returns {Array<Object>} Entry data
+ */
+const getEntriesSince = async (userId, since) => {
+  const snapshot = await db.collection('loyalty_entries')
+    .where('userId', '==', userId)
+    .where('createdAt', '>=', since)
+    .orderBy('createdAt', 'desc')
+    .get();
+  return snapshot.docs.map(doc => doc.data());
+};
+
+/**
+ * Sum a user's spend over the rolling window (earned on, less reversed)
+ * @param {Array<Object>} entries - Entries from the rolling window
+ * @returns {number} Rolling spend
+ */
+const sumRollingSpend = (entries) => roundAmount(Math.max(entries.reduce((total, entry) => {
+  if (entry.type === LOYALTY_ENTRY_TYPES.earn) return total + (entry.amount || 0);
+  if (entry.type === LOYALTY_ENTRY_TYPES.reverse) return total - (entry.amount || 0);
+  return total;
+}, 0), 0));
+
+/**
+ * Start of the rolling spend window
+ * @param {Date} now - Reference time
+ * @returns {Date} Window start
+ */
+const rollingWindowStart = (now = new Date()) => new Date(now.getTime() - ROLLING_SPEND_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Award points for a completed booking
+ * Safe to call more than once per booking (queued as a bookkeeping task).
+ * @param {string} bookingId - Booking ID
+ * @returns {number} Points awarded (0 if none)
+ */
+const awardBookingPoints = async (bookingId) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  const bookingDoc = await bookingRef.get();
+  const booking = bookingDoc.exists ? bookingDoc.data() : null;
+
+  // Walk-ins have no account to credit; unpaid bookings earned nothing
+  if (!booking?.userId || booking.pointsEarned !== undefined || booking.paymentStatus !== 'paid') return 0;
+
+  const [cafeDoc, entries] = await Promise.all([
+    db.collection('cafes').doc(booking.cafeId).get(),
+    getEntriesSince(booking.userId, rollingWindowStart())
+  ]);
+  const { tier } = getTier(sumRollingSpend(entries));
+  const amount = getEarningAmount(booking);
+  const points = calculateEarnedPoints(amount, tier, getCafeMultiplier(cafeDoc.exists ? cafeDoc.data() : null));
+
+  const awarded = await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(bookingRef);
+    if (current.data().pointsEarned !== undefined) return 0;
+
+    // The entry is written even for 0 points so the spend still counts towards the tier
+    const account = await getAccount(transaction, booking.userId);
+    if (amount > 0) {
+      queueLoyaltyEntry(transaction, account, {
+        type: LOYALTY_ENTRY_TYPES.earn,
+        points,
+        amount,
+        bookingIds: [bookingId],
+        cafeId: booking.cafeId,
+        description: `${tier.name} points for booking on ${booking.bookingDate} ${booking.startTime}`
+      });
+    }
+    transaction.update(bookingRef, {
+      pointsEarned: points,
+      pointsEarnedOn: amount,
+      updatedAt: new Date()
+    });
+    return points;
+  });
+
+  console.log('🏆 [LOYALTY] Points awarded', { bookingId, points: awarded, amount, tier: tier.name });
+  return awarded;
+};
+
+/**
+ * Give back the points spent on a cancelled or refunded booking
+ * Points return when the booking was never paid for (e.g., hold expired), was
+ * cancelled by the cafe, or was cancelled at least RETURN_CUTOFF_HOURS before it started.
+ * Safe to call more than once per booking (queued as a bookkeeping task, so the
+ * notice is measured from when the booking was cancelled, not when this runs).
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Why the points come back
+ * @returns {number} Points returned (0 if none)
+ */
+const returnRedeemedPoints = async (bookingId, reason) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || !(booking.pointsRedeemed > 0) || booking.pointsReturned) return 0;
+    if (!['cancelled', 'refunded'].includes(booking.status)) return 0;
+
+    const cancelledAt = toDate(booking.holdReleasedAt || booking.statusChangedAt) || new Date();
+    const hoursUntilStart = (toDate(booking.startAt) - cancelledAt) / (1000 * 60 * 60);
+    const unpaid = booking.paymentStatus !== 'paid' && booking.paymentStatus !== 'refunded';
+    if (!unpaid && !booking.cancelledByCafe && hoursUntilStart < RETURN_CUTOFF_HOURS) return 0;
+
+    const account = await getAccount(transaction, booking.userId);
+    queueLoyaltyEntry(transaction, account, {
+      type: LOYALTY_ENTRY_TYPES.return,
+      points: booking.pointsRedeemed,
+      amount: booking.pointsAmount || 0,
+      bookingIds: [bookingId],
+      cafeId: booking.cafeId,
+      description: `Points returned - ${reason}`
+    });
+    transaction.update(bookingRef, {
+      pointsReturned: true,
+      updatedAt: new Date()
+    });
+    return booking.pointsRedeemed;
+  });
+};
+
+/**
+ * Take back the points a refunded booking earned, in proportion to the refund
+ * Safe to call more than once per refund (queued as a bookkeeping task).
+ * @param {string} bookingId - Booking ID
+ * @param {number} refundAmount - Amount refunded
+ * @param {string} reason - Refund reason
+ * @param {string} refundId - Refund the reversal belongs to
+ * @returns {number} Points reversed (0 if none)
+ */
+const reverseEarnedPoints = async (bookingId, refundAmount, reason, refundId) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || !(booking.pointsEarned > 0) || !(refundAmount > 0)) return 0;
+    if ((booking.pointsReversedFor || []).includes(refundId)) return 0;
+
+    const remaining = booking.pointsEarned - (booking.pointsReversed || 0);
+    const share = booking.pointsEarnedOn > 0 ? Math.min(refundAmount / booking.pointsEarnedOn, 1) : 1;
+    const points = Math.min(Math.ceil(booking.pointsEarned * share), remaining);
+    if (points <= 0) return 0;
+
+    const account = await getAccount(transaction, booking.userId);
+    queueLoyaltyEntry(transaction, account, {
+      type: LOYALTY_ENTRY_TYPES.reverse,
+      points,
+      amount: Math.min(refundAmount, booking.pointsEarnedOn || refundAmount),
+      bookingIds: [bookingId],
+      cafeId: booking.cafeId,
+      description: `Points reversed - ${reason}`
+    });
+    transaction.update(bookingRef, {
+      pointsReversed: (booking.pointsReversed || 0) + points,
+      pointsReversedFor: [...(booking.pointsReversedFor || []), refundId],
+      updatedAt: new Date()
+    });
+    return points;
+  });
+};
+
+/**
+ * Get a user's balance, tier and latest ledger entries
+ * @param {string} userId - User ID
+ * @param {number} limit - Entries to return, newest first
+ * @returns {Object} Loyalty summary
+ */
+const getLoyaltySummary = async (userId, limit = 20) => {
+  const [accountDoc, windowEntries, entrySnapshot] = await Promise.all([
+    db.collection('loyalty_accounts').doc(userId).get(),
+    getEntriesSince(userId, rollingWindowStart()),
+    db.collection('loyalty_entries')
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get()
+  ]);
+
+  const account = accountDoc.exists ? accountDoc.data() : {};
+  const rollingSpend = sumRollingSpend(windowEntries);
+  const { tier, nextTier } = getTier(rollingSpend);
+
+  return {
+    pointsBalance: account.pointsBalance || 0,
+    pointsValue: roundAmount(Math.max(account.pointsBalance || 0, 0) * POINT_VALUE),
+    lifetimePoints: account.lifetimePoints || 0,
+    tier: { name: tier.name, multiplier: tier.multiplier },
+    rollingSpend,
+    rollingSpendDays: ROLLING_SPEND_DAYS,
+    nextTier: nextTier ? {
+      name: nextTier.name,
+      minSpend: nextTier.minSpend,
+      spendNeeded: roundAmount(nextTier.minSpend - rollingSpend)
+    } : null,
+    earnRate: { pointsPer100Rupees: POINTS_PER_100_RUPEES, pointValue: POINT_VALUE },
+    entries: entrySnapshot.docs.map((doc) => {
+      const entry = doc.data();
+      return {
+        id: doc.id,
+        ...entry,
+        createdAt: entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : entry.createdAt
+      };
+    })
+  };
+};
+
+module.exports = {
+  LOYALTY_ENTRY_TYPES,
+  POINT_VALUE,
+  TIERS,
+  getTier,
+  getCafeMultiplier,
+  getLoyaltyMultiplierError,
+  calculateEarnedPoints,
+  getEarningAmount,
+  allocatePoints,
+  getAccount,
+  queueLoyaltyEntry,
+  awardBookingPoints,
+  returnRedeemedPoints,
+  reverseEarnedPoints,
+  getLoyaltySummary
+};
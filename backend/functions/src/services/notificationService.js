@@ -164,6 +164,39 @@ const sendBookingCancellationNotification = async (booking, cafe, user) => {
   }
 };
 
+/**
+ * Send notification to cafe owner when a booking is rescheduled
+ */
+const sendBookingRescheduledNotification = async (booking, cafe, user, previousSlot) => {
+  try {
+    const ownerId = cafe.ownerId;
+    
+    console.log('📬 [RESCHEDULE_NOTIFICATION] Creating notification for owner:', ownerId);
+    
+    const stationType = booking.stationType === 'pc' 
+      ? 'PC' 
+      : booking.consoleType?.toUpperCase() || 'Console';
+    
+    const notification = {
+      title: `🔁 Booking Rescheduled at ${cafe.name}`,
+      body: `${user.name} moved ${stationType} #${booking.stationNumber} from ${previousSlot.bookingDate} ${previousSlot.startTime} to ${booking.bookingDate} ${booking.startTime}-${booking.endTime}`,
+      data: {
+        type: 'BOOKING_RESCHEDULED',
+        bookingId: booking.id,
+        cafeId: cafe.id,
+        userId: user.id,
+        bookingDate: booking.bookingDate,
+        startTime: booking.startTime,
+      },
+    };
+
+    return await sendNotificationToUser(ownerId, notification);
+  } catch (error) {
+    console.error('📬 [RESCHEDULE_NOTIFICATION] Error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Create booking status update notification for client
  */
@@ -212,6 +245,37 @@ const sendBookingStatusUpdateNotification = async (booking, cafe, newStatus) =>
   }
 };
 
+/**
+ * Tell a waitlisted user that a slot opened up and is held for them
+ */
+const sendWaitlistOfferNotification = async (entry, cafe, bookingIds, claimExpiresAt) => {
+  try {
+    console.log('📬 [WAITLIST_NOTIFICATION] Creating notification for user:', entry.userId);
+    
+    const stationType = entry.stationType === 'pc' 
+      ? 'PC' 
+      : entry.consoleType?.toUpperCase() || 'Console';
+    
+    const notification = {
+      title: `🎉 A slot opened up at ${cafe.name}`,
+      body: `${stationType} ${entry.startTime}-${entry.endTime} on ${entry.bookingDate} is held for you. Pay within ${Math.round((claimExpiresAt - new Date()) / 60000)} minutes to claim it.`,
+      data: {
+        type: 'WAITLIST_OFFER',
+        waitlistEntryId: entry.id,
+        bookingId: bookingIds[0],
+        cafeId: cafe.id,
+        bookingDate: entry.bookingDate,
+        claimExpiresAt: claimExpiresAt.toISOString(),
+      },
+    };
+
+    return await sendNotificationToUser(entry.userId, notification);
+  } catch (error) {
+    console.error('📬 [WAITLIST_NOTIFICATION] Error:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Create review notification for cafe owner
  */
@@ -247,7 +311,9 @@ module.exports = {
   sendNotificationToMultipleUsers,
   sendBookingNotification,
   sendBookingCancellationNotification,
+  sendBookingRescheduledNotification,
   sendBookingStatusUpdateNotification,
+  sendWaitlistOfferNotification,
   sendReviewNotification,
 };
 
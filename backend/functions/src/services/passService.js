@@ -0,0 +1,270 @@
+const { db } = require('../config/firebase');
+const { roundAmount } = require('./pricingService');
+const { toDate } = require('../utils/timeUtils');
+
+/**
+ * Prepaid hour packs and monthly memberships. A cafe defines plans
+ * (pass_plans); a customer buys one through Cashfree and gets a pass
+ * (passes) once the payment succeeds. Bookings at the cafe can then draw
+ * on the pass: its hours cover the session instead of a charge, and a
+ * membership discount comes off whatever the hours don't cover.
+ *
+ * pass_plans: { cafeId, type: 'hour_pack'|'membership', name, price, hours,
+ *               discountPercent, validityDays, stationTypes, isActive }
+ * passes:     { planId, cafeId, userId, type, name, price, hoursTotal, hoursRemaining,
+ *               discountPercent, stationTypes, status: 'pending'|'active'|'failed',
+ *               orderId, startsAt, expiresAt }
+ * passes/{id}/usage: { type: 'consume'|'restore', hours, bookingIds, amount, reason }
+ *
+ * Bookings drawing on a pass carry the value it covered as passAmount plus
+ * pass: { passId, type, name, hours, restored }.
+ */
+
+const PASS_TYPES = ['hour_pack', 'membership'];
+
+// Hour packs last this long unless the plan says otherwise; memberships are monthly
+const DEFAULT_VALIDITY_DAYS = {
+  hour_pack: 90,
+  membership: 30
+};
+
+// Hours come back on cancellation up to the same cutoff as refunds
+const RESTORE_CUTOFF_HOURS = 1;
+
+/**
+ * Check whether a plan or pass can be used for a station
+ * stationTypes may list 'pc', 'console' or specific console types (e.g., 'ps5')
+ * @param {Object} pass - Plan or pass data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {boolean} True if usable for this station
+ */
+const passAppliesToStation = (pass, stationType, consoleType) => {
+  if (!pass.stationTypes || pass.stationTypes.length === 0) return true;
+  return pass.stationTypes.includes(stationType) || (consoleType && pass.stationTypes.includes(consoleType));
+};
+
+/**
+ * Work out a pass's state for display (expiry is not stored, it is read off expiresAt)
+ * @param {Object} pass - Pass data
+ * @param {Date} now - Reference time
+ * @returns {string} 'pending', 'failed', 'scheduled', 'active', 'used_up' or 'expired'
+ */
+const getPassState = (pass, now = new Date()) => {
+  if (pass.status !== 'active') return pass.status;
+  if (toDate(pass.expiresAt) <= now) return 'expired';
+  if (toDate(pass.startsAt) > now) return 'scheduled';
+  if (pass.type === 'hour_pack' && pass.hoursRemaining <= 0) return 'used_up';
+  return 'active';
+};
+
+/**
+ * Check a pass against a booking (pure)
+ * @param {Object} pass - Pass data
+ * @param {Object} booking
+ * @param {string} booking.userId - Customer ID
+ * @param {string} booking.cafeId - Cafe being booked
+ * @param {string} booking.stationType - 'pc' or 'console'
+ * @param {string|null} booking.consoleType - Console type
+ * @param {Date} booking.startAt - Session start (the pass must still be valid then)
+ * @returns {string|null} Error message, or null if the pass can be used
+ */
+const getPassError = (pass, { userId, cafeId, stationType, consoleType, startAt }) => {
+  if (!pass || pass.userId !== userId) return 'Pass not found';
+  if (pass.cafeId !== cafeId) return 'This pass is for a different cafe';
+
+  const state = getPassState(pass);
+  if (state === 'pending' || state === 'failed') return 'This pass has not been paid for';
+  if (state === 'expired') return 'This pass has expired';
+  if (state === 'used_up') return 'This pass has no hours left';
+  if (toDate(pass.startsAt) > startAt || toDate(pass.expiresAt) < startAt) {
+    return 'This pass is not valid on the booking date';
+  }
+  if (!passAppliesToStation(pass, stationType, consoleType)) {
+    return 'This pass is not valid for this station type';
+  }
+  if (pass.hoursRemaining <= 0 && !pass.discountPercent) {
+    return 'This pass has no hours left';
+  }
+
+  return null;
+};
+
+/**
+ * Work out what a pass covers for each booking of an order
+ * Hours go to the bookings in order; a membership discount then comes off
+ * whatever the hours did not cover.
+ * @param {Object} pass - Pass data
+ * @param {Array<Object>} items - One per booking: { durationHours, amount }
+ * @returns {Object} { hoursUsed, passAmount, items: [{ hours, passAmount }] }
+ */
+const applyPass = (pass, items) => {
+  let hoursLeft = Math.max(pass.hoursRemaining || 0, 0);
+  const discountPercent = pass.discountPercent || 0;
+
+  const covered = items.map((item) => {
+    const hours = Math.min(item.durationHours, hoursLeft);
+    hoursLeft -= hours;
+
+    const hoursValue = item.durationHours > 0 ? item.amount * hours / item.durationHours : 0;
+    const discount = (item.amount - hoursValue) * discountPercent / 100;
+    return {
+      hours,
+      passAmount: roundAmount(Math.min(hoursValue + discount, item.amount))
+    };
+  });
+
+  return {
+    hoursUsed: roundAmount(covered.reduce((sum, c) => sum + c.hours, 0)),
+    passAmount: roundAmount(covered.reduce((sum, c) => sum + c.passAmount, 0)),
+    items: covered
+  };
+};
+
+/**
+ * Read and check a pass inside the booking transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} passId - Pass ID
+ * @param {Object} booking - See getPassError
+ * @returns {Object} Pass (with id and ref)
+ * @throws {Error} PASS_INVALID: if the pass cannot be used
+ */
+const getUsablePass = async (transaction, passId, booking) => {
+  const passRef = db.collection('passes').doc(passId);
+  const passDoc = await transaction.get(passRef);
+  const pass = passDoc.exists ? { id: passDoc.id, ref: passRef, ...passDoc.data() } : null;
+
+  const error = getPassError(pass, booking);
+  if (error) {
+    throw new Error(`PASS_INVALID:${error}`);
+  }
+
+  return pass;
+};
+
+/**
+ * Queue the hours a booking order draws from a pass on the booking transaction
+ * Call after getUsablePass and after every other read.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} pass - Pass from getUsablePass
+ * @param {Object} usage - { hours, amount, bookingIds }
+ */
+const recordPassUsage = (transaction, pass, { hours, amount, bookingIds }) => {
+  transaction.update(pass.ref, {
+    hoursRemaining: roundAmount(pass.hoursRemaining - hours),
+    updatedAt: new Date()
+  });
+  transaction.set(pass.ref.collection('usage').doc(), {
+    type: 'consume',
+    hours,
+    amount,
+    bookingIds,
+    reason: 'Booking created',
+    createdAt: new Date()
+  });
+};
+
+/**
+ * Give a cancelled booking's pass hours back
+ * Hours return when the booking was never paid for (e.g., hold expired), was
+ * cancelled by the cafe, or was cancelled at least RESTORE_CUTOFF_HOURS before it started.
+ * Safe to call more than once per booking (queued as a bookkeeping task, so the
+ * notice is measured from when the booking was cancelled, not when this runs).
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Why the hours come back
+ * @returns {number} Hours restored (0 if none)
+ */
+const restorePassHours = async (bookingId, reason) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking?.pass || booking.pass.restored || !(booking.pass.hours > 0)) return 0;
+    if (!['cancelled', 'refunded'].includes(booking.status)) return 0;
+
+    const cancelledAt = toDate(booking.holdReleasedAt || booking.statusChangedAt) || new Date();
+    const hoursUntilStart = (toDate(booking.startAt) - cancelledAt) / (1000 * 60 * 60);
+    const unpaid = booking.paymentStatus !== 'paid';
+    if (!unpaid && !booking.cancelledByCafe && hoursUntilStart < RESTORE_CUTOFF_HOURS) return 0;
+
+    const passRef = db.collection('passes').doc(booking.pass.passId);
+    const passDoc = await transaction.get(passRef);
+    if (!passDoc.exists) return 0;
+
+    transaction.update(passRef, {
+      hoursRemaining: roundAmount((passDoc.data().hoursRemaining || 0) + booking.pass.hours),
+      updatedAt: new Date()
+    });
+    transaction.set(passRef.collection('usage').doc(), {
+      type: 'restore',
+      hours: booking.pass.hours,
+      amount: booking.passAmount || 0,
+      bookingIds: [bookingId],
+      reason,
+      createdAt: new Date()
+    });
+    transaction.update(bookingRef, {
+      'pass.restored': true,
+      updatedAt: new Date()
+    });
+    return booking.pass.hours;
+  });
+};
+
+/**
+ * Work out when a newly paid pass runs
+ * A membership bought while another of the same plan is still running starts when that one ends.
+ * @param {Object} pass - Pass data
+ * @param {Array<Object>} existingPasses - The customer's other active passes for the plan
+ * @param {Date} paidAt - Payment time
+ * @returns {Object} { startsAt, expiresAt }
+ */
+const getPassPeriod = (pass, existingPasses, paidAt) => {
+  let startsAt = paidAt;
+  if (pass.type === 'membership') {
+    existingPasses.forEach((existing) => {
+      const existingEnd = toDate(existing.expiresAt);
+      if (existingEnd > startsAt) startsAt = existingEnd;
+    });
+  }
+
+  const validityDays = pass.validityDays || DEFAULT_VALIDITY_DAYS[pass.type];
+  return {
+    startsAt,
+    expiresAt: new Date(startsAt.getTime() + validityDays * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Convert a plan, pass or usage document to a response object
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Data with ISO dates (and a state for passes)
+ */
+const serializePassDoc = (doc) => {
+  const data = doc.data();
+  const iso = (value) => value?.toDate ? value.toDate().toISOString() : value;
+  return {
+    id: doc.id,
+    ...data,
+    ...(data.userId && data.planId ? { state: getPassState(data) } : {}),
+    startsAt: iso(data.startsAt),
+    expiresAt: iso(data.expiresAt),
+    paidAt: iso(data.paidAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt)
+  };
+};
+
+module.exports = {
+  PASS_TYPES,
+  DEFAULT_VALIDITY_DAYS,
+  passAppliesToStation,
+  getPassState,
+  getPassError,
+  applyPass,
+  getUsablePass,
+  recordPassUsage,
+  restorePassHours,
+  getPassPeriod,
+  serializePassDoc
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { PAYMENT_METHODS } = require('./constants');
+
+/**
+ * Cashfree PG (https://docs.cashfree.com/reference/pg-new-apis-endpoint).
+ * Credentials are read on every call - index.js copies the function params
+ * into process.env per request.
+ */
+
+const getConfig = () => ({
+  clientId: process.env.CASHFREE_CLIENT_ID,
+  clientSecret: process.env.CASHFREE_CLIENT_SECRET,
+  apiVersion: process.env.CASHFREE_API_VERSION || '2023-08-01',
+  baseUrl: process.env.CASHFREE_BASE_URL || 'https://api.cashfree.com',
+  webhookSecret: process.env.CASHFREE_WEBHOOK_SECRET || process.env.CASHFREE_CLIENT_SECRET
+});
+
+const getAuthHeaders = () => {
+  const config = getConfig();
+  return {
+    'x-client-id': config.clientId,
+    'x-client-secret': config.clientSecret,
+    'x-api-version': config.apiVersion,
+    'Content-Type': 'application/json',
+  };
+};
+
+/**
+ * Turn an axios error into a provider error
+ * @param {Error} apiError - axios error
+ * @param {string} fallbackMessage - Message when Cashfree sent none
+ * @returns {Error} Error with status, code and details
+ */
+const toProviderError = (apiError, fallbackMessage) => {
+  const data = apiError.response?.data;
+  let message = data?.message || data?.error?.message || data?.error_description || fallbackMessage;
+  if (apiError.response?.status === 401) {
+    // Invalid or revoked credentials, or an API version mismatch
+    message = `Cashfree authentication failed. ${message}`;
+  }
+  const error = new Error(message);
+  error.status = apiError.response?.status || 502;
+  error.code = data?.code || data?.type || 'cashfree_api_error';
+  error.details = data || null;
+  return error;
+};
+
+const request = async (method, path, data, fallbackMessage) => {
+  const { baseUrl } = getConfig();
+  try {
+    const response = await axios({ method, url: `${baseUrl}${path}`, data, headers: getAuthHeaders() });
+    return response.data;
+  } catch (apiError) {
+    throw toProviderError(apiError, fallbackMessage);
+  }
+};
+
+const toPayment = (payment) => {
+  const paymentId = payment.payment_id || payment.cf_payment_id;
+  return {
+    paymentId: paymentId !== undefined && paymentId !== null ? String(paymentId) : null,
+    status: payment.payment_status,
+    amount: payment.payment_amount !== undefined ? parseFloat(payment.payment_amount) : null,
+    message: payment.payment_message || null,
+    paidAt: payment.payment_time || null
+  };
+};
+
+const toRefund = (refund) => ({
+  refundId: refund.refund_id,
+  status: refund.refund_status,
+  amount: refund.refund_amount !== undefined ? parseFloat(refund.refund_amount) : null,
+  message: refund.status_description || refund.message || null
+});
+
+const isConfigured = () => {
+  const { clientId, clientSecret } = getConfig();
+  return !!(clientId && clientSecret);
+};
+
+const createOrder = async ({ orderId, amount, note, customer, returnUrl, notifyUrl }) => {
+  const data = await request('post', '/pg/orders', {
+    order_id: orderId,
+    order_amount: amount,
+    order_currency: 'INR',
+    order_note: note,
+    customer_details: {
+      customer_id: customer.id,
+      customer_name: customer.name,
+      customer_email: customer.email,
+      customer_phone: customer.phone,
+    },
+    order_meta: {
+      return_url: returnUrl,
+      notify_url: notifyUrl,
+      payment_methods: PAYMENT_METHODS,
+    },
+  }, 'Failed to create payment order with Cashfree');
+
+  if (!data?.payment_session_id) {
+    throw new Error('Failed to create payment order - invalid response from payment gateway');
+  }
+
+  return {
+    orderId: data.order_id || orderId,
+    paymentSessionId: data.payment_session_id,
+    checkoutUrl: null
+  };
+};
+
+const fetchOrder = async (orderId) => {
+  const [order, payments] = await Promise.all([
+    request('get', `/pg/orders/${orderId}`, undefined, 'Failed to fetch order from Cashfree'),
+    request('get', `/pg/orders/${orderId}/payments`, undefined, 'Failed to fetch payments from Cashfree')
+  ]);
+  return {
+    orderId,
+    status: order.order_status,
+    amount: parseFloat(order.order_amount),
+    payments: (Array.isArray(payments) ? payments : []).map(toPayment)
+  };
+};
+
+const createRefund = async ({ orderId, refundId, amount, note }) => {
+  const data = await request('post', `/pg/orders/${orderId}/refund`, {
+    refund_amount: amount,
+    refund_id: refundId,
+    refund_note: note,
+    refund_splits: []
+  }, 'Failed to process refund with Cashfree');
+  return toRefund({ refund_id: refundId, ...data });
+};
+
+const fetchRefund = async (orderId, refundId) => {
+  const data = await request('get', `/pg/orders/${orderId}/refunds/${refundId}`, undefined, 'Failed to fetch refund from Cashfree');
+  return toRefund({ refund_id: refundId, ...data });
+};
+
+// How far a webhook's timestamp may be from our clock before it is treated as a replay
+const WEBHOOK_TIMESTAMP_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Sign a webhook body the way Cashfree does: base64 HMAC-SHA256 of timestamp + raw body
+ * @param {string} timestamp - x-webhook-timestamp header
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @param {string} secret - Signing secret
+ * @returns {string} Signature
+ */
+const signWebhook = (timestamp, rawBody, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(String(timestamp))
+  .update(rawBody)
+  .digest('base64');
+
+/**
+ * Read a webhook timestamp (Cashfree sends epoch milliseconds; seconds are accepted too)
+ * @param {string} timestamp - x-webhook-timestamp header
+ * @returns {number|null} Epoch milliseconds, or null if malformed
+ */
+const parseWebhookTimestamp = (timestamp) => {
+  if (!/^\d{1,16}$/.test(String(timestamp))) return null;
+  const value = Number(timestamp);
+  return value < 1e12 ? value * 1000 : value;
+};
+
+/**
+ * Verify a signed webhook strictly: the signature, timestamp, raw body and
+ * secret must all be present, the timestamp recent and the signature exact
+ * @param {Object} params - { signature, timestamp, rawBody, now }
+ * @param {string} secret - Signing secret
+ * @returns {Object} { valid, reason } - reason says why an invalid webhook was rejected
+ */
+const verifySignature = ({ signature, timestamp, rawBody, now = Date.now() }, secret) => {
+  try {
+    if (!secret) return { valid: false, reason: 'No webhook signing secret configured' };
+    if (!signature) return { valid: false, reason: 'Missing signature' };
+    if (!timestamp) return { valid: false, reason: 'Missing timestamp' };
+    if (!Buffer.isBuffer(rawBody) && typeof rawBody !== 'string') {
+      return { valid: false, reason: 'Raw request body unavailable' };
+    }
+
+    const sentAt = parseWebhookTimestamp(timestamp);
+    if (sentAt === null) return { valid: false, reason: 'Malformed timestamp' };
+    if (Math.abs(now - sentAt) > WEBHOOK_TIMESTAMP_TOLERANCE_MS) {
+      return { valid: false, reason: 'Timestamp outside the allowed window' };
+    }
+
+    const expected = Buffer.from(signWebhook(timestamp, rawBody, secret));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, reason: 'Signature mismatch' };
+    }
+    return { valid: true, reason: null };
+  } catch (error) {
+    return { valid: false, reason: `Verification error: ${error.message}` };
+  }
+};
+
+const verifyWebhook = (params) => verifySignature(params, getConfig().webhookSecret);
+
+/**
+ * Read a payment webhook (PAYMENT_SUCCESS_WEBHOOK, PAYMENT_FAILED_WEBHOOK, ...)
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object|null} { type, orderId, payment }, or null if it carries no order payment
+ */
+const parseWebhook = (body) => {
+  const { order, payment } = body?.data || {};
+  if (!order?.order_id || !payment) return null;
+  return {
+    type: body.type || null,
+    orderId: order.order_id,
+    payment: toPayment(payment)
+  };
+};
+
+module.exports = {
+  name: 'cashfree',
+  isConfigured,
+  createOrder,
+  fetchOrder,
+  createRefund,
+  fetchRefund,
+  verifyWebhook,
+  parseWebhook,
+  WEBHOOK_TIMESTAMP_TOLERANCE_MS,
+  signWebhook,
+  verifySignature
+};
@@ -0,0 +1,27 @@
+/**
+ * Shared vocabulary of the payment providers. Payment and refund statuses
+ * follow Cashfree's, which the booking, pass and refund flows were built on.
+ */
+
+const PAYMENT_STATUSES = {
+  success: 'SUCCESS',
+  failed: 'FAILED',
+  pending: 'PENDING',
+  dropped: 'USER_DROPPED'
+};
+
+const REFUND_STATUSES = {
+  success: 'SUCCESS',
+  pending: 'PENDING',
+  cancelled: 'CANCELLED',
+  onHold: 'ONHOLD'
+};
+
+// Methods offered at checkout
+const PAYMENT_METHODS = 'cc,dc,upi,nb,paylater';
+
+module.exports = {
+  PAYMENT_STATUSES,
+  REFUND_STATUSES,
+  PAYMENT_METHODS
+};
@@ -0,0 +1,52 @@
+const cashfreeProvider = require('./cashfreeProvider');
+const mockProvider = require('./mockProvider');
+const { PAYMENT_STATUSES, REFUND_STATUSES } = require('./constants');
+
+/**
+ * Payment providers. PAYMENT_PROVIDER picks one (cashfree by default, or
+ * mock for the emulator and tests). Every provider implements:
+ *
+ * name                                       'cashfree' | 'mock'
+ * isConfigured()                             → boolean
+ * createOrder({ orderId, amount, note, customer: { id, name, email, phone }, returnUrl, notifyUrl })
+ *                                            → { orderId, paymentSessionId, checkoutUrl|null }
+ * fetchOrder(orderId)                        → { orderId, status, amount, payments } (latest payment first)
+ * createRefund({ orderId, refundId, amount, note }) → refund
+ * fetchRefund(orderId, refundId)             → refund
+ * verifyWebhook({ signature, timestamp, rawBody }) → { valid, reason } (never throws;
+ *                                            rawBody is the exact bytes received)
+ * parseWebhook(body)                         → { type, orderId, payment } | null
+ *
+ * payment: { paymentId, status (PAYMENT_STATUSES), amount, message, paidAt }
+ * refund:  { refundId, status (REFUND_STATUSES), amount, message }
+ *
+ * Gateway errors are thrown as Errors with status (HTTP), code and details.
+ */
+
+const PROVIDERS = {
+  [cashfreeProvider.name]: cashfreeProvider,
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get a payment provider
+ * @param {string} name - Provider name (defaults to the configured one)
+ * @returns {Object} Provider
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || cashfreeProvider.name) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  // Never take real bookings on fake payments
+  if (provider === mockProvider && process.env.NODE_ENV === 'production' && process.env.FUNCTIONS_EMULATOR !== 'true') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  return provider;
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  REFUND_STATUSES,
+  getPaymentProvider
+};
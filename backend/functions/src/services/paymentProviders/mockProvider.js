@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { db } = require('../../config/firebase');
+const cashfree = require('./cashfreeProvider');
+const { PAYMENT_STATUSES, REFUND_STATUSES } = require('./constants');
+
+/**
+ * Local stand-in for the gateway, for the emulator and automated tests.
+ * Orders live in mock_payment_orders. Nothing is charged: the checkout page
+ * (GET /api/payments/mock/checkout?order_id=...&outcome=...) records a payment
+ * with the chosen outcome, posts a webhook signed like Cashfree's to the
+ * order's notify URL and redirects to its return URL.
+ *
+ * MOCK_PAYMENT_OUTCOME      success | failed | pending | dropped (default success)
+ * MOCK_REFUND_OUTCOME       success | pending | failed (default success); pending
+ *                           refunds succeed the next time their status is fetched
+ * MOCK_WEBHOOK_SECRET       Webhook signing secret (default mock_webhook_secret)
+ */
+
+const OUTCOME_STATUSES = {
+  success: PAYMENT_STATUSES.success,
+  failed: PAYMENT_STATUSES.failed,
+  pending: PAYMENT_STATUSES.pending,
+  dropped: PAYMENT_STATUSES.dropped
+};
+
+const REFUND_OUTCOME_STATUSES = {
+  success: REFUND_STATUSES.success,
+  pending: REFUND_STATUSES.pending,
+  failed: REFUND_STATUSES.cancelled
+};
+
+const WEBHOOK_TYPES = {
+  [PAYMENT_STATUSES.success]: 'PAYMENT_SUCCESS_WEBHOOK',
+  [PAYMENT_STATUSES.failed]: 'PAYMENT_FAILED_WEBHOOK',
+  [PAYMENT_STATUSES.dropped]: 'PAYMENT_USER_DROPPED_WEBHOOK'
+};
+
+const getWebhookSecret = () => process.env.MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+const logMock = (message, data = null) => {
+  console.log(`💳 [MOCK_GATEWAY] ${message}`);
+  if (data) {
+    console.log(`💳 [MOCK_GATEWAY] Data:`, JSON.stringify(data, null, 2));
+  }
+};
+
+const providerError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = null;
+  return error;
+};
+
+const getOrderRef = (orderId) => db.collection('mock_payment_orders').doc(orderId);
+
+const getOrder = async (orderId) => {
+  const orderDoc = await getOrderRef(orderId).get();
+  if (!orderDoc.exists) {
+    throw providerError('Order not found', 404, 'order_not_found');
+  }
+  return orderDoc.data();
+};
+
+const isConfigured = () => true;
+
+const createOrder = async ({ orderId, amount, note, customer, returnUrl, notifyUrl }) => {
+  const paymentSessionId = `mock_session_${crypto.randomBytes(12).toString('hex')}`;
+  await getOrderRef(orderId).set({
+    orderId,
+    amount,
+    note,
+    customer,
+    returnUrl,
+    notifyUrl,
+    paymentSessionId,
+    status: 'ACTIVE',
+    payments: [],
+    refunds: {},
+    createdAt: new Date()
+  });
+
+  logMock('Order created', { orderId, amount });
+
+  return {
+    orderId,
+    paymentSessionId,
+    // The checkout page sits next to the webhook route
+    checkoutUrl: `${notifyUrl.replace(/\/webhook$/, '/mock/checkout')}?order_id=${encodeURIComponent(orderId)}`
+  };
+};
+
+const fetchOrder = async (orderId) => {
+  const order = await getOrder(orderId);
+  return {
+    orderId,
+    status: order.status,
+    amount: order.amount,
+    payments: order.payments
+  };
+};
+
+/**
+ * Build a payment webhook for a mock order, signed with the mock secret
+ * @param {Object} order - Mock order
+ * @param {Object} payment - Payment from the order
+ * @param {Date} sentAt - When the webhook is sent
+ * @returns {Object} { headers, body, rawBody }
+ */
+const buildWebhook = (order, payment, sentAt = new Date()) => {
+  const body = {
+    type: WEBHOOK_TYPES[payment.status],
+    event_time: sentAt.toISOString(),
+    data: {
+      order: {
+        order_id: order.orderId,
+        order_amount: order.amount,
+        order_currency: 'INR'
+      },
+      payment: {
+        cf_payment_id: payment.paymentId,
+        payment_status: payment.status,
+        payment_amount: payment.amount,
+        payment_message: payment.message,
+        payment_time: payment.paidAt
+      },
+      customer_details: {
+        customer_id: order.customer?.id || null,
+        customer_email: order.customer?.email || null
+      }
+    }
+  };
+  const rawBody = JSON.stringify(body);
+  const timestamp = String(sentAt.getTime());
+  return {
+    headers: {
+      'content-type': 'application/json',
+      'x-webhook-timestamp': timestamp,
+      'x-webhook-signature': cashfree.signWebhook(timestamp, rawBody, getWebhookSecret()),
+      'x-webhook-version': '2023-08-01'
+    },
+    body,
+    rawBody
+  };
+};
+
+/**
+ * Post a payment webhook to the order's notify URL
+ * Never throws - a failed delivery is logged and the payment still stands
+ * @param {Object} order - Mock order
+ * @param {Object} payment - Payment from the order
+ * @returns {boolean} True if the webhook was accepted
+ */
+const deliverWebhook = async (order, payment) => {
+  const { headers, rawBody } = buildWebhook(order, payment);
+  try {
+    await axios.post(order.notifyUrl, rawBody, { headers });
+    logMock('Webhook delivered', { orderId: order.orderId, status: payment.status });
+    return true;
+  } catch (error) {
+    logMock('Webhook delivery failed', { orderId: order.orderId, error: error.message, status: error.response?.status });
+    return false;
+  }
+};
+
+/**
+ * Pay (or fail to pay) a mock order, as a customer would at checkout
+ * @param {string} orderId - Mock order ID
+ * @param {string} outcome - success, failed, pending or dropped
+ * @returns {Object} { payment, redirectUrl, webhookDelivered }
+ */
+const completeCheckout = async (orderId, outcome = process.env.MOCK_PAYMENT_OUTCOME || 'success') => {
+  const status = OUTCOME_STATUSES[outcome];
+  if (!status) {
+    throw providerError(`Outcome must be one of: ${Object.keys(OUTCOME_STATUSES).join(', ')}`, 400, 'invalid_outcome');
+  }
+
+  const order = await getOrder(orderId);
+  if (order.status === 'PAID') {
+    throw providerError('Order is already paid', 400, 'order_already_paid');
+  }
+
+  const payment = {
+    paymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+    status,
+    amount: order.amount,
+    message: {
+      [PAYMENT_STATUSES.success]: 'Simulated payment successful',
+      [PAYMENT_STATUSES.failed]: 'Simulated payment failure',
+      [PAYMENT_STATUSES.pending]: 'Simulated payment pending',
+      [PAYMENT_STATUSES.dropped]: 'Simulated customer drop-off'
+    }[status],
+    paidAt: new Date().toISOString()
+  };
+
+  // Latest attempt first, as Cashfree lists them
+  await getOrderRef(orderId).update({
+    payments: [payment, ...order.payments],
+    status: status === PAYMENT_STATUSES.success ? 'PAID' : order.status,
+    updatedAt: new Date()
+  });
+
+  logMock('Checkout completed', { orderId, outcome, paymentId: payment.paymentId });
+
+  // Like Cashfree, pending payments only notify once they resolve
+  const webhookDelivered = WEBHOOK_TYPES[status] ? await deliverWebhook(order, payment) : false;
+
+  const separator = order.returnUrl.includes('?') ? '&' : '?';
+  return {
+    payment,
+    redirectUrl: `${order.returnUrl}${separator}order_id=${encodeURIComponent(orderId)}`,
+    webhookDelivered
+  };
+};
+
+const createRefund = async ({ orderId, refundId, amount, note }) => {
+  const orderRef = getOrderRef(orderId);
+  const status = REFUND_OUTCOME_STATUSES[process.env.MOCK_REFUND_OUTCOME || 'success'] || REFUND_STATUSES.success;
+
+  const refund = await db.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists) {
+      throw providerError('Order not found', 404, 'order_not_found');
+    }
+    const order = orderDoc.data();
+    if (order.status !== 'PAID') {
+      throw providerError('Order is not paid', 400, 'order_not_paid');
+    }
+
+    const refunded = Object.values(order.refunds || {})
+      .filter(r => r.status !== REFUND_STATUSES.cancelled)
+      .reduce((sum, r) => sum + r.amount, 0);
+    if (amount > order.amount - refunded + 0.001) {
+      throw providerError('Refund amount is more than the amount left to refund', 400, 'refund_amount_exceeded');
+    }
+
+    const newRefund = {
+      refundId,
+      status,
+      amount,
+      message: status === REFUND_STATUSES.cancelled ? 'Simulated refund failure' : note || null
+    };
+    transaction.update(orderRef, { [`refunds.${refundId}`]: newRefund, updatedAt: new Date() });
+    return newRefund;
+  });
+
+  logMock('Refund created', { orderId, refundId, amount, status });
+  return refund;
+};
+
+const fetchRefund = async (orderId, refundId) => {
+  const order = await getOrder(orderId);
+  const refund = order.refunds?.[refundId];
+  if (!refund) {
+    throw providerError('Refund not found', 404, 'refund_not_found');
+  }
+
+  if (refund.status === REFUND_STATUSES.pending) {
+    const settled = { ...refund, status: REFUND_STATUSES.success };
+    await getOrderRef(orderId).update({ [`refunds.${refundId}`]: settled, updatedAt: new Date() });
+    return settled;
+  }
+  return refund;
+};
+
+const verifyWebhook = (params) => cashfree.verifySignature(params, getWebhookSecret());
+
+module.exports = {
+  name: 'mock',
+  isConfigured,
+  createOrder,
+  fetchOrder,
+  createRefund,
+  fetchRefund,
+  verifyWebhook,
+  // Webhooks use Cashfree's format
+  parseWebhook: cashfree.parseWebhook,
+  completeCheckout,
+  buildWebhook
+};
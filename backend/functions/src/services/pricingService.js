@@ -0,0 +1,364 @@
+const { getDayOfWeek } = require('./bookingSeriesService');
+const { resolveBookingWindow } = require('./availabilityService');
+const { calculateDuration, toDate, addDays, toInstant, toCafeDate, toCafeTime } = require('../utils/timeUtils');
+
+/**
+ * Pricing rules let a cafe charge different rates by day of week, time of
+ * day, station/console type and date range (weekend nights, happy hours,
+ * festival pricing). Rules live on the cafe as `pricingRules`:
+ *
+ *   { name: 'Weekend nights', hourlyRate: 120,   // or multiplier: 1.5 (on the base rate)
+ *     daysOfWeek: [5, 6], startTime: '18:00', endTime: '02:00',
+ *     stationType: 'pc', consoleType: null, startDate: null, endDate: null,
+ *     priority: 10, isActive: true }
+ *
+ * A rule's time window belongs to the day it starts on (a Friday 18:00 -
+ * 02:00 rule covers early Saturday too); rules without times cover the whole
+ * day. A booking is split wherever a rule starts or ends and each part is
+ * priced at the highest-priority matching rule, falling back to the base
+ * rate from getHourlyRate.
+ */
+
+// GST on recreation services, for registered cafes that haven't set their own rate
+const DEFAULT_TAX_RATE = 18;
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get hourly rate based on station type
+ * @param {Object} cafe - Cafe data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {number} Hourly rate
+ */
+const getHourlyRate = (cafe, stationType, consoleType) => {
+  if (stationType === 'pc') {
+    return parseFloat(cafe.pcHourlyRate || cafe.hourlyRate || 0);
+  }
+
+  if (stationType === 'console' && consoleType && cafe.consoles && cafe.consoles[consoleType]) {
+    const consoleRate = cafe.consoles[consoleType].hourlyRate;
+    return parseFloat(consoleRate > 0 ? consoleRate : cafe.hourlyRate || 0);
+  }
+
+  return parseFloat(cafe.hourlyRate || 0);
+};
+
+/**
+ * Round a rupee amount to 2 decimal places
+ * @param {number} amount - Amount in rupees
+ * @returns {number} Rounded amount
+ */
+const roundAmount = (amount) => parseFloat(Number(amount || 0).toFixed(2));
+
+/**
+ * Check whether a pricing rule applies to a station type
+ * @param {Object} rule - Pricing rule
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {boolean} True if the rule applies
+ */
+const ruleAppliesToStation = (rule, stationType, consoleType) => {
+  if (rule.isActive === false) return false;
+  if (rule.stationType && rule.stationType !== stationType) return false;
+  if (rule.consoleType && rule.consoleType !== consoleType) return false;
+  return true;
+};
+
+/**
+ * Get a pricing rule's windows that overlap a time range
+ * @param {Object} rule - Pricing rule
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @returns {Array<Object>} Windows { startAt, endAt } as Dates
+ */
+const getRuleWindows = (rule, rangeStart, rangeEnd) => {
+  const startTime = rule.startTime || '00:00';
+  const endTime = rule.endTime || '00:00';
+  // Identical start and end times (or no times at all) cover the whole day
+  const durationMs = (calculateDuration(startTime, endTime) || 24) * 60 * 60 * 1000;
+  const windows = [];
+
+  // Start a day early so an overnight window from the previous day is included
+  let current = addDays(toCafeDate(rangeStart), -1);
+  const lastDate = toCafeDate(rangeEnd);
+  while (current <= lastDate) {
+    const inRange = (!rule.startDate || current >= rule.startDate) && (!rule.endDate || current <= rule.endDate);
+    const onDay = !rule.daysOfWeek || rule.daysOfWeek.length === 0 || rule.daysOfWeek.map(Number).includes(getDayOfWeek(current));
+    if (inRange && onDay) {
+      const startAt = toInstant(current, startTime);
+      const endAt = new Date(startAt.getTime() + durationMs);
+      if (startAt < rangeEnd && endAt > rangeStart) windows.push({ startAt, endAt });
+    }
+    current = addDays(current, 1);
+  }
+
+  return windows;
+};
+
+/**
+ * Get the hourly rate a pricing rule charges
+ * @param {Object} rule - Pricing rule
+ * @param {number} baseRate - The station's base hourly rate
+ * @returns {number} Hourly rate
+ */
+const getRuleRate = (rule, baseRate) => {
+  if (rule.hourlyRate !== undefined && rule.hourlyRate !== null) {
+    return parseFloat(rule.hourlyRate);
+  }
+  return roundAmount(baseRate * parseFloat(rule.multiplier || 1));
+};
+
+/**
+ * Price a session window, splitting it wherever a pricing rule starts or ends
+ * @param {Object} cafe - Cafe data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @param {Object} window - { startAt, endAt }
+ * @returns {Object} { baseHourlyRate, amount, breakdown }
+ */
+const priceWindow = (cafe, stationType, consoleType, window) => {
+  const baseHourlyRate = getHourlyRate(cafe, stationType, consoleType);
+
+  // Highest priority first; on a tie the rule listed first wins
+  const ruleWindows = (cafe.pricingRules || [])
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => ruleAppliesToStation(rule, stationType, consoleType))
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index)
+    .map(({ rule, index }) => ({ rule, index, windows: getRuleWindows(rule, window.startAt, window.endAt) }))
+    .filter(({ windows }) => windows.length > 0);
+
+  const cuts = new Set([window.startAt.getTime(), window.endAt.getTime()]);
+  ruleWindows.forEach(({ windows }) => windows.forEach((w) => {
+    [w.startAt.getTime(), w.endAt.getTime()]
+      .filter(t => t > window.startAt.getTime() && t < window.endAt.getTime())
+      .forEach(t => cuts.add(t));
+  }));
+  const points = [...cuts].sort((a, b) => a - b);
+
+  const breakdown = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const match = ruleWindows.find(({ windows }) =>
+      windows.some(w => w.startAt.getTime() <= points[i] && w.endAt.getTime() > points[i])
+    );
+    const hourlyRate = match ? getRuleRate(match.rule, baseHourlyRate) : baseHourlyRate;
+    const ruleIndex = match ? match.index : null;
+    const previous = breakdown[breakdown.length - 1];
+
+    if (previous && previous.ruleIndex === ruleIndex && previous.hourlyRate === hourlyRate) {
+      previous.endMs = points[i + 1];
+    } else {
+      breakdown.push({ startMs: points[i], endMs: points[i + 1], hourlyRate, ruleIndex, rule: match ? match.rule : null });
+    }
+  }
+
+  const parts = breakdown.map((part) => {
+    const startAt = new Date(part.startMs);
+    const endAt = new Date(part.endMs);
+    const hours = (part.endMs - part.startMs) / (60 * 60 * 1000);
+    return {
+      startTime: toCafeTime(startAt),
+      endTime: toCafeTime(endAt),
+      startAt: startAt.toISOString(),
+      endAt: endAt.toISOString(),
+      hours: parseFloat(hours.toFixed(4)),
+      hourlyRate: part.hourlyRate,
+      amount: roundAmount(hours * part.hourlyRate),
+      rule: part.rule ? { id: part.rule.id || null, name: part.rule.name || null } : null
+    };
+  });
+
+  return {
+    baseHourlyRate,
+    amount: roundAmount(parts.reduce((sum, part) => sum + part.amount, 0)),
+    breakdown: parts
+  };
+};
+
+/**
+ * Get the tax a cafe charges. Tax applies once the cafe has its registration
+ * number (GSTIN) in taxSettings. Rates are tax-inclusive unless the cafe sets
+ * pricesIncludeTax: false, in which case tax is added on top.
+ *
+ *   taxSettings: { gstin, legalName, rate: 18, pricesIncludeTax: true }
+ *
+ * @param {Object} cafe - Cafe data
+ * @returns {Object|null} { rate, inclusive, registrationNumber }, or null if the cafe charges no tax
+ */
+const getTaxTerms = (cafe) => {
+  const settings = cafe?.taxSettings;
+  if (!settings || !settings.gstin) return null;
+
+  const rate = settings.rate === undefined || settings.rate === null ? DEFAULT_TAX_RATE : parseFloat(settings.rate);
+  if (!(rate > 0)) return null;
+
+  return {
+    rate,
+    inclusive: settings.pricesIncludeTax !== false,
+    registrationNumber: settings.gstin
+  };
+};
+
+/**
+ * Apply a cafe's tax terms to an amount at its rates
+ * @param {number} amount - Amount at the cafe's rates
+ * @param {Object|null} terms - From getTaxTerms
+ * @returns {Object} { amount, tax } - amount is what the customer is charged;
+ *   tax is { rate, inclusive, registrationNumber, netAmount, taxAmount }, or null without tax
+ */
+const applyTax = (amount, terms) => {
+  if (!terms) return { amount, tax: null };
+
+  const netAmount = terms.inclusive ? roundAmount(amount * 100 / (100 + terms.rate)) : amount;
+  const taxAmount = terms.inclusive ? roundAmount(amount - netAmount) : roundAmount(amount * terms.rate / 100);
+  return {
+    amount: roundAmount(netAmount + taxAmount),
+    tax: { ...terms, netAmount, taxAmount }
+  };
+};
+
+/**
+ * Add up the tax of several charges on a booking (e.g., the booking and an extension)
+ * or of several bookings (pass a single tax with a count)
+ * @param {Array<Object|null>} taxes - Taxes from applyTax
+ * @param {number} count - Times to count each tax
+ * @returns {Object|null} Combined tax, or null if none was charged
+ */
+const sumTax = (taxes, count = 1) => {
+  const charged = taxes.filter(Boolean);
+  if (charged.length === 0) return null;
+  return {
+    ...charged[charged.length - 1],
+    netAmount: roundAmount(charged.reduce((sum, tax) => sum + tax.netAmount, 0) * count),
+    taxAmount: roundAmount(charged.reduce((sum, tax) => sum + tax.taxAmount, 0) * count)
+  };
+};
+
+/**
+ * Calculate the price of a single booking (one station) from the cafe's rates and pricing rules
+ * The session starts at booking.startAt when given, otherwise at the instant
+ * resolved from bookingDate/startTime (cafes open past midnight included).
+ * @param {Object} cafe - Cafe data
+ * @param {Object} booking - Booking data (stationType, consoleType, startTime, endTime, and startAt or bookingDate)
+ * @returns {Object} { durationHours, hourlyRate, baseHourlyRate, amount, tax, breakdown }
+ *   hourlyRate is the effective (average) rate across the breakdown; amount includes
+ *   tax (added on top for tax-exclusive cafes), breakdown is at the cafe's rates
+ */
+const calculateBookingPrice = (cafe, booking) => {
+  const durationHours = calculateDuration(booking.startTime, booking.endTime);
+  const startAt = booking.startAt
+    ? toDate(booking.startAt)
+    : resolveBookingWindow(cafe, booking.bookingDate, booking.startTime, booking.endTime).startAt;
+  const endAt = new Date(startAt.getTime() + durationHours * 60 * 60 * 1000);
+
+  const { baseHourlyRate, amount, breakdown } = priceWindow(cafe, booking.stationType, booking.consoleType, { startAt, endAt });
+  const taxed = applyTax(amount, getTaxTerms(cafe));
+
+  return {
+    durationHours,
+    hourlyRate: breakdown.length === 1 ? breakdown[0].hourlyRate : roundAmount(durationHours > 0 ? amount / durationHours : baseHourlyRate),
+    baseHourlyRate,
+    // Exact amount with decimal precision (no rounding up to full hours)
+    amount: taxed.amount,
+    tax: taxed.tax,
+    breakdown
+  };
+};
+
+/**
+ * Validate a cafe's pricing rules before saving them
+ * @param {Array|undefined} rules - Pricing rules
+ * @returns {string|null} Error message, or null if valid
+ */
+const getPricingRulesError = (rules) => {
+  if (rules === undefined || rules === null) return null;
+  if (!Array.isArray(rules)) return 'Pricing rules must be a list';
+
+  for (const [i, rule] of rules.entries()) {
+    const label = rule?.name ? `Pricing rule "${rule.name}"` : `Pricing rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object') return `${label} must be an object`;
+
+    const hasRate = rule.hourlyRate !== undefined && rule.hourlyRate !== null;
+    const hasMultiplier = rule.multiplier !== undefined && rule.multiplier !== null;
+    if (hasRate === hasMultiplier) return `${label} needs either an hourlyRate or a multiplier`;
+    if (hasRate && !(parseFloat(rule.hourlyRate) >= 0)) return `${label} has an invalid hourlyRate`;
+    if (hasMultiplier && !(parseFloat(rule.multiplier) > 0)) return `${label} has an invalid multiplier`;
+
+    if (rule.stationType && !['pc', 'console'].includes(rule.stationType)) {
+      return `${label} has an invalid stationType`;
+    }
+    if ((rule.startTime && !TIME_PATTERN.test(rule.startTime)) || (rule.endTime && !TIME_PATTERN.test(rule.endTime))) {
+      return `${label} has an invalid time - use HH:MM`;
+    }
+    if (Boolean(rule.startTime) !== Boolean(rule.endTime)) {
+      return `${label} needs both startTime and endTime, or neither`;
+    }
+    if ((rule.startDate && !DATE_PATTERN.test(rule.startDate)) || (rule.endDate && !DATE_PATTERN.test(rule.endDate))) {
+      return `${label} has an invalid date - use YYYY-MM-DD`;
+    }
+    if (rule.daysOfWeek && (!Array.isArray(rule.daysOfWeek) || rule.daysOfWeek.some(d => !Number.isInteger(Number(d)) || d < 0 || d > 6))) {
+      return `${label} has invalid daysOfWeek - use 0 (Sunday) to 6 (Saturday)`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Calculate the payable amount for a payment order covering one or more bookings
+ * (a single booking or every booking sharing a groupBookingId)
+ * A promo discount (discountAmount), pass cover (passAmount), loyalty points
+ * (pointsAmount) or wallet payment (walletAmount) stored on a booking comes off its price.
+ * @param {Object} cafe - Cafe data
+ * @param {Array<Object>} bookings - Bookings with id
+ * @returns {Object} { items, subtotal, discountAmount, passAmount, pointsAmount, walletAmount, totalAmount, currency }
+ */
+const calculateOrderAmount = (cafe, bookings) => {
+  const items = bookings.map((booking) => {
+    const price = calculateBookingPrice(cafe, booking);
+    const discountAmount = Math.min(booking.discountAmount || 0, price.amount);
+    const passAmount = Math.min(booking.passAmount || 0, price.amount - discountAmount);
+    const pointsAmount = Math.min(booking.pointsAmount || 0, price.amount - discountAmount - passAmount);
+    const walletAmount = Math.min(booking.walletAmount || 0, price.amount - discountAmount - passAmount - pointsAmount);
+    return {
+      bookingId: booking.id,
+      stationType: booking.stationType,
+      consoleType: booking.consoleType || null,
+      stationNumber: booking.stationNumber,
+      startTime: booking.startTime,
+      endTime: booking.endTime,
+      ...price,
+      discountAmount,
+      passAmount,
+      pointsAmount,
+      walletAmount,
+      payableAmount: roundAmount(price.amount - discountAmount - passAmount - pointsAmount - walletAmount)
+    };
+  });
+
+  const sum = (field) => roundAmount(items.reduce((total, item) => total + item[field], 0));
+  return {
+    items,
+    subtotal: sum('amount'),
+    discountAmount: sum('discountAmount'),
+    passAmount: sum('passAmount'),
+    pointsAmount: sum('pointsAmount'),
+    walletAmount: sum('walletAmount'),
+    totalAmount: sum('payableAmount'),
+    currency: 'INR'
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_RATE,
+  getHourlyRate,
+  roundAmount,
+  getTaxTerms,
+  applyTax,
+  sumTax,
+  priceWindow,
+  calculateBookingPrice,
+  calculateOrderAmount,
+  getPricingRulesError
+};
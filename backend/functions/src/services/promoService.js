@@ -0,0 +1,300 @@
+const { db, admin } = require('../config/firebase');
+const { roundAmount } = require('./pricingService');
+const { toDate } = require('../utils/timeUtils');
+
+/**
+ * Promo codes. Platform codes (cafeId null, funded by the platform) work at
+ * every cafe; cafe codes are created by the owner and work only at that
+ * cafe. A code is checked on the quote endpoint and checked again inside the
+ * booking transaction, where the redemption record is written and the
+ * code's usage count incremented atomically with the bookings.
+ *
+ * promo_codes:       { code, cafeId, discountType: 'percentage'|'flat', discountValue,
+ *                      minSpend, maxDiscount, validFrom, validUntil, perUserLimit,
+ *                      totalLimit, redemptionCount, firstBookingOnly, stationTypes, isActive }
+ * promo_redemptions: { promoCodeId, code, cafeId, fundedBy, userId, bookingIds,
+ *                      orderAmount, discountAmount, status: 'applied'|'reversed' }
+ *
+ * Discounted bookings carry their share as discountAmount plus
+ * promo: { promoCodeId, code, redemptionId }.
+ */
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+// Booking statuses that count as a customer's earlier booking for first-booking-only codes
+const COMPLETED_BOOKING_STATUSES = ['paid', 'confirmed', 'checked_in', 'completed'];
+
+/**
+ * Normalise a code as typed by a customer
+ * @param {string} code - Code
+ * @returns {string} Upper-case code without surrounding spaces
+ */
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Check whether a code is restricted away from a station
+ * stationTypes may list 'pc', 'console' or specific console types (e.g., 'ps5')
+ * @param {Object} promo - Promo code data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {boolean} True if the code can be used for this station
+ */
+const promoAppliesToStation = (promo, stationType, consoleType) => {
+  if (!promo.stationTypes || promo.stationTypes.length === 0) return true;
+  return promo.stationTypes.includes(stationType) || (consoleType && promo.stationTypes.includes(consoleType));
+};
+
+/**
+ * Calculate the discount a code gives on an order
+ * @param {Object} promo - Promo code data
+ * @param {number} orderAmount - Order amount before discount
+ * @returns {number} Discount (never more than the order)
+ */
+const calculateDiscount = (promo, orderAmount) => {
+  let discount = promo.discountType === 'percentage'
+    ? orderAmount * parseFloat(promo.discountValue) / 100
+    : parseFloat(promo.discountValue);
+
+  if (promo.maxDiscount) {
+    discount = Math.min(discount, parseFloat(promo.maxDiscount));
+  }
+
+  return roundAmount(Math.min(Math.max(discount, 0), orderAmount));
+};
+
+/**
+ * Check a code against an order (pure - the counts are read by the caller)
+ * @param {Object} promo - Promo code data
+ * @param {Object} order
+ * @param {string} order.cafeId - Cafe being booked
+ * @param {string} order.stationType - 'pc' or 'console'
+ * @param {string|null} order.consoleType - Console type
+ * @param {number} order.orderAmount - Order amount before discount
+ * @param {number} order.userRedemptions - The user's applied redemptions of this code
+ * @param {boolean} order.hasPreviousBooking - Whether the user has booked before
+ * @param {Date} order.now - Reference time
+ * @returns {Object} { valid, message, discountAmount }
+ */
+const evaluatePromo = (promo, order) => {
+  const invalid = (message) => ({ valid: false, message, discountAmount: 0 });
+  const now = order.now || new Date();
+
+  if (!promo || promo.isActive === false) return invalid('This promo code is not valid');
+  if (promo.cafeId && promo.cafeId !== order.cafeId) return invalid('This promo code is not valid at this cafe');
+  if (promo.validFrom && toDate(promo.validFrom) > now) return invalid('This promo code is not active yet');
+  if (promo.validUntil && toDate(promo.validUntil) < now) return invalid('This promo code has expired');
+  if (promo.totalLimit && (promo.redemptionCount || 0) >= promo.totalLimit) {
+    return invalid('This promo code has been fully redeemed');
+  }
+  if (promo.perUserLimit && order.userRedemptions >= promo.perUserLimit) {
+    return invalid('You have already used this promo code');
+  }
+  if (promo.firstBookingOnly && order.hasPreviousBooking) {
+    return invalid('This promo code is only valid on your first booking');
+  }
+  if (!promoAppliesToStation(promo, order.stationType, order.consoleType)) {
+    return invalid('This promo code is not valid for this station type');
+  }
+  if (promo.minSpend && order.orderAmount < parseFloat(promo.minSpend)) {
+    return invalid(`Spend at least ₹${promo.minSpend} to use this promo code`);
+  }
+
+  return { valid: true, message: null, discountAmount: calculateDiscount(promo, order.orderAmount) };
+};
+
+/**
+ * Find the code a customer typed for a cafe - the cafe's own code wins over a platform code
+ * @param {string} code - Code as typed
+ * @param {string} cafeId - Cafe being booked
+ * @param {Object|null} transaction - Firestore transaction object (for atomic reads)
+ * @returns {Object|null} Promo code (with id and ref), or null if none matches
+ */
+const findPromoCode = async (code, cafeId, transaction = null) => {
+  const query = db.collection('promo_codes').where('code', '==', normalizeCode(code));
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+
+  const promos = snapshot.docs.map(doc => ({ id: doc.id, ref: doc.ref, ...doc.data() }));
+  return promos.find(p => p.cafeId === cafeId) || promos.find(p => !p.cafeId) || null;
+};
+
+/**
+ * Read what evaluatePromo needs to know about the customer
+ * @param {string} promoCodeId - Promo code ID
+ * @param {string} userId - Customer ID
+ * @param {Object|null} transaction - Firestore transaction object (for atomic reads)
+ * @returns {Object} { userRedemptions, hasPreviousBooking }
+ */
+const getUserPromoContext = async (promoCodeId, userId, transaction = null) => {
+  const read = (query) => transaction ? transaction.get(query) : query.get();
+
+  const [redemptions, bookings] = await Promise.all([
+    read(db.collection('promo_redemptions')
+      .where('promoCodeId', '==', promoCodeId)
+      .where('userId', '==', userId)
+      .where('status', '==', 'applied')),
+    read(db.collection('bookings').where('userId', '==', userId))
+  ]);
+
+  return {
+    userRedemptions: redemptions.size,
+    hasPreviousBooking: bookings.docs.some(doc => COMPLETED_BOOKING_STATUSES.includes(doc.data().status))
+  };
+};
+
+/**
+ * Check a code for an order
+ * Pass a transaction to make the check part of an atomic booking write;
+ * the reads happen here so the caller can write afterwards.
+ * @param {Object} params
+ * @param {string} params.code - Code as typed
+ * @param {string} params.userId - Customer ID
+ * @param {string} params.cafeId - Cafe being booked
+ * @param {string} params.stationType - 'pc' or 'console'
+ * @param {string|null} params.consoleType - Console type
+ * @param {number} params.orderAmount - Order amount before discount
+ * @param {Object|null} transaction - Firestore transaction object
+ * @returns {Object} { valid, message, discountAmount, promo }
+ */
+const checkPromoCode = async ({ code, userId, cafeId, stationType, consoleType, orderAmount }, transaction = null) => {
+  const promo = await findPromoCode(code, cafeId, transaction);
+  if (!promo) {
+    return { valid: false, message: 'This promo code is not valid', discountAmount: 0, promo: null };
+  }
+
+  const context = await getUserPromoContext(promo.id, userId, transaction);
+  const result = evaluatePromo(promo, {
+    cafeId, stationType, consoleType, orderAmount, ...context, now: new Date()
+  });
+
+  return { ...result, promo };
+};
+
+/**
+ * Split an order discount across the bookings of a group (the last booking absorbs rounding)
+ * @param {number} discountAmount - Order discount
+ * @param {number} count - Number of bookings
+ * @returns {Array<number>} Discount per booking
+ */
+const splitDiscount = (discountAmount, count) => {
+  const share = roundAmount(discountAmount / count);
+  return Array.from({ length: count }, (_, i) =>
+    i === count - 1 ? roundAmount(discountAmount - share * (count - 1)) : share
+  );
+};
+
+/**
+ * Queue the redemption record and usage count on the booking transaction
+ * Call after checkPromoCode(…, transaction) and after every other read.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} params
+ * @param {Object} params.promo - Promo code from checkPromoCode
+ * @param {string} params.userId - Customer ID
+ * @param {string} params.cafeId - Cafe booked
+ * @param {Array<string>} params.bookingIds - Bookings the discount applies to
+ * @param {number} params.orderAmount - Order amount before discount
+ * @param {number} params.discountAmount - Discount given
+ * @returns {Object} Redemption document reference
+ */
+const recordRedemption = (transaction, { promo, userId, cafeId, bookingIds, orderAmount, discountAmount }) => {
+  const redemptionRef = db.collection('promo_redemptions').doc();
+
+  transaction.set(redemptionRef, {
+    promoCodeId: promo.id,
+    code: promo.code,
+    cafeId,
+    fundedBy: promo.cafeId ? 'cafe' : 'platform',
+    userId,
+    bookingIds,
+    orderAmount,
+    discountAmount,
+    status: 'applied',
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  transaction.update(promo.ref, {
+    redemptionCount: admin.firestore.FieldValue.increment(1),
+    updatedAt: new Date()
+  });
+
+  return redemptionRef;
+};
+
+/**
+ * Check whether a booking released its share of a discount without using it
+ * (cancelled before paying, cancelled when the code covered it in full, or refunded)
+ * @param {Object} booking - Booking data
+ * @returns {boolean} True if the booking did not go ahead at the discounted price
+ */
+const isRedemptionReleased = (booking) => {
+  if (booking.status === 'refunded') return true;
+  const nothingPaid = booking.paidAmount === 0 && !(booking.walletAmount > 0);
+  return booking.status === 'cancelled' && (booking.paymentStatus !== 'paid' || nothingPaid);
+};
+
+/**
+ * Give a redemption back once none of its bookings went ahead, so the code's
+ * usage counts (and the owner's campaign cost) only include real bookings.
+ * Safe to call for every booking of a group - only the last release reverses it
+ * (queued as a bookkeeping task).
+ * @param {string} redemptionId - Redemption ID (booking.promo.redemptionId)
+ * @returns {boolean} True if the redemption was reversed by this call
+ */
+const reverseRedemption = async (redemptionId) => {
+  if (!redemptionId) return false;
+
+  const redemptionRef = db.collection('promo_redemptions').doc(redemptionId);
+  return db.runTransaction(async (transaction) => {
+    const redemptionDoc = await transaction.get(redemptionRef);
+    if (!redemptionDoc.exists || redemptionDoc.data().status !== 'applied') return false;
+
+    const redemption = redemptionDoc.data();
+    const bookingDocs = await Promise.all(
+      redemption.bookingIds.map(id => transaction.get(db.collection('bookings').doc(id)))
+    );
+    if (!bookingDocs.every(doc => !doc.exists || isRedemptionReleased(doc.data()))) return false;
+
+    transaction.update(redemptionRef, {
+      status: 'reversed',
+      reversedAt: new Date(),
+      updatedAt: new Date()
+    });
+    transaction.update(db.collection('promo_codes').doc(redemption.promoCodeId), {
+      redemptionCount: admin.firestore.FieldValue.increment(-1),
+      updatedAt: new Date()
+    });
+    return true;
+  });
+};
+
+/**
+ * Convert a promo code or redemption document to a response object
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Data with ISO dates
+ */
+const serializePromoDoc = (doc) => {
+  const data = doc.data();
+  const iso = (value) => value?.toDate ? value.toDate().toISOString() : value;
+  return {
+    id: doc.id,
+    ...data,
+    validFrom: iso(data.validFrom),
+    validUntil: iso(data.validUntil),
+    reversedAt: iso(data.reversedAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt)
+  };
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  normalizeCode,
+  calculateDiscount,
+  evaluatePromo,
+  findPromoCode,
+  checkPromoCode,
+  splitDiscount,
+  recordRedemption,
+  reverseRedemption,
+  serializePromoDoc
+};
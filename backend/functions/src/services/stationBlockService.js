@@ -0,0 +1,165 @@
+const { db } = require('../config/firebase');
+const { getDayOfWeek } = require('./bookingSeriesService');
+const { calculateDuration, toDate, addDays, toInstant, toCafeDate } = require('../utils/timeUtils');
+
+/**
+ * Station blocks take stations out of service (maintenance, private events).
+ * A block covers one station, a range of stations, every unit of a console
+ * type or the whole cafe, either once (startAt - endAt) or on a recurring
+ * daily/weekly time window. The availability engine treats covered stations
+ * as unavailable while a block window overlaps the requested slot.
+ */
+
+const BLOCK_SCOPES = ['station', 'range', 'console_type', 'cafe'];
+
+const BLOCK_FREQUENCIES = ['daily', 'weekly'];
+
+/**
+ * Check whether a block applies to a station type at all
+ * @param {Object} block - Block data
+ * @param {string} stationType - 'pc' or 'console'
+ * @param {string|null} consoleType - Console type
+ * @returns {boolean} True if the block can cover stations of this type
+ */
+const blockAppliesToType = (block, stationType, consoleType) => {
+  if (block.scope === 'cafe') return true;
+  if (block.stationType !== stationType) return false;
+  return stationType !== 'console' || block.consoleType === consoleType;
+};
+
+/**
+ * Check whether a block covers a station of its type
+ * @param {Object} block - Block data
+ * @param {number} station - Station number
+ * @returns {boolean} True if the station is covered
+ */
+const blockCoversStation = (block, station) => {
+  if (block.scope === 'cafe' || block.scope === 'console_type') return true;
+  return station >= block.stationFrom && station <= block.stationTo;
+};
+
+/**
+ * Get the block's windows that overlap a time range
+ * Recurring blocks repeat their startTime - endTime window on every matching
+ * day (overnight windows run into the next day)
+ * @param {Object} block - Block data
+ * @param {Date} rangeStart - Range start
+ * @param {Date} rangeEnd - Range end
+ * @returns {Array<Object>} Windows { startAt, endAt } as Dates
+ */
+const getBlockWindows = (block, rangeStart, rangeEnd) => {
+  const overlaps = (window) => window.startAt < rangeEnd && window.endAt > rangeStart;
+
+  if (!block.recurrence) {
+    const window = { startAt: toDate(block.startAt), endAt: toDate(block.endAt) };
+    return overlaps(window) ? [window] : [];
+  }
+
+  const { frequency, daysOfWeek, startTime, endTime, startDate, endDate } = block.recurrence;
+  // Identical start and end times block the whole day
+  const durationMs = (calculateDuration(startTime, endTime) || 24) * 60 * 60 * 1000;
+  const windows = [];
+
+  // Start a day early so an overnight window from the previous day is included
+  let current = addDays(toCafeDate(rangeStart), -1);
+  const lastDate = toCafeDate(rangeEnd);
+  while (current <= lastDate) {
+    const inRange = current >= startDate && (!endDate || current <= endDate);
+    const onDay = frequency !== 'weekly' || (daysOfWeek || []).includes(getDayOfWeek(current));
+    if (inRange && onDay) {
+      const startAt = toInstant(current, startTime);
+      const window = { startAt, endAt: new Date(startAt.getTime() + durationMs) };
+      if (overlaps(window)) windows.push(window);
+    }
+    current = addDays(current, 1);
+  }
+
+  return windows;
+};
+
+/**
+ * Check whether a block has windows left after the given time
+ * @param {Object} block - Block data
+ * @param {Date} now - Reference time
+ * @returns {boolean} True if the block is current or upcoming
+ */
+const isBlockCurrent = (block, now = new Date()) => {
+  if (block.status !== 'active') return false;
+  if (!block.recurrence) return toDate(block.endAt) > now;
+  return !block.recurrence.endDate || block.recurrence.endDate >= addDays(toCafeDate(now), -1);
+};
+
+/**
+ * Fetch a cafe's current and upcoming blocks
+ * @param {string} cafeId - Cafe ID
+ * @param {Object|null} transaction - Firestore transaction object (for atomic reads)
+ * @returns {Array<Object>} Blocks (with id)
+ */
+const getActiveBlocks = async (cafeId, transaction = null) => {
+  const query = db.collection('station_blocks')
+    .where('cafeId', '==', cafeId)
+    .where('status', '==', 'active');
+
+  const snapshot = transaction
+    ? await transaction.get(query)
+    : await query.get();
+
+  const now = new Date();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(block => isBlockCurrent(block, now));
+};
+
+/**
+ * Find the block that makes a station unavailable for a window
+ * @param {Array<Object>} blocks - Blocks already filtered to the station type
+ * @param {number} station - Station number
+ * @param {Object} window - { startAt, endAt }
+ * @returns {Object|null} The first covering block, or null if the station is free of blocks
+ */
+const findStationBlock = (blocks, station, window) => {
+  return blocks.find(block =>
+    blockCoversStation(block, station) &&
+    getBlockWindows(block, window.startAt, window.endAt).length > 0
+  ) || null;
+};
+
+/**
+ * Describe why a block makes stations unavailable (shown to customers)
+ * @param {Object} block - Block data
+ * @returns {string} Reason
+ */
+const describeBlock = (block) => {
+  const what = block.scope === 'cafe' ? 'The cafe is closed' : 'Blocked by the cafe';
+  return block.reason ? `${what} (${block.reason})` : what;
+};
+
+/**
+ * Convert a block document to a response object
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Block with ISO dates
+ */
+const serializeBlock = (doc) => {
+  const data = doc.data();
+  const iso = (value) => value?.toDate ? value.toDate().toISOString() : value;
+  return {
+    id: doc.id,
+    ...data,
+    startAt: iso(data.startAt),
+    endAt: iso(data.endAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt)
+  };
+};
+
+module.exports = {
+  BLOCK_SCOPES,
+  BLOCK_FREQUENCIES,
+  blockAppliesToType,
+  blockCoversStation,
+  getBlockWindows,
+  getActiveBlocks,
+  findStationBlock,
+  describeBlock,
+  serializeBlock
+};
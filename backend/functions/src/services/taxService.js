@@ -0,0 +1,154 @@
+const { roundAmount, getTaxTerms, sumTax } = require('./pricingService');
+
+/**
+ * GST for cafe bookings. A cafe registered under GST stores its GSTIN in
+ * taxSettings along with its rate and whether its rates include tax (see
+ * pricingService.getTaxTerms for how tax is applied to prices). Invoices
+ * back tax out of what the customer paid. Supplies within the cafe's state
+ * carry CGST + SGST, supplies to a business registered in another state carry IGST.
+ *
+ * cafe.taxSettings: { gstin, legalName, rate, pricesIncludeTax }
+ */
+
+// Gaming cafes supply recreation services: SAC 999699 (other recreation and amusement services)
+const SAC_CODE = '999699';
+
+// GST slabs a cafe can pick
+const TAX_RATES = [0, 5, 12, 18, 28];
+
+// 2-digit state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+/**
+ * Check a GSTIN's format
+ * @param {string} gstin - GSTIN
+ * @returns {boolean} True if well-formed
+ */
+const isValidGstin = (gstin) => typeof gstin === 'string' && GSTIN_PATTERN.test(gstin);
+
+/**
+ * Get the state code a GSTIN is registered in
+ * @param {string|null} gstin - GSTIN
+ * @returns {string|null} 2-digit state code
+ */
+const getStateCode = (gstin) => (isValidGstin(gstin) ? gstin.substring(0, 2) : null);
+
+/**
+ * Validate tax settings from a cafe create/update request
+ * @param {Object|undefined|null} taxSettings - { gstin, legalName, rate, pricesIncludeTax }
+ * @returns {string|null} Error message, or null if valid
+ */
+const getTaxSettingsError = (taxSettings) => {
+  if (taxSettings === undefined || taxSettings === null) return null;
+  if (typeof taxSettings !== 'object' || Array.isArray(taxSettings)) {
+    return 'Tax settings must be an object, e.g. { "gstin": "29ABCDE1234F1Z5", "legalName": "..." }';
+  }
+  if (taxSettings.gstin && !isValidGstin(taxSettings.gstin)) {
+    return 'GSTIN must be a valid 15-character GST number (upper case)';
+  }
+  if (taxSettings.legalName !== undefined && taxSettings.legalName !== null && typeof taxSettings.legalName !== 'string') {
+    return 'Legal name must be a string';
+  }
+  if (taxSettings.rate !== undefined && taxSettings.rate !== null && !TAX_RATES.includes(taxSettings.rate)) {
+    return `Tax rate must be one of the GST slabs: ${TAX_RATES.join(', ')}`;
+  }
+  if (taxSettings.pricesIncludeTax !== undefined && typeof taxSettings.pricesIncludeTax !== 'boolean') {
+    return 'pricesIncludeTax must be true or false';
+  }
+  if (taxSettings.rate > 0 && !taxSettings.gstin) {
+    return 'A GSTIN is needed to charge tax';
+  }
+  return null;
+};
+
+/**
+ * Get a cafe's GST registration
+ * @param {Object} cafe - Cafe data
+ * @returns {Object} { registered, gstin, legalName, stateCode, rate }
+ */
+const getTaxSettings = (cafe) => {
+  const settings = cafe?.taxSettings || {};
+  const registered = isValidGstin(settings.gstin);
+  return {
+    registered,
+    gstin: registered ? settings.gstin : null,
+    legalName: settings.legalName || cafe?.name || null,
+    stateCode: getStateCode(settings.gstin),
+    rate: registered ? getTaxTerms(cafe)?.rate || 0 : 0
+  };
+};
+
+/**
+ * Work out whether a supply is within the cafe's state
+ * Bookings are consumed at the cafe, so only a customer registered in
+ * another state makes it inter-state.
+ * @param {string|null} supplierStateCode - Cafe's state code
+ * @param {string|null} recipientGstin - Customer's GSTIN, if any
+ * @returns {string} 'intra' or 'inter'
+ */
+const getSupplyType = (supplierStateCode, recipientGstin) => {
+  const recipientStateCode = getStateCode(recipientGstin);
+  return recipientStateCode && supplierStateCode && recipientStateCode !== supplierStateCode ? 'inter' : 'intra';
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and tax heads
+ * @param {number} amount - Amount including tax
+ * @param {number} rate - GST rate (percent)
+ * @param {string} supplyType - 'intra' or 'inter'
+ * @returns {Object} { taxableValue, cgst, sgst, igst, totalTax, total }
+ */
+const splitInclusiveAmount = (amount, rate, supplyType) => {
+  const total = roundAmount(amount);
+  const taxableValue = roundAmount(total * 100 / (100 + rate));
+  const totalTax = roundAmount(total - taxableValue);
+  // The halves are rounded separately; SGST takes the odd paisa
+  const cgst = supplyType === 'intra' ? roundAmount(totalTax / 2) : 0;
+  const sgst = supplyType === 'intra' ? roundAmount(totalTax - cgst) : 0;
+  const igst = supplyType === 'inter' ? totalTax : 0;
+  return { taxableValue, cgst, sgst, igst, totalTax, total };
+};
+
+/**
+ * Break a booking's tax into the heads shown on the bill
+ * Bookings are billed as supplies within the cafe's state; the invoice
+ * switches to IGST for a customer registered in another state.
+ * @param {Object|null} tax - Tax from pricingService.applyTax
+ * @param {string} supplyType - 'intra' or 'inter'
+ * @returns {Array<Object>} [{ name, rate, amount }]
+ */
+const getTaxLines = (tax, supplyType = 'intra') => {
+  if (!tax || !(tax.taxAmount > 0)) return [];
+  if (supplyType === 'inter') {
+    return [{ name: 'IGST', rate: tax.rate, amount: tax.taxAmount }];
+  }
+  const cgst = roundAmount(tax.taxAmount / 2);
+  return [
+    { name: 'CGST', rate: tax.rate / 2, amount: cgst },
+    { name: 'SGST', rate: tax.rate / 2, amount: roundAmount(tax.taxAmount - cgst) }
+  ];
+};
+
+/**
+ * Build the tax shown in a billing object
+ * @param {Array<Object|null>} taxes - Taxes from pricingService.applyTax
+ * @param {number} count - Times to count each tax (e.g., PCs in the order)
+ * @returns {Object|null} { rate, inclusive, registrationNumber, netAmount, taxAmount, lines }, or null without tax
+ */
+const getBillingTax = (taxes, count = 1) => {
+  const tax = sumTax(taxes, count);
+  return tax ? { ...tax, lines: getTaxLines(tax) } : null;
+};
+
+module.exports = {
+  SAC_CODE,
+  TAX_RATES,
+  isValidGstin,
+  getStateCode,
+  getTaxSettingsError,
+  getTaxSettings,
+  getSupplyType,
+  splitInclusiveAmount,
+  getTaxLines,
+  getBillingTax
+};
@@ -0,0 +1,193 @@
+const { db } = require('../config/firebase');
+const availabilityService = require('./availabilityService');
+const notificationService = require('./notificationService');
+const { calculateBookingPrice } = require('./pricingService');
+const { calculateHoldExpiry } = require('./bookingHoldService');
+const { buildHistoryEntry, recordHistory, SYSTEM_ACTORS } = require('./bookingStatusService');
+const { toDate } = require('../utils/timeUtils');
+
+/**
+ * Waitlist for fully booked slots. When a booking is released (cancelled by
+ * the user or owner, or its hold expired), the first waiting user whose
+ * window it frees gets a pending booking held for the cafe's hold window -
+ * paying for it claims the slot, letting it lapse passes it to the next user.
+ */
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'expired', 'declined', 'cancelled'];
+
+/**
+ * Convert a waitlist entry document to a response object
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Entry with ISO dates
+ */
+const serializeEntry = (doc) => {
+  const data = doc.data();
+  const iso = (value) => value?.toDate ? value.toDate().toISOString() : value;
+  return {
+    id: doc.id,
+    ...data,
+    startAt: iso(data.startAt),
+    endAt: iso(data.endAt),
+    offeredAt: iso(data.offeredAt),
+    claimExpiresAt: iso(data.claimExpiresAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt)
+  };
+};
+
+/**
+ * Create pending bookings for a waiting entry if its window is free, and mark it offered
+ * @param {Object} cafe - Cafe data (with id)
+ * @param {Object} entry - Waitlist entry (with id)
+ * @returns {Object|null} { bookingIds, claimExpiresAt } or null if the slot is still taken
+ */
+const offerSlotToEntry = async (cafe, entry) => {
+  const entryRef = db.collection('waitlist_entries').doc(entry.id);
+  const numberOfPcs = entry.numberOfPcs || 1;
+  const bookingRefs = Array.from({ length: numberOfPcs }, () => db.collection('bookings').doc());
+
+  return db.runTransaction(async (transaction) => {
+    const entryDoc = await transaction.get(entryRef);
+    if (!entryDoc.exists || entryDoc.data().status !== 'waiting') {
+      return null;
+    }
+
+    const { availableStations } = await availabilityService.getAvailableStations(cafe, {
+      stationType: entry.stationType,
+      consoleType: entry.consoleType,
+      bookingDate: entry.bookingDate,
+      startTime: entry.startTime,
+      endTime: entry.endTime,
+      transaction
+    });
+
+    if (availableStations.length < numberOfPcs) {
+      return null;
+    }
+
+    const startAt = toDate(entry.startAt);
+    const endAt = toDate(entry.endAt);
+    const holdExpiresAt = calculateHoldExpiry(cafe);
+    // The claim never outlives the slot itself
+    const claimExpiresAt = holdExpiresAt < startAt ? holdExpiresAt : startAt;
+    const price = calculateBookingPrice(cafe, entry);
+    const groupBookingId = numberOfPcs > 1 ? `GROUP_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` : null;
+
+    bookingRefs.forEach((bookingRef, i) => {
+      transaction.set(bookingRef, {
+        userId: entry.userId,
+        cafeId: entry.cafeId,
+        stationType: entry.stationType,
+        consoleType: entry.consoleType || null,
+        stationNumber: availableStations[i],
+        bookingDate: entry.bookingDate,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        startAt,
+        endAt,
+        durationHours: price.durationHours,
+        hourlyRate: price.hourlyRate,
+        totalAmount: price.amount, // Per PC amount
+        rateBreakdown: price.breakdown,
+        tax: price.tax,
+        numberOfPcs,
+        groupBookingIndex: i + 1,
+        groupBookingId,
+        waitlistEntryId: entry.id,
+        notes: entry.notes || null,
+        status: 'pending',
+        paymentStatus: 'unpaid',
+        holdExpiresAt: claimExpiresAt,
+        noShowTracked: true,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+      recordHistory(transaction, bookingRef, buildHistoryEntry({
+        fromStatus: null,
+        toStatus: 'pending',
+        actor: SYSTEM_ACTORS.waitlist,
+        reason: `Slot held for waitlist entry ${entry.id}`
+      }));
+    });
+
+    transaction.update(entryRef, {
+      status: 'offered',
+      offeredBookingIds: bookingRefs.map(ref => ref.id),
+      offeredAt: new Date(),
+      claimExpiresAt,
+      updatedAt: new Date()
+    });
+
+    return { bookingIds: bookingRefs.map(ref => ref.id), claimExpiresAt };
+  });
+};
+
+/**
+ * Offer a released booking's slot to the first matching waitlisted user
+ * Queued as bookkeeping by cancellations and hold expiry. Safe to run again:
+ * an offer holds the slot, so a rerun finds it taken.
+ * @param {string} bookingId - The cancelled/expired booking's ID
+ * @returns {Object|null} { entryId, bookingIds, claimExpiresAt } or null if nobody was offered
+ */
+const offerReleasedSlot = async (bookingId) => {
+  const bookingDoc = await db.collection('bookings').doc(bookingId).get();
+  if (!bookingDoc.exists || bookingDoc.data().status !== 'cancelled') return null;
+  const releasedBooking = { id: bookingDoc.id, ...bookingDoc.data() };
+
+  // A lapsed or declined offer frees its entry's slot for the next user
+  if (releasedBooking.waitlistEntryId) {
+    await db.collection('waitlist_entries').doc(releasedBooking.waitlistEntryId).update({
+      status: releasedBooking.cancellationReason === 'hold_expired' ? 'expired' : 'declined',
+      updatedAt: new Date()
+    });
+  }
+
+  const cafeDoc = await db.collection('cafes').doc(releasedBooking.cafeId).get();
+  if (!cafeDoc.exists) return null;
+  const cafe = { id: cafeDoc.id, ...cafeDoc.data() };
+
+  const snapshot = await db.collection('waitlist_entries')
+    .where('cafeId', '==', releasedBooking.cafeId)
+    .where('stationType', '==', releasedBooking.stationType)
+    .where('status', '==', 'waiting')
+    .where('bookingDate', 'in', availabilityService.getAdjacentDates(releasedBooking.bookingDate))
+    .get();
+
+  const now = new Date();
+  const releasedWindow = availabilityService.getBookingWindow(releasedBooking, cafe);
+  const entries = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(entry => entry.stationType !== 'console' || entry.consoleType === releasedBooking.consoleType)
+    .sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt));
+
+  for (const entry of entries) {
+    const entryWindow = { startAt: toDate(entry.startAt), endAt: toDate(entry.endAt) };
+
+    if (entryWindow.startAt <= now) {
+      await db.collection('waitlist_entries').doc(entry.id).update({ status: 'expired', updatedAt: new Date() });
+      continue;
+    }
+
+    if (!availabilityService.windowsOverlap(entryWindow, releasedWindow)) {
+      continue;
+    }
+
+    const offer = await offerSlotToEntry(cafe, entry);
+    if (!offer) {
+      continue;
+    }
+
+    console.log('⏳ [WAITLIST] Offered released slot', { entryId: entry.id, bookingIds: offer.bookingIds });
+    await notificationService.sendWaitlistOfferNotification(entry, cafe, offer.bookingIds, offer.claimExpiresAt);
+
+    return { entryId: entry.id, ...offer };
+  }
+
+  return null;
+};
+
+module.exports = {
+  WAITLIST_STATUSES,
+  serializeEntry,
+  offerReleasedSlot
+};
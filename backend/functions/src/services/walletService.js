@@ -0,0 +1,189 @@
+const { db } = require('../config/firebase');
+const { roundAmount } = require('./pricingService');
+
+/**
+ * Customer wallets. Each user has a running balance (wallets/{userId}) and
+ * an append-only ledger (wallet_entries) - every credit or debit is a new
+ * entry tied to the booking or refund that caused it, written in the same
+ * transaction as the balance change. Entries are never updated or deleted;
+ * a mistake is corrected with a further entry.
+ *
+ * wallets:        { balance, createdAt, updatedAt }
+ * wallet_entries: { userId, type: 'credit'|'debit', amount, balanceAfter, source,
+ *                   bookingIds, refundId, description, createdAt }
+ *
+ * Bookings paid partly or fully from the wallet carry walletAmount.
+ */
+
+const WALLET_ENTRY_SOURCES = {
+  refund: 'refund', // Credit: a refund sent to the wallet instead of the card
+  bookingPayment: 'booking_payment', // Debit: wallet balance spent on a booking
+  bookingRelease: 'booking_release' // Credit: an unpaid booking released, its wallet share returned
+};
+
+/**
+ * Read a user's wallet inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} userId - User ID
+ * @returns {Object} { userId, ref, balance }
+ */
+const getWallet = async (transaction, userId) => {
+  const walletRef = db.collection('wallets').doc(userId);
+  const walletDoc = await transaction.get(walletRef);
+  return {
+    userId,
+    ref: walletRef,
+    exists: walletDoc.exists,
+    balance: walletDoc.exists ? walletDoc.data().balance || 0 : 0
+  };
+};
+
+/**
+ * Queue a ledger entry and the balance change on a transaction
+ * Call after getWallet and after every other read. The wallet object is
+ * updated so several entries can be queued on the same transaction.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} wallet - Wallet from getWallet
+ * @param {Object} entry
+ * @param {string} entry.type - 'credit' or 'debit'
+ * @param {number} entry.amount - Amount (positive)
+ * @param {string} entry.source - One of WALLET_ENTRY_SOURCES
+ * @param {Array<string>} entry.bookingIds - Bookings the entry belongs to
+ * @param {string|null} entry.refundId - Refund the entry belongs to
+ * @param {string} entry.description - Shown in the customer's statement
+ * @returns {Object} Entry document reference
+ * @throws {Error} WALLET_INSUFFICIENT: if a debit is more than the balance
+ */
+const queueWalletEntry = (transaction, wallet, { type, amount, source, bookingIds = [], refundId = null, description }) => {
+  const value = roundAmount(amount);
+  const balanceAfter = roundAmount(type === 'credit' ? wallet.balance + value : wallet.balance - value);
+
+  if (balanceAfter < 0) {
+    throw new Error(`WALLET_INSUFFICIENT:Wallet balance is ₹${wallet.balance}, which is not enough for this payment`);
+  }
+
+  const entryRef = db.collection('wallet_entries').doc();
+  transaction.set(entryRef, {
+    userId: wallet.userId,
+    type,
+    amount: value,
+    balanceAfter,
+    source,
+    bookingIds,
+    refundId,
+    description,
+    createdAt: new Date()
+  });
+
+  if (wallet.exists) {
+    transaction.update(wallet.ref, { balance: balanceAfter, updatedAt: new Date() });
+  } else {
+    transaction.set(wallet.ref, { balance: balanceAfter, createdAt: new Date(), updatedAt: new Date() });
+    wallet.exists = true;
+  }
+  wallet.balance = balanceAfter;
+
+  return entryRef;
+};
+
+/**
+ * Credit a wallet in its own transaction
+ * @param {string} userId - User ID
+ * @param {Object} entry - See queueWalletEntry (type is always 'credit')
+ * @returns {Object} { entryId, balance }
+ */
+const creditWallet = async (userId, entry) => {
+  return db.runTransaction(async (transaction) => {
+    const wallet = await getWallet(transaction, userId);
+    const entryRef = queueWalletEntry(transaction, wallet, { ...entry, type: 'credit' });
+    return { entryId: entryRef.id, balance: wallet.balance };
+  });
+};
+
+/**
+ * Split a wallet payment across the bookings of an order
+ * Each booking takes what it still owes until the wallet amount runs out.
+ * @param {number} walletAmount - Amount paid from the wallet
+ * @param {Array<number>} owed - What each booking still owes
+ * @returns {Array<number>} Wallet amount per booking
+ */
+const splitWalletAmount = (walletAmount, owed) => {
+  let left = walletAmount;
+  return owed.map((amount) => {
+    const share = roundAmount(Math.min(amount, left));
+    left = roundAmount(left - share);
+    return share;
+  });
+};
+
+/**
+ * Return a released booking's wallet share (cancelled or hold expired before
+ * the rest of the order was paid). Paid bookings get their wallet share back
+ * through the refund instead.
+ * Safe to call more than once per booking (queued as a bookkeeping task).
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Why the booking was released
+ * @returns {number} Amount returned (0 if none)
+ */
+const returnBookingWalletAmount = async (bookingId, reason) => {
+  const bookingRef = db.collection('bookings').doc(bookingId);
+  return db.runTransaction(async (transaction) => {
+    const bookingDoc = await transaction.get(bookingRef);
+    const booking = bookingDoc.exists ? bookingDoc.data() : null;
+    if (!booking || !(booking.walletAmount > 0) || booking.walletReturned) return 0;
+    if (booking.paymentStatus === 'paid' || booking.status !== 'cancelled') return 0;
+
+    const wallet = await getWallet(transaction, booking.userId);
+    queueWalletEntry(transaction, wallet, {
+      type: 'credit',
+      amount: booking.walletAmount,
+      source: WALLET_ENTRY_SOURCES.bookingRelease,
+      bookingIds: [bookingId],
+      description: `Booking released - ${reason}`
+    });
+    transaction.update(bookingRef, {
+      walletReturned: true,
+      updatedAt: new Date()
+    });
+    return booking.walletAmount;
+  });
+};
+
+/**
+ * Get a user's balance and latest ledger entries
+ * @param {string} userId - User ID
+ * @param {number} limit - Entries to return, newest first
+ * @returns {Object} { balance, entries }
+ */
+const getWalletStatement = async (userId, limit = 50) => {
+  const [walletDoc, entrySnapshot] = await Promise.all([
+    db.collection('wallets').doc(userId).get(),
+    db.collection('wallet_entries')
+      .where('userId', '==', userId)
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get()
+  ]);
+
+  return {
+    balance: walletDoc.exists ? walletDoc.data().balance || 0 : 0,
+    entries: entrySnapshot.docs.map((doc) => {
+      const entry = doc.data();
+      return {
+        id: doc.id,
+        ...entry,
+        createdAt: entry.createdAt?.toDate ? entry.createdAt.toDate().toISOString() : entry.createdAt
+      };
+    })
+  };
+};
+
+module.exports = {
+  WALLET_ENTRY_SOURCES,
+  getWallet,
+  queueWalletEntry,
+  creditWallet,
+  splitWalletAmount,
+  returnBookingWalletAmount,
+  getWalletStatement
+};
@@ -0,0 +1,207 @@
+const { db, admin } = require('../config/firebase');
+
+/**
+ * Every payment webhook delivery is kept in webhook_events: headers, payload,
+ * signature verdict and what processing did. A payment event is stored under
+ * a key built from the order, payment and status, so a gateway retry lands on
+ * the same document and is not processed twice. Deliveries with nothing to
+ * process (test pings, unreadable payloads) get their own document.
+ *
+ * webhook_events: { provider, type, orderId, paymentId, paymentStatus, headers,
+ *                   payload, signature: { present, verdict, reason }, status, result,
+ *                   error, deliveries, replays, firstReceivedAt, lastReceivedAt,
+ *                   claimedAt, processedAt }
+ */
+
+const WEBHOOK_EVENT_STATUSES = {
+  processing: 'processing',
+  processed: 'processed',
+  failed: 'failed',
+  ignored: 'ignored',
+  rejected: 'rejected'
+};
+
+const SIGNATURE_VERDICTS = {
+  verified: 'verified',
+  invalid: 'invalid'
+};
+
+// A delivery still 'processing' after this long is assumed to have crashed
+const PROCESSING_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Never stored
+const PRIVATE_HEADERS = ['authorization', 'cookie'];
+
+const logWebhook = (message, data = null) => {
+  console.log(`📨 [WEBHOOK_EVENT] ${message}`);
+  if (data) {
+    console.log(`📨 [WEBHOOK_EVENT] Data:`, JSON.stringify(data, null, 2));
+  }
+};
+
+/**
+ * Build the key a payment event is stored under
+ * @param {string} provider - Provider name
+ * @param {Object} event - Parsed webhook ({ orderId, payment })
+ * @returns {string} Document ID
+ */
+const getEventId = (provider, event) => [
+  provider,
+  event.orderId,
+  event.payment?.paymentId || 'no_payment',
+  event.payment?.status || 'no_status'
+].join('_').replace(/[^A-Za-z0-9_-]/g, '_');
+
+const pickHeaders = (headers = {}) => Object.fromEntries(
+  Object.entries(headers).filter(([name]) => !PRIVATE_HEADERS.includes(name.toLowerCase()))
+);
+
+/**
+ * Store a webhook delivery and claim it for processing
+ * A retry of an event that was processed (or is being processed) is only counted.
+ * @param {Object} params
+ * @param {string} params.provider - Provider name
+ * @param {Object} params.headers - Request headers
+ * @param {Object} params.payload - Parsed body
+ * @param {Object} params.signature - { present, verdict (SIGNATURE_VERDICTS), reason }
+ * @param {Object|null} params.event - Parsed webhook, or null if it has nothing to process
+ * @param {string} params.status - Status for a delivery that will not be processed (ignored or rejected)
+ * @returns {Object} { eventId, claimed, duplicate, status }
+ */
+const recordDelivery = async ({ provider, headers, payload, signature, event, status = WEBHOOK_EVENT_STATUSES.processing }) => {
+  const now = new Date();
+  const delivery = {
+    provider,
+    type: event?.type || payload?.type || null,
+    orderId: event?.orderId || null,
+    paymentId: event?.payment?.paymentId || null,
+    paymentStatus: event?.payment?.status || null,
+    headers: pickHeaders(headers),
+    payload: payload || null,
+    signature,
+    lastReceivedAt: now
+  };
+
+  // Nothing to de-duplicate on
+  if (!event) {
+    const eventRef = db.collection('webhook_events').doc();
+    await eventRef.set({ ...delivery, status, result: null, error: null, deliveries: 1, replays: [], firstReceivedAt: now });
+    return { eventId: eventRef.id, claimed: false, duplicate: false, status };
+  }
+
+  const eventRef = db.collection('webhook_events').doc(getEventId(provider, event));
+  return db.runTransaction(async (transaction) => {
+    const eventDoc = await transaction.get(eventRef);
+
+    if (!eventDoc.exists) {
+      transaction.set(eventRef, {
+        ...delivery,
+        status,
+        result: null,
+        error: null,
+        deliveries: 1,
+        replays: [],
+        firstReceivedAt: now,
+        claimedAt: status === WEBHOOK_EVENT_STATUSES.processing ? now : null
+      });
+      return { eventId: eventRef.id, claimed: status === WEBHOOK_EVENT_STATUSES.processing, duplicate: false, status };
+    }
+
+    const existing = eventDoc.data();
+    const inFlight = existing.status === WEBHOOK_EVENT_STATUSES.processing
+      && existing.claimedAt
+      && now - existing.claimedAt.toDate() < PROCESSING_TIMEOUT_MS;
+    const done = [WEBHOOK_EVENT_STATUSES.processed, WEBHOOK_EVENT_STATUSES.ignored].includes(existing.status);
+
+    if (done || inFlight || status !== WEBHOOK_EVENT_STATUSES.processing) {
+      // Keep the stored payload - a rejected copy must not overwrite a verified one
+      transaction.update(eventRef, {
+        deliveries: admin.firestore.FieldValue.increment(1),
+        lastReceivedAt: now
+      });
+      return { eventId: eventRef.id, claimed: false, duplicate: done || inFlight, status: existing.status };
+    }
+
+    // Earlier attempts failed, crashed or were rejected - this delivery takes over
+    transaction.update(eventRef, {
+      ...delivery,
+      status,
+      error: null,
+      deliveries: admin.firestore.FieldValue.increment(1),
+      claimedAt: now
+    });
+    return { eventId: eventRef.id, claimed: true, duplicate: false, status };
+  });
+};
+
+/**
+ * Record how processing a webhook event ended
+ * Never throws - if the write fails the event stays 'processing', and a later
+ * delivery reclaims it once it is stale
+ * @param {string} eventId - Webhook event ID
+ * @param {Object} outcome - { result } or { error }
+ */
+const completeEvent = async (eventId, { result = null, error = null }) => {
+  try {
+    await db.collection('webhook_events').doc(eventId).update({
+      status: error ? WEBHOOK_EVENT_STATUSES.failed : WEBHOOK_EVENT_STATUSES.processed,
+      result,
+      error: error ? error.message : null,
+      processedAt: new Date()
+    });
+  } catch (updateError) {
+    console.error('📨 [WEBHOOK_EVENT] Failed to record processing result:', { eventId, error: updateError.message });
+  }
+};
+
+/**
+ * Record an admin replay of a webhook event
+ * Never throws
+ * @param {string} eventId - Webhook event ID
+ * @param {Object} replay - { replayedBy, result, error }
+ */
+const recordReplay = async (eventId, { replayedBy, result = null, error = null }) => {
+  try {
+    await db.collection('webhook_events').doc(eventId).update({
+      replays: admin.firestore.FieldValue.arrayUnion({
+        replayedBy,
+        result,
+        error: error ? error.message : null,
+        replayedAt: new Date()
+      }),
+      ...(error ? {} : { status: WEBHOOK_EVENT_STATUSES.processed, result, error: null, processedAt: new Date() })
+    });
+    logWebhook('Event replayed', { eventId, replayedBy, error: error?.message });
+  } catch (updateError) {
+    console.error('📨 [WEBHOOK_EVENT] Failed to record replay:', { eventId, error: updateError.message });
+  }
+};
+
+/**
+ * Serialize a webhook event for API responses
+ * @param {Object} doc - Firestore document
+ * @returns {Object} Event with ISO timestamps
+ */
+const serializeWebhookEvent = (doc) => {
+  const data = doc.data();
+  const toIso = (value) => (value?.toDate ? value.toDate().toISOString() : value || null);
+  return {
+    id: doc.id,
+    ...data,
+    replays: (data.replays || []).map(replay => ({ ...replay, replayedAt: toIso(replay.replayedAt) })),
+    firstReceivedAt: toIso(data.firstReceivedAt),
+    lastReceivedAt: toIso(data.lastReceivedAt),
+    claimedAt: toIso(data.claimedAt),
+    processedAt: toIso(data.processedAt)
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENT_STATUSES,
+  SIGNATURE_VERDICTS,
+  getEventId,
+  recordDelivery,
+  completeEvent,
+  recordReplay,
+  serializeWebhookEvent
+};
@@ -0,0 +1,127 @@
+/**
+ * Convert time string to minutes since midnight for accurate comparison
+ * Handles both "HH:MM" and "HH:MM:SS" formats
+ * @param {string} time - Time string
+ * @returns {number} Minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  if (!time) {
+    console.log('🕐 [TIME] timeToMinutes: null/undefined time');
+    return 0;
+  }
+  
+  const parts = time.split(':').map(Number);
+  const hour = parts[0];
+  const minute = parts[1] || 0;
+  const minutes = hour * 60 + minute;
+  
+  // Debug logging for 12:00 specifically
+  if (hour === 12) {
+    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (12:00 = ${hour === 12 ? 'NOON (12:00 PM)' : 'MIDNIGHT (12:00 AM)'})`);
+  } else if (hour === 0) {
+    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (00:00 = MIDNIGHT (12:00 AM))`);
+  } else {
+    console.log(`🕐 [TIME] timeToMinutes: ${time} → hour=${hour}, minute=${minute}, total=${minutes} minutes (${hour < 12 ? hour + ':00 AM' : (hour === 12 ? '12:00 PM' : (hour - 12) + ':00 PM')})`);
+  }
+  
+  return minutes;
+};
+
+/**
+ * Calculate duration in hours between two times
+ * @param {string} startTime - Start time (HH:MM:SS)
+ * @param {string} endTime - End time (HH:MM:SS)
+ * @returns {number} Duration in hours
+ */
+const calculateDuration = (startTime, endTime) => {
+  const startMinutes = timeToMinutes(startTime);
+  let endMinutes = timeToMinutes(endTime);
+  
+  // Handle midnight crossing: if end is before start, add 24 hours
+  if (endMinutes < startMinutes) {
+    endMinutes += 24 * 60;
+  }
+  
+  return (endMinutes - startMinutes) / 60;
+};
+
+/**
+ * Convert a Firestore Timestamp, Date or date string to a Date
+ * @param {Object|Date|string|null} value - Value to convert
+ * @returns {Date|null} Date, or null if value is empty
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  if (value.toDate) return value.toDate();
+  if (value instanceof Date) return value;
+  return new Date(value);
+};
+
+/**
+ * Add minutes to a time of day, wrapping past midnight
+ * @param {string} time - Time (HH:MM or HH:MM:SS)
+ * @param {number} minutes - Minutes to add
+ * @returns {string} Time (HH:MM)
+ */
+const addMinutesToTime = (time, minutes) => {
+  const [hour, minute = 0] = time.split(':').map(Number);
+  const total = (((hour * 60 + minute + minutes) % (24 * 60)) + 24 * 60) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// All partner cafes are in India; booking dates and times are IST wall-clock values
+const CAFE_UTC_OFFSET_MINUTES = 330;
+
+/**
+ * Add days to a YYYY-MM-DD date string
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addDays = (dateStr, days) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Convert a cafe-local date and time to an absolute instant
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM or HH:MM:SS)
+ * @returns {Date} Absolute instant
+ */
+const toInstant = (dateStr, time) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute = 0, second = 0] = time.split(':').map(Number);
+  const utcMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  return new Date(utcMs - CAFE_UTC_OFFSET_MINUTES * 60 * 1000);
+};
+
+/**
+ * Get the cafe-local calendar date of an absolute instant
+ * @param {Date} instant - Absolute instant
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const toCafeDate = (instant) => {
+  return new Date(instant.getTime() + CAFE_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().split('T')[0];
+};
+
+/**
+ * Get the cafe-local time of day of an absolute instant
+ * @param {Date} instant - Absolute instant
+ * @returns {string} Time (HH:MM)
+ */
+const toCafeTime = (instant) => {
+  return new Date(instant.getTime() + CAFE_UTC_OFFSET_MINUTES * 60 * 1000).toISOString().substring(11, 16);
+};
+
+module.exports = {
+  timeToMinutes,
+  calculateDuration,
+  addMinutesToTime,
+  toDate,
+  addDays,
+  toInstant,
+  toCafeDate,
+  toCafeTime
+};
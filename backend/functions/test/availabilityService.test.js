@@ -0,0 +1,211 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestoreFake'));
+
+const { db, reset } = require('../src/config/firebase');
+const availabilityService = require('../src/services/availabilityService');
+const { toInstant } = require('../src/utils/timeUtils');
+
+// Far enough ahead that bookings and blocks are never in the past
+const DAY = '2030-03-10';
+const NEXT_DAY = '2030-03-11';
+
+const cafe = { id: 'cafe1', totalPcStations: 3, openingTime: '10:00', closingTime: '22:00' };
+const overnightCafe = { id: 'cafe1', totalPcStations: 3, openingTime: '18:00', closingTime: '04:00' };
+const allDayCafe = { id: 'cafe1', totalPcStations: 3 };
+
+const window = (date, startTime, endDate, endTime) => ({
+  startAt: toInstant(date, startTime),
+  endAt: toInstant(endDate, endTime)
+});
+
+const booking = (fields) => ({
+  cafeId: 'cafe1',
+  stationType: 'pc',
+  stationNumber: 1,
+  bookingDate: DAY,
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  ...fields
+});
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('resolveBookingWindow', () => {
+  it('places a slot on its operating day', () => {
+    expect(availabilityService.resolveBookingWindow(cafe, DAY, '10:00', '12:00'))
+      .toEqual(window(DAY, '10:00', DAY, '12:00'));
+  });
+
+  it('runs a late slot past midnight', () => {
+    expect(availabilityService.resolveBookingWindow(overnightCafe, DAY, '23:00', '01:00'))
+      .toEqual(window(DAY, '23:00', NEXT_DAY, '01:00'));
+  });
+
+  it('moves an after-midnight start of an overnight day to the next calendar day', () => {
+    expect(availabilityService.resolveBookingWindow(overnightCafe, DAY, '01:00', '03:00'))
+      .toEqual(window(NEXT_DAY, '01:00', NEXT_DAY, '03:00'));
+  });
+});
+
+describe('getAdjacentDates', () => {
+  it('covers the day before and after', () => {
+    expect(availabilityService.getAdjacentDates(DAY)).toEqual(['2030-03-09', DAY, NEXT_DAY]);
+  });
+
+  it('crosses month and year ends', () => {
+    expect(availabilityService.getAdjacentDates('2030-12-31')).toEqual(['2030-12-30', '2030-12-31', '2031-01-01']);
+  });
+});
+
+describe('windowsOverlap', () => {
+  it('treats touching ends as free', () => {
+    expect(availabilityService.windowsOverlap(
+      window(DAY, '10:00', DAY, '11:00'),
+      window(DAY, '11:00', DAY, '12:00')
+    )).toBe(false);
+  });
+
+  it('detects an overlap across midnight', () => {
+    expect(availabilityService.windowsOverlap(
+      window(DAY, '23:00', NEXT_DAY, '02:00'),
+      window(NEXT_DAY, '01:00', NEXT_DAY, '03:00')
+    )).toBe(true);
+  });
+});
+
+describe('isBookingActive', () => {
+  it.each(['pending', 'paid', 'confirmed', 'checked_in'])('counts a %s booking', (status) => {
+    expect(availabilityService.isBookingActive(booking({ status, paymentStatus: 'unpaid' }))).toBe(true);
+  });
+
+  it.each(['cancelled', 'completed', 'no_show', 'refunded'])('ignores a %s booking', (status) => {
+    expect(availabilityService.isBookingActive(booking({ status }))).toBe(false);
+  });
+
+  it('ignores an unpaid booking whose hold has run out', () => {
+    expect(availabilityService.isBookingActive(booking({
+      status: 'pending',
+      paymentStatus: 'unpaid',
+      holdExpiresAt: minutesFromNow(-1)
+    }))).toBe(false);
+  });
+});
+
+describe('getBookingWindow', () => {
+  const base = booking({ startAt: toInstant(DAY, '10:00'), endAt: toInstant(DAY, '11:00') });
+
+  it('includes an extension that is still held', () => {
+    const held = { ...base, pendingExtension: { endAt: toInstant(DAY, '12:00'), expiresAt: minutesFromNow(10) } };
+    expect(availabilityService.getBookingWindow(held, cafe)).toEqual(window(DAY, '10:00', DAY, '12:00'));
+  });
+
+  it('drops an extension whose hold lapsed', () => {
+    const lapsed = { ...base, pendingExtension: { endAt: toInstant(DAY, '12:00'), expiresAt: minutesFromNow(-1) } };
+    expect(availabilityService.getBookingWindow(lapsed, cafe)).toEqual(window(DAY, '10:00', DAY, '11:00'));
+  });
+
+  it('resolves legacy bookings from their times', () => {
+    const legacy = booking({ startTime: '23:00', endTime: '01:00' });
+    expect(availabilityService.getBookingWindow(legacy, overnightCafe)).toEqual(window(DAY, '23:00', NEXT_DAY, '01:00'));
+  });
+});
+
+describe('findFreeStations', () => {
+  const existing = [booking({ startAt: toInstant(DAY, '10:00'), endAt: toInstant(DAY, '11:00') })];
+
+  it('leaves out stations with an overlapping booking', () => {
+    expect(availabilityService.findFreeStations(cafe, existing, window(DAY, '10:30', DAY, '11:30'), 3)).toEqual([2, 3]);
+  });
+
+  it('keeps the changeover gap after a booking', () => {
+    const buffered = { ...cafe, bufferMinutes: 15 };
+    expect(availabilityService.findFreeStations(buffered, existing, window(DAY, '11:10', DAY, '12:00'), 3)).toEqual([2, 3]);
+    expect(availabilityService.findFreeStations(buffered, existing, window(DAY, '11:15', DAY, '12:00'), 3)).toEqual([1, 2, 3]);
+  });
+
+  it('uses the gap set for the station type', () => {
+    const buffered = { ...cafe, bufferMinutes: 0, bufferMinutesByType: { pc: 30 } };
+    expect(availabilityService.findFreeStations(buffered, existing, window(DAY, '11:20', DAY, '12:00'), 3)).toEqual([2, 3]);
+  });
+
+  it('leaves out blocked stations', () => {
+    const blocks = [{ id: 'block1', scope: 'range', stationType: 'pc', stationFrom: 2, stationTo: 3, status: 'active', ...window(DAY, '09:00', DAY, '13:00') }];
+    expect(availabilityService.findFreeStations(cafe, [], window(DAY, '12:00', DAY, '14:00'), 3, blocks)).toEqual([1]);
+    expect(availabilityService.findFreeStations(cafe, [], window(DAY, '13:00', DAY, '14:00'), 3, blocks)).toEqual([1, 2, 3]);
+  });
+});
+
+describe('getAvailableStations', () => {
+  beforeEach(() => reset());
+
+  const seed = (id, data) => db.collection('bookings').doc(id).set(booking(data));
+  const available = async (bookingDate, startTime, endTime, options = {}) => {
+    const result = await availabilityService.getAvailableStations(allDayCafe, {
+      stationType: 'pc', bookingDate, startTime, endTime, ...options
+    });
+    return result.availableStations;
+  };
+
+  it('sees an overnight booking from the previous operating day', async () => {
+    await seed('overnight', { bookingDate: DAY, startAt: toInstant(DAY, '23:00'), endAt: toInstant(NEXT_DAY, '02:00') });
+    expect(await available(NEXT_DAY, '01:00', '03:00')).toEqual([2, 3]);
+    expect(await available(NEXT_DAY, '02:00', '03:00')).toEqual([1, 2, 3]);
+  });
+
+  it('ignores cancelled bookings and lapsed holds', async () => {
+    await seed('cancelled', { stationNumber: 1, status: 'cancelled', startAt: toInstant(DAY, '10:00'), endAt: toInstant(DAY, '12:00') });
+    await seed('lapsed', {
+      stationNumber: 2,
+      status: 'pending',
+      paymentStatus: 'unpaid',
+      holdExpiresAt: minutesFromNow(-5),
+      startAt: toInstant(DAY, '10:00'),
+      endAt: toInstant(DAY, '12:00')
+    });
+    await seed('other-type', { stationNumber: 3, stationType: 'console', consoleType: 'ps5', startAt: toInstant(DAY, '10:00'), endAt: toInstant(DAY, '12:00') });
+    expect(await available(DAY, '10:00', '11:00')).toEqual([1, 2, 3]);
+  });
+
+  it('ignores the bookings being moved', async () => {
+    await seed('moving', { startAt: toInstant(DAY, '10:00'), endAt: toInstant(DAY, '12:00') });
+    expect(await available(DAY, '11:00', '13:00')).toEqual([2, 3]);
+    expect(await available(DAY, '11:00', '13:00', { excludeBookingIds: ['moving'] })).toEqual([1, 2, 3]);
+  });
+
+  it('counts the slot a reschedule holds until it lapses', async () => {
+    await seed('held', {
+      startAt: toInstant(DAY, '10:00'),
+      endAt: toInstant(DAY, '11:00'),
+      pendingReschedule: {
+        stationNumber: 2,
+        bookingDate: NEXT_DAY,
+        startTime: '15:00',
+        endTime: '16:00',
+        startAt: toInstant(NEXT_DAY, '15:00'),
+        endAt: toInstant(NEXT_DAY, '16:00'),
+        expiresAt: minutesFromNow(10)
+      }
+    });
+    expect(await available(NEXT_DAY, '15:00', '16:00')).toEqual([1, 3]);
+
+    await db.collection('bookings').doc('held').update({ 'pendingReschedule.expiresAt': minutesFromNow(-1) });
+    expect(await available(NEXT_DAY, '15:00', '16:00')).toEqual([1, 2, 3]);
+  });
+
+  it('reports stations taken out by a block', async () => {
+    await db.collection('station_blocks').doc('block1').set({
+      cafeId: 'cafe1',
+      scope: 'station',
+      stationType: 'pc',
+      stationFrom: 3,
+      stationTo: 3,
+      status: 'active',
+      reason: 'Maintenance',
+      ...window(DAY, '09:00', DAY, '18:00')
+    });
+    const result = await availabilityService.getAvailableStations(allDayCafe, {
+      stationType: 'pc', bookingDate: DAY, startTime: '10:00', endTime: '11:00'
+    });
+    expect(result.availableStations).toEqual([1, 2]);
+    expect(result.blockedStations).toEqual([expect.objectContaining({ station: 3, blockId: 'block1' })]);
+  });
+});
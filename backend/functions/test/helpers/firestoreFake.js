@@ -0,0 +1,100 @@
+/**
+ * In-memory stand-in for the parts of the Firestore admin API the services
+ * use, for unit tests: collection/doc reads and writes, where() with == and
+ * in (dotted paths allowed), limit(), transactions and dotted-path updates.
+ *
+ * jest.mock('../src/config/firebase', () => require('./helpers/firestoreFake'));
+ * then seed with db.collection(...).doc(...).set(...) and call reset() between tests.
+ */
+
+const store = new Map();
+let autoId = 0;
+
+const copy = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, copy(v)]));
+  }
+  return value;
+};
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const setPath = (data, path, value) => {
+  const keys = path.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach((key) => {
+    if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = copy(value);
+};
+
+const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+
+const snapshotOf = (ref) => {
+  const data = store.get(ref.path);
+  return { id: ref.id, ref, exists: data !== undefined, data: () => (data === undefined ? undefined : copy(data)) };
+};
+
+const docRef = (path) => ({
+  id: path.split('/').pop(),
+  path,
+  collection: (name) => collectionRef(`${path}/${name}`),
+  get: async () => snapshotOf(docRef(path)),
+  set: async (data, options = {}) => {
+    store.set(path, options.merge ? { ...(store.get(path) || {}), ...copy(data) } : copy(data));
+  },
+  update: async (fields) => {
+    const data = store.get(path);
+    if (!data) throw new Error(`No document to update: ${path}`);
+    Object.entries(fields).forEach(([key, value]) => setPath(data, key, value));
+  }
+});
+
+const query = (path, filters = [], max = Infinity) => ({
+  where: (field, op, value) => query(path, [...filters, { field, op, value }], max),
+  limit: (count) => query(path, filters, count),
+  get: async () => {
+    const docs = [...store.keys()]
+      .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+      .filter(key => filters.every(({ field, op, value }) => {
+        const actual = getPath(store.get(key), field);
+        if (op === '==') return sameValue(actual, value);
+        if (op === 'in') return value.some(v => sameValue(actual, v));
+        throw new Error(`Unsupported operator in fake: ${op}`);
+      }))
+      .slice(0, max)
+      .map(key => snapshotOf(docRef(key)));
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: (fn) => docs.forEach(fn) };
+  }
+});
+
+const collectionRef = (path) => ({
+  ...query(path),
+  doc: (id) => docRef(`${path}/${id || `auto_${++autoId}`}`)
+});
+
+const db = {
+  collection: (name) => collectionRef(name),
+  // Writes are applied once the callback returns, like a committed transaction
+  runTransaction: async (callback) => {
+    const writes = [];
+    const transaction = {
+      get: (refOrQuery) => refOrQuery.get(),
+      set: (ref, data, options) => { writes.push(() => ref.set(data, options)); },
+      update: (ref, fields) => { writes.push(() => ref.update(fields)); }
+    };
+    const result = await callback(transaction);
+    for (const write of writes) await write();
+    return result;
+  }
+};
+
+const reset = () => {
+  store.clear();
+  autoId = 0;
+};
+
+module.exports = { db, admin: {}, auth: {}, reset };
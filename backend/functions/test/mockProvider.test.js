@@ -0,0 +1,147 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestoreFake'));
+jest.mock('axios');
+
+const axios = require('axios');
+const { reset } = require('../src/config/firebase');
+const mockProvider = require('../src/services/paymentProviders/mockProvider');
+const { PAYMENT_STATUSES, REFUND_STATUSES } = require('../src/services/paymentProviders/constants');
+
+const NOTIFY_URL = 'http://127.0.0.1:5001/demo/asia-south1/api/payments/webhook';
+
+const createOrder = (orderId = 'ORDER_1', amount = 500) => mockProvider.createOrder({
+  orderId,
+  amount,
+  note: 'Booking',
+  customer: { id: 'booking1', name: 'Asha', email: 'asha@example.com', phone: '9999999999' },
+  returnUrl: 'http://127.0.0.1:5001/demo/asia-south1/api/payments/callback',
+  notifyUrl: NOTIFY_URL
+});
+
+beforeEach(() => {
+  reset();
+  axios.post.mockReset();
+  axios.post.mockResolvedValue({ status: 200 });
+  delete process.env.MOCK_REFUND_OUTCOME;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('mock payment provider', () => {
+  it('creates an order with a checkout page next to the webhook', async () => {
+    const order = await createOrder();
+    expect(order.paymentSessionId).toMatch(/^mock_session_/);
+    expect(order.checkoutUrl).toBe('http://127.0.0.1:5001/demo/asia-south1/api/payments/mock/checkout?order_id=ORDER_1');
+
+    const fetched = await mockProvider.fetchOrder('ORDER_1');
+    expect(fetched).toEqual({ orderId: 'ORDER_1', status: 'ACTIVE', amount: 500, payments: [] });
+  });
+
+  it('pays an order and posts a webhook that verifies', async () => {
+    await createOrder();
+    const { payment, redirectUrl, webhookDelivered } = await mockProvider.completeCheckout('ORDER_1', 'success');
+
+    expect(payment.status).toBe(PAYMENT_STATUSES.success);
+    expect(redirectUrl).toMatch(/\/payments\/callback\?order_id=ORDER_1$/);
+    expect(webhookDelivered).toBe(true);
+    expect((await mockProvider.fetchOrder('ORDER_1')).status).toBe('PAID');
+
+    const [url, rawBody, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe(NOTIFY_URL);
+    expect(mockProvider.verifyWebhook({
+      signature: headers['x-webhook-signature'],
+      timestamp: headers['x-webhook-timestamp'],
+      rawBody
+    })).toEqual(expect.objectContaining({ valid: true }));
+
+    const event = mockProvider.parseWebhook(JSON.parse(rawBody));
+    expect(event.orderId).toBe('ORDER_1');
+    expect(event.payment).toEqual(expect.objectContaining({ paymentId: payment.paymentId, status: PAYMENT_STATUSES.success, amount: 500 }));
+  });
+
+  it('rejects a webhook whose body was changed', async () => {
+    await createOrder();
+    await mockProvider.completeCheckout('ORDER_1', 'success');
+    const [, rawBody, { headers }] = axios.post.mock.calls[0];
+
+    expect(mockProvider.verifyWebhook({
+      signature: headers['x-webhook-signature'],
+      timestamp: headers['x-webhook-timestamp'],
+      rawBody: rawBody.replace('"payment_amount":500', '"payment_amount":1')
+    }).valid).toBe(false);
+  });
+
+  it('leaves a failed order open to pay again', async () => {
+    await createOrder();
+    const { payment } = await mockProvider.completeCheckout('ORDER_1', 'failed');
+    expect(payment.status).toBe(PAYMENT_STATUSES.failed);
+
+    const order = await mockProvider.fetchOrder('ORDER_1');
+    expect(order.status).toBe('ACTIVE');
+    expect(order.payments).toHaveLength(1);
+
+    await mockProvider.completeCheckout('ORDER_1', 'success');
+    const paid = await mockProvider.fetchOrder('ORDER_1');
+    expect(paid.payments.map(p => p.status)).toEqual([PAYMENT_STATUSES.success, PAYMENT_STATUSES.failed]);
+  });
+
+  it('still records the payment when the webhook cannot be delivered', async () => {
+    axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    await createOrder();
+    const { webhookDelivered } = await mockProvider.completeCheckout('ORDER_1', 'success');
+    expect(webhookDelivered).toBe(false);
+    expect((await mockProvider.fetchOrder('ORDER_1')).status).toBe('PAID');
+  });
+
+  it('refuses to pay an order twice or with an unknown outcome', async () => {
+    await createOrder();
+    await expect(mockProvider.completeCheckout('ORDER_1', 'maybe')).rejects.toMatchObject({ status: 400, code: 'invalid_outcome' });
+    await mockProvider.completeCheckout('ORDER_1', 'success');
+    await expect(mockProvider.completeCheckout('ORDER_1', 'success')).rejects.toMatchObject({ status: 400, code: 'order_already_paid' });
+    await expect(mockProvider.fetchOrder('MISSING')).rejects.toMatchObject({ status: 404 });
+  });
+
+  describe('refunds', () => {
+    beforeEach(async () => {
+      await createOrder();
+    });
+
+    it('only refunds a paid order', async () => {
+      await expect(mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R1', amount: 100 }))
+        .rejects.toMatchObject({ status: 400, code: 'order_not_paid' });
+    });
+
+    it('caps refunds at what is left of the order', async () => {
+      await mockProvider.completeCheckout('ORDER_1', 'success');
+      const refund = await mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R1', amount: 300, note: 'Partial' });
+      expect(refund).toEqual(expect.objectContaining({ refundId: 'R1', status: REFUND_STATUSES.success, amount: 300 }));
+
+      await expect(mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R2', amount: 250 }))
+        .rejects.toMatchObject({ status: 400, code: 'refund_amount_exceeded' });
+      await expect(mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R2', amount: 200 })).resolves.toBeDefined();
+    });
+
+    it('settles a pending refund when its status is fetched', async () => {
+      process.env.MOCK_REFUND_OUTCOME = 'pending';
+      await mockProvider.completeCheckout('ORDER_1', 'success');
+      const refund = await mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R1', amount: 100 });
+      expect(refund.status).toBe(REFUND_STATUSES.pending);
+
+      expect((await mockProvider.fetchRefund('ORDER_1', 'R1')).status).toBe(REFUND_STATUSES.success);
+      await expect(mockProvider.fetchRefund('ORDER_1', 'R2')).rejects.toMatchObject({ status: 404 });
+    });
+
+    it('does not count a failed refund against the order', async () => {
+      process.env.MOCK_REFUND_OUTCOME = 'failed';
+      await mockProvider.completeCheckout('ORDER_1', 'success');
+      const refund = await mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R1', amount: 500 });
+      expect(refund.status).toBe(REFUND_STATUSES.cancelled);
+
+      process.env.MOCK_REFUND_OUTCOME = 'success';
+      const retry = await mockProvider.createRefund({ orderId: 'ORDER_1', refundId: 'R2', amount: 500 });
+      expect(retry.status).toBe(REFUND_STATUSES.success);
+    });
+  });
+});
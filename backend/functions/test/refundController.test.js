@@ -0,0 +1,84 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firestoreFake'));
+jest.mock('axios');
+
+const axios = require('axios');
+const { db, reset } = require('../src/config/firebase');
+const mockProvider = require('../src/services/paymentProviders/mockProvider');
+const { REFUND_STATUSES } = require('../src/services/paymentProviders/constants');
+const { processRefund, settleRefund, settlePendingRefunds } = require('../src/controllers/refundController');
+
+const bookingRef = () => db.collection('bookings').doc('booking1');
+const getBooking = async () => (await bookingRef().get()).data();
+
+beforeEach(async () => {
+  reset();
+  process.env.PAYMENT_PROVIDER = 'mock';
+  process.env.MOCK_REFUND_OUTCOME = 'pending';
+  axios.post.mockResolvedValue({ status: 200 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  await mockProvider.createOrder({
+    orderId: 'ORDER_1',
+    amount: 500,
+    customer: { id: 'booking1', name: 'Asha', email: 'asha@example.com', phone: '9999999999' },
+    returnUrl: 'http://127.0.0.1:5001/demo/asia-south1/api/payments/callback',
+    notifyUrl: 'http://127.0.0.1:5001/demo/asia-south1/api/payments/webhook'
+  });
+  await mockProvider.completeCheckout('ORDER_1', 'success');
+  await bookingRef().set({
+    userId: 'user1',
+    status: 'cancelled',
+    paymentStatus: 'paid',
+    paymentId: 'mock_payment_1',
+    paymentTransactionId: 'ORDER_1',
+    paidAmount: 500,
+    totalAmount: 500
+  });
+});
+
+afterEach(() => {
+  delete process.env.PAYMENT_PROVIDER;
+  delete process.env.MOCK_REFUND_OUTCOME;
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('gateway refunds the gateway has pending', () => {
+  it('are reserved but not settled', async () => {
+    const result = await processRefund('booking1', { full: true, reason: 'Cafe closed' });
+    expect(result.refundStatus).toBe('pending');
+
+    const booking = await getBooking();
+    expect(booking).toEqual(expect.objectContaining({ refundStatus: 'pending', refundAmount: 500, refundPending: true, paymentStatus: 'paid' }));
+    expect(booking.bookkeeping).toBeUndefined();
+
+    await expect(processRefund('booking1', { amount: 1 })).rejects.toThrow(/^REFUND_EXCEEDED:/);
+  });
+
+  it('move the booking to refunded once the sweep sees them processed', async () => {
+    const { refundId } = await processRefund('booking1', { full: true, reason: 'Cafe closed' });
+
+    expect(await settlePendingRefunds()).toBe(1);
+    const booking = await getBooking();
+    expect(booking).toEqual(expect.objectContaining({ refundStatus: 'processed', paymentStatus: 'refunded', status: 'refunded', refundPending: false }));
+    expect(booking.pendingRefunds).toEqual({});
+
+    // Already settled
+    expect(await settleRefund('booking1', refundId, REFUND_STATUSES.success)).toBeNull();
+    expect(await settlePendingRefunds()).toBe(0);
+  });
+
+  it('give the money back to refund once cancelled', async () => {
+    const { refundId } = await processRefund('booking1', { full: true });
+    await db.collection('mock_payment_orders').doc('ORDER_1').update({ [`refunds.${refundId}.status`]: REFUND_STATUSES.cancelled });
+
+    expect(await settlePendingRefunds()).toBe(1);
+    const booking = await getBooking();
+    expect(booking).toEqual(expect.objectContaining({ refundStatus: 'failed', refundAmount: 0, paymentStatus: 'paid', status: 'cancelled' }));
+
+    process.env.MOCK_REFUND_OUTCOME = 'success';
+    const retry = await processRefund('booking1', { full: true });
+    expect(retry).toEqual(expect.objectContaining({ refundStatus: 'processed', refundAmount: 500 }));
+  });
+});